@@ -0,0 +1,238 @@
+#!/usr/bin/env node
+/**
+ * Answers a question from the compendium, with every sentence citing message IDs:
+ *
+ *   node ask.js "gdzie kupić figurki w Akihabarze?"
+ *
+ * Relevant structured entries and raw compendium messages are retrieved with a local
+ * BM25 index (lib/retrieval.js) and given to the model as the only material to answer
+ * from. The cited message IDs become [n] footnotes the same way structured entries get
+ * them (applyWikipediaFootnotes). When retrieval finds nothing relevant, or the model
+ * says the material does not answer the question, ask refuses instead of guessing.
+ *
+ * Options: [--edition N] [--entries 8] [--messages 12] [--min-score 1]
+ *          [--retrieve-only] [--json] [--model name] [--provider ...]
+ *          [--topics-dir ./structured_topics] [--compendium-dir ./compendium_versions]
+ */
+
+import 'dotenv/config';
+import { createProvider } from './lib/llm-providers.js';
+import {
+  c,
+  errorLog,
+  generateValidatedJson,
+  isMainModule,
+  log,
+  logToStderr,
+  parseCommonArgs,
+  tryParseJsonObject,
+  warn
+} from './lib/pipeline.js';
+import { buildCompendiumDocuments, createBm25Index, searchIndex } from './lib/retrieval.js';
+import { validateAnswerResponse } from './lib/schemas.js';
+import { loadCompendiumMessages, loadTopics, messageBody, resolveEdition } from './lib/topics.js';
+import { applyWikipediaFootnotes } from './structure-compendium-topics.js';
+
+const MODEL_NAME = process.env.ASK_MODEL_NAME || 'gemini-3-flash-preview';
+const SOURCE_CHARS = 1200;
+export const REFUSAL = 'Nie znalazłem w kompendium nic, co odpowiada na to pytanie.';
+
+export function parseArgs(argv) {
+  const args = {
+    ...parseCommonArgs(argv),
+    edition: null,
+    topicsDir: './structured_topics',
+    compendiumDir: './compendium_versions',
+    question: '',
+    entries: 8,
+    messages: 12,
+    minScore: 1,
+    retrieveOnly: false,
+    json: false,
+    model: MODEL_NAME
+  };
+  const words = [];
+  const withValue = new Set([
+    '--edition', '--topics-dir', '--compendium-dir', '--entries', '--messages', '--min-score', '--model',
+    '--provider', '--retry-max-attempts', '--retry-base-delay-ms', '--retry-max-delay-ms', '--max-repairs',
+    '--rejects-dir', '--concurrency', '--rpm', '--tpm'
+  ]);
+  for (let i = 0; i < argv.length; i++) {
+    const a = argv[i];
+    const v = argv[i + 1];
+    if (a === '--edition' && v) {
+      args.edition = Number.parseInt(v, 10);
+    } else if (a === '--topics-dir' && v) {
+      args.topicsDir = v;
+    } else if (a === '--compendium-dir' && v) {
+      args.compendiumDir = v;
+    } else if (a === '--entries' && v) {
+      args.entries = Math.max(0, Number.parseInt(v, 10) || 0);
+    } else if (a === '--messages' && v) {
+      args.messages = Math.max(0, Number.parseInt(v, 10) || 0);
+    } else if (a === '--min-score' && v) {
+      args.minScore = Math.max(0, Number.parseFloat(v) || 0);
+    } else if (a === '--model' && v) {
+      args.model = v;
+    } else if (a === '--retrieve-only') {
+      args.retrieveOnly = true;
+    } else if (a === '--json') {
+      args.json = true;
+    } else if (!a.startsWith('--')) {
+      words.push(a);
+    }
+    if (withValue.has(a) && v) i++;
+  }
+  args.question = words.join(' ').trim();
+  return args;
+}
+
+/** Loads an edition's entries and messages into a BM25 index. */
+export async function loadCompendiumIndex(args) {
+  const resolved = await resolveEdition(args);
+  const topics = await loadTopics(resolved);
+  const messages = await loadCompendiumMessages(resolved.compendiumPath);
+  if (!resolved.compendiumPath) warn('Compendium markdown not found; retrieving structured entries only.');
+  return { resolved, messages, index: createBm25Index(buildCompendiumDocuments(topics, messages)) };
+}
+
+/**
+ * Retrieval for one question: the best entries and messages, plus the messages the
+ * entries cite. Returns { entries, messages, sources: [{ messageId, author, date, text }] }.
+ */
+export function retrieveContext(index, messages, question, { entries = 8, messages: messageLimit = 12, minScore = 1 } = {}) {
+  const hitEntries = searchIndex(index, question, { limit: entries, minScore, filter: d => d.kind === 'entry' });
+  const hitMessages = searchIndex(index, question, { limit: messageLimit, minScore, filter: d => d.kind === 'message' });
+  const ids = [...new Set([...hitMessages.flatMap(h => h.doc.messageIds), ...hitEntries.flatMap(h => h.doc.messageIds)])];
+  const sources = ids.map((id) => {
+    const msg = messages.get(id);
+    const text = msg ? messageBody(msg) : '';
+    return { messageId: id, author: msg?.author ?? null, date: msg?.date ?? null, text: text.length > SOURCE_CHARS ? `${text.slice(0, SOURCE_CHARS - 1)}…` : text };
+  });
+  return { entries: hitEntries, messages: hitMessages, sources };
+}
+
+export function buildAnswerPrompt(question, context) {
+  const notes = context.entries.map(h => ({
+    topic: h.doc.topic.title,
+    text: String(h.doc.entry.text ?? '').replace(/\[\d+\]/g, ''),
+    messageIds: h.doc.messageIds
+  }));
+  const sources = context.sources.filter(s => s.text);
+  return [
+    `# Rola`,
+    `Odpowiadasz na pytania o podróże do Japonii wyłącznie na podstawie kompendium społeczności.`,
+    ``,
+    `# Zadanie`,
+    `Odpowiedz na pytanie krótko i konkretnie, korzystając TYLKO z notatek i wiadomości poniżej.`,
+    ``,
+    `# Zasady`,
+    `- Każde zdanie odpowiedzi musi mieć w "sources" co najmniej jedno messageId wiadomości, z której pochodzi informacja.`,
+    `- Używaj tylko messageId podanych niżej (w "messageIds" notatek albo w wiadomościach).`,
+    `- Nie dodawaj własnej wiedzy. Ceny, godziny, nazwy miejsc i sklepów podawaj tak jak w źródłach.`,
+    `- Jeśli materiał nie odpowiada na pytanie, zwróć {"refused": true, "reason": "..."} zamiast zgadywać.`,
+    `- Odpowiadaj w języku pytania.`,
+    `- Zwróć TYLKO poprawny JSON, bez markdown, bez code fences, bez komentarzy.`,
+    ``,
+    `# Format odpowiedzi (JSON):`,
+    `{"refused": false, "sentences": [{"text": "...", "sources": ["<messageId>", ...]}, ...]}`,
+    ``,
+    `# Notatki z kompendium:`,
+    JSON.stringify(notes, null, 2),
+    ``,
+    `# Wiadomości źródłowe:`,
+    JSON.stringify(sources, null, 2),
+    ``,
+    `# Pytanie:`,
+    question
+  ].join('\n');
+}
+
+/**
+ * Turns answer sentences into footnoted text via applyWikipediaFootnotes: one marker
+ * after each sentence. Returns { text, footnotes: { n: [messageId] } }.
+ */
+export function footnoteAnswer(sentences) {
+  let text = '';
+  const citationInserts = [];
+  for (const s of sentences) {
+    let sentence = String(s.text).trim();
+    if (!/[.!?]["')\]]*$/.test(sentence)) sentence += '.';
+    if (text) text += ' ';
+    // The marker goes after the sentence's final punctuation.
+    const end = text.length + sentence.search(/[.!?]["')\]]*$/);
+    text += sentence;
+    citationInserts.push({ atChar: end, sources: s.sources.map(id => ({ messageId: String(id).trim() })) });
+  }
+  const { text: withMarkers, footnotes } = applyWikipediaFootnotes({ entryId: 'answer', type: 'other', text, citationInserts });
+  return { text: withMarkers, footnotes };
+}
+
+/**
+ * Retrieves, asks the model and footnotes the answer:
+ * { refused, reason?, text, footnotes, context }.
+ */
+export async function answerQuestion({ question, index, messages, model, options = {} }) {
+  const context = retrieveContext(index, messages, question, options);
+  if (context.entries.length === 0 && context.messages.length === 0) {
+    return { refused: true, reason: 'nothing relevant retrieved', text: REFUSAL, footnotes: {}, context };
+  }
+  const allowed = new Set([...context.sources.map(s => s.messageId), ...context.entries.flatMap(h => h.doc.messageIds)]);
+  const { value } = await generateValidatedJson(model, [buildAnswerPrompt(question, context)], {
+    parse: tryParseJsonObject,
+    validate: v => validateAnswerResponse(v, { messageIds: allowed }),
+    label: 'ask',
+    retry: options.retry,
+    repair: options.repair
+  });
+  if (value.refused) return { refused: true, reason: value.reason ?? 'the retrieved material does not answer the question', text: REFUSAL, footnotes: {}, context };
+  return { refused: false, ...footnoteAnswer(value.sentences), context };
+}
+
+function renderAnswer(result, messages) {
+  const lines = [result.text];
+  const refs = Object.keys(result.footnotes).sort((a, b) => Number(a) - Number(b));
+  if (refs.length) lines.push('', c('Źródła:', 'bold'));
+  for (const n of refs) {
+    for (const id of result.footnotes[n]) {
+      const msg = messages.get(id);
+      const excerpt = msg ? messageBody(msg).replace(/\s+/g, ' ').slice(0, 140) : '';
+      lines.push(`[${n}] #${id}${msg ? ` ${msg.author ?? '?'}, ${msg.date ?? '?'}: ${excerpt}` : ''}`);
+    }
+  }
+  return lines.join('\n');
+}
+
+export async function main(argv = process.argv.slice(2)) {
+  const args = parseArgs(argv);
+  if (!args.question) throw new Error('Usage: node ask.js "<question>" [options]');
+  if (args.json) logToStderr();
+  const { resolved, messages, index } = await loadCompendiumIndex(args);
+  log(`Edition: ${resolved.edition} documents=${index.docs.length}`);
+
+  if (args.retrieveOnly) {
+    const context = retrieveContext(index, messages, args.question, args);
+    for (const h of [...context.entries, ...context.messages]) {
+      log(c(h.score.toFixed(2), 'cyan'), h.doc.id, c(h.doc.text.replace(/\s+/g, ' ').slice(0, 100), 'dim'));
+    }
+    if (context.entries.length + context.messages.length === 0) log(REFUSAL);
+    return { edition: resolved.edition, retrieved: context.entries.length + context.messages.length };
+  }
+
+  const model = createProvider({ provider: args.provider, model: args.model });
+  const result = await answerQuestion({ question: args.question, index, messages, model, options: args });
+  if (result.refused) warn(`Refused: ${result.reason}`);
+  if (args.json) {
+    process.stdout.write(`${JSON.stringify({ question: args.question, refused: result.refused, ...(result.refused ? { reason: result.reason } : {}), text: result.text, footnotes: result.footnotes }, null, 2)}\n`);
+  } else {
+    process.stdout.write(`${renderAnswer(result, messages)}\n`);
+  }
+  return { edition: resolved.edition, refused: result.refused, footnotes: Object.keys(result.footnotes).length };
+}
+
+if (isMainModule(import.meta.url)) {
+  main().catch((e) => {
+    errorLog(e?.message ?? e);
+    process.exit(1);
+  });
+}
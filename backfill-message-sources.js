@@ -0,0 +1,168 @@
+#!/usr/bin/env node
+/**
+ * Backfills guild/channel/URL metadata (lib/message-sources.js) for data produced before
+ * the pipeline kept it, using the split exports' headers as the source of truth:
+ *
+ *   1. slim files without a guild/channel header get one (messages untouched); ledger
+ *      records of unchanged files get the new hash, so index.js does not redo them;
+ *   2. compendium_versions/message_sources.json gets every message of the latest compendium;
+ *   3. structured topic files of every edition (translations included) get
+ *      `footnoteSources` on their entries.
+ *
+ * Safe to rerun: files that already carry the metadata are left alone.
+ *
+ * Usage: node backfill-message-sources.js [--dry-run]
+ *        [--compendium-dir ./compendium_versions] [--topics-dir ./structured_topics]
+ */
+
+import fs from 'fs-extra';
+import path from 'path';
+import { glob } from 'glob';
+import { SOURCE_DIRS, getLatestCompendiumFile, parseCompendiumMessages } from './lib/compendium.js';
+import { hashFile, loadLedger, saveLedger } from './lib/ledger.js';
+import { loadMessageSources, messageSource, saveMessageSources, sourceFromHeader, withFootnoteSources } from './lib/message-sources.js';
+import { c, errorLog, isMainModule, log, warn, writeJsonAtomic } from './lib/pipeline.js';
+import { listEditions } from './lib/topics.js';
+import { slimHeader } from './slim-json-exports.js';
+
+export function parseArgs(argv) {
+  const args = {
+    dryRun: false,
+    compendiumDir: './compendium_versions',
+    topicsDir: './structured_topics'
+  };
+  for (let i = 0; i < argv.length; i++) {
+    const a = argv[i];
+    const v = argv[i + 1];
+    if (a === '--dry-run') {
+      args.dryRun = true;
+    } else if (a === '--compendium-dir' && v) {
+      args.compendiumDir = v;
+      i++;
+    } else if (a === '--topics-dir' && v) {
+      args.topicsDir = v;
+      i++;
+    }
+  }
+  return args;
+}
+
+/**
+ * Reads every split export: returns { sources: Map messageId -> source, splitFiles:
+ * [{ file, header, exportedAt }] }. Exports without a channel header contribute nothing.
+ */
+export async function collectSplitSources(sourceDirs = SOURCE_DIRS) {
+  const sources = new Map();
+  const splitFiles = [];
+  for (const dir of sourceDirs) {
+    const files = (await glob(`${dir}/split/**/*.json`, { posix: true })).sort();
+    for (const file of files) {
+      let data;
+      try {
+        data = await fs.readJson(file);
+      } catch {
+        warn(`Unreadable split file, skipped: ${file}`);
+        continue;
+      }
+      const header = sourceFromHeader(data);
+      splitFiles.push({ file, data: { guild: data?.guild, channel: data?.channel, exportedAt: data?.exportedAt }, header });
+      if (!header) continue;
+      for (const m of Array.isArray(data?.messages) ? data.messages : []) {
+        if (m?.id) sources.set(String(m.id), messageSource(header, m.id));
+      }
+    }
+  }
+  return { sources, splitFiles };
+}
+
+/** Adds the guild/channel header to slim files missing it; keeps ledger hashes in step. */
+async function backfillSlimFiles(splitFiles, { ledgerPath, dryRun }) {
+  const ledger = await loadLedger(ledgerPath);
+  let updated = 0;
+  let rehashed = 0;
+  for (const { file, data, header } of splitFiles) {
+    const slimFile = file.replace('/split/', '/slim/');
+    if (!header || !(await fs.pathExists(slimFile))) continue;
+    const slim = await fs.readJson(slimFile);
+    if (sourceFromHeader(slim)) continue;
+
+    const out = { ...slimHeader(data, { keepHeader: Object.hasOwn(slim, 'exportedAt') }), messages: slim.messages ?? [] };
+    updated++;
+    if (dryRun) continue;
+    const before = await hashFile(slimFile);
+    // Same serialisation as slim-json-exports.js, so a later --overwrite yields the same bytes.
+    await fs.writeFile(slimFile, JSON.stringify(out), 'utf8');
+    const rec = ledger?.files?.[slimFile];
+    if (rec && rec.hash === before) {
+      rec.hash = await hashFile(slimFile);
+      rehashed++;
+    }
+  }
+  if (ledger && rehashed && !dryRun) await saveLedger(ledgerPath, ledger);
+  return { updated, rehashed };
+}
+
+/** Adds footnoteSources to the entries of every topic file (and translation) of every edition. */
+async function backfillTopics(topicsDir, sources, { dryRun }) {
+  let files = 0;
+  let entries = 0;
+  for (const edition of await listEditions(topicsDir)) {
+    const root = path.join(topicsDir, `compendium_${edition}`).replace(/\\/g, '/');
+    for (const file of (await glob(`${root}/**/*.json`, { posix: true })).sort()) {
+      const data = await fs.readJson(file);
+      if (!Array.isArray(data?.entries)) continue;
+      let changed = 0;
+      const next = data.entries.map((entry) => {
+        const withSources = withFootnoteSources(entry, sources);
+        if (JSON.stringify(withSources.footnoteSources ?? null) !== JSON.stringify(entry.footnoteSources ?? null)) changed++;
+        return withSources;
+      });
+      if (!changed) continue;
+      files++;
+      entries += changed;
+      if (!dryRun) await writeJsonAtomic(file, { ...data, entries: next });
+    }
+  }
+  return { files, entries };
+}
+
+export async function main(argv = process.argv.slice(2)) {
+  const args = parseArgs(argv);
+  if (args.dryRun) log(c('Dry run', 'yellow'), 'nothing will be written');
+
+  const { sources, splitFiles } = await collectSplitSources();
+  const headerless = splitFiles.filter(f => !f.header).length;
+  log(`Split exports: files=${splitFiles.length} messages=${sources.size}${headerless ? ` without header=${headerless}` : ''}`);
+  if (sources.size === 0) {
+    warn('No split export has a guild/channel header; nothing to backfill.');
+    return { messages: 0 };
+  }
+
+  const slim = await backfillSlimFiles(splitFiles, { ledgerPath: path.join(args.compendiumDir, 'ledger.json'), dryRun: args.dryRun });
+  log(c('Slim', 'cyan'), `headers added=${slim.updated} ledger rehashed=${slim.rehashed}`);
+
+  const latest = await getLatestCompendiumFile(args.compendiumDir);
+  let sidecar = { known: 0, missing: 0 };
+  if (latest?.path) {
+    const messageSources = await loadMessageSources(args.compendiumDir);
+    const ids = parseCompendiumMessages(await fs.readFile(latest.path, 'utf8')).map(m => m.messageId);
+    for (const id of ids) if (sources.has(id)) messageSources.set(id, sources.get(id));
+    sidecar = { known: ids.filter(id => messageSources.has(id)).length, missing: ids.filter(id => !messageSources.has(id)).length };
+    if (!args.dryRun) await saveMessageSources(args.compendiumDir, messageSources);
+    log(c('Compendium', 'cyan'), `${path.basename(latest.path)} messages with source=${sidecar.known} without=${sidecar.missing}`);
+  } else {
+    warn(`No compendium found in ${args.compendiumDir}; message_sources.json not written.`);
+  }
+
+  const topics = await backfillTopics(args.topicsDir, sources, args);
+  log(c('Topics', 'cyan'), `files updated=${topics.files} entries=${topics.entries}`);
+
+  return { messages: sources.size, slimUpdated: slim.updated, ...sidecar, topicFiles: topics.files, topicEntries: topics.entries };
+}
+
+if (isMainModule(import.meta.url)) {
+  main().catch((e) => {
+    errorLog(e?.message ?? e);
+    process.exit(1);
+  });
+}
@@ -0,0 +1,158 @@
+#!/usr/bin/env node
+/**
+ * Rewrites slim files written before slim-json-exports.js kept attachment, embed and
+ * sticker summaries (lib/attachments.js), without re-sending the corpus to the model:
+ *
+ *   1. every slim file is re-slimmed from its split file with the current rules and
+ *      rewritten only when the bytes differ;
+ *   2. ledger records of rewritten files that index.js had already processed get the new
+ *      hash, so it does not classify them again; records of files with newly kept
+ *      messages are marked `unclassified: <count>`;
+ *   3. files that actually gained media are listed: summaries on messages the model
+ *      already saw, and messages kept for the first time (image- or link-only posts).
+ *
+ * Newly kept messages stay out of the compendium until their files are classified again.
+ * --reclassify (now or on a later run) clears the hash of every marked record, so the
+ * next index.js run classifies those files, and only those, again; messages already in
+ * the compendium are not inserted twice.
+ *
+ * Safe to rerun: files already matching the current rules are left alone.
+ *
+ * Usage: node backfill-slim-media.js [--dry-run] [--reclassify] [--compendium-dir ./compendium_versions]
+ */
+
+import fs from 'fs-extra';
+import path from 'path';
+import { glob } from 'glob';
+import { hasMedia } from './lib/attachments.js';
+import { SOURCE_DIRS } from './lib/compendium.js';
+import { hashFile, loadLedger, saveLedger } from './lib/ledger.js';
+import { c, errorLog, isMainModule, log, warn } from './lib/pipeline.js';
+import { slimHeader, slimMessage } from './slim-json-exports.js';
+
+export function parseArgs(argv) {
+  const args = {
+    dryRun: false,
+    reclassify: false,
+    compendiumDir: './compendium_versions'
+  };
+  for (let i = 0; i < argv.length; i++) {
+    const a = argv[i];
+    const v = argv[i + 1];
+    if (a === '--dry-run') {
+      args.dryRun = true;
+    } else if (a === '--reclassify') {
+      args.reclassify = true;
+    } else if (a === '--compendium-dir' && v) {
+      args.compendiumDir = v;
+      i++;
+    }
+  }
+  return args;
+}
+
+/**
+ * The current slim output for a split file, with the options the old slim file was
+ * written with: --keep-header when it has exportedAt, --keep-empty-content when it
+ * kept a message with neither text nor media.
+ */
+export function reslim(split, oldSlim, splitDir) {
+  const oldMessages = Array.isArray(oldSlim?.messages) ? oldSlim.messages : [];
+  const opts = {
+    keepHeader: Object.hasOwn(oldSlim ?? {}, 'exportedAt'),
+    keepEmptyContent: oldMessages.some(m => !String(m?.content ?? '').trim() && !hasMedia(m)),
+    splitDir
+  };
+  const messages = (Array.isArray(split?.messages) ? split.messages : []).map(m => slimMessage(m, opts)).filter(Boolean);
+  return { ...slimHeader(split, opts), messages };
+}
+
+/** What re-slimming added: { annotated: ids of old messages that gained media, added: ids kept for the first time }. */
+export function mediaGain(oldSlim, next) {
+  const oldById = new Map((oldSlim?.messages ?? []).map(m => [String(m?.id), m]));
+  const annotated = [];
+  const added = [];
+  for (const m of next.messages) {
+    const old = oldById.get(String(m.id));
+    if (!old) added.push(String(m.id));
+    else if (hasMedia(m) && !hasMedia(old)) annotated.push(String(m.id));
+  }
+  return { annotated, added };
+}
+
+export async function main(argv = process.argv.slice(2)) {
+  const args = parseArgs(argv);
+  if (args.dryRun) log(c('Dry run', 'yellow'), 'nothing will be written');
+
+  const ledgerPath = path.join(args.compendiumDir, 'ledger.json');
+  const ledger = await loadLedger(ledgerPath);
+  const stats = { files: 0, rewritten: 0, rehashed: 0 };
+  const gained = [];
+
+  for (const dir of SOURCE_DIRS) {
+    for (const file of (await glob(`${dir}/split/**/*.json`, { posix: true })).sort()) {
+      const slimFile = file.replace('/split/', '/slim/');
+      if (!(await fs.pathExists(slimFile))) continue;
+      stats.files++;
+      let split;
+      let oldSlim;
+      try {
+        split = await fs.readJson(file);
+        oldSlim = await fs.readJson(slimFile);
+      } catch (e) {
+        warn(`Unreadable, skipped: ${file} (${e.message})`);
+        continue;
+      }
+
+      const next = reslim(split, oldSlim, path.posix.dirname(file));
+      // Same serialisation as slim-json-exports.js, so a later --overwrite yields the same bytes.
+      const body = JSON.stringify(next);
+      if (body === (await fs.readFile(slimFile, 'utf8'))) continue;
+
+      stats.rewritten++;
+      const gain = mediaGain(oldSlim, next);
+      if (gain.annotated.length || gain.added.length) gained.push({ slimFile, ...gain });
+      if (args.dryRun) continue;
+
+      const before = await hashFile(slimFile);
+      await fs.writeFile(slimFile, body, 'utf8');
+      const rec = ledger?.files?.[slimFile];
+      if (!rec || rec.hash !== before) continue;
+      rec.hash = await hashFile(slimFile);
+      if (gain.added.length) rec.unclassified = (rec.unclassified ?? 0) + gain.added.length;
+      stats.rehashed++;
+    }
+  }
+
+  const marked = Object.values(ledger?.files ?? {}).filter(rec => rec.unclassified > 0);
+  const unclassified = marked.reduce((n, rec) => n + rec.unclassified, 0);
+  let reclassify = 0;
+  if (args.reclassify && !args.dryRun) {
+    for (const rec of marked.filter(r => r.hash !== null)) {
+      rec.hash = null;
+      reclassify++;
+    }
+  }
+  if (ledger && (stats.rehashed || reclassify) && !args.dryRun) await saveLedger(ledgerPath, ledger);
+
+  for (const g of gained) {
+    log(c(g.slimFile, 'cyan'), `media on seen messages=${g.annotated.length} newly kept messages=${g.added.length}`);
+  }
+  log(c('Slim', 'cyan'), `files=${stats.files} rewritten=${stats.rewritten} with media=${gained.length} ledger rehashed=${stats.rehashed}`);
+  if (args.dryRun) {
+    const added = gained.reduce((n, g) => n + g.added.length, 0);
+    if (added) log(`${added} newly kept message(s) would stay out of the compendium until --reclassify.`);
+  } else if (marked.some(rec => rec.hash !== null)) {
+    warn(`${unclassified} newly kept message(s) in ${marked.length} file(s) are not in the compendium; --reclassify has index.js classify those files again.`);
+  } else if (marked.length) {
+    log(`${marked.length} file(s) left for index.js to classify again (${unclassified} newly kept message(s)).`);
+  }
+  return { files: stats.files, rewritten: stats.rewritten, withMedia: gained.length, rehashed: stats.rehashed, reclassify };
+}
+
+if (isMainModule(import.meta.url)) {
+  main().catch((e) => {
+    errorLog(e?.message ?? e);
+    process.exit(1);
+  });
+}
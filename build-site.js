@@ -0,0 +1,448 @@
+#!/usr/bin/env node
+/**
+ * Builds a static website from structured_topics/compendium_N: an index page, one page
+ * per topic with entries grouped by type, footnote markers linked to the cited Discord
+ * messages (author, date, excerpt from the compendium markdown), a rating sort when
+ * rate-entries.js has run, and a client-side search index. Needs no network at build
+ * time or in the browser; the output directory can be hosted as-is or opened from disk.
+ *
+ * Images attached to cited messages are copied into <out>/media (--no-images to skip).
+ *
+ * Usage: node build-site.js [--edition N] [--topics-dir ./structured_topics]
+ *        [--compendium-dir ./compendium_versions] [--out ./site] [--no-images]
+ */
+
+import fs from 'fs-extra';
+import path from 'path';
+import { glob } from 'glob';
+import { c, isMainModule, log, warn, errorLog } from './lib/pipeline.js';
+import { citedSource } from './lib/message-sources.js';
+import { RATING_CRITERIA } from './lib/rating-criteria.js';
+import { loadSlimMessages } from './lib/retrieval.js';
+import {
+  compareEntryTypes,
+  entryTypeLabel,
+  loadCompendiumMessages,
+  loadTopics,
+  messageBody,
+  resolveEdition,
+  splitFootnoteMarkers
+} from './lib/topics.js';
+
+const SITE_TITLE = 'Kompendium: Japonia';
+const EXCERPT_CHARS = 280;
+const MEDIA_DIR = 'media';
+
+export function parseArgs(argv) {
+  const args = { edition: null, topicsDir: './structured_topics', compendiumDir: './compendium_versions', out: './site', images: true };
+  for (let i = 0; i < argv.length; i++) {
+    const a = argv[i];
+    const v = argv[i + 1];
+    if (a === '--edition' && v) {
+      args.edition = Number.parseInt(v, 10);
+      i++;
+    } else if (a === '--topics-dir' && v) {
+      args.topicsDir = v;
+      i++;
+    } else if (a === '--compendium-dir' && v) {
+      args.compendiumDir = v;
+      i++;
+    } else if (a === '--out' && v) {
+      args.out = v;
+      i++;
+    } else if (a === '--no-images') {
+      args.images = false;
+    }
+  }
+  return args;
+}
+
+export function escapeHtml(s) {
+  return String(s ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+function entryAnchor(entry, index) {
+  const id = String(entry?.entryId ?? '').replace(/[^A-Za-z0-9_-]+/g, '-').replace(/^-+|-+$/g, '');
+  return `e-${id || index + 1}`;
+}
+
+function excerpt(text) {
+  const s = String(text ?? '').replace(/\s+/g, ' ').trim();
+  return s.length > EXCERPT_CHARS ? `${s.slice(0, EXCERPT_CHARS - 1).trimEnd()}…` : s;
+}
+
+/** Entry text with [n] markers as links to the entry's footnote list. */
+export function renderEntryText(entry, anchor) {
+  const footnotes = entry?.footnotes ?? {};
+  return splitFootnoteMarkers(entry?.text, footnotes)
+    .map(p => (p.ref
+      ? `<sup class="ref"><a href="#${anchor}-fn-${p.ref}">[${p.ref}]</a></sup>`
+      : escapeHtml(p.text).replace(/\n/g, '<br>')))
+    .join('');
+}
+
+/**
+ * The URL for an href when it is http(s), else null. URLs come from the exports and
+ * topic files, so a javascript: or data: URL must not become a live link on the site.
+ */
+export function safeHref(url) {
+  try {
+    const parsed = new URL(String(url ?? ''));
+    return parsed.protocol === 'http:' || parsed.protocol === 'https:' ? parsed.href : null;
+  } catch {
+    return null;
+  }
+}
+
+// The message ID, linked to Discord (with the channel name) when its source is known.
+function renderMessageLink(messageId, source) {
+  const id = `<code class="msg-id">#${escapeHtml(messageId)}</code>`;
+  const href = safeHref(source?.url);
+  if (!href) return id;
+  const channel = source.channelName ? ` <span class="channel">#${escapeHtml(source.channelName)}</span>` : '';
+  return `<a class="discord-link" href="${escapeHtml(href)}">${id}${channel}</a>`;
+}
+
+// Copied images as thumbnails linking to the full file, link previews as links (as text
+// when their URL is not http(s)).
+function renderMedia(items = []) {
+  if (items.length === 0) return '';
+  return `<span class="media">${items.map((m) => {
+    if (m.src) return `<a href="${escapeHtml(m.src)}"><img src="${escapeHtml(m.src)}" alt="${escapeHtml(m.fileName)}" loading="lazy"></a>`;
+    const href = safeHref(m.url);
+    const label = escapeHtml(m.title || m.url);
+    return href ? `<a class="embed" href="${escapeHtml(href)}">${label}</a>` : `<span class="embed">${label}</span>`;
+  }).join(' ')}</span>`;
+}
+
+function renderSource(messageId, messages, entry, media) {
+  const msg = messages.get(String(messageId));
+  const link = renderMessageLink(messageId, citedSource(messageId, { entry, messages }));
+  if (!msg) {
+    return `<span class="source missing">wiadomość ${link} (brak w kompendium)</span>`;
+  }
+  return [
+    '<span class="source">',
+    `<cite>${escapeHtml(msg.author ?? 'anonim')}</cite>`,
+    msg.date ? `, <time datetime="${escapeHtml(msg.date)}">${escapeHtml(msg.date)}</time>` : '',
+    `: <q>${escapeHtml(excerpt(messageBody(msg)))}</q>`,
+    ` ${link}`,
+    renderMedia(media?.get(String(messageId))),
+    '</span>'
+  ].join('');
+}
+
+// Tooltip for the rating badge: the per-criterion breakdown and the model's justification.
+function ratingTitle(entry) {
+  const breakdown = RATING_CRITERIA.filter(cr => typeof entry.ratingBreakdown?.[cr.key] === 'number')
+    .map(cr => `${cr.label}: ${entry.ratingBreakdown[cr.key]}`);
+  return ['Ocena (0-1000)', ...breakdown, entry.ratingJustification ?? ''].filter(Boolean).join('\n');
+}
+
+function renderEntry(entry, index, messages, media) {
+  const anchor = entryAnchor(entry, index);
+  const rating = typeof entry?.rating === 'number' ? entry.rating : null;
+  const refs = Object.keys(entry?.footnotes ?? {}).sort((a, b) => Number(a) - Number(b));
+  const footnotes = refs.length
+    ? [
+        '<ol class="footnotes">',
+        ...refs.map(n => [
+          `<li id="${anchor}-fn-${n}" value="${n}">`,
+          (entry.footnotes[n] ?? []).map(id => renderSource(id, messages, entry, media)).join('<br>'),
+          '</li>'
+        ].join('')),
+        '</ol>'
+      ].join('\n')
+    : '';
+
+  return [
+    `<article class="entry" id="${anchor}" data-order="${index}" data-rating="${rating ?? -1}">`,
+    rating !== null ? `<span class="rating" title="${escapeHtml(ratingTitle(entry))}">★ ${rating}</span>` : '',
+    `<p>${renderEntryText(entry, anchor)}</p>`,
+    footnotes,
+    '</article>'
+  ].filter(Boolean).join('\n');
+}
+
+function renderLayout({ title, body }) {
+  return `<!doctype html>
+<html lang="pl">
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<title>${escapeHtml(title)}</title>
+<link rel="stylesheet" href="style.css">
+</head>
+<body>
+<header class="site-header">
+<a class="home" href="index.html">${escapeHtml(SITE_TITLE)}</a>
+<form class="search-form" action="index.html" method="get">
+<input type="search" name="q" placeholder="Szukaj…" aria-label="Szukaj">
+</form>
+</header>
+<main>
+${body}
+</main>
+<script src="search-index.js"></script>
+<script src="site.js"></script>
+</body>
+</html>
+`;
+}
+
+/** `media` (collectSiteMedia) adds the cited messages' images and link previews to their footnotes. */
+export function renderTopicPage(topic, messages, edition, media = new Map()) {
+  const byType = new Map();
+  topic.entries.forEach((entry, index) => {
+    const type = String(entry?.type ?? 'other');
+    if (!byType.has(type)) byType.set(type, []);
+    byType.get(type).push(renderEntry(entry, index, messages, media));
+  });
+  const types = [...byType.keys()].sort(compareEntryTypes);
+  const hasRatings = topic.entries.some(e => typeof e?.rating === 'number');
+
+  const body = [
+    `<h1>${escapeHtml(topic.title)}</h1>`,
+    `<p class="meta">${topic.entries.length} wpisów · edycja ${edition}</p>`,
+    types.length > 1
+      ? `<nav class="toc">${types.map(t => `<a href="#type-${escapeHtml(t)}">${escapeHtml(entryTypeLabel(t))} (${byType.get(t).length})</a>`).join(' ')}</nav>`
+      : '',
+    hasRatings
+      ? '<p class="sort">Sortuj: <button type="button" data-sort="order" class="active">kolejność</button> <button type="button" data-sort="rating">ocena</button></p>'
+      : '',
+    ...types.map(t => [
+      `<section class="type" id="type-${escapeHtml(t)}">`,
+      `<h2>${escapeHtml(entryTypeLabel(t))}</h2>`,
+      '<div class="entries">',
+      ...byType.get(t),
+      '</div>',
+      '</section>'
+    ].join('\n'))
+  ].filter(Boolean).join('\n');
+
+  return renderLayout({ title: `${topic.title} · ${SITE_TITLE}`, body });
+}
+
+export function renderIndexPage(topics, edition) {
+  const total = topics.reduce((n, t) => n + t.entries.length, 0);
+  const body = [
+    `<h1>${escapeHtml(SITE_TITLE)}</h1>`,
+    `<p class="meta">${topics.length} tematów · ${total} wpisów · edycja ${edition}</p>`,
+    '<section id="search-results" hidden><h2>Wyniki wyszukiwania</h2><ol class="results"></ol></section>',
+    '<ul class="topics">',
+    ...topics.map(t => `<li><a href="${escapeHtml(t.slug)}.html">${escapeHtml(t.title)}</a> <span class="count">${t.entries.length}</span></li>`),
+    '</ul>'
+  ].join('\n');
+  return renderLayout({ title: SITE_TITLE, body });
+}
+
+/** One record per entry; `x` is plain text without footnote markers. */
+export function buildSearchIndex(topics) {
+  const records = [];
+  for (const topic of topics) {
+    topic.entries.forEach((entry, index) => {
+      records.push({
+        p: `${topic.slug}.html#${entryAnchor(entry, index)}`,
+        t: topic.title,
+        y: String(entry?.type ?? 'other'),
+        r: typeof entry?.rating === 'number' ? entry.rating : null,
+        x: splitFootnoteMarkers(entry?.text, entry?.footnotes ?? {})
+          .filter(p => !p.ref)
+          .map(p => p.text)
+          .join('')
+          .replace(/\s+/g, ' ')
+          .trim()
+      });
+    });
+  }
+  return records;
+}
+
+const STYLE_CSS = `:root { --fg: #1d1d1f; --muted: #6b6b70; --accent: #b3261e; --bg: #fdfcfa; --line: #e4e1dc; }
+* { box-sizing: border-box; }
+body { margin: 0; font: 16px/1.6 system-ui, sans-serif; color: var(--fg); background: var(--bg); }
+main { max-width: 860px; margin: 0 auto; padding: 1rem 1.25rem 4rem; }
+a { color: var(--accent); }
+.site-header { display: flex; gap: 1rem; align-items: center; justify-content: space-between; padding: .75rem 1.25rem; border-bottom: 1px solid var(--line); }
+.site-header .home { font-weight: 600; text-decoration: none; }
+.search-form input { padding: .35rem .6rem; border: 1px solid var(--line); border-radius: 4px; min-width: 14rem; }
+.meta, .count, .msg-id { color: var(--muted); font-size: .9em; }
+.toc a { margin-right: .75rem; }
+.entry { position: relative; padding: .75rem 0; border-bottom: 1px solid var(--line); }
+.entry:target { background: #fff6d6; }
+.rating { float: right; color: var(--muted); font-size: .85em; }
+.ref a { text-decoration: none; }
+.footnotes { font-size: .85em; color: var(--muted); margin: .25rem 0 0; }
+.footnotes li:target { background: #fff6d6; }
+.source.missing { font-style: italic; }
+.discord-link { text-decoration: none; }
+.media { display: block; margin: .25rem 0; }
+.media img { max-width: 160px; max-height: 120px; border: 1px solid var(--line); border-radius: 4px; vertical-align: top; }
+.media .embed { margin-right: .5rem; }
+.sort button { border: 1px solid var(--line); background: none; padding: .15rem .5rem; border-radius: 4px; cursor: pointer; }
+.sort button.active { border-color: var(--accent); color: var(--accent); }
+.topics { columns: 2; padding-left: 1.25rem; }
+.results li { margin-bottom: .75rem; }
+.results .snippet { display: block; color: var(--muted); font-size: .9em; }
+`;
+
+const SITE_JS = `(function () {
+  function fold(s) {
+    return String(s || '').toLowerCase().normalize('NFD').replace(/[\\u0300-\\u036f]/g, '').replace(/ł/g, 'l');
+  }
+
+  // Topic pages: switch between compendium order and rating.
+  var buttons = document.querySelectorAll('[data-sort]');
+  buttons.forEach(function (btn) {
+    btn.addEventListener('click', function () {
+      var key = btn.getAttribute('data-sort');
+      buttons.forEach(function (b) { b.classList.toggle('active', b === btn); });
+      document.querySelectorAll('.entries').forEach(function (box) {
+        var items = Array.prototype.slice.call(box.children);
+        items.sort(function (a, b) {
+          if (key === 'rating') return Number(b.dataset.rating) - Number(a.dataset.rating);
+          return Number(a.dataset.order) - Number(b.dataset.order);
+        });
+        items.forEach(function (el) { box.appendChild(el); });
+      });
+    });
+  });
+
+  // Index page: ?q= search over window.SEARCH_INDEX.
+  var results = document.getElementById('search-results');
+  var index = window.SEARCH_INDEX || [];
+  var q = new URLSearchParams(location.search).get('q');
+  document.querySelectorAll('.search-form input').forEach(function (input) { if (q) input.value = q; });
+  if (!results || !q) return;
+
+  var terms = fold(q).split(/\\s+/).filter(Boolean);
+  var hits = [];
+  index.forEach(function (rec) {
+    var hay = fold(rec.t + ' ' + rec.x);
+    var score = 0;
+    for (var i = 0; i < terms.length; i++) {
+      var n = hay.split(terms[i]).length - 1;
+      if (n === 0) return;
+      score += n;
+    }
+    hits.push({ rec: rec, score: score + (rec.r || 0) / 1000 });
+  });
+  hits.sort(function (a, b) { return b.score - a.score; });
+
+  var list = results.querySelector('.results');
+  results.hidden = false;
+  results.querySelector('h2').textContent = 'Wyniki wyszukiwania: ' + hits.length;
+  hits.slice(0, 100).forEach(function (h) {
+    var li = document.createElement('li');
+    var a = document.createElement('a');
+    a.href = h.rec.p;
+    a.textContent = h.rec.t;
+    var snippet = document.createElement('span');
+    snippet.className = 'snippet';
+    snippet.textContent = h.rec.x.length > 240 ? h.rec.x.slice(0, 239) + '…' : h.rec.x;
+    li.appendChild(a);
+    li.appendChild(snippet);
+    list.appendChild(li);
+  });
+})();
+`;
+
+/**
+ * Images attached to cited messages (slim exports, lib/attachments.js) are copied into
+ * <out>/media so the site keeps working offline; link previews are kept as links.
+ * Returns Map messageId -> [{ src, fileName } | { url, title }]; src is relative to the site root.
+ */
+export async function collectSiteMedia(topics, slim, outDir, { images = true } = {}) {
+  const cited = new Set(topics.flatMap(t => t.entries.flatMap(e => Object.values(e?.footnotes ?? {}).flat().map(String))));
+  const media = new Map();
+  const files = new Set();
+  let missing = 0;
+  for (const id of cited) {
+    const msg = slim.get(id);
+    if (!msg) continue;
+    const items = [];
+    if (images) {
+      for (const [i, a] of msg.attachments.entries()) {
+        if (a.kind !== 'image' || !a.path) continue;
+        if (!(await fs.pathExists(a.path))) {
+          missing++;
+          continue;
+        }
+        const name = `${id}-${i}-${String(a.fileName).replace(/[^A-Za-z0-9._-]+/g, '_')}`;
+        const dest = path.join(outDir, MEDIA_DIR, name);
+        if (!(await fs.pathExists(dest))) await fs.copy(a.path, dest);
+        files.add(name);
+        items.push({ src: `${MEDIA_DIR}/${name}`, fileName: a.fileName });
+      }
+    }
+    for (const e of msg.embeds) if (e.url) items.push({ url: e.url, title: e.title ?? null });
+    if (items.length) media.set(id, items);
+  }
+
+  // Drop images of messages no longer cited.
+  let removed = 0;
+  for (const file of await glob(path.join(outDir, MEDIA_DIR, '*').replace(/\\/g, '/'))) {
+    if (!files.has(path.basename(file))) {
+      await fs.remove(file);
+      removed++;
+    }
+  }
+  return { media, copied: files.size, missing, removed };
+}
+
+export async function main(argv = process.argv.slice(2)) {
+  const args = parseArgs(argv);
+  const resolved = await resolveEdition(args);
+  log(`Edition: ${resolved.edition}`);
+  log(`Topics root: ${path.resolve(resolved.topicsRoot)}`);
+  if (resolved.compendiumPath) log(`Compendium: ${path.resolve(resolved.compendiumPath)}`);
+  else warn('Compendium markdown not found; footnotes will only show message IDs.');
+
+  const topics = await loadTopics(resolved);
+  const messages = await loadCompendiumMessages(resolved.compendiumPath);
+  log(c('Loaded', 'green'), `topics=${topics.length} entries=${topics.reduce((n, t) => n + t.entries.length, 0)} messages=${messages.size}`);
+
+  await fs.ensureDir(args.out);
+  const slim = await loadSlimMessages();
+  const { media, copied, missing, removed: removedMedia } = await collectSiteMedia(topics, slim, args.out, args);
+  log(c('Media', 'green'), `images=${copied} removed=${removedMedia}${args.images ? '' : ' (--no-images)'}`);
+  if (missing) warn(`${missing} attached image(s) not found on disk; re-run split/slim or check the _Files folders.`);
+
+  const pages = new Set(['index.html']);
+  await fs.writeFile(path.join(args.out, 'index.html'), renderIndexPage(topics, resolved.edition), 'utf8');
+  for (const topic of topics) {
+    const page = `${topic.slug}.html`;
+    pages.add(page);
+    await fs.writeFile(path.join(args.out, page), renderTopicPage(topic, messages, resolved.edition, media), 'utf8');
+  }
+
+  // A script, not JSON, so search also works when the site is opened via file://.
+  const searchIndex = buildSearchIndex(topics);
+  await fs.writeFile(path.join(args.out, 'search-index.js'), `window.SEARCH_INDEX = ${JSON.stringify(searchIndex)};\n`, 'utf8');
+  await fs.writeFile(path.join(args.out, 'style.css'), STYLE_CSS, 'utf8');
+  await fs.writeFile(path.join(args.out, 'site.js'), SITE_JS, 'utf8');
+
+  // Drop pages of topics that no longer exist (e.g. after a merge).
+  let removed = 0;
+  for (const file of await glob(path.join(args.out, '*.html').replace(/\\/g, '/'))) {
+    if (!pages.has(path.basename(file))) {
+      await fs.remove(file);
+      removed++;
+    }
+  }
+
+  log(c('Site written', 'green', 'bold'), path.resolve(args.out), `pages=${pages.size} removed=${removed}`);
+  return { edition: resolved.edition, topics: topics.length, entries: searchIndex.length, pages: pages.size };
+}
+
+if (isMainModule(import.meta.url)) {
+  main().catch((e) => {
+    errorLog(e?.message ?? e);
+    process.exit(1);
+  });
+}
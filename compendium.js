@@ -0,0 +1,455 @@
+#!/usr/bin/env node
+/**
+ * Single entry point for the whole pipeline:
+ *   split -> slim -> classify -> structure -> merge -> dedupe -> rate -> verify -> translate -> site
+ *
+ * Usage:
+ *   node compendium.js <stage> [stage options]   run one stage (options are passed through)
+ *   node compendium.js status                    show which stages are stale
+ *   node compendium.js run-all [--force] [--from <stage>] [--to <stage>] [--plan] [--apply-merges] [stage options]
+ *
+ * run-all checks every stage right before it would run (so a stage that just produced
+ * new output makes the next one stale), runs only stale stages, stops on the first
+ * failure and prints a per-stage summary. Topic merging only prints its dry-run plan
+ * unless --apply-merges is given (the plan is meant to be reviewed first).
+ *
+ * With --incremental (passed through to split and structure) a new Discord export only
+ * contributes messages whose IDs were not split before, and the new compendium edition's
+ * structured topics extend the previous edition's instead of being rebuilt.
+ */
+
+import 'dotenv/config';
+import fs from 'fs-extra';
+import path from 'path';
+import { glob } from 'glob';
+import { SOURCE_DIRS } from './lib/compendium.js';
+import { c, errorLog, isMainModule, log, warn } from './lib/pipeline.js';
+
+function toPosix(p) {
+  return String(p).replace(/\\/g, '/');
+}
+
+async function newestMtime(files) {
+  let newest = 0;
+  for (const f of files) {
+    const st = await fs.stat(f);
+    if (st.mtimeMs > newest) newest = st.mtimeMs;
+  }
+  return newest;
+}
+
+async function checkSplit() {
+  const { findChangedExports, loadSplitManifest, sourceDirPath } = await import('./split-discord-export.js');
+  const staleDirs = [];
+  let rawCount = 0;
+  for (const dir of SOURCE_DIRS) {
+    // Same location split-discord-export.js reads and writes, whatever the working directory.
+    const dirPath = sourceDirPath(dir);
+    if (!(await fs.pathExists(dirPath))) continue;
+    const raw = (await fs.readdir(dirPath))
+      .filter(f => f.endsWith('.json') && !f.includes('_Files') && !f.includes('_part'))
+      .map(f => path.join(dirPath, f));
+    if (raw.length === 0) continue;
+    rawCount += raw.length;
+    if (loadSplitManifest(dir)) {
+      // The manifest knows exactly which exports were split, even when they added no parts.
+      if (findChangedExports(dir).length) staleDirs.push(dir);
+      continue;
+    }
+    const split = await glob(toPosix(path.join(dirPath, 'split', '*.json')));
+    if (split.length === 0 || (await newestMtime(raw)) > (await newestMtime(split))) staleDirs.push(dir);
+  }
+  if (rawCount === 0) return { stale: false, reason: 'no raw Discord exports found' };
+  return staleDirs.length
+    ? { stale: true, reason: `exports changed since the last split in ${staleDirs.join(', ')}` }
+    : { stale: false, reason: 'split parts up to date' };
+}
+
+async function checkSlim() {
+  const { makeOutputPath } = await import('./slim-json-exports.js');
+  let pending = 0;
+  let total = 0;
+  for (const dir of SOURCE_DIRS) {
+    for (const inPath of await glob(`./${dir}/split/**/*.json`)) {
+      total++;
+      const outPath = makeOutputPath(inPath);
+      if (!(await fs.pathExists(outPath))) {
+        pending++;
+        continue;
+      }
+      const [inStat, outStat] = await Promise.all([fs.stat(inPath), fs.stat(outPath)]);
+      if (outStat.mtimeMs < inStat.mtimeMs) pending++;
+    }
+  }
+  if (total === 0) return { stale: false, reason: 'no split parts' };
+  return pending
+    ? { stale: true, reason: `${pending}/${total} split part(s) missing or newer than slim output` }
+    : { stale: false, reason: `${total} slim file(s) up to date` };
+}
+
+async function checkClassify(argv) {
+  const { getSortedInputFiles, loadClassifyPlan } = await import('./index.js');
+  const inputFiles = await getSortedInputFiles();
+  if (inputFiles.length === 0) return { stale: false, reason: 'no slim files' };
+  const { plan } = await loadClassifyPlan(inputFiles, { retryFailed: argv.includes('--retry-failed') });
+  if (plan.todo.length === 0) {
+    const failedNote = plan.failed.length ? ` (${plan.failed.length} failed, use --retry-failed)` : '';
+    return { stale: false, reason: `all ${inputFiles.length} slim file(s) classified${failedNote}` };
+  }
+  const byReason = ['new', 'changed', 'failed']
+    .map(r => [r, plan.todo.filter(t => t.reason === r).length])
+    .filter(([, n]) => n > 0)
+    .map(([r, n]) => `${n} ${r}`);
+  return { stale: true, reason: `${plan.todo.length} slim file(s) to classify (${byReason.join(', ')})` };
+}
+
+async function checkStructure(argv) {
+  const { getStructureProgress } = await import('./structure-compendium-topics.js');
+  const progress = await getStructureProgress(argv);
+  if (!progress) return { stale: false, reason: 'no compendium edition yet' };
+  return progress.remainingMessages > 0
+    ? { stale: true, reason: `edition ${progress.edition}: ${progress.remainingMessages}/${progress.totalMessages} message(s) not structured` }
+    : { stale: false, reason: `edition ${progress.edition} fully structured` };
+}
+
+async function checkMerge(argv) {
+  const { getPendingMerges } = await import('./merge-structured-topics.js');
+  const pending = await getPendingMerges(argv);
+  const mode = argv.includes('--apply') ? '' : '; dry run, --apply-merges applies';
+  return pending.length
+    ? { stale: true, reason: `${pending.length} topic group(s) not merged (${pending.map(m => m.target).join(', ')})${mode}` }
+    : { stale: false, reason: 'no topic groups to merge' };
+}
+
+async function checkDedupe(argv) {
+  const { parseArgs, proposalsPath } = await import('./dedupe-entries.js');
+  const { resolveEdition } = await import('./lib/topics.js');
+  const args = parseArgs(argv);
+  let resolved;
+  try {
+    resolved = await resolveEdition(args);
+  } catch {
+    return { stale: false, reason: 'no structured topics' };
+  }
+  const pPath = proposalsPath(args.topicsDir, resolved.edition);
+  if (!(await fs.pathExists(pPath))) return { stale: true, reason: `no dedupe proposals for edition ${resolved.edition}` };
+  const topicFiles = await glob(toPosix(path.join(resolved.topicsRoot, '*.json')));
+  if ((await newestMtime(topicFiles)) > (await fs.stat(pPath)).mtimeMs) {
+    return { stale: true, reason: `edition ${resolved.edition} topics changed since the last proposals` };
+  }
+  // Applying is a reviewed, manual step (dedupe --apply), so run-all never does it.
+  const approved = (await fs.readJson(pPath)).clusters?.filter(cl => cl.decision === 'approved').length ?? 0;
+  return { stale: false, reason: approved ? `${approved} approved cluster(s) waiting for dedupe --apply` : 'proposals up to date' };
+}
+
+async function checkRate(argv) {
+  const { getRatingProgress } = await import('./rate-entries.js');
+  const progress = await getRatingProgress(argv);
+  if (progress.total === 0) return { stale: false, reason: 'no structured entries' };
+  return progress.unrated + progress.changed > 0
+    ? { stale: true, reason: `${progress.unrated}/${progress.total} entries unrated, ${progress.changed} changed since rated` }
+    : { stale: false, reason: `all ${progress.total} entries rated` };
+}
+
+async function checkVerify(argv) {
+  const { parseArgs } = await import('./verify-citations.js');
+  const { loadTopics, resolveEdition } = await import('./lib/topics.js');
+  let resolved;
+  try {
+    resolved = await resolveEdition(parseArgs(argv));
+  } catch {
+    return { stale: false, reason: 'no structured topics' };
+  }
+  const entries = (await loadTopics(resolved)).flatMap(t => t.entries);
+  const unchecked = entries.filter(e => !e?.verification).length;
+  return unchecked
+    ? { stale: true, reason: `${unchecked}/${entries.length} entries not verified` }
+    : { stale: false, reason: `all ${entries.length} entries verified` };
+}
+
+async function checkTranslate(argv) {
+  const { getTranslationProgress } = await import('./translate-topics.js');
+  const progress = await getTranslationProgress(argv);
+  if (progress.total === 0) return { stale: false, reason: 'no structured entries' };
+  return progress.pending > 0
+    ? { stale: true, reason: `${progress.pending} title(s)/entries to translate (${progress.langs.join(', ')})` }
+    : { stale: false, reason: `translations up to date (${progress.langs.join(', ')})` };
+}
+
+async function checkSite(argv) {
+  const { parseArgs } = await import('./build-site.js');
+  const { resolveEdition } = await import('./lib/topics.js');
+  const args = parseArgs(argv);
+  let resolved;
+  try {
+    resolved = await resolveEdition(args);
+  } catch {
+    return { stale: false, reason: 'no structured topics' };
+  }
+  const indexPath = path.join(args.out, 'index.html');
+  if (!(await fs.pathExists(indexPath))) return { stale: true, reason: `${indexPath} not built yet` };
+  const topicFiles = await glob(toPosix(path.join(resolved.topicsRoot, '*.json')));
+  const built = (await fs.stat(indexPath)).mtimeMs;
+  return (await newestMtime(topicFiles)) > built
+    ? { stale: true, reason: `edition ${resolved.edition} topics changed since the last build` }
+    : { stale: false, reason: `site up to date with edition ${resolved.edition}` };
+}
+
+// Stage modules are imported lazily so a stage's dependencies are only needed when it runs.
+export const STAGES = [
+  {
+    name: 'split',
+    description: 'split raw Discord exports into parts',
+    check: checkSplit,
+    run: async argv => (await import('./split-discord-export.js')).main(argv)
+  },
+  {
+    name: 'slim',
+    description: 'slim split parts for the model',
+    check: checkSlim,
+    run: async argv => (await import('./slim-json-exports.js')).main(argv)
+  },
+  {
+    name: 'classify',
+    description: 'filter + categorize messages into the compendium (index.js)',
+    check: checkClassify,
+    run: async argv => (await import('./index.js')).main(argv)
+  },
+  {
+    name: 'structure',
+    description: 'turn compendium topics into structured entries',
+    check: checkStructure,
+    runAllArgs: ['--max-batches', 'all'],
+    run: async argv => (await import('./structure-compendium-topics.js')).main(argv)
+  },
+  {
+    name: 'merge',
+    description: 'fold alias topic files into their targets (topic-aliases.json)',
+    check: checkMerge,
+    // Merging is reviewed first (the dry-run plan), so run-all applies only with --apply-merges.
+    optIn: { flag: '--apply-merges', argv: ['--apply'] },
+    run: async argv => (await import('./merge-structured-topics.js')).main(argv)
+  },
+  {
+    name: 'dedupe',
+    description: 'propose (and with --apply, fold) near-duplicate entries',
+    check: checkDedupe,
+    run: async argv => (await import('./dedupe-entries.js')).main(argv)
+  },
+  {
+    name: 'rate',
+    description: 'rate structured entries',
+    check: checkRate,
+    runAllArgs: ['--resume'],
+    run: async argv => (await import('./rate-entries.js')).main(argv)
+  },
+  {
+    name: 'verify',
+    description: 'check entry claims against their cited messages',
+    check: checkVerify,
+    run: async argv => (await import('./verify-citations.js')).main(argv)
+  },
+  {
+    name: 'translate',
+    description: 'translate structured topics (default: English)',
+    check: checkTranslate,
+    run: async argv => (await import('./translate-topics.js')).main(argv)
+  },
+  {
+    name: 'site',
+    description: 'build the static website',
+    check: checkSite,
+    run: async argv => (await import('./build-site.js')).main(argv)
+  }
+];
+
+function getStage(name) {
+  return STAGES.find(s => s.name === name) ?? null;
+}
+
+function summarizeResult(result) {
+  if (!result || typeof result !== 'object') return '';
+  return Object.entries(result)
+    .filter(([, v]) => typeof v === 'number' || typeof v === 'boolean')
+    .map(([k, v]) => `${k}=${v}`)
+    .join(' ');
+}
+
+/**
+ * Runs one stage and reports { status: 'ok'|'failed', result, error, ms }.
+ * A stage that returns { failed: n > 0 } counts as failed even without throwing.
+ */
+export async function runStage(stage, argv = []) {
+  const t0 = Date.now();
+  try {
+    const result = await stage.run(argv);
+    const failedCount = Number(result?.failed ?? 0);
+    if (failedCount > 0) {
+      return { status: 'failed', result, error: new Error(`${failedCount} item(s) failed`), ms: Date.now() - t0 };
+    }
+    return { status: 'ok', result, ms: Date.now() - t0 };
+  } catch (error) {
+    return { status: 'failed', error, ms: Date.now() - t0 };
+  }
+}
+
+function parseRunAllArgs(argv) {
+  const args = { force: false, plan: false, from: null, to: null, optIns: new Set(), passthrough: [] };
+  const optInFlags = new Set(STAGES.map(s => s.optIn?.flag).filter(Boolean));
+  for (let i = 0; i < argv.length; i++) {
+    const a = argv[i];
+    const v = argv[i + 1];
+    if (a === '--force') args.force = true;
+    else if (a === '--plan') args.plan = true;
+    else if (optInFlags.has(a)) args.optIns.add(a);
+    else if (a === '--from' && v) {
+      args.from = v;
+      i++;
+    } else if (a === '--to' && v) {
+      args.to = v;
+      i++;
+    } else args.passthrough.push(a);
+  }
+  return args;
+}
+
+function selectStages(from, to) {
+  const names = STAGES.map(s => s.name);
+  for (const n of [from, to]) {
+    if (n && !names.includes(n)) throw new Error(`Unknown stage "${n}" (expected one of: ${names.join(', ')})`);
+  }
+  const start = from ? names.indexOf(from) : 0;
+  const end = to ? names.indexOf(to) : names.length - 1;
+  return STAGES.slice(start, end + 1);
+}
+
+function printSummary(rows) {
+  log(c('Stage summary', 'bold'));
+  const width = Math.max(...STAGES.map(s => s.name.length));
+  const colors = { ok: 'green', failed: 'red', skipped: 'gray', 'not run': 'gray', stale: 'yellow', planned: 'cyan' };
+  for (const row of rows) {
+    const secs = typeof row.ms === 'number' ? `${(row.ms / 1000).toFixed(1)}s` : '';
+    const detail = row.error ? String(row.error.message ?? row.error) : row.detail;
+    log(
+      `  ${row.name.padEnd(width)}`,
+      c(row.status.padEnd(8), colors[row.status] ?? 'dim'),
+      secs.padStart(7),
+      detail ? c(detail, 'dim') : ''
+    );
+  }
+}
+
+export async function runAll(argv = []) {
+  const args = parseRunAllArgs(argv);
+  const stages = selectStages(args.from, args.to);
+  const rows = STAGES.filter(s => !stages.includes(s)).map(s => ({ name: s.name, status: 'skipped', detail: 'outside --from/--to' }));
+  let failed = false;
+
+  for (const stage of stages) {
+    if (failed) {
+      rows.push({ name: stage.name, status: 'not run', detail: 'previous stage failed' });
+      continue;
+    }
+
+    const optInArgv = stage.optIn && args.optIns.has(stage.optIn.flag) ? stage.optIn.argv : [];
+    const stageArgv = [...(stage.runAllArgs ?? []), ...optInArgv, ...args.passthrough];
+    let check;
+    try {
+      check = await stage.check(stageArgv);
+    } catch (error) {
+      errorLog(`[${stage.name}] check failed:`, error?.message ?? error);
+      rows.push({ name: stage.name, status: 'failed', error });
+      failed = true;
+      continue;
+    }
+    if (!check.stale && !args.force) {
+      log(c(`[${stage.name}]`, 'gray'), 'up to date:', check.reason);
+      rows.push({ name: stage.name, status: 'skipped', detail: check.reason });
+      continue;
+    }
+
+    if (args.plan) {
+      rows.push({ name: stage.name, status: 'planned', detail: check.reason });
+      continue;
+    }
+
+    log(c(`[${stage.name}]`, 'cyan', 'bold'), 'running:', check.reason);
+    const outcome = await runStage(stage, stageArgv);
+    if (outcome.status === 'failed') {
+      errorLog(`[${stage.name}] failed:`, outcome.error?.message ?? outcome.error);
+      failed = true;
+    }
+    rows.push({ name: stage.name, status: outcome.status, ms: outcome.ms, error: outcome.error, detail: summarizeResult(outcome.result) });
+  }
+
+  rows.sort((a, b) => STAGES.findIndex(s => s.name === a.name) - STAGES.findIndex(s => s.name === b.name));
+  printSummary(rows);
+  return { ok: !failed, stages: rows };
+}
+
+export async function status(argv = []) {
+  const rows = [];
+  for (const stage of STAGES) {
+    try {
+      const check = await stage.check([...(stage.runAllArgs ?? []), ...argv]);
+      rows.push({ name: stage.name, status: check.stale ? 'stale' : 'ok', detail: check.reason });
+    } catch (error) {
+      rows.push({ name: stage.name, status: 'failed', error });
+    }
+  }
+  printSummary(rows);
+  return rows;
+}
+
+function printUsage() {
+  console.log([
+    'Usage: node compendium.js <command> [options]',
+    '',
+    'Commands:',
+    ...STAGES.map(s => `  ${s.name.padEnd(10)} ${s.description}`),
+    `  ${'status'.padEnd(10)} show which stages are stale`,
+    `  ${'run-all'.padEnd(10)} run every stale stage in order [--force] [--from <stage>] [--to <stage>] [--plan]`,
+    `  ${''.padEnd(10)} [--apply-merges] (merge only prints its plan otherwise)`,
+    '',
+    'Other options are passed through to the stage(s), e.g. --provider fixture.'
+  ].join('\n'));
+}
+
+export async function main(argv = process.argv.slice(2)) {
+  const [command, ...rest] = argv;
+
+  if (!command || command === 'help' || command === '--help' || command === '-h') {
+    printUsage();
+    return 0;
+  }
+
+  if (command === 'status') {
+    await status(rest);
+    return 0;
+  }
+
+  if (command === 'run-all') {
+    const { ok } = await runAll(rest);
+    return ok ? 0 : 1;
+  }
+
+  const stage = getStage(command);
+  if (!stage) {
+    warn(`Unknown command "${command}"`);
+    printUsage();
+    return 1;
+  }
+
+  const outcome = await runStage(stage, rest);
+  printSummary([{ name: stage.name, status: outcome.status, ms: outcome.ms, error: outcome.error, detail: summarizeResult(outcome.result) }]);
+  return outcome.status === 'ok' ? 0 : 1;
+}
+
+if (isMainModule(import.meta.url)) {
+  main()
+    .then(code => process.exit(code))
+    .catch((e) => {
+      errorLog(e?.message ?? e);
+      process.exit(1);
+    });
+}
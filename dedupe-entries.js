@@ -0,0 +1,292 @@
+#!/usr/bin/env node
+/**
+ * Finds near-duplicate entries across all topic files of an edition and proposes one
+ * canonical entry per cluster whose footnotes cover every member's sources.
+ * Nothing in the topic files changes until a cluster is approved and --apply is run.
+ *
+ * Files (next to the edition's state file):
+ *   compendium_N_dedupe.json       proposals: clusters with decision pending|approved|rejected
+ *   compendium_N_dedupe_log.json   audit trail: which entryIds were folded into which
+ *
+ * Usage:
+ *   node dedupe-entries.js [--edition N] [--threshold 0.5]   (re)build proposals
+ *   node dedupe-entries.js --approve c1,c4 | --approve-all | --reject c2
+ *   node dedupe-entries.js --apply [--dry-run]                  apply approved clusters
+ *
+ * Decisions can also be made by editing `decision` (and, if wanted, the canonical
+ * entry's text) in the proposals file. Rebuilding proposals keeps the decisions of
+ * clusters whose members did not change.
+ */
+
+import fs from 'fs-extra';
+import path from 'path';
+import { c, errorLog, isMainModule, log, ts, warn, writeJsonAtomic } from './lib/pipeline.js';
+import { clusterNearDuplicates, mergeEntries, pickCanonical, textHash } from './lib/dedupe.js';
+import { loadTopics, resolveEdition } from './lib/topics.js';
+
+export const DEDUPE_SCHEMA_VERSION = 1;
+const DECISIONS = new Set(['pending', 'approved', 'rejected']);
+
+export function parseArgs(argv) {
+  const args = {
+    edition: null,
+    topicsDir: './structured_topics',
+    compendiumDir: './compendium_versions',
+    threshold: 0.5,
+    approve: [],
+    reject: [],
+    approveAll: false,
+    apply: false,
+    dryRun: false
+  };
+  const ids = v => v.split(',').map(s => s.trim()).filter(Boolean);
+  for (let i = 0; i < argv.length; i++) {
+    const a = argv[i];
+    const v = argv[i + 1];
+    if (a === '--edition' && v) {
+      args.edition = Number.parseInt(v, 10);
+      i++;
+    } else if (a === '--topics-dir' && v) {
+      args.topicsDir = v;
+      i++;
+    } else if (a === '--compendium-dir' && v) {
+      args.compendiumDir = v;
+      i++;
+    } else if (a === '--threshold' && v) {
+      const t = Number.parseFloat(v);
+      if (t > 0 && t <= 1) args.threshold = t;
+      i++;
+    } else if (a === '--approve' && v) {
+      args.approve.push(...ids(v));
+      i++;
+    } else if (a === '--reject' && v) {
+      args.reject.push(...ids(v));
+      i++;
+    } else if (a === '--approve-all') {
+      args.approveAll = true;
+    } else if (a === '--apply') {
+      args.apply = true;
+    } else if (a === '--dry-run') {
+      args.dryRun = true;
+    }
+  }
+  return args;
+}
+
+export function proposalsPath(topicsDir, edition) {
+  return path.join(topicsDir, `compendium_${edition}_dedupe.json`);
+}
+
+export function auditLogPath(topicsDir, edition) {
+  return path.join(topicsDir, `compendium_${edition}_dedupe_log.json`);
+}
+
+const memberKey = m => `${m.topic}#${m.entryId}`;
+const clusterKey = members => members.map(memberKey).sort().join('|');
+
+/**
+ * Clusters the edition's entries and builds proposals. Decisions (and a reviewer's edited
+ * canonical) from `previous` proposals carry over to clusters with the same members whose
+ * texts are unchanged; a cluster with an edited member goes back to pending.
+ */
+export function buildProposals(topics, { edition, threshold, previous = null }) {
+  const items = topics.flatMap(topic => topic.entries.map(entry => ({ topic: topic.slug, entry, text: String(entry?.text ?? '') })));
+  const oldDecisions = new Map((previous?.clusters ?? []).map(cl => [clusterKey(cl.members), cl]));
+
+  const clusters = clusterNearDuplicates(items, { threshold })
+    .map(({ members, similarity }) => {
+      const picked = members.map(i => items[i]);
+      const best = pickCanonical(picked.map(p => p.entry));
+      const canonical = picked[best];
+      return {
+        similarity,
+        members: picked.map(p => ({
+          topic: p.topic,
+          entryId: p.entry.entryId,
+          type: p.entry.type,
+          ...(typeof p.entry.rating === 'number' ? { rating: p.entry.rating } : {}),
+          textHash: textHash(p.text),
+          text: p.text
+        })),
+        canonical: {
+          topic: canonical.topic,
+          entryId: canonical.entry.entryId,
+          entry: mergeEntries(canonical.entry, picked.filter((_, i) => i !== best).map(p => p.entry))
+        }
+      };
+    })
+    .sort((a, b) => b.similarity - a.similarity || b.members.length - a.members.length);
+
+  clusters.forEach((cl, i) => {
+    cl.id = `c${i + 1}`;
+    const old = oldDecisions.get(clusterKey(cl.members));
+    const oldHashes = new Map((old?.members ?? []).map(m => [memberKey(m), m.textHash]));
+    const unchanged = old && cl.members.every(m => oldHashes.get(memberKey(m)) === m.textHash);
+    cl.decision = unchanged ? old.decision : 'pending';
+    if (unchanged && old.canonical) cl.canonical = old.canonical;
+  });
+
+  return {
+    schemaVersion: DEDUPE_SCHEMA_VERSION,
+    edition,
+    threshold,
+    createdAt: ts(),
+    clusters: clusters.map(({ id, decision, similarity, members, canonical }) => ({ id, decision, similarity, members, canonical }))
+  };
+}
+
+/** Sets decisions by cluster id; returns the ids that were not found. */
+export function recordDecisions(proposals, { approve = [], reject = [], approveAll = false }) {
+  const byId = new Map(proposals.clusters.map(cl => [cl.id, cl]));
+  const missing = [];
+  const set = (id, decision) => {
+    const cl = byId.get(id);
+    if (cl) cl.decision = decision;
+    else missing.push(id);
+  };
+  if (approveAll) for (const cl of proposals.clusters) if (cl.decision === 'pending') cl.decision = 'approved';
+  approve.forEach(id => set(id, 'approved'));
+  reject.forEach(id => set(id, 'rejected'));
+  return missing;
+}
+
+/**
+ * Applies approved clusters to the loaded topics (in place). A cluster is skipped as
+ * stale when a member is gone or its text changed since the proposal was made.
+ * Returns { applied: [{ cluster, event }], stale: [{ cluster, reason }], touched: Set<slug> }.
+ */
+export function applyClusters(topics, clusters) {
+  const bySlug = new Map(topics.map(t => [t.slug, t]));
+  const find = m => {
+    const topic = bySlug.get(m.topic);
+    const index = topic ? topic.entries.findIndex(e => e?.entryId === m.entryId) : -1;
+    return index === -1 ? null : { topic, index, entry: topic.entries[index] };
+  };
+  const applied = [];
+  const stale = [];
+  const touched = new Set();
+
+  for (const cluster of clusters) {
+    const located = cluster.members.map(m => ({ member: m, at: find(m) }));
+    const problem = located.find(({ member, at }) => !at || textHash(at.entry.text) !== member.textHash);
+    if (problem) {
+      stale.push({ cluster, reason: `${memberKey(problem.member)} ${problem.at ? 'changed' : 'no longer exists'}` });
+      continue;
+    }
+    const canon = located.find(({ member }) => member.topic === cluster.canonical.topic && member.entryId === cluster.canonical.entryId);
+    if (!canon) {
+      stale.push({ cluster, reason: 'canonical entry is not a member of the cluster' });
+      continue;
+    }
+
+    const folded = located.filter(l => l !== canon);
+    const mergedFrom = [...(canon.at.entry.mergedFrom ?? []), ...folded.map(l => memberKey(l.member))];
+    canon.at.topic.entries[canon.at.index] = { ...cluster.canonical.entry, entryId: canon.member.entryId, mergedFrom };
+    for (const { member, at } of folded) {
+      at.topic.entries = at.topic.entries.filter(e => e?.entryId !== member.entryId);
+      touched.add(member.topic);
+    }
+    touched.add(canon.member.topic);
+
+    applied.push({
+      cluster,
+      event: {
+        clusterId: cluster.id,
+        appliedAt: ts(),
+        similarity: cluster.similarity,
+        into: { topic: canon.member.topic, entryId: canon.member.entryId },
+        folded: folded.map(({ member, at }) => ({ topic: member.topic, entryId: member.entryId, entry: at.entry }))
+      }
+    });
+  }
+  return { applied, stale, touched };
+}
+
+async function applyApproved(args, resolved, proposals, pPath) {
+  const approved = proposals.clusters.filter(cl => cl.decision === 'approved');
+  if (approved.length === 0) {
+    log('No approved clusters to apply.');
+    return { edition: resolved.edition, applied: 0, stale: 0, folded: 0 };
+  }
+
+  const topics = await loadTopics(resolved);
+  const { applied, stale, touched } = applyClusters(topics, approved);
+  for (const { cluster, reason } of stale) warn(`${cluster.id} skipped (stale): ${reason}`);
+  for (const { event } of applied) {
+    log(c(event.clusterId, 'cyan'), `${event.folded.map(f => `${f.topic}#${f.entryId}`).join(', ')} -> ${event.into.topic}#${event.into.entryId}`);
+  }
+  const folded = applied.reduce((n, a) => n + a.event.folded.length, 0);
+  if (applied.length === 0) return { edition: resolved.edition, applied: 0, stale: stale.length, folded: 0 };
+
+  if (args.dryRun) {
+    log(c('Dry run', 'yellow', 'bold'), `would fold ${folded} entr${folded === 1 ? 'y' : 'ies'} from ${applied.length} cluster(s)`);
+    return { edition: resolved.edition, applied: applied.length, stale: stale.length, folded, dryRun: true };
+  }
+
+  for (const topic of topics.filter(t => touched.has(t.slug))) {
+    const data = await fs.readJson(topic.file);
+    data.entries = topic.entries;
+    await writeJsonAtomic(topic.file, data);
+  }
+
+  const logPath = auditLogPath(args.topicsDir, resolved.edition);
+  const audit = (await fs.pathExists(logPath))
+    ? await fs.readJson(logPath)
+    : { schemaVersion: DEDUPE_SCHEMA_VERSION, edition: resolved.edition, events: [] };
+  audit.events.push(...applied.map(a => a.event));
+  await writeJsonAtomic(logPath, audit);
+
+  const appliedIds = new Set(applied.map(a => a.cluster.id));
+  proposals.clusters = proposals.clusters.filter(cl => !appliedIds.has(cl.id));
+  await writeJsonAtomic(pPath, proposals);
+
+  log(c('Applied', 'green', 'bold'), `${applied.length} cluster(s), ${folded} entr${folded === 1 ? 'y' : 'ies'} folded; audit trail in ${path.resolve(logPath)}`);
+  if (folded) log('rate-entries.js --resume rerates canonical entries whose text changed.');
+  return { edition: resolved.edition, applied: applied.length, stale: stale.length, folded };
+}
+
+export async function main(argv = process.argv.slice(2)) {
+  const args = parseArgs(argv);
+  const resolved = await resolveEdition(args);
+  const pPath = proposalsPath(args.topicsDir, resolved.edition);
+  const existing = (await fs.pathExists(pPath)) ? await fs.readJson(pPath) : null;
+  log(`Edition: ${resolved.edition}`);
+
+  const reviewing = args.approve.length || args.reject.length || args.approveAll;
+  if (reviewing || args.apply) {
+    if (!existing) throw new Error(`No proposals for edition ${resolved.edition}; run without --approve/--reject/--apply first.`);
+    const bad = existing.clusters.filter(cl => !DECISIONS.has(cl.decision));
+    if (bad.length) throw new Error(`Unknown decision in ${pPath}: ${bad.map(cl => `${cl.id}=${cl.decision}`).join(', ')}`);
+  }
+
+  if (reviewing) {
+    const missing = recordDecisions(existing, args);
+    if (missing.length) warn(`Unknown cluster id(s): ${missing.join(', ')}`);
+    await writeJsonAtomic(pPath, existing);
+    const count = d => existing.clusters.filter(cl => cl.decision === d).length;
+    log(`approved=${count('approved')} rejected=${count('rejected')} pending=${count('pending')}`);
+  }
+  if (args.apply) return applyApproved(args, resolved, existing, pPath);
+  if (reviewing) return { edition: resolved.edition, clusters: existing.clusters.length };
+
+  const topics = await loadTopics(resolved);
+  const proposals = buildProposals(topics, { edition: resolved.edition, threshold: args.threshold, previous: existing });
+  await writeJsonAtomic(pPath, proposals);
+
+  const entries = topics.reduce((n, t) => n + t.entries.length, 0);
+  const duplicates = proposals.clusters.reduce((n, cl) => n + cl.members.length - 1, 0);
+  for (const cl of proposals.clusters.slice(0, 10)) {
+    const where = [...new Set(cl.members.map(m => m.topic))].join(', ');
+    log(`${c(cl.id, 'cyan')} ${cl.decision.padEnd(8)} sim=${cl.similarity} ${cl.members.length} entries (${where}): ${cl.canonical.entry.text.replace(/\s+/g, ' ').slice(0, 80)}`);
+  }
+  if (proposals.clusters.length > 10) log(c(`… and ${proposals.clusters.length - 10} more`, 'dim'));
+  log(c('Proposals', 'green', 'bold'), path.resolve(pPath), `clusters=${proposals.clusters.length} duplicates=${duplicates}/${entries}`);
+  return { edition: resolved.edition, entries, clusters: proposals.clusters.length, duplicates };
+}
+
+if (isMainModule(import.meta.url)) {
+  main().catch((e) => {
+    errorLog(e?.message ?? e);
+    process.exit(1);
+  });
+}
@@ -0,0 +1,284 @@
+#!/usr/bin/env node
+/**
+ * Discord bot serving one compendium edition inside the server it was built from.
+ * Slash commands:
+ *
+ *   /tip <topic>           a random tip from a topic
+ *   /search <query>        best matching entries (lib/retrieval.js BM25)
+ *   /top <topic> [n]       the topic's n best rated entries (default 5, at most 10)
+ *   /source <message_id>   the original message behind a footnote
+ *
+ * Footnotes link back to the Discord message through the guild/channel IDs kept by the
+ * pipeline (lib/message-sources.js); data slimmed before that needs
+ * backfill-message-sources.js, otherwise sources are shown by message ID only.
+ *
+ * Usage:
+ *   node discord-bot.js                      connect (DISCORD_TOKEN; needs discord.js installed)
+ *   node discord-bot.js --register [--guild ID]
+ *                                            register the commands (DISCORD_TOKEN, DISCORD_APPLICATION_ID)
+ *   node discord-bot.js --fake "/top transport 3" "/source 1300000000000000018"
+ *                                            run commands through a local fake gateway
+ *                                            (lib/fake-discord.js); lines come from stdin when none are given
+ *
+ * Options: [--edition N] [--topics-dir ./structured_topics] [--compendium-dir ./compendium_versions]
+ */
+
+import 'dotenv/config';
+import readline from 'readline';
+import { createFakeClient, createFakeInteraction, parseCommandLine } from './lib/fake-discord.js';
+import { citedSource } from './lib/message-sources.js';
+import { c, errorLog, isMainModule, log, warn } from './lib/pipeline.js';
+import { searchIndex } from './lib/retrieval.js';
+import { entryTypeLabel, messageBody, topicMatches } from './lib/topics.js';
+import { loadSearchIndex } from './search.js';
+
+const MAX_CONTENT = 2000;
+const MAX_TOP = 10;
+const SEARCH_RESULTS = 3;
+const EXCERPT_CHARS = 300;
+
+// Application command JSON (option type 3 = string, 4 = integer), as sent to Discord.
+export const COMMANDS = [
+  {
+    name: 'tip',
+    description: 'Losowa wskazówka z tematu kompendium',
+    options: [{ name: 'topic', description: 'Temat (fragment tytułu)', type: 3, required: true }]
+  },
+  {
+    name: 'search',
+    description: 'Szukaj w kompendium',
+    options: [{ name: 'query', description: 'Czego szukasz', type: 3, required: true }]
+  },
+  {
+    name: 'top',
+    description: 'Najwyżej ocenione wpisy tematu',
+    options: [
+      { name: 'topic', description: 'Temat (fragment tytułu)', type: 3, required: true },
+      { name: 'n', description: `Ile wpisów (1-${MAX_TOP})`, type: 4, required: false, min_value: 1, max_value: MAX_TOP }
+    ]
+  },
+  {
+    name: 'source',
+    description: 'Oryginalna wiadomość źródłowa',
+    options: [{ name: 'message_id', description: 'ID wiadomości z przypisu', type: 3, required: true }]
+  }
+];
+
+export function parseArgs(argv) {
+  const args = {
+    edition: null,
+    topicsDir: './structured_topics',
+    compendiumDir: './compendium_versions',
+    fake: false,
+    register: false,
+    guild: process.env.DISCORD_GUILD_ID || null,
+    lines: []
+  };
+  const withValue = new Set(['--edition', '--topics-dir', '--compendium-dir', '--guild']);
+  for (let i = 0; i < argv.length; i++) {
+    const a = argv[i];
+    const v = argv[i + 1];
+    if (a === '--edition' && v) {
+      args.edition = Number.parseInt(v, 10);
+    } else if (a === '--topics-dir' && v) {
+      args.topicsDir = v;
+    } else if (a === '--compendium-dir' && v) {
+      args.compendiumDir = v;
+    } else if (a === '--guild' && v) {
+      args.guild = v;
+    } else if (a === '--fake') {
+      args.fake = true;
+    } else if (a === '--register') {
+      args.register = true;
+    } else if (!a.startsWith('--')) {
+      args.lines.push(a);
+    }
+    if (withValue.has(a) && v) i++;
+  }
+  return args;
+}
+
+function clip(text, max) {
+  const s = String(text ?? '');
+  return s.length > max ? `${s.slice(0, max - 1)}…` : s;
+}
+
+/**
+ * Slash-command handlers over a loaded edition ({ topics, index, messages, slim } as
+ * returned by loadSearchIndex). `handle(interaction)` is the discord.js
+ * interactionCreate listener; `random` is injectable so /tip can be reproduced.
+ */
+export function createCompendiumBot({ topics, index, messages, slim }, { random = Math.random } = {}) {
+  // The link comes from the entry's footnoteSources or the compendium (citedSource), else the slim export.
+  const sourceOf = (messageId, entry = null) => {
+    const msg = messages.get(messageId);
+    const s = slim.get(messageId);
+    return {
+      messageId,
+      author: msg?.author ?? s?.author ?? null,
+      date: msg?.date ?? s?.date ?? null,
+      text: msg ? messageBody(msg) : String(s?.content ?? ''),
+      url: (citedSource(messageId, { entry, messages }) ?? s?.source)?.url ?? null
+    };
+  };
+
+  const sourceLine = (n, s) => {
+    // <url> keeps Discord from unfurling every source.
+    const where = s.url ? `<${s.url}>` : `#${s.messageId}`;
+    return `[${n}] ${s.author ?? '?'}, ${s.date ?? '?'}: ${where}`;
+  };
+
+  const formatEntry = (entry, topic, { full = true } = {}) => {
+    const meta = [`**${topic.title}**`, entryTypeLabel(entry.type), typeof entry.rating === 'number' ? `ocena ${entry.rating}` : null];
+    const text = full ? String(entry.text ?? '') : clip(entry.text, EXCERPT_CHARS);
+    const sources = Object.entries(entry.footnotes ?? {}).flatMap(([n, ids]) => ids.map(id => sourceLine(n, sourceOf(String(id), entry))));
+    return [meta.filter(Boolean).join(' · '), text, ...sources].join('\n');
+  };
+
+  const findTopics = (query) => {
+    const matches = topics.filter(t => topicMatches(t, query));
+    if (matches.length) return matches;
+    throw new Error(`Nie znam tematu „${query}”. Tematy: ${topics.map(t => t.title).join(', ')}`);
+  };
+
+  const commands = {
+    tip(options) {
+      const pool = findTopics(options.getString('topic', true)).flatMap(topic => topic.entries.map(entry => ({ entry, topic })));
+      const tips = pool.filter(({ entry }) => entry.type === 'tip');
+      const from = tips.length ? tips : pool;
+      if (from.length === 0) return 'Ten temat nie ma jeszcze wpisów.';
+      const { entry, topic } = from[Math.min(from.length - 1, Math.floor(random() * from.length))];
+      return formatEntry(entry, topic);
+    },
+
+    search(options) {
+      const query = options.getString('query', true);
+      const hits = searchIndex(index, query, { limit: SEARCH_RESULTS, filter: d => d.kind === 'entry' });
+      if (hits.length === 0) return `Nic nie znalazłem dla „${query}”.`;
+      return hits.map(h => formatEntry(h.doc.entry, h.doc.topic, { full: false })).join('\n\n');
+    },
+
+    top(options) {
+      const n = Math.min(MAX_TOP, Math.max(1, options.getInteger('n') ?? 5));
+      const rated = findTopics(options.getString('topic', true))
+        .flatMap(topic => topic.entries.map(entry => ({ entry, topic })))
+        .filter(({ entry }) => typeof entry.rating === 'number')
+        .sort((a, b) => b.entry.rating - a.entry.rating)
+        .slice(0, n);
+      if (rated.length === 0) return 'Wpisy tego tematu nie są jeszcze ocenione.';
+      return rated.map(({ entry, topic }, i) => `${i + 1}. ${formatEntry(entry, topic, { full: false })}`).join('\n\n');
+    },
+
+    source(options) {
+      const messageId = options.getString('message_id', true).trim().replace(/^#/, '');
+      if (!messages.has(messageId) && !slim.has(messageId)) return `Nie znam wiadomości ${messageId}.`;
+      const s = sourceOf(messageId);
+      const citedBy = topics.flatMap(topic => topic.entries
+        .filter(entry => Object.values(entry.footnotes ?? {}).flat().map(String).includes(messageId))
+        .map(() => topic.title));
+      return [
+        `**${s.author ?? '?'}**, ${s.date ?? '?'}${s.url ? ` · <${s.url}>` : ''}`,
+        clip(s.text, 1500),
+        ...(citedBy.length ? [`Cytowana w ${citedBy.length} wpis(ach): ${[...new Set(citedBy)].join(', ')}`] : [])
+      ].join('\n');
+    }
+  };
+
+  async function handle(interaction) {
+    if (!interaction.isChatInputCommand()) return;
+    const command = commands[interaction.commandName];
+    if (!command) return;
+    let content;
+    try {
+      content = command(interaction.options);
+    } catch (e) {
+      content = e?.message ?? String(e);
+      warn(`/${interaction.commandName}: ${content}`);
+    }
+    // Quoted messages can contain mentions; never ping anyone from a reply.
+    await interaction.reply({ content: clip(content, MAX_CONTENT), allowedMentions: { parse: [] } });
+  }
+
+  return { handle, commands };
+}
+
+/** Wires the bot to a discord.js-shaped client (the real one or lib/fake-discord.js). */
+export function attachBot(client, bot) {
+  client.once('ready', ready => log(`Logged in as ${ready.user?.tag ?? '?'}`));
+  client.on('interactionCreate', interaction => bot.handle(interaction).catch(e => errorLog(`interaction failed: ${e?.message ?? e}`)));
+  return client;
+}
+
+async function importDiscord() {
+  try {
+    return await import('discord.js');
+  } catch {
+    throw new Error('discord.js is not installed (npm install discord.js); use --fake to run locally.');
+  }
+}
+
+async function readStdinLines() {
+  const lines = [];
+  const rl = readline.createInterface({ input: process.stdin, terminal: false });
+  for await (const line of rl) if (line.trim()) lines.push(line);
+  return lines;
+}
+
+async function runFake(bot, lines) {
+  const client = attachBot(createFakeClient(), bot);
+  await client.login();
+  for (const line of lines) {
+    let replies;
+    try {
+      const { commandName, values } = parseCommandLine(line, COMMANDS);
+      replies = await client.dispatch(createFakeInteraction(commandName, values));
+    } catch (e) {
+      // A bad line is reported like a failed command, and the session goes on.
+      warn(`${line}: ${e?.message ?? e}`);
+      replies = [{ content: e?.message ?? String(e) }];
+    }
+    process.stdout.write(`${c(`> ${line}`, 'bold')}\n${replies.map(r => r.content).join('\n')}\n\n`);
+  }
+  client.destroy();
+  return lines.length;
+}
+
+export async function main(argv = process.argv.slice(2)) {
+  const args = parseArgs(argv);
+
+  if (args.register) {
+    const token = process.env.DISCORD_TOKEN;
+    const appId = process.env.DISCORD_APPLICATION_ID;
+    if (!token || !appId) throw new Error('--register needs DISCORD_TOKEN and DISCORD_APPLICATION_ID');
+    const { REST, Routes } = await importDiscord();
+    const route = args.guild ? Routes.applicationGuildCommands(appId, args.guild) : Routes.applicationCommands(appId);
+    await new REST().setToken(token).put(route, { body: COMMANDS });
+    log(`Registered ${COMMANDS.length} commands ${args.guild ? `in guild ${args.guild}` : 'globally'}`);
+    return { registered: COMMANDS.length };
+  }
+
+  const data = await loadSearchIndex(args);
+  const linked = [...data.slim.values()].filter(s => s.source?.url).length;
+  log(`Edition: ${data.resolved.edition} topics=${data.topics.length} documents=${data.index.docs.length} linked messages=${linked}/${data.slim.size}`);
+  if (data.slim.size && linked === 0) warn('Slim exports have no guild/channel header; run backfill-message-sources.js for message links.');
+  const bot = createCompendiumBot(data);
+
+  if (args.fake) {
+    const lines = args.lines.length ? args.lines : await readStdinLines();
+    return { edition: data.resolved.edition, commands: await runFake(bot, lines) };
+  }
+
+  const token = process.env.DISCORD_TOKEN;
+  if (!token) throw new Error('DISCORD_TOKEN is not set (or use --fake)');
+  const { Client, GatewayIntentBits } = await importDiscord();
+  const client = attachBot(new Client({ intents: [GatewayIntentBits.Guilds] }), bot);
+  await client.login(token);
+  return { edition: data.resolved.edition };
+}
+
+if (isMainModule(import.meta.url)) {
+  main().catch((e) => {
+    errorLog(e?.message ?? e);
+    process.exit(1);
+  });
+}
@@ -0,0 +1,326 @@
+#!/usr/bin/env node
+/**
+ * Renders structured_topics/compendium_N back into a readable Markdown compendium:
+ * a table of contents, one section per topic with per-type subsections, and the
+ * [n] markers turned into Markdown footnotes that quote the cited messages.
+ *
+ * Usage:
+ *   node export-markdown.js [--edition N] [--out ./compendium_export.md] [--min-rating 400]
+ *   node export-markdown.js --obsidian [--out ./compendium_vault]   one note per topic + index
+ *
+ * Other options: --topics-dir ./structured_topics --compendium-dir ./compendium_versions
+ * With --min-rating, unrated entries are left out too unless --keep-unrated is given.
+ *
+ * Rating criteria (lib/rating-criteria.js, from `ratingBreakdown`):
+ *   --min practicality=600 --max timeSensitivity=300   repeatable, same unrated rule
+ *   --sort-by rating|<criterion>                       highest first within each section
+ */
+
+import fs from 'fs-extra';
+import path from 'path';
+import { citedSource } from './lib/message-sources.js';
+import { c, errorLog, isMainModule, log, warn } from './lib/pipeline.js';
+import { RATING_CRITERIA_KEYS } from './lib/rating-criteria.js';
+import {
+  compareEntryTypes,
+  entryTypeLabel,
+  loadCompendiumMessages,
+  loadTopics,
+  messageBody,
+  resolveEdition,
+  splitFootnoteMarkers
+} from './lib/topics.js';
+
+const TITLE = 'Kompendium: Japonia';
+const INDEX_NOTE = 'Spis treści';
+const EXCERPT_CHARS = 280;
+
+export function parseArgs(argv) {
+  const args = {
+    edition: null,
+    topicsDir: './structured_topics',
+    compendiumDir: './compendium_versions',
+    out: null,
+    minRating: null,
+    keepUnrated: false,
+    minScores: {},
+    maxScores: {},
+    sortBy: null,
+    obsidian: false
+  };
+  for (let i = 0; i < argv.length; i++) {
+    const a = argv[i];
+    const v = argv[i + 1];
+    if (a === '--edition' && v) {
+      args.edition = Number.parseInt(v, 10);
+      i++;
+    } else if (a === '--topics-dir' && v) {
+      args.topicsDir = v;
+      i++;
+    } else if (a === '--compendium-dir' && v) {
+      args.compendiumDir = v;
+      i++;
+    } else if (a === '--out' && v) {
+      args.out = v;
+      i++;
+    } else if (a === '--min-rating' && v) {
+      args.minRating = Math.max(0, Number.parseInt(v, 10) || 0);
+      i++;
+    } else if ((a === '--min' || a === '--max') && v) {
+      const [key, bound] = parseScoreBound(v);
+      args[a === '--min' ? 'minScores' : 'maxScores'][key] = bound;
+      i++;
+    } else if (a === '--sort-by' && v) {
+      if (v !== 'rating' && !RATING_CRITERIA_KEYS.includes(v)) throw new Error(`--sort-by: unknown criterion "${v}"`);
+      args.sortBy = v;
+      i++;
+    } else if (a === '--keep-unrated') {
+      args.keepUnrated = true;
+    } else if (a === '--obsidian') {
+      args.obsidian = true;
+    }
+  }
+  args.out ??= args.obsidian ? './compendium_vault' : './compendium_export.md';
+  return args;
+}
+
+// "practicality=600" -> ['practicality', 600]
+function parseScoreBound(spec) {
+  const [key, raw] = String(spec).split('=').map(s => s.trim());
+  const bound = Number.parseInt(raw, 10);
+  if (key !== 'rating' && !RATING_CRITERIA_KEYS.includes(key)) throw new Error(`Unknown rating criterion "${key}" (expected rating or ${RATING_CRITERIA_KEYS.join(', ')})`);
+  if (Number.isNaN(bound)) throw new Error(`Expected <criterion>=<0..1000>, got "${spec}"`);
+  return [key, bound];
+}
+
+/** The entry's combined rating or one criterion from its breakdown (null when unrated). */
+export function entryScore(entry, key) {
+  const value = key === 'rating' ? entry?.rating : entry?.ratingBreakdown?.[key];
+  return typeof value === 'number' ? value : null;
+}
+
+export function filterEntries(entries, { minRating = null, minScores = {}, maxScores = {}, keepUnrated = false }) {
+  const bounds = [
+    ...(minRating === null ? [] : [['rating', v => v >= minRating]]),
+    ...Object.entries(minScores).map(([key, min]) => [key, v => v >= min]),
+    ...Object.entries(maxScores).map(([key, max]) => [key, v => v <= max])
+  ];
+  if (bounds.length === 0) return entries;
+  return entries.filter(e => bounds.every(([key, ok]) => {
+    const value = entryScore(e, key);
+    return value === null ? keepUnrated : ok(value);
+  }));
+}
+
+/** Highest score first; unrated entries keep their order at the end. */
+export function sortEntries(entries, key) {
+  if (!key) return entries;
+  return entries
+    .map((e, i) => ({ e, i, v: entryScore(e, key) }))
+    .sort((a, b) => (b.v ?? -1) - (a.v ?? -1) || a.i - b.i)
+    .map(x => x.e);
+}
+
+function anchorSlug(s) {
+  return String(s)
+    .toLowerCase()
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .replace(/ł/g, 'l')
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '');
+}
+
+// Characters Obsidian does not allow in note names.
+function noteName(title) {
+  return String(title).replace(/[\\/:*?"<>|#^[\]]/g, '-').replace(/\s+/g, ' ').trim();
+}
+
+function excerpt(text) {
+  const s = String(text ?? '').replace(/\s+/g, ' ').trim();
+  return s.length > EXCERPT_CHARS ? `${s.slice(0, EXCERPT_CHARS - 1).trimEnd()}…` : s;
+}
+
+// "#id", as a Markdown link to the Discord message (with its channel) when the source is known.
+function formatMessageRef(messageId, source) {
+  if (!source?.url) return `#${messageId}`;
+  return `[#${messageId}${source.channelName ? ` w #${source.channelName}` : ''}](${source.url})`;
+}
+
+function formatSource(messageId, messages, entry) {
+  const msg = messages.get(String(messageId));
+  const ref = formatMessageRef(messageId, citedSource(messageId, { entry, messages }));
+  if (!msg) return `wiadomość ${ref} (brak w kompendium)`;
+  const who = [msg.author ?? 'anonim', msg.date].filter(Boolean).join(', ');
+  return `${who}: „${excerpt(messageBody(msg))}” (${ref})`;
+}
+
+/**
+ * Collects footnotes for one Markdown document. Markers citing the same set of
+ * messages share one footnote, so a source quoted by several entries is listed once.
+ */
+export function createFootnotes(messages) {
+  const byKey = new Map();
+  const notes = [];
+  return {
+    ref(messageIds, entry = null) {
+      const ids = [...new Set((messageIds ?? []).map(String))];
+      const key = ids.join(',');
+      if (!byKey.has(key)) {
+        notes.push(ids.map(id => formatSource(id, messages, entry)).join('; '));
+        byKey.set(key, notes.length);
+      }
+      return `[^${byKey.get(key)}]`;
+    },
+    render() {
+      return notes.map((text, i) => `[^${i + 1}]: ${text}`).join('\n');
+    }
+  };
+}
+
+export function renderEntry(entry, footnotes) {
+  const footnoteMap = entry?.footnotes ?? {};
+  const text = splitFootnoteMarkers(entry?.text, footnoteMap)
+    .map(p => (p.ref ? footnotes.ref(footnoteMap[p.ref], entry) : p.text))
+    .join('')
+    .trim();
+  const rating = typeof entry?.rating === 'number' ? ` *(★ ${entry.rating})*` : '';
+  // Continuation lines are indented so multi-line entries stay inside their list item.
+  const lines = text.split('\n').map(l => l.trim()).filter(Boolean);
+  return `- ${lines.join('  \n  ')}${rating}`;
+}
+
+function groupByType(entries) {
+  const byType = new Map();
+  for (const e of entries) {
+    const type = String(e?.type ?? 'other');
+    if (!byType.has(type)) byType.set(type, []);
+    byType.get(type).push(e);
+  }
+  return [...byType.keys()].sort(compareEntryTypes).map(type => ({ type, entries: byType.get(type) }));
+}
+
+export function renderCompendium(topics, { edition, messages }) {
+  const footnotes = createFootnotes(messages);
+  const total = topics.reduce((n, t) => n + t.entries.length, 0);
+  const toc = [];
+  const body = [];
+
+  for (const topic of topics) {
+    const topicAnchor = anchorSlug(topic.slug);
+    const groups = groupByType(topic.entries);
+    toc.push(`- [${topic.title}](#${topicAnchor}) (${topic.entries.length})`);
+    body.push(`<a id="${topicAnchor}"></a>`, `## ${topic.title}`, '');
+    for (const { type, entries } of groups) {
+      const typeAnchor = `${topicAnchor}-${anchorSlug(type)}`;
+      toc.push(`  - [${entryTypeLabel(type)}](#${typeAnchor})`);
+      body.push(`<a id="${typeAnchor}"></a>`, `### ${entryTypeLabel(type)}`, '');
+      body.push(...entries.map(e => renderEntry(e, footnotes)), '');
+    }
+  }
+
+  return [
+    `# ${TITLE}`,
+    '',
+    `_Edycja ${edition} · ${topics.length} tematów · ${total} wpisów_`,
+    '',
+    '## Spis treści',
+    '',
+    ...toc,
+    '',
+    ...body,
+    '---',
+    '',
+    footnotes.render(),
+    ''
+  ].join('\n');
+}
+
+export function renderObsidianNote(topic, { edition, messages }) {
+  const footnotes = createFootnotes(messages);
+  const groups = groupByType(topic.entries);
+  const lines = [
+    '---',
+    `title: ${JSON.stringify(topic.title)}`,
+    `slug: ${topic.slug}`,
+    `edition: ${edition}`,
+    `entries: ${topic.entries.length}`,
+    'tags: [kompendium]',
+    '---',
+    '',
+    `# ${topic.title}`,
+    '',
+    groups.map(g => `[[#${entryTypeLabel(g.type)}]]`).join(' · '),
+    ''
+  ];
+  for (const { type, entries } of groups) {
+    lines.push(`## ${entryTypeLabel(type)}`, '', ...entries.map(e => renderEntry(e, footnotes)), '');
+  }
+  lines.push(footnotes.render(), '');
+  return lines.join('\n');
+}
+
+function renderObsidianIndex(topics, edition) {
+  const total = topics.reduce((n, t) => n + t.entries.length, 0);
+  return [
+    `# ${TITLE}`,
+    '',
+    `_Edycja ${edition} · ${topics.length} tematów · ${total} wpisów_`,
+    '',
+    ...topics.map(t => `- [[${t.noteName}]] (${t.entries.length})`),
+    ''
+  ].join('\n');
+}
+
+export async function main(argv = process.argv.slice(2)) {
+  const args = parseArgs(argv);
+  const resolved = await resolveEdition(args);
+  log(`Edition: ${resolved.edition}`);
+  if (!resolved.compendiumPath) warn('Compendium markdown not found; footnotes will only show message IDs.');
+
+  const messages = await loadCompendiumMessages(resolved.compendiumPath);
+  const loaded = await loadTopics(resolved);
+  const topics = loaded
+    .map(t => ({ ...t, entries: sortEntries(filterEntries(t.entries, args), args.sortBy) }))
+    .filter(t => t.entries.length > 0);
+
+  const before = loaded.reduce((n, t) => n + t.entries.length, 0);
+  const after = topics.reduce((n, t) => n + t.entries.length, 0);
+  const bounds = [
+    ...(args.minRating === null ? [] : [`rating>=${args.minRating}`]),
+    ...Object.entries(args.minScores).map(([k, v]) => `${k}>=${v}`),
+    ...Object.entries(args.maxScores).map(([k, v]) => `${k}<=${v}`)
+  ];
+  if (bounds.length) {
+    log(`${bounds.join(' ')}${args.keepUnrated ? ' (keeping unrated)' : ''}: kept ${after}/${before} entries`);
+  }
+  if (args.sortBy) log(`sorted by ${args.sortBy}`);
+
+  const ctx = { edition: resolved.edition, messages };
+  if (args.obsidian) {
+    await fs.ensureDir(args.out);
+    const names = new Set([INDEX_NOTE]);
+    for (const topic of topics) {
+      let name = noteName(topic.title);
+      if (names.has(name)) name = `${name} (${topic.slug})`;
+      names.add(name);
+      topic.noteName = name;
+      await fs.writeFile(path.join(args.out, `${name}.md`), renderObsidianNote(topic, ctx), 'utf8');
+    }
+    await fs.writeFile(path.join(args.out, `${INDEX_NOTE}.md`), renderObsidianIndex(topics, resolved.edition), 'utf8');
+    log(c('Vault written', 'green', 'bold'), path.resolve(args.out), `notes=${topics.length + 1}`);
+  } else {
+    await fs.ensureDir(path.dirname(path.resolve(args.out)));
+    await fs.writeFile(args.out, renderCompendium(topics, ctx), 'utf8');
+    log(c('Markdown written', 'green', 'bold'), path.resolve(args.out));
+  }
+
+  return { edition: resolved.edition, topics: topics.length, entries: after, skipped: before - after };
+}
+
+if (isMainModule(import.meta.url)) {
+  main().catch((e) => {
+    errorLog(e?.message ?? e);
+    process.exit(1);
+  });
+}
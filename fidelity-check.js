@@ -0,0 +1,146 @@
+#!/usr/bin/env node
+/**
+ * Deterministic fidelity gate for structured entries: every yen amount, time, date,
+ * percentage, quantity, station, line and shop named in an entry's text must appear in
+ * one of its footnoted source messages. No model is involved, so it can run in CI.
+ *
+ * Findings per topic go to <out>/compendium_N/<slug>.json, totals to summary.json.
+ * The process exits with code 1 when findings of a --fail-on status exceed --max-findings.
+ *
+ * Usage: node fidelity-check.js [--edition N] [--topic slug] [--out ./fidelity_reports]
+ *        [--fail-on altered,hallucinated] [--max-findings 0]
+ *        [--topics-dir ./structured_topics] [--compendium-dir ./compendium_versions]
+ */
+
+import fs from 'fs-extra';
+import path from 'path';
+import { checkEntryFidelity } from './lib/claims.js';
+import { c, errorLog, isMainModule, log, ts, warn, writeJsonAtomic } from './lib/pipeline.js';
+import { loadCompendiumMessages, loadTopics, messageBody, resolveEdition, topicMatches } from './lib/topics.js';
+
+export const FIDELITY_STATUSES = ['altered', 'hallucinated', 'missing_source'];
+
+export function parseArgs(argv) {
+  const args = {
+    edition: null,
+    topicsDir: './structured_topics',
+    compendiumDir: './compendium_versions',
+    topic: null,
+    out: './fidelity_reports',
+    failOn: ['altered', 'hallucinated'],
+    maxFindings: 0
+  };
+  for (let i = 0; i < argv.length; i++) {
+    const a = argv[i];
+    const v = argv[i + 1];
+    if (a === '--edition' && v) {
+      args.edition = Number.parseInt(v, 10);
+      i++;
+    } else if (a === '--topics-dir' && v) {
+      args.topicsDir = v;
+      i++;
+    } else if (a === '--compendium-dir' && v) {
+      args.compendiumDir = v;
+      i++;
+    } else if (a === '--topic' && v) {
+      args.topic = v;
+      i++;
+    } else if (a === '--out' && v) {
+      args.out = v;
+      i++;
+    } else if (a === '--fail-on' && v) {
+      args.failOn = v.split(',').map(s => s.trim()).filter(Boolean);
+      i++;
+    } else if (a === '--max-findings' && v) {
+      args.maxFindings = Math.max(0, Number.parseInt(v, 10) || 0);
+      i++;
+    }
+  }
+  const unknown = args.failOn.filter(s => !FIDELITY_STATUSES.includes(s));
+  if (unknown.length) throw new Error(`--fail-on: unknown status ${unknown.join(', ')} (expected ${FIDELITY_STATUSES.join(', ')})`);
+  return args;
+}
+
+function countStatuses(findings) {
+  const counts = Object.fromEntries(FIDELITY_STATUSES.map(s => [s, 0]));
+  for (const f of findings) counts[f.status]++;
+  return counts;
+}
+
+/** Runs the check over one topic: { slug, title, file, checked, entries, counts, findings }. */
+export function checkTopic(topic, messages) {
+  const lookup = (id) => {
+    const msg = messages.get(String(id));
+    return msg ? messageBody(msg) : null;
+  };
+  const findings = [];
+  let checked = 0;
+  for (const entry of topic.entries) {
+    const result = checkEntryFidelity(entry, lookup);
+    checked += result.checked;
+    findings.push(...result.findings.map(f => ({ entryId: entry?.entryId ?? null, type: entry?.type ?? null, ...f })));
+  }
+  return {
+    slug: topic.slug,
+    title: topic.title,
+    file: topic.file,
+    checked,
+    entries: topic.entries.length,
+    counts: countStatuses(findings),
+    findings
+  };
+}
+
+export async function main(argv = process.argv.slice(2)) {
+  const args = parseArgs(argv);
+  const resolved = await resolveEdition(args);
+  if (!resolved.compendiumPath) throw new Error(`Compendium markdown for edition ${resolved.edition} not found; cannot recover cited messages.`);
+
+  const messages = await loadCompendiumMessages(resolved.compendiumPath);
+  const topics = (await loadTopics(resolved)).filter(t => topicMatches(t, args.topic));
+  const outDir = path.join(args.out, `compendium_${resolved.edition}`);
+  log(`Edition: ${resolved.edition}`);
+  log(`topics=${topics.length} messages=${messages.size} failOn=${args.failOn.join(',')} maxFindings=${args.maxFindings}`);
+
+  await fs.ensureDir(outDir);
+  const reports = [];
+  for (const topic of topics) {
+    const report = checkTopic(topic, messages);
+    reports.push(report);
+    await writeJsonAtomic(path.join(outDir, `${topic.slug}.json`), { edition: resolved.edition, checkedAt: ts(), ...report });
+    const problems = report.findings.length;
+    log(`${problems ? c('✗', 'yellow') : c('✓', 'green')} ${topic.slug}: ${report.checked} value(s) checked, ${problems} finding(s)`);
+  }
+
+  const counts = countStatuses(reports.flatMap(r => r.findings));
+  const gated = args.failOn.reduce((n, s) => n + counts[s], 0);
+  const passed = gated <= args.maxFindings;
+  const summary = {
+    edition: resolved.edition,
+    checkedAt: ts(),
+    failOn: args.failOn,
+    maxFindings: args.maxFindings,
+    passed,
+    checked: reports.reduce((n, r) => n + r.checked, 0),
+    counts,
+    topics: reports.map(r => ({ slug: r.slug, checked: r.checked, counts: r.counts }))
+  };
+  await writeJsonAtomic(path.join(outDir, 'summary.json'), summary);
+
+  log(c('Reports', 'green', 'bold'), path.resolve(outDir));
+  log(FIDELITY_STATUSES.map(s => `${s}=${counts[s]}`).join(' '));
+  if (passed) {
+    log(c('Fidelity check passed', 'green', 'bold'));
+  } else {
+    warn(`Fidelity check failed: ${gated} ${args.failOn.join('/')} finding(s), allowed ${args.maxFindings}.`);
+    process.exitCode = 1;
+  }
+  return summary;
+}
+
+if (isMainModule(import.meta.url)) {
+  main().catch((e) => {
+    errorLog(e?.message ?? e);
+    process.exit(1);
+  });
+}
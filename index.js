@@ -1,68 +1,35 @@
 import 'dotenv/config';
-import { GoogleGenerativeAI } from '@google/generative-ai';
 import fs from 'fs-extra';
 import { glob } from 'glob';
 import path from 'path';
+import { formatMediaMarkers } from './lib/attachments.js';
+import { SOURCE_DIRS } from './lib/compendium.js';
+import { createProvider } from './lib/llm-providers.js';
+import {
+  c,
+  errorLog,
+  generateValidatedJson,
+  isMainModule,
+  log,
+  parseCommonArgs,
+  tryParseJsonObject,
+  warn
+} from './lib/pipeline.js';
+import { bootstrapLegacyLedger, emptyLedger, loadLedger, planFromLedger, recordFile, saveLedger } from './lib/ledger.js';
+import { loadMessageSources, messageSource, saveMessageSources, sourceFromHeader } from './lib/message-sources.js';
+import { COMPENDIUM_CATEGORIES, validateOperationsResponse } from './lib/schemas.js';
+import { estimateTokens } from './lib/tokens.js';
 
-const COLOR_ENABLED =
-  process.stdout.isTTY &&
-  !process.env.NO_COLOR &&
-  process.env.FORCE_COLOR !== '0';
-
-const ANSI = {
-  reset: '\u001b[0m',
-  dim: '\u001b[2m',
-  bold: '\u001b[1m',
-  red: '\u001b[31m',
-  green: '\u001b[32m',
-  yellow: '\u001b[33m',
-  blue: '\u001b[34m',
-  magenta: '\u001b[35m',
-  cyan: '\u001b[36m',
-  gray: '\u001b[90m'
-};
-
-function c(text, ...styles) {
-  if (!COLOR_ENABLED) return String(text);
-  const open = styles.map(s => ANSI[s]).join('');
-  return `${open}${text}${ANSI.reset}`;
-}
-
-function ts() {
-  return new Date().toISOString();
-}
-
-function log(...args) {
-  console.log(c(`[${ts()}]`, 'dim'), c('INFO', 'cyan'), ...args);
-}
-
-function warn(...args) {
-  console.warn(c(`[${ts()}]`, 'dim'), c('WARN', 'yellow', 'bold'), ...args);
-}
-
-function errorLog(...args) {
-  console.error(c(`[${ts()}]`, 'dim'), c('ERR ', 'red', 'bold'), ...args);
-}
-
-function approxChars(parts) {
-  if (!Array.isArray(parts)) return 0;
-  let total = 0;
-  for (const p of parts) total += String(p ?? '').length;
-  return total;
-}
 
 const MODEL_NAME =
   process.env.MODEL_NAME ||
   process.env.WRITE_MODEL_NAME ||
   'gemini-2.5-flash';
 const COMPENDIUM_DIR = './compendium_versions';
-const INPUT_PATTERNS = [
-  './KARCZMA_JAPAN/slim/**/*.json',
-  './NODODON_JAPAN/slim/**/*.json',
-  './NODODON_JAPAN_THREAD/slim/**/*.json'
-];
+const LEDGER_PATH = path.join(COMPENDIUM_DIR, 'ledger.json');
+const INPUT_PATTERNS = SOURCE_DIRS.map(dir => `./${dir}/slim/**/*.json`);
 
-const generateSystemPrompt = (currentJsonFilePath) => `
+export const generateSystemPrompt = (currentJsonFilePath) => `
 # Role: Japan Travel Compendium Curator & Insertion Planner
 
 # Objective
@@ -75,21 +42,10 @@ Your job: (1) FILTER messages worth keeping, (2) ASSIGN each kept message to a c
 - **KEEP:** General protips, travel hacks, life hacks (e.g., "add places to Apple Maps", "how to use Suica").
 - **KEEP:** Otaku: Shops (Mandarake, Surugaya), Arcades (Taito, Round1), Events (Comiket, WonFes), Raves (Mogra), Themed Cafes.
 - **REJECT:** Personal anecdotes, emotions, "UF", battery talk, "I met X", gifts, photo requests, "I arrived at X time", generic chatter, memes, one-word reactions.
+- **Attachments:** messages may carry \`attachments\` (fileName, kind: image/video/audio/file), \`embeds\` (link previews: title, description, url) and \`stickers\`. KEEP image-only or link-only posts when the file name, the surrounding chat or the embed shows they are useful (menus, maps, price boards, timetables, train/ticket screenshots, shop or event pages). REJECT selfies, reaction images and meme links.
 
 # Available Categories (H2 headers)
-- \`## Transport & Logistics\`
-- \`## Connectivity\`
-- \`## Otaku: Shopping & Goods\`
-- \`## Otaku: Arcades & Rhythm Games\`
-- \`## Otaku: Events, Raves & Idols\`
-- \`## Otaku: Themed Cafes\`
-- \`## Food & Dining (Jedzenie)\`
-- \`## Accommodation (Noclegi)\`
-- \`## Sightseeing\`
-- \`## Shopping (General/Fashion)\`
-- \`## Money & Budget\`
-- \`## Seasonal\`
-- \`## Cultural Etiquette & Tips\`
+${COMPENDIUM_CATEGORIES.map(cat => `- \`${cat}\``).join('\n')}
 
 # Output Format (STRICT)
 Return ONE valid JSON object (no markdown, no code fences):
@@ -104,71 +60,27 @@ Return ONE valid JSON object (no markdown, no code fences):
   "notes": "optional brief comment"
 }
 
-Always use \`"position": "append"\`. Categories are created automatically if missing.
+Always use \`"position": "append"\`. Use ONLY the categories listed above, spelled exactly as shown.
+Every messageId must be one of the message ids from the input, and each message may appear at most once.
 If nothing is worth keeping: \`{"operations":[],"notes":"..."}\`
 `;
 
-const genAI = new GoogleGenerativeAI(process.env.GEMINI_API_KEY);
-
 const THINKING_BUDGET = Number.parseInt(process.env.THINKING_BUDGET ?? '', 10) || 24576;
+// Upper bound for one classify request (system prompt + messages), see planBatches.
+const DEFAULT_TOKEN_BUDGET = 100000;
 
-const model = genAI.getGenerativeModel({
-  model: MODEL_NAME,
-  generationConfig: {
-    thinkingConfig: {
-      thinkingBudget: THINKING_BUDGET
-    }
-  }
-});
-
-function getErrorCode(err) {
-  const code =
-    err?.code ??
-    err?.cause?.code ??
-    err?.cause?.errno ??
-    err?.errno ??
-    err?.cause?.cause?.code;
-  return typeof code === 'string' ? code : undefined;
-}
-
-function isRetryableError(err) {
-  const status = err?.status ?? err?.cause?.status;
-  if (typeof status === 'number') {
-    if (status === 408) return true;
-    if (status === 429) return true;
-    if (status === 503) return true;
-    if (status >= 500 && status <= 599) return true;
-  }
-
-  const msg = String(err?.message ?? '');
-  if (/fetch failed/i.test(msg)) return true;
-  if (/socket hang up/i.test(msg)) return true;
-
-  const code = getErrorCode(err);
-  if (!code) return false;
-  return [
-    'ECONNRESET',
-    'ECONNREFUSED',
-    'EAI_AGAIN',
-    'ENOTFOUND',
-    'ETIMEDOUT',
-    'UND_ERR_CONNECT_TIMEOUT',
-    'UND_ERR_HEADERS_TIMEOUT',
-    'UND_ERR_BODY_TIMEOUT',
-    'UND_ERR_SOCKET'
-  ].includes(code);
-}
-
-async function getSortedInputFiles() {
+export async function getSortedInputFiles() {
   let allFiles = [];
   for (const pattern of INPUT_PATTERNS) {
     const files = await glob(pattern);
     allFiles = allFiles.concat(files);
   }
-  return allFiles.sort((a, b) => a.localeCompare(b, undefined, { numeric: true, sensitivity: 'base' }));
+  return allFiles
+    .map(f => path.relative('.', f).replace(/\\/g, '/'))
+    .sort((a, b) => a.localeCompare(b, undefined, { numeric: true, sensitivity: 'base' }));
 }
 
-async function getLatestVersion() {
+export async function getLatestVersion() {
   await fs.ensureDir(COMPENDIUM_DIR);
   const files = await fs.readdir(COMPENDIUM_DIR);
 
@@ -184,76 +96,122 @@ async function getLatestVersion() {
   return versionFiles.length > 0 ? versionFiles[0] : null;
 }
 
-function getNextVersionFilename(currentVersion) {
+export function getNextVersionFilename(currentVersion) {
   const nextNum = (currentVersion ? currentVersion.version : 0) + 1;
   const paddedNum = String(nextNum).padStart(3, '0');
   return path.join(COMPENDIUM_DIR, `compendium_${paddedNum}.md`);
 }
 
-function stripJsonFences(text) {
-  const t = String(text ?? '').trim();
-  if (t.startsWith('```')) {
-    return t.replace(/^```[a-zA-Z]*\s*/m, '').replace(/```$/m, '').trim();
+/**
+ * Reads one slim file. Invalid or message-less files come back with messages=[]
+ * so they still get their (unchanged) compendium version. `source` is the file's
+ * guild/channel header (null for slim files written without one).
+ */
+export async function loadSlimFile(file) {
+  const cleanPath = path.relative('.', file).replace(/\\/g, '/');
+  let slimData = null;
+  let invalid = false;
+  try {
+    slimData = JSON.parse(await fs.readFile(file, 'utf-8'));
+  } catch {
+    invalid = true;
   }
-  return t;
+  const messages = Array.isArray(slimData?.messages) ? slimData.messages : [];
+  return { file, cleanPath, invalid, messages, msgIndex: buildMessageIndex(slimData), source: sourceFromHeader(slimData) };
 }
 
-function tryParseJsonObject(text) {
-  const cleaned = stripJsonFences(text);
-  try {
-    return JSON.parse(cleaned);
-  } catch {
-    const start = cleaned.indexOf('{');
-    const end = cleaned.lastIndexOf('}');
-    if (start >= 0 && end > start) {
-      const slice = cleaned.slice(start, end + 1);
-      return JSON.parse(slice);
+/**
+ * Packs messages from consecutive files into requests of at most tokenBudget tokens
+ * (overheadTokens = system prompt). Files larger than one request are split into
+ * chunks; every segment remembers its file so operations can be routed back.
+ * Files keep their order and a file's chunks are always consecutive.
+ */
+export function planBatches(files, { tokenBudget, overheadTokens = 0 }) {
+  const room = Math.max(1, tokenBudget - overheadTokens);
+  const batches = [];
+  let current = { segments: [], tokens: overheadTokens };
+
+  function flush() {
+    if (current.segments.length) batches.push(current);
+    current = { segments: [], tokens: overheadTokens };
+  }
+
+  for (const fileInfo of files) {
+    // Split the file into chunks that each fit into an empty request.
+    const chunks = [];
+    let chunk = { messages: [], tokens: 0 };
+    for (const m of fileInfo.messages) {
+      const t = estimateTokens(JSON.stringify(m));
+      if (chunk.messages.length && chunk.tokens + t > room) {
+        chunks.push(chunk);
+        chunk = { messages: [], tokens: 0 };
+      }
+      chunk.messages.push(m);
+      chunk.tokens += t;
     }
-    throw new Error('Could not parse JSON');
+    chunks.push(chunk);
+
+    chunks.forEach((ch, idx) => {
+      if (current.segments.length && current.tokens - overheadTokens + ch.tokens > room) flush();
+      current.segments.push({
+        file: fileInfo.file,
+        cleanPath: fileInfo.cleanPath,
+        fileInfo,
+        messages: ch.messages,
+        chunkIndex: idx,
+        chunkCount: chunks.length,
+        isLastChunk: idx === chunks.length - 1
+      });
+      current.tokens += ch.tokens;
+    });
   }
+  flush();
+  return batches;
 }
 
-async function generateTextWithRetry(modelToUse, promptParts, attempt = 1) {
-  const maxAttempts = Number.parseInt(process.env.RETRY_MAX_ATTEMPTS ?? '', 10) || 30;
-  const baseDelay = Number.parseInt(process.env.RETRY_BASE_DELAY_MS ?? '', 10) || 1500;
-  const maxDelay = Number.parseInt(process.env.RETRY_MAX_DELAY_MS ?? '', 10) || 120000;
+// The model only needs to know what an attachment is, not where the file lives.
+function promptMessage(m) {
+  if (!m?.attachments && !m?.embeds) return m;
+  const { attachments, embeds, ...rest } = m;
+  return {
+    ...rest,
+    ...(attachments ? { attachments: attachments.map(a => ({ fileName: a.fileName, kind: a.kind })) } : {}),
+    ...(embeds ? { embeds: embeds.map(({ image, ...e }) => e) } : {})
+  };
+}
 
-  try {
-    const modelLabel = `model:${MODEL_NAME}`;
-    const sendSize = approxChars(promptParts);
-    const t0 = Date.now();
-    log(c(`${modelLabel} send`, 'magenta'), `attempt=${attempt}/${maxAttempts}`, `chars≈${sendSize.toLocaleString()}`);
-    const result = await modelToUse.generateContent(promptParts);
-    const text = result.response.text();
-    const dt = Date.now() - t0;
-    log(c(`${modelLabel} recv`, 'green'), `ms=${dt}`, `chars=${String(text ?? '').length.toLocaleString()}`);
-    return text;
-  } catch (error) {
-    if (attempt > maxAttempts) {
-      throw error;
-    }
+export function buildBatchPrompt(segments) {
+  const sources = segments.map(seg => seg.cleanPath);
+  const parts = [generateSystemPrompt(Array.from(new Set(sources)).join('`, `')), "### RAW CHAT LOGS (JSON):"];
+  for (const seg of segments) {
+    const chunkNote = seg.chunkCount > 1 ? ` (part ${seg.chunkIndex + 1}/${seg.chunkCount})` : '';
+    parts.push(`#### SOURCE: ${seg.cleanPath}${chunkNote}\n${JSON.stringify({ messages: seg.messages.map(promptMessage) })}`);
+  }
+  return parts;
+}
 
-    if (isRetryableError(error)) {
-      const exp = baseDelay * Math.pow(2, attempt - 1);
-      const delay = Math.min(maxDelay, exp) + Math.floor(Math.random() * 750);
-      const status = error?.status ?? error?.cause?.status;
-      const code = getErrorCode(error);
-      const modelLabel = `model:${MODEL_NAME}`;
-      const msg = String(error?.message ?? '').slice(0, 200).replace(/\s+/g, ' ').trim();
-      const bits = [`${modelLabel} retry`, `attempt=${attempt}/${maxAttempts}`];
-      if (status) bits.push(`status=${status}`);
-      if (code) bits.push(`code=${code}`);
-      if (msg) bits.push(`msg="${msg}"`);
-      bits.push(`sleep=${(delay / 1000).toFixed(1)}s`);
-      warn(c(bits.join(' | '), 'yellow'));
-      await new Promise(resolve => setTimeout(resolve, delay));
-      return generateTextWithRetry(modelToUse, promptParts, attempt + 1);
+/**
+ * Maps every returned messageId back to the file it came from.
+ */
+export function routeOperationsToFiles(operations, segments) {
+  const fileById = new Map();
+  for (const seg of segments) {
+    for (const m of seg.messages) fileById.set(String(m?.id ?? ''), seg.file);
+  }
+  const byFile = new Map();
+  for (const op of operations) {
+    const file = fileById.get(String(op.messageId));
+    if (!file) {
+      warn(`Message ID ${op.messageId} not found in batch input, skipping`);
+      continue;
     }
-    throw error;
+    if (!byFile.has(file)) byFile.set(file, []);
+    byFile.get(file).push(op);
   }
+  return byFile;
 }
 
-function buildMessageIndex(slimData) {
+export function buildMessageIndex(slimData) {
   const idx = new Map();
   if (Array.isArray(slimData?.messages)) {
     for (const m of slimData.messages) {
@@ -263,18 +221,19 @@ function buildMessageIndex(slimData) {
   return idx;
 }
 
-function formatMessageBlock(msg, msgIndex) {
+// Attachments/embeds follow the text as one-line markers (lib/attachments.js).
+export function formatMessageBlock(msg, msgIndex) {
   const id = String(msg?.id ?? '');
   const ts = msg?.timestamp;
   const dateStr = ts ? ts.split('T')[0] : 'UNKNOWN-DATE';
   const author = msg?.author ? `[${msg.author}] ` : '';
-  const content = String(msg?.content ?? '').trim();
+  const content = [String(msg?.content ?? '').trim(), formatMediaMarkers(msg)].filter(Boolean).join(' ');
 
   let block = `[${dateStr}] ${author}${content}[${id}]`;
 
   if (msg?.replyTo && msgIndex.has(String(msg.replyTo))) {
     const replyMsg = msgIndex.get(String(msg.replyTo));
-    const snippet = String(replyMsg?.content ?? '').slice(0, 60).trim();
+    const snippet = (String(replyMsg?.content ?? '').trim() || formatMediaMarkers(replyMsg)).slice(0, 60).trim();
     block = `> In reply to: "${snippet}"\n${block}`;
   } else if (msg?.replyTo) {
     block = `> (Reply to ID: ${msg.replyTo})\n${block}`;
@@ -283,7 +242,7 @@ function formatMessageBlock(msg, msgIndex) {
   return block;
 }
 
-function applyOperations(markdownLines, operations, msgIndex) {
+export function applyOperations(markdownLines, operations, msgIndex) {
   const categoryIndex = new Map();
   const messageIdToLine = new Map();
 
@@ -382,109 +341,165 @@ function applyOperations(markdownLines, operations, msgIndex) {
   return newLines.join('\n');
 }
 
-async function main() {
-  if (!process.env.GEMINI_API_KEY) {
-    errorLog("Error: GEMINI_API_KEY is not set in .env file.");
-    process.exit(1);
+export function parseArgs(argv) {
+  const args = {
+    ...parseCommonArgs(argv),
+    retryFailed: false,
+    tokenBudget: Number.parseInt(process.env.CLASSIFY_TOKEN_BUDGET ?? '', 10) || DEFAULT_TOKEN_BUDGET
+  };
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i] === '--token-budget' && argv[i + 1]) {
+      args.tokenBudget = Math.max(1000, Number.parseInt(argv[i + 1], 10) || DEFAULT_TOKEN_BUDGET);
+      i++;
+    } else if (argv[i] === '--retry-failed') {
+      args.retryFailed = true;
+    }
   }
+  return args;
+}
+
+/**
+ * Loads (or bootstraps) the ledger and works out which input files need classifying.
+ */
+export async function loadClassifyPlan(inputFiles, { retryFailed = false } = {}) {
+  let ledger = await loadLedger(LEDGER_PATH);
+  if (!ledger) {
+    const latest = await getLatestVersion();
+    ledger = latest ? await bootstrapLegacyLedger(inputFiles, latest.version) : emptyLedger();
+    if (latest) warn(`No ledger yet; assuming the first ${Math.min(latest.version, inputFiles.length)} file(s) produced compendium_001..${latest.version} (legacy resume).`);
+  }
+  const plan = await planFromLedger(inputFiles, ledger, { retryFailed });
+  return { ledger, plan };
+}
+
+export async function main(argv = process.argv.slice(2)) {
+  const args = parseArgs(argv);
+
+  const provider = createProvider({ provider: args.provider, model: MODEL_NAME, thinkingBudget: THINKING_BUDGET });
 
-  log(`Model: ${MODEL_NAME}`);
+  log(`Provider: ${provider.name}`);
+  log(`Model: ${provider.model}`);
   log(`Thinking budget: ${THINKING_BUDGET} tokens`);
 
   const inputFiles = await getSortedInputFiles();
   log(`Found ${inputFiles.length} input files.`);
 
-  if (inputFiles.length === 0) return;
+  const summary = { inputFiles: inputFiles.length, processed: 0, failed: 0 };
+  if (inputFiles.length === 0) return summary;
 
   let latestVersion = await getLatestVersion();
-  let processedCount = latestVersion ? latestVersion.version : 0;
-
-  const filesToProcess = inputFiles.slice(processedCount);
-  log(`Resuming from index ${processedCount}. Processing ${filesToProcess.length} files.`);
-
-  for (let i = 0; i < filesToProcess.length; i++) {
-    const file = filesToProcess[i];
-    const fileIndex = processedCount + i;
-
-    const cleanPath = path.relative('.', file).replace(/\\/g, '/');
-
-    log(c(`File ${fileIndex + 1}/${inputFiles.length}`, 'cyan', 'bold'), cleanPath);
+  const { ledger, plan } = await loadClassifyPlan(inputFiles, args);
+  summary.skippedFailed = args.retryFailed ? 0 : plan.failed.length;
+
+  for (const r of plan.renamed) log(c('Renamed', 'gray'), `${r.from} -> ${r.to}`);
+  if (plan.missing.length) warn(`${plan.missing.length} ledger file(s) no longer exist (kept in ledger):`, plan.missing.slice(0, 5).join(', '));
+  for (const t of plan.todo.filter(t => t.reason === 'changed')) warn(`Input changed since it was processed, reprocessing: ${t.path}`);
+  if (plan.failed.length && !args.retryFailed) warn(`${plan.failed.length} file(s) failed previously; rerun with --retry-failed to retry them.`);
+  log(`Ledger: done=${plan.done.length} todo=${plan.todo.length} (new=${plan.todo.filter(t => t.reason === 'new').length} changed=${plan.todo.filter(t => t.reason === 'changed').length} retry=${plan.todo.filter(t => t.reason === 'failed').length})`);
+
+  const hashByPath = new Map(plan.todo.map(t => [t.path, t.hash]));
+  const loaded = [];
+  for (const t of plan.todo) loaded.push(await loadSlimFile(t.path));
+
+  const batches = planBatches(loaded, {
+    tokenBudget: args.tokenBudget,
+    overheadTokens: estimateTokens(generateSystemPrompt(''))
+  });
+  log(`Planned ${batches.length} request(s) for ${loaded.length} file(s)`, `tokenBudget≈${args.tokenBudget.toLocaleString()}`);
+
+  // The compendium lines carry only message IDs; guild/channel go to the sidecar.
+  const messageSources = await loadMessageSources(COMPENDIUM_DIR);
+  const unsourced = loaded.filter(f => f.messages.length && !f.source).map(f => f.cleanPath);
+  if (unsourced.length) warn(`${unsourced.length} slim file(s) have no guild/channel header (run backfill-message-sources.js):`, unsourced.slice(0, 5).join(', '));
+
+  let contextContent = "";
+  if (latestVersion) {
+    contextContent = await fs.readFile(path.join(COMPENDIUM_DIR, latestVersion.name), 'utf-8');
+  }
 
-    let contextContent = "";
-    if (latestVersion) {
-      contextContent = await fs.readFile(path.join(COMPENDIUM_DIR, latestVersion.name), 'utf-8');
-      if (contextContent.length > 3000000) warn("WARNING: Context > 3M chars.");
+  // Ops collected for files whose chunks are still spread over upcoming batches.
+  const pendingOps = new Map();
+  // Files with a failed chunk; their remaining chunks are not sent.
+  const failedFiles = new Map();
+
+  for (let b = 0; b < batches.length; b++) {
+    const batch = batches[b];
+    const sendable = batch.segments.filter(seg => seg.messages.length > 0 && !failedFiles.has(seg.file));
+    const fileLabel = batch.segments.length === 1
+      ? batch.segments[0].cleanPath
+      : `${batch.segments[0].cleanPath} … ${batch.segments[batch.segments.length - 1].cleanPath}`;
+    log(c(`Batch ${b + 1}/${batches.length}`, 'cyan', 'bold'), fileLabel, `files=${new Set(batch.segments.map(seg => seg.file)).size}`, `tokens≈${batch.tokens.toLocaleString()}`);
+
+    let opsByFile = new Map();
+    if (sendable.length > 0) {
+      try {
+        log(c('Model', 'magenta', 'bold'), "start");
+        const { value } = await generateValidatedJson(provider, buildBatchPrompt(sendable), {
+          parse: tryParseJsonObject,
+          validate: v => validateOperationsResponse(v, { messageIds: sendable.flatMap(seg => seg.messages.map(m => String(m?.id ?? ''))) }),
+          label: `classify_${path.basename(sendable[0].file, '.json')}`,
+          retry: args.retry,
+          repair: args.repair
+        });
+        opsByFile = routeOperationsToFiles(value.operations, sendable);
+
+        const inputTotal = sendable.reduce((n, seg) => n + seg.messages.length, 0);
+        const kept = value.operations.length;
+        log(c('Model', 'magenta', 'bold'), "done", `keep=${kept}`, `discarded=${Math.max(0, inputTotal - kept)}`, `total=${inputTotal}`);
+      } catch (err) {
+        errorLog(`Model step failed on batch ${b + 1} (${fileLabel}):`, err);
+        for (const seg of sendable) failedFiles.set(seg.file, err?.message ?? String(err));
+      }
     }
 
-    const jsonContent = await fs.readFile(file, 'utf-8');
-    log(c('Input JSON', 'blue'), `chars=${jsonContent.length.toLocaleString()}`);
+    for (const seg of batch.segments) {
+      const ops = (pendingOps.get(seg.file) ?? []).concat(opsByFile.get(seg.file) ?? []);
+      if (!seg.isLastChunk) {
+        pendingOps.set(seg.file, ops);
+        continue;
+      }
+      pendingOps.delete(seg.file);
+
+      const fileInfo = seg.fileInfo;
+      const record = { path: seg.file, hash: hashByPath.get(seg.file) };
+      if (failedFiles.has(seg.file)) {
+        recordFile(ledger, { ...record, status: 'failed', error: failedFiles.get(seg.file) });
+        summary.failed++;
+      } else if (fileInfo.messages.length === 0 || ops.length === 0) {
+        const why = fileInfo.messages.length === 0 ? `${fileInfo.invalid ? 'invalid' : 'empty'} JSON` : 'no operations to apply';
+        log(`${fileInfo.cleanPath}: ${why}, compendium unchanged.`);
+        recordFile(ledger, { ...record, status: 'empty', version: latestVersion?.version ?? 0 });
+        summary.processed++;
+      } else {
+        contextContent = applyOperations(contextContent.split('\n'), ops, fileInfo.msgIndex);
+        if (contextContent.length > 3000000) warn("WARNING: Context > 3M chars.");
 
-    let slimData = null;
-    try {
-      slimData = JSON.parse(jsonContent);
-      const msgs = Array.isArray(slimData?.messages) ? slimData.messages : null;
-      if (!slimData || !msgs || msgs.length === 0) {
-        warn("Empty JSON, skipping API call, bumping version.");
         const nextPath = getNextVersionFilename(latestVersion);
         await fs.outputFile(nextPath, contextContent);
+        if (fileInfo.source) {
+          for (const op of ops) {
+            const id = String(op.messageId);
+            if (fileInfo.msgIndex.has(id)) messageSources.set(id, messageSource(fileInfo.source, id));
+          }
+          await saveMessageSources(COMPENDIUM_DIR, messageSources);
+        }
         latestVersion = { name: path.basename(nextPath), version: (latestVersion?.version || 0) + 1 };
-        log(c('Saved', 'green', 'bold'), nextPath);
-        continue;
+        log(c('Saved', 'green', 'bold'), nextPath, fileInfo.cleanPath, `chars=${contextContent.length.toLocaleString()}`);
+        recordFile(ledger, { ...record, status: 'ok', version: latestVersion.version, kept: ops.length });
+        summary.processed++;
       }
-    } catch (e) {
-      warn("Invalid JSON, attempting to process as raw text...");
-    }
-
-    const dynamicPrompt = generateSystemPrompt(cleanPath);
-
-    const promptParts = [
-      dynamicPrompt,
-      "### RAW CHAT LOGS (JSON):",
-      jsonContent
-    ];
-
-    let ops = [];
-    try {
-      log(c('Model', 'magenta', 'bold'), "start");
-      const responseText = await generateTextWithRetry(model, promptParts);
-      const parsed = tryParseJsonObject(responseText);
-      if (parsed && Array.isArray(parsed.operations)) {
-        ops = parsed.operations;
-      }
-    } catch (err) {
-      errorLog(`Model step failed on file ${file}:`, err);
-      continue;
+      await saveLedger(LEDGER_PATH, ledger);
     }
-
-    const inputTotal = slimData?.messages?.length ?? 0;
-    const kept = ops.length;
-    const discarded = Math.max(0, inputTotal - kept);
-    log(c('Model', 'magenta', 'bold'), "done", `keep=${kept}`, `discarded=${discarded}`, `total=${inputTotal}`);
-
-    if (ops.length === 0) {
-      log("No operations to apply, bumping version with unchanged content.");
-      const nextPath = getNextVersionFilename(latestVersion);
-      await fs.outputFile(nextPath, contextContent);
-      latestVersion = { name: path.basename(nextPath), version: (latestVersion?.version || 0) + 1 };
-      log(c('Saved', 'green', 'bold'), nextPath);
-      continue;
-    }
-
-    const msgIndex = buildMessageIndex(slimData);
-    const markdownLines = contextContent.split('\n');
-    const newContent = applyOperations(markdownLines, ops, msgIndex);
-
-    const nextVersionPath = getNextVersionFilename(latestVersion);
-    await fs.outputFile(nextVersionPath, newContent);
-    log(c('Saved', 'green', 'bold'), nextVersionPath, `chars=${newContent.length.toLocaleString()}`);
-
-    latestVersion = {
-      name: path.basename(nextVersionPath),
-      version: (latestVersion ? latestVersion.version : 0) + 1
-    };
   }
 
-  log("Processing complete");
+  await saveLedger(LEDGER_PATH, ledger);
+  log("Processing complete", `processed=${summary.processed}`, `failed=${summary.failed}`, `skippedFailed=${summary.skippedFailed}`);
+  return summary;
 }
 
-main().catch(console.error);
+if (isMainModule(import.meta.url)) {
+  main().catch((e) => {
+    errorLog(e?.message ?? e);
+    process.exit(1);
+  });
+}
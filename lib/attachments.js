@@ -0,0 +1,118 @@
+/**
+ * Compact attachment/embed/sticker summaries for slim messages, and their one-line
+ * markers in the compendium markdown.
+ *
+ * Slim shape (keys only present when non-empty):
+ *   attachments: [{ fileName, kind: 'image'|'video'|'audio'|'file', path?, url?, sizeBytes? }]
+ *   embeds:      [{ title?, description?, url?, image? }]
+ *   stickers:    [{ name }]
+ * `path` is a local file relative to the working directory (split-discord-export.js
+ * points attachments at the export's _Files folder); `url` is kept for remote files.
+ *
+ * Markers: [image: menu.jpg] [file: rozklad.pdf] [link: Title - description <https://...>] [sticker: name]
+ */
+
+import path from 'path';
+
+const EMBED_DESCRIPTION_CHARS = 300;
+
+const KIND_BY_EXTENSION = {
+  image: ['png', 'jpg', 'jpeg', 'gif', 'webp', 'avif', 'bmp', 'heic', 'svg'],
+  video: ['mp4', 'mov', 'webm', 'mkv', 'avi'],
+  audio: ['mp3', 'ogg', 'wav', 'm4a', 'flac', 'opus']
+};
+
+export function attachmentKind(fileName) {
+  const ext = String(fileName ?? '').split('.').pop().toLowerCase();
+  return Object.keys(KIND_BY_EXTENSION).find(kind => KIND_BY_EXTENSION[kind].includes(ext)) ?? 'file';
+}
+
+function isRemote(ref) {
+  return /^[a-z][a-z0-9+.-]*:\/\//i.test(String(ref ?? ''));
+}
+
+/**
+ * Local file references are resolved against `baseDir` (the directory of the split file
+ * they were written in) so they stay valid from any file; remote ones are kept as URLs.
+ */
+function fileRef(ref, baseDir) {
+  const s = String(ref ?? '').trim();
+  if (!s) return {};
+  if (isRemote(s)) return { url: s };
+  return { path: path.posix.normalize(path.posix.join(String(baseDir ?? '.').replace(/\\/g, '/'), s.replace(/\\/g, '/'))) };
+}
+
+function clip(text, max) {
+  const s = String(text ?? '').replace(/\s+/g, ' ').trim();
+  return s.length > max ? `${s.slice(0, max - 1)}…` : s;
+}
+
+// Drops undefined/empty-string keys so slim output stays compact.
+function compact(obj) {
+  return Object.fromEntries(Object.entries(obj).filter(([, v]) => v !== undefined && v !== null && v !== ''));
+}
+
+export function summarizeAttachments(attachments, { baseDir = '.' } = {}) {
+  return (Array.isArray(attachments) ? attachments : [])
+    .map((a) => {
+      const fileName = String(a?.fileName ?? '').trim() || path.posix.basename(String(a?.url ?? '').replace(/\\/g, '/'));
+      if (!fileName) return null;
+      return compact({
+        fileName,
+        kind: attachmentKind(fileName),
+        ...fileRef(a?.url, baseDir),
+        sizeBytes: Number.isFinite(a?.fileSizeBytes) ? a.fileSizeBytes : undefined
+      });
+    })
+    .filter(Boolean);
+}
+
+export function summarizeEmbeds(embeds, { baseDir = '.' } = {}) {
+  return (Array.isArray(embeds) ? embeds : [])
+    .map((e) => {
+      const image = e?.image?.url ?? e?.thumbnail?.url ?? null;
+      const summary = compact({
+        title: clip(e?.title, 200),
+        description: clip(e?.description, EMBED_DESCRIPTION_CHARS),
+        url: e?.url ?? undefined,
+        image: image ? (fileRef(image, baseDir).path ?? image) : undefined
+      });
+      return summary.title || summary.description || summary.url ? summary : null;
+    })
+    .filter(Boolean);
+}
+
+export function summarizeStickers(stickers) {
+  return (Array.isArray(stickers) ? stickers : [])
+    .map(s => String(s?.name ?? '').trim())
+    .filter(Boolean)
+    .map(name => ({ name }));
+}
+
+/** { attachments?, embeds?, stickers? } for a raw Discord export message; empty lists are left out. */
+export function summarizeMedia(msg, opts = {}) {
+  const out = {
+    attachments: summarizeAttachments(msg?.attachments, opts),
+    embeds: summarizeEmbeds(msg?.embeds, opts),
+    stickers: summarizeStickers(msg?.stickers)
+  };
+  return Object.fromEntries(Object.entries(out).filter(([, list]) => list.length));
+}
+
+export function hasMedia(slimMsg) {
+  return Boolean(slimMsg?.attachments?.length || slimMsg?.embeds?.length);
+}
+
+/** The markers for a slim message's attachments, embeds and stickers, space-separated ('' when none). */
+export function formatMediaMarkers(slimMsg) {
+  const clean = s => String(s ?? '').replace(/[[\]]/g, '').trim();
+  const markers = [
+    ...(slimMsg?.attachments ?? []).map(a => `[${a.kind ?? 'file'}: ${clean(a.fileName)}]`),
+    ...(slimMsg?.embeds ?? []).map((e) => {
+      const text = [clean(e.title), clean(e.description)].filter(Boolean).join(' - ');
+      return `[link: ${[text, e.url ? `<${e.url}>` : ''].filter(Boolean).join(' ')}]`;
+    }),
+    ...(slimMsg?.stickers ?? []).map(s => `[sticker: ${clean(s.name)}]`)
+  ];
+  return markers.join(' ');
+}
@@ -0,0 +1,174 @@
+/**
+ * Rating calibration for rate-entries.js --calibrate.
+ *
+ * Every batch of every pass also contains the same anchor entries. An anchor's reference
+ * score is its mean raw score over all batches; each batch gets a linear correction that
+ * maps its anchors' raw scores onto their references, which removes per-batch drift.
+ * Corrected scores are averaged over passes (mean + variance), and the top candidates
+ * are re-ordered with pairwise comparisons fitted by Bradley-Terry.
+ */
+
+// mulberry32: small seeded PRNG so batch composition is reproducible (and resumable).
+export function seededRandom(seed) {
+  let a = seed >>> 0;
+  return () => {
+    a = (a + 0x6d2b79f5) >>> 0;
+    let t = a;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+export function seededShuffle(items, seed) {
+  const out = [...items];
+  const rand = seededRandom(seed);
+  for (let i = out.length - 1; i > 0; i--) {
+    const j = Math.floor(rand() * (i + 1));
+    [out[i], out[j]] = [out[j], out[i]];
+  }
+  return out;
+}
+
+export function mean(xs) {
+  return xs.length ? xs.reduce((a, b) => a + b, 0) / xs.length : 0;
+}
+
+/** Sample variance (0 for fewer than two values). */
+export function variance(xs) {
+  if (xs.length < 2) return 0;
+  const m = mean(xs);
+  return xs.reduce((s, x) => s + (x - m) ** 2, 0) / (xs.length - 1);
+}
+
+/**
+ * Anchor entries spread over the rating range: entries with a rating are sorted and
+ * picked at even steps; without ratings a seeded random sample is used.
+ */
+export function pickAnchors(entries, count, seed = 1) {
+  if (count <= 0 || entries.length === 0) return [];
+  const rated = entries.filter(e => typeof e.rating === 'number').sort((a, b) => a.rating - b.rating);
+  const pool = rated.length >= count ? rated : seededShuffle(entries, seed);
+  if (pool.length <= count) return pool.slice();
+  const step = pool.length / count;
+  return Array.from({ length: count }, (_, i) => pool[Math.floor(i * step + step / 2)]);
+}
+
+/**
+ * Linear correction raw -> a * raw + b for one batch, fitted on its anchors
+ * ([{ raw, ref }]). Needs three anchors with spread for a slope (kept in 0.5..2);
+ * otherwise only the mean offset is corrected.
+ */
+export function fitBatchCorrection(points) {
+  if (points.length === 0) return { a: 1, b: 0 };
+  const mx = mean(points.map(p => p.raw));
+  const my = mean(points.map(p => p.ref));
+  const vx = points.reduce((s, p) => s + (p.raw - mx) ** 2, 0);
+  let a = 1;
+  if (points.length >= 3 && vx > 0) {
+    const cov = points.reduce((s, p) => s + (p.raw - mx) * (p.ref - my), 0);
+    a = Math.min(2, Math.max(0.5, cov / vx));
+  }
+  return { a, b: my - a * mx };
+}
+
+export function clampRating(x) {
+  return Math.round(Math.max(0, Math.min(1000, x)));
+}
+
+/**
+ * raw: Map(batchKey -> Map(entryId -> raw score)), anchors: Set of anchor entryIds.
+ * Returns Map(entryId -> [calibrated score per batch the entry appeared in]) plus the
+ * fitted corrections per batch.
+ */
+export function calibrateBatches(raw, anchors) {
+  const anchorScores = new Map();
+  for (const scores of raw.values()) {
+    for (const [id, score] of scores) {
+      if (!anchors.has(id)) continue;
+      if (!anchorScores.has(id)) anchorScores.set(id, []);
+      anchorScores.get(id).push(score);
+    }
+  }
+  const ref = new Map([...anchorScores].map(([id, xs]) => [id, mean(xs)]));
+
+  const calibrated = new Map();
+  const corrections = new Map();
+  for (const [batchKey, scores] of raw) {
+    const points = [...scores].filter(([id]) => ref.has(id)).map(([id, score]) => ({ raw: score, ref: ref.get(id) }));
+    const fit = fitBatchCorrection(points);
+    corrections.set(batchKey, fit);
+    for (const [id, score] of scores) {
+      if (!calibrated.has(id)) calibrated.set(id, []);
+      calibrated.get(id).push(clampRating(fit.a * score + fit.b));
+    }
+  }
+  return { calibrated, corrections };
+}
+
+/**
+ * Bradley-Terry strengths from pairwise results ([{ winner, loser }] of entryIds) via
+ * the MM algorithm. Every player also gets one virtual win and loss against an average
+ * opponent, which keeps strengths finite for unbeaten or winless entries.
+ */
+export function bradleyTerry(results, { iterations = 200, tolerance = 1e-9 } = {}) {
+  const players = new Set(results.flatMap(r => [r.winner, r.loser]));
+  const wins = new Map([...players].map(p => [p, 1]));
+  const games = new Map([...players].map(p => [p, new Map()]));
+  for (const { winner, loser } of results) {
+    wins.set(winner, wins.get(winner) + 1);
+    games.get(winner).set(loser, (games.get(winner).get(loser) ?? 0) + 1);
+    games.get(loser).set(winner, (games.get(loser).get(winner) ?? 0) + 1);
+  }
+
+  let strength = new Map([...players].map(p => [p, 1]));
+  for (let it = 0; it < iterations; it++) {
+    const next = new Map();
+    for (const p of players) {
+      // The virtual opponent has strength 1 and plays p twice (one win, one loss).
+      let denom = 2 / (strength.get(p) + 1);
+      for (const [q, n] of games.get(p)) denom += n / (strength.get(p) + strength.get(q));
+      next.set(p, wins.get(p) / denom);
+    }
+    const geo = Math.exp(mean([...next.values()].map(Math.log)));
+    let delta = 0;
+    for (const [p, s] of next) {
+      const v = s / geo;
+      delta = Math.max(delta, Math.abs(v - strength.get(p)));
+      next.set(p, v);
+    }
+    strength = next;
+    if (delta < tolerance) break;
+  }
+  return strength;
+}
+
+/**
+ * Maps Bradley-Terry strengths onto the score range the same entries already span
+ * (log-strength, linearly), so the pairwise order refines the top of the scale
+ * without moving it relative to everything else.
+ */
+export function strengthsToScores(strengths, currentScores) {
+  const ids = [...strengths.keys()];
+  const logs = ids.map(id => Math.log(strengths.get(id)));
+  const scores = ids.map(id => currentScores.get(id));
+  const [lo, hi] = [Math.min(...scores), Math.max(...scores)];
+  const [lmin, lmax] = [Math.min(...logs), Math.max(...logs)];
+  const out = new Map();
+  ids.forEach((id, i) => {
+    out.set(id, lmax > lmin ? clampRating(lo + ((logs[i] - lmin) / (lmax - lmin)) * (hi - lo)) : clampRating(scores[i]));
+  });
+  return out;
+}
+
+/**
+ * Pairs for the top candidates: each entry meets the next `perEntry` entries below it
+ * in the current ranking (close calls are the informative ones).
+ */
+export function neighbourPairs(rankedIds, perEntry) {
+  const pairs = [];
+  for (let i = 0; i < rankedIds.length; i++) {
+    for (let k = 1; k <= perEntry && i + k < rankedIds.length; k++) pairs.push([rankedIds[i], rankedIds[i + k]]);
+  }
+  return pairs;
+}
@@ -0,0 +1,442 @@
+/**
+ * Lexical checks of entry claims against the messages they cite.
+ *
+ * An entry's text is cut into claims at its [n] markers (Wikipedia convention: a
+ * footnote covers the text since the previous one). Each claim's hard facts (prices,
+ * percentages, times, other numbers) and proper names must appear in the cited
+ * messages. Cheap and deterministic; verify-citations.js can add a model judgment
+ * on top for whatever this flags.
+ */
+
+import { splitFootnoteMarkers } from './topics.js';
+
+/** Claim statuses, worst first. */
+export const CLAIM_STATUSES = ['contradicted', 'unsupported', 'missing_source', 'uncited', 'weak', 'supported'];
+
+export function worstStatus(statuses) {
+  let worst = 'supported';
+  for (const s of statuses) {
+    if (CLAIM_STATUSES.indexOf(s) < CLAIM_STATUSES.indexOf(worst)) worst = s;
+  }
+  return worst;
+}
+
+/** Lowercase, no diacritics (including ł), single spaces. */
+export function foldText(s) {
+  return String(s ?? '')
+    .toLowerCase()
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .replace(/ł/g, 'l')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+/**
+ * Claims of one entry: [{ index, text, refs, messageIds }]. Text after the last
+ * marker becomes a claim with no refs.
+ */
+export function splitClaims(entry) {
+  const footnotes = entry?.footnotes ?? {};
+  const claims = [];
+  let current = { text: '', refs: [] };
+
+  const close = () => {
+    if (current.text.trim() || current.refs.length) {
+      const messageIds = [...new Set(current.refs.flatMap(r => (footnotes[r] ?? []).map(String)))];
+      claims.push({ index: claims.length, text: current.text.trim(), refs: current.refs, messageIds });
+    }
+    current = { text: '', refs: [] };
+  };
+
+  for (const part of splitFootnoteMarkers(entry?.text, footnotes)) {
+    if (part.ref) {
+      current.refs.push(part.ref);
+    } else {
+      if (current.refs.length) close();
+      current.text += part.text;
+    }
+  }
+  close();
+  return claims.filter(cl => cl.text);
+}
+
+const CURRENCY_AFTER = [
+  ['JPY', /^\s?(?:¥|円|yen\b|jen\w*|jpy\b)/i],
+  ['PLN', /^\s?(?:zł|zl\b|pln\b|złot\w*)/i],
+  ['USD', /^\s?(?:\$|usd\b|dolar\w*)/i],
+  ['EUR', /^\s?(?:€|eur\w*)/i]
+];
+const CURRENCY_BEFORE = [
+  ['JPY', /(?:¥|￥|jpy\s?)$/i],
+  ['USD', /\$$/],
+  ['EUR', /€$/]
+];
+
+function parseNumber(raw) {
+  const s = raw.replace(/[\s\u00a0\u202f]/g, '');
+  // 1,500 / 1.500 / 1 500 are thousands; 1,5 / 1.5 are decimals.
+  if (/^\d{1,3}([.,]\d{3})+$/.test(s)) return Number(s.replace(/[.,]/g, ''));
+  return Number(s.replace(',', '.'));
+}
+
+const QUANTITY_UNITS = [
+  ['min', /^\s?(?:min\b|minut\p{L}*)/iu],
+  ['h', /^\s?(?:h\b|godz\p{L}*)/iu],
+  ['day', /^\s?(?:dni\b|dzie[nń]\p{L}*|dob\p{L}*)/iu],
+  ['night', /^\s?noc\p{L}*/iu],
+  ['week', /^\s?(?:tydzie\p{L}*|tygod\p{L}*)/iu],
+  ['month', /^\s?miesi\p{L}*/iu],
+  ['year', /^\s?(?:lat\b|lata\b|rok\p{L}*)/iu],
+  ['km', /^\s?km\b/i]
+];
+
+const MONTHS_PL = ['stycznia', 'lutego', 'marca', 'kwietnia', 'maja', 'czerwca', 'lipca', 'sierpnia', 'wrze[sś]nia', 'pa[zź]dziernika', 'listopada', 'grudnia'];
+
+function dateFact(day, month, year, raw) {
+  const d = Number(day);
+  const mo = Number(month);
+  if (!(d >= 1 && d <= 31 && mo >= 1 && mo <= 12)) return null;
+  return { kind: 'date', value: `${String(mo).padStart(2, '0')}-${String(d).padStart(2, '0')}`, year: year ? Number(year) : null, raw };
+}
+
+/**
+ * Hard facts in a text:
+ *   [{ kind: 'price'|'percent'|'time'|'date'|'quantity'|'number', value, unit?, year?, raw }]
+ * `value` is normalized (1 500 ¥ and ¥1,500 are both price 1500 JPY, "5 marca" and
+ * 05.03 are both date 03-05, "15 minut" is quantity 15 min). Bare numbers below 10 are
+ * skipped: they are usually counts the model rephrases as words.
+ */
+export function extractFacts(text) {
+  const s = String(text ?? '');
+  const facts = [];
+  const spans = [];
+  const taken = (start, end) => spans.some(([a, b]) => start < b && end > a);
+  const take = (m, fact) => {
+    if (!fact || taken(m.index, m.index + m[0].length)) return;
+    facts.push(fact);
+    spans.push([m.index, m.index + m[0].length]);
+  };
+  let m;
+
+  const isoRe = /\b(\d{4})-(\d{1,2})-(\d{1,2})\b/g;
+  while ((m = isoRe.exec(s))) take(m, dateFact(m[3], m[2], m[1], m[0]));
+  const monthRe = new RegExp(`\\b(\\d{1,2})\\s+(${MONTHS_PL.join('|')})(?:\\s+(\\d{4}))?`, 'giu');
+  while ((m = monthRe.exec(s))) {
+    const month = MONTHS_PL.findIndex(name => new RegExp(`^${name}$`, 'iu').test(m[2])) + 1;
+    take(m, dateFact(m[1], month, m[3], m[0]));
+  }
+  // 05.03 / 5.03.2024; a two-digit month (or a year) keeps decimals like 1.5 out.
+  const dottedRe = /\b(\d{1,2})\.(\d{2}|\d{1,2}(?=\.\d{4}))(?:\.(\d{4}))?\b(?!\s?(?:¥|円|zł|zl|%|\$|€))/g;
+  while ((m = dottedRe.exec(s))) {
+    const hintedTime = /(?:godz\.?|o)\s*$/i.test(s.slice(Math.max(0, m.index - 6), m.index));
+    if (!hintedTime) take(m, dateFact(m[1], m[2], m[3], m[0]));
+  }
+
+  const timeRe = /\b([01]?\d|2[0-4])[:.]([0-5]\d)\b(?!\s?(?:¥|円|zł|%))/g;
+  while ((m = timeRe.exec(s))) {
+    // "12.50" next to a currency is a price, not a time; require ":" or an "o/godz." hint for dots.
+    if (m[0].includes('.') && !/(?:godz\.?|o)\s*$/i.test(s.slice(Math.max(0, m.index - 6), m.index))) continue;
+    take(m, { kind: 'time', value: `${Number(m[1])}:${m[2]}`, raw: m[0] });
+  }
+
+  const numRe = /\d{1,3}(?:[ \u00a0\u202f,.]\d{3})+(?![\d])|\d+(?:[.,]\d+)?/g;
+  while ((m = numRe.exec(s))) {
+    const start = m.index;
+    const end = start + m[0].length;
+    if (taken(start, end)) continue;
+    if (/[\d]/.test(s[start - 1] ?? '')) continue;
+
+    let value = parseNumber(m[0]);
+    let after = s.slice(end, end + 12);
+    if (/^k\b/i.test(after)) {
+      value *= 1000;
+      after = after.slice(1);
+    }
+    const before = s.slice(Math.max(0, start - 5), start);
+
+    if (/^\s?%/.test(after)) {
+      take(m, { kind: 'percent', value, raw: m[0] });
+      continue;
+    }
+    const unit = CURRENCY_AFTER.find(([, re]) => re.test(after))?.[0] ?? CURRENCY_BEFORE.find(([, re]) => re.test(before))?.[0];
+    if (unit) {
+      take(m, { kind: 'price', value, unit, raw: m[0] });
+      continue;
+    }
+    const qty = QUANTITY_UNITS.find(([, re]) => re.test(after))?.[0];
+    if (qty) {
+      take(m, { kind: 'quantity', value, unit: qty, raw: m[0] });
+      continue;
+    }
+    if (value >= 10) take(m, { kind: 'number', value, raw: m[0] });
+  }
+
+  return facts;
+}
+
+/**
+ * Proper names: capitalized words that do not start a sentence, acronyms (JR, IC)
+ * and runs of Japanese script. Folded; used for substring checks against sources.
+ */
+export function extractNames(text) {
+  const s = String(text ?? '');
+  const names = new Set();
+  const wordRe = /[\p{L}][\p{L}\p{N}'-]*/gu;
+  let m;
+  while ((m = wordRe.exec(s))) {
+    const w = m[0];
+    const prefix = s.slice(0, m.index).trimEnd();
+    const sentenceStart = prefix === '' || /[.!?:\n]$/.test(prefix) || /["„(]$/.test(prefix);
+    if (/^\p{Script=Han}|^\p{Script=Hiragana}|^\p{Script=Katakana}/u.test(w)) names.add(w);
+    else if (/^[A-Z0-9]{2,}$/.test(w)) names.add(foldText(w));
+    else if (/^\p{Lu}/u.test(w) && w.length >= 3 && !sentenceStart) names.add(foldText(w));
+  }
+  return [...names];
+}
+
+// Polish inflects names (Osaka -> Osace, Osakę), so compare on a short stem.
+function nameStem(name) {
+  if (/[^\x00-\x7f]/.test(name) && !/[a-z]/.test(name)) return name;
+  return name.length <= 4 ? name : name.slice(0, Math.max(3, name.length - 2));
+}
+
+function contentWords(folded) {
+  return folded.split(/[^a-z0-9\p{L}]+/u).filter(w => w.length >= 5);
+}
+
+function sameFact(a, b) {
+  if (a.kind === 'time' || b.kind === 'time' || a.kind === 'date' || b.kind === 'date') {
+    if (a.kind !== b.kind || a.value !== b.value) return false;
+    return a.kind !== 'date' || a.year === null || b.year === null || a.year === b.year;
+  }
+  if (a.value !== b.value) return false;
+  // A source number without a unit still backs a price or duration; two different units do not.
+  return !(a.unit && b.unit && a.unit !== b.unit);
+}
+
+/**
+ * Looks a claim fact up in source facts: { found: true } or { found: false, rivals }
+ * where rivals are source facts of the same kind (and unit) with another value. Bare
+ * numbers never have rivals; there is no telling which number they would be.
+ */
+export function matchFact(fact, sourceFacts) {
+  if (sourceFacts.some(sf => sameFact(fact, sf))) return { found: true, rivals: [] };
+  if (fact.kind === 'number') return { found: false, rivals: [] };
+  const rivals = sourceFacts.filter(sf => sf.kind === fact.kind && (!fact.unit || sf.unit === fact.unit));
+  return { found: false, rivals };
+}
+
+/**
+ * Checks one claim against the raw texts of its cited messages.
+ * `sources` is [{ messageId, text }] with text null when the message was not found.
+ * Returns { status, missingFacts, conflictingFacts, missingNames, overlap }.
+ */
+export function checkClaim(claim, sources) {
+  const result = { status: 'supported', missingFacts: [], conflictingFacts: [], missingNames: [], overlap: null };
+  if (!claim.messageIds?.length) {
+    result.status = 'uncited';
+    return result;
+  }
+  const found = sources.filter(src => typeof src.text === 'string');
+  if (found.length === 0) {
+    result.status = 'missing_source';
+    return result;
+  }
+
+  const sourceText = found.map(src => src.text).join('\n');
+  const sourceFolded = foldText(sourceText);
+  const sourceFacts = extractFacts(sourceText);
+
+  for (const fact of extractFacts(claim.text)) {
+    const { found, rivals } = matchFact(fact, sourceFacts);
+    if (found) continue;
+    // A price/percent/time the source states differently is a contradiction, not just a gap.
+    if (rivals.length) {
+      result.conflictingFacts.push({ claim: fact.raw, kind: fact.kind, source: rivals.map(r => r.raw) });
+    } else {
+      result.missingFacts.push({ claim: fact.raw, kind: fact.kind });
+    }
+  }
+
+  const names = extractNames(claim.text);
+  result.missingNames = names.filter(n => !sourceFolded.includes(nameStem(n)));
+
+  const words = contentWords(foldText(claim.text));
+  if (words.length) {
+    const hits = words.filter(w => sourceFolded.includes(w.slice(0, 5))).length;
+    result.overlap = Math.round((hits / words.length) * 100) / 100;
+  }
+
+  if (result.conflictingFacts.length) result.status = 'contradicted';
+  else if (result.missingFacts.length || (names.length >= 2 && result.missingNames.length > names.length / 2)) result.status = 'unsupported';
+  else if (result.missingNames.length || (result.overlap !== null && result.overlap < 0.2)) result.status = 'weak';
+  return result;
+}
+
+// --- Entities: shops, stations, lines ---
+
+// Canonical name -> spellings seen in chat (romaji variants, nicknames, katakana).
+const SHOP_ALIASES = {
+  'don quijote': ['don quijote', 'donki', 'donkihote', 'ドン・キホーテ', 'ドンキ'],
+  'bic camera': ['bic camera', 'bic', 'ビックカメラ'],
+  yodobashi: ['yodobashi', 'ヨドバシ'],
+  mandarake: ['mandarake', 'まんだらけ'],
+  animate: ['animate', 'アニメイト'],
+  'book-off': ['book-off', 'book off', 'bookoff', 'ブックオフ'],
+  'hard off': ['hard off', 'hard-off', 'hardoff', 'ハードオフ'],
+  'suruga-ya': ['suruga-ya', 'surugaya', '駿河屋'],
+  toranoana: ['toranoana', 'tora no ana', 'とらのあな'],
+  melonbooks: ['melonbooks', 'melon books', 'メロンブックス'],
+  lashinbang: ['lashinbang', 'らしんばん'],
+  uniqlo: ['uniqlo', 'ユニクロ'],
+  muji: ['muji', '無印'],
+  daiso: ['daiso', 'ダイソー'],
+  'tokyu hands': ['tokyu hands', 'hands tokyu'],
+  'matsumoto kiyoshi': ['matsumoto kiyoshi', 'matsukiyo', 'マツキヨ'],
+  '7-eleven': ['7-eleven', '7-11', 'seven eleven', 'seven-eleven', 'sebun', 'セブン'],
+  lawson: ['lawson', 'ローソン'],
+  familymart: ['familymart', 'family mart', 'famima', 'ファミマ', 'ファミリーマート'],
+  aeon: ['aeon', 'イオン'],
+  'gyomu super': ['gyomu super', 'gyomu', '業務スーパー'],
+  ichiran: ['ichiran', '一蘭'],
+  sukiya: ['sukiya', 'すき家'],
+  yoshinoya: ['yoshinoya', '吉野家'],
+  matsuya: ['matsuya', '松屋'],
+  'coco ichibanya': ['coco ichibanya', 'coco ichi', 'cocoichi', 'ココイチ'],
+  saizeriya: ['saizeriya', 'サイゼリヤ']
+};
+
+const KNOWN_LINES = [
+  'yamanote', 'chuo', 'sobu', 'keihin-tohoku', 'tokaido', 'ginza', 'marunouchi', 'hibiya', 'tozai',
+  'hanzomon', 'namboku', 'yurakucho', 'fukutoshin', 'oedo', 'midosuji', 'yurikamome', 'rinkai',
+  'narita express', 'haruka', 'shinkansen', 'keisei', 'nankai', 'hankyu', 'hanshin', 'keihan',
+  'kintetsu', 'odakyu', 'keio', 'tokyu', 'seibu', 'tobu', 'osaka loop'
+];
+
+const NAME = String.raw`\p{Lu}[\p{L}'-]*(?:[ -]\p{Lu}[\p{L}'-]*){0,2}`;
+const JP = String.raw`[\p{Script=Han}\p{Script=Katakana}\p{Script=Hiragana}ー]+`;
+const STATION_PATTERNS = [
+  new RegExp(`(${NAME})\\s+(?:Station|Sta\\.|Eki)\\b`, 'gu'),
+  new RegExp(`\\b[Ss]tacj\\p{L}*\\s+(${NAME})`, 'gu'),
+  new RegExp(`(${JP})駅`, 'gu')
+];
+const LINE_PATTERNS = [
+  new RegExp(`(${NAME})\\s+(?:Line|Sen)\\b`, 'gu'),
+  new RegExp(`\\b[Ll]ini\\p{L}*\\s+(${NAME})`, 'gu'),
+  new RegExp(`(${JP})線`, 'gu')
+];
+
+function escapeRegExp(s) {
+  return s.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+// Latin aliases match as words but may carry a short Polish case ending (Donkim, Lawsonie).
+function aliasRegExp(alias) {
+  const body = escapeRegExp(foldText(alias)).replace(/(?:\\-| )/g, '[\\s-]?');
+  return /[a-z0-9]/.test(alias)
+    ? new RegExp(`(?<![a-z0-9])${body}[a-z]{0,3}(?![a-z0-9])`, 'u')
+    : new RegExp(body, 'u');
+}
+
+const SHOP_MATCHERS = Object.entries(SHOP_ALIASES).map(([name, aliases]) => ({ name, res: aliases.map(aliasRegExp) }));
+const LINE_MATCHERS = KNOWN_LINES.map(name => ({ name, re: aliasRegExp(name) }));
+
+/**
+ * Shops (known chains), stations and lines ("X Station", "stacja X", "X駅", "linia X",
+ * "X Line", well-known line names) in a text: [{ kind, name, raw }], name folded.
+ */
+export function extractEntities(text) {
+  const s = String(text ?? '');
+  const folded = foldText(s);
+  const out = new Map();
+  const add = (kind, name, raw) => {
+    const key = `${kind}:${name}`;
+    if (name && !out.has(key)) out.set(key, { kind, name, raw });
+  };
+
+  for (const { name, res } of SHOP_MATCHERS) {
+    const m = res.map(re => folded.match(re)).find(Boolean);
+    if (m) add('shop', name, m[0]);
+  }
+  for (const [kind, patterns] of [['station', STATION_PATTERNS], ['line', LINE_PATTERNS]]) {
+    for (const re of patterns) {
+      for (const m of s.matchAll(re)) add(kind, foldText(m[1]), m[0]);
+    }
+  }
+  for (const { name, re } of LINE_MATCHERS) {
+    const m = folded.match(re);
+    if (m && ![...out.values()].some(e => e.kind === 'line' && e.name.includes(name))) add('line', name, m[0]);
+  }
+  return [...out.values()];
+}
+
+/** Whether a source text mentions the entity (any alias for shops, stems for names). */
+export function entityInText(entity, text) {
+  const folded = foldText(text);
+  if (entity.kind === 'shop') {
+    return SHOP_MATCHERS.find(sm => sm.name === entity.name)?.res.some(re => re.test(folded)) ?? false;
+  }
+  return entity.name.split(/[\s-]+/).filter(Boolean).every(word => folded.includes(nameStem(word)));
+}
+
+/**
+ * Deterministic fidelity check of one entry: every fact and entity in its text must
+ * appear in a footnoted source. The claim's own sources are tried first, then the rest
+ * of the entry's. `lookup(messageId)` returns the message text or null.
+ *
+ * Findings: [{ claimIndex, claim, kind, value, unit?, raw, status, sourceValues?, messageIds }]
+ * with status 'altered' (the sources state another value of the same kind),
+ * 'hallucinated' (nowhere in the sources) or 'missing_source' (no cited message found).
+ */
+export function checkEntryFidelity(entry, lookup) {
+  const claims = splitClaims(entry);
+  const allIds = [...new Set(Object.values(entry?.footnotes ?? {}).flat().map(String))];
+  const textOf = ids => ids.map(id => lookup(id)).filter(t => typeof t === 'string');
+  const entryTexts = textOf(allIds);
+  const entryFacts = extractFacts(entryTexts.join('\n'));
+  const findings = [];
+  let checked = 0;
+
+  if (allIds.length > 0 && entryTexts.length === 0) {
+    findings.push({ claimIndex: null, claim: null, kind: 'source', value: null, raw: null, status: 'missing_source', messageIds: allIds });
+    return { checked, findings };
+  }
+
+  for (const claim of claims) {
+    const ids = claim.messageIds.length ? claim.messageIds : allIds;
+    const claimTexts = textOf(ids);
+    const claimFacts = extractFacts(claimTexts.join('\n'));
+    const excerpt = claim.text.length > 200 ? `${claim.text.slice(0, 199)}…` : claim.text;
+    const finding = (item, status, sourceValues) => findings.push({
+      claimIndex: claim.index,
+      claim: excerpt,
+      kind: item.kind,
+      value: item.value ?? item.name,
+      ...(item.unit ? { unit: item.unit } : {}),
+      raw: item.raw,
+      status,
+      ...(sourceValues?.length ? { sourceValues } : {}),
+      messageIds: ids
+    });
+
+    for (const fact of extractFacts(claim.text)) {
+      checked++;
+      const own = matchFact(fact, claimFacts);
+      if (own.found || matchFact(fact, entryFacts).found) continue;
+      const rivals = own.rivals.length ? own.rivals : matchFact(fact, entryFacts).rivals;
+      if (rivals.length) finding(fact, 'altered', rivals.map(r => r.raw));
+      else finding(fact, 'hallucinated');
+    }
+
+    for (const entity of extractEntities(claim.text)) {
+      checked++;
+      if (claimTexts.some(t => entityInText(entity, t)) || entryTexts.some(t => entityInText(entity, t))) continue;
+      const rivals = extractEntities(claimTexts.join('\n')).filter(e => e.kind === entity.kind);
+      if (rivals.length) finding(entity, 'altered', rivals.map(r => r.raw));
+      else finding(entity, 'hallucinated');
+    }
+  }
+
+  return { checked, findings };
+}
@@ -0,0 +1,116 @@
+/**
+ * Helpers for reading compendium editions written by index.js
+ * (compendium_versions/compendium_NNN.md) and splitting them into messages/topics.
+ */
+
+import path from 'path';
+import { glob } from 'glob';
+
+export const SOURCE_DIRS = ['NODODON_JAPAN_THREAD', 'NODODON_JAPAN', 'KARCZMA_JAPAN'];
+
+export async function getLatestCompendiumFile(compendiumDir) {
+  const files = await glob(path.join(compendiumDir, 'compendium_*.md').replace(/\\/g, '/'));
+  const parsed = files
+    .map(p => {
+      const base = path.basename(p);
+      const m = base.match(/compendium_(\d+)\.md$/);
+      return m ? { path: p, version: Number.parseInt(m[1], 10) } : null;
+    })
+    .filter(Boolean)
+    .sort((a, b) => b.version - a.version);
+  return parsed.length ? parsed[0] : null;
+}
+
+export function parseEditionNumber(compendiumPath) {
+  const base = path.basename(compendiumPath);
+  const m = base.match(/compendium_(\d+)\.md$/);
+  return m ? Number.parseInt(m[1], 10) : null;
+}
+
+export function parseCompendiumMessages(markdown) {
+  const lines = String(markdown ?? '').split(/\r?\n/);
+  const messages = [];
+
+  let currentSection = null;
+  let buf = [];
+  let bufSection = null;
+
+  // Message blocks are terminated by a Discord-like message ID in brackets at end.
+  const idAtLineEnd = /\[(\d{10,})\]\s*$/;
+
+  function flushIfComplete(line) {
+    const m = String(line ?? '').match(idAtLineEnd);
+    if (!m) return null;
+
+    const messageId = m[1];
+    const cleanedLastLine = String(line).replace(idAtLineEnd, '');
+    const allLines = buf.length ? [...buf.slice(0, -1), cleanedLastLine] : [cleanedLastLine];
+    const raw = allLines.join('\n');
+
+    let date = null;
+    let author = null;
+    // Skip reply quotes and the blank line that can follow a section header.
+    const firstNonReply = allLines.find(l => String(l).trim() && !String(l).trimStart().startsWith('>')) ?? '';
+    const headerMatch = String(firstNonReply).match(/^\[(\d{4}-\d{2}-\d{2})\]\s+\[([^\]]+)\]\s+(.*)$/);
+    if (headerMatch) {
+      date = headerMatch[1];
+      author = headerMatch[2];
+    }
+
+    const msg = {
+      index: messages.length,
+      messageId,
+      section: bufSection ?? currentSection,
+      sectionHeader: (bufSection ?? currentSection) ? `## ${bufSection ?? currentSection}` : '## Uncategorized',
+      date,
+      author,
+      raw
+    };
+    messages.push(msg);
+
+    buf = [];
+    bufSection = null;
+    return msg;
+  }
+
+  for (const line of lines) {
+    const rawLine = String(line ?? '');
+    const trimmedEnd = rawLine.trimEnd();
+
+    if (trimmedEnd.startsWith('## ')) {
+      currentSection = trimmedEnd.slice(3).trim();
+      continue;
+    }
+
+    if (buf.length === 0) bufSection = currentSection;
+    buf.push(rawLine);
+    flushIfComplete(rawLine);
+  }
+
+  return messages;
+}
+
+export function slugifyTopic(topicHeader) {
+  const t = String(topicHeader ?? '').trim();
+  const norm = t.replace(/^##\s+/, '').trim().toLowerCase();
+  const slug = norm
+    .replace(/&/g, ' and ')
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/-+/g, '-')
+    .replace(/^-|-$/g, '');
+  return slug || 'unknown';
+}
+
+export function groupMessagesByTopic(messages) {
+  const map = new Map();
+  const order = [];
+  for (const m of messages) {
+    const h = m.sectionHeader || '## Uncategorized';
+    if (!map.has(h)) {
+      map.set(h, []);
+      order.push(h);
+    }
+    map.get(h).push(m);
+  }
+  return { map, order };
+}
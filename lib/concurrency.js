@@ -0,0 +1,144 @@
+/**
+ * Concurrency helpers for the LLM stages: a small worker pool, a serial queue for
+ * writes that must stay ordered, and a requests/tokens-per-minute limiter that backs
+ * off when the provider answers 429.
+ *
+ * Knobs (parsed in lib/pipeline.js parseCommonArgs):
+ *   --concurrency / LLM_CONCURRENCY   parallel requests (default 1)
+ *   --rpm         / LLM_RPM           requests per minute, 0 = unlimited
+ *   --tpm         / LLM_TPM           estimated prompt tokens per minute, 0 = unlimited
+ */
+
+import { c, getErrorStatus, sleep, warn } from './pipeline.js';
+import { estimateTokens } from './tokens.js';
+
+/**
+ * Runs worker(item, index) over items with at most `concurrency` in flight.
+ * Resolves with results in input order. The first rejection is rethrown after
+ * in-flight workers settle; no new items are started once one has failed.
+ */
+export async function runPool(items, concurrency, worker) {
+  const results = new Array(items.length);
+  let next = 0;
+  let failure = null;
+
+  async function lane() {
+    while (failure === null && next < items.length) {
+      const i = next++;
+      try {
+        results[i] = await worker(items[i], i);
+      } catch (err) {
+        failure ??= { err };
+      }
+    }
+  }
+
+  const lanes = Array.from({ length: Math.max(1, Math.min(concurrency, items.length)) }, lane);
+  await Promise.all(lanes);
+  if (failure) throw failure.err;
+  return results;
+}
+
+/**
+ * Serializes async tasks: run(fn) waits for every previously queued task.
+ * A failing task rejects its own promise but does not block the queue.
+ */
+export function createSerialQueue() {
+  let tail = Promise.resolve();
+  return {
+    run(fn) {
+      const result = tail.then(fn);
+      tail = result.catch(() => {});
+      return result;
+    }
+  };
+}
+
+/**
+ * Sliding-window limiter over the last 60s. After a 429 every caller pauses for
+ * the cooldown and the allowed rate is halved; each success recovers 5% of it.
+ */
+export function createRateLimiter({ rpm = 0, tpm = 0 } = {}) {
+  const windowMs = 60000;
+  const events = []; // { at, tokens }
+  let factor = 1;
+  let pausedUntil = 0;
+
+  function prune(now) {
+    while (events.length && now - events[0].at >= windowMs) events.shift();
+  }
+
+  function waitTime(tokens, now) {
+    prune(now);
+    let wait = Math.max(0, pausedUntil - now);
+    const maxReq = rpm > 0 ? Math.max(1, Math.floor(rpm * factor)) : Infinity;
+    const maxTok = tpm > 0 ? Math.max(1, Math.floor(tpm * factor)) : Infinity;
+
+    if (events.length >= maxReq) {
+      wait = Math.max(wait, events[events.length - maxReq].at + windowMs - now);
+    }
+    if (maxTok !== Infinity) {
+      let used = events.reduce((n, e) => n + e.tokens, 0);
+      // A single request larger than the whole budget is let through alone.
+      for (let i = 0; i < events.length && used + tokens > maxTok; i++) {
+        used -= events[i].tokens;
+        wait = Math.max(wait, events[i].at + windowMs - now);
+      }
+    }
+    return wait;
+  }
+
+  return {
+    get enabled() {
+      return rpm > 0 || tpm > 0;
+    },
+    async acquire(tokens = 0) {
+      for (;;) {
+        const now = Date.now();
+        const wait = waitTime(tokens, now);
+        if (wait <= 0) {
+          events.push({ at: now, tokens });
+          return;
+        }
+        await sleep(Math.min(wait, windowMs) + 25);
+      }
+    },
+    penalize(cooldownMs = 10000) {
+      factor = Math.max(0.1, factor / 2);
+      pausedUntil = Math.max(pausedUntil, Date.now() + cooldownMs);
+      warn(c('rate limited', 'yellow'), `pausing ${(cooldownMs / 1000).toFixed(1)}s`, `rateFactor=${factor.toFixed(2)}`);
+    },
+    reward() {
+      factor = Math.min(1, factor + 0.05);
+    }
+  };
+}
+
+function retryAfterMs(err) {
+  const header = err?.headers?.get?.('retry-after') ?? err?.retryAfter;
+  const secs = Number(header);
+  return Number.isFinite(secs) && secs > 0 ? secs * 1000 : undefined;
+}
+
+/**
+ * Wraps a provider so every call goes through the limiter. 429s feed back into it
+ * and are rethrown so generateTextWithRetry still does its own backoff.
+ */
+export function withRateLimit(provider, limiter) {
+  if (!limiter) return provider;
+  return {
+    ...provider,
+    async generateText(promptParts) {
+      const parts = Array.isArray(promptParts) ? promptParts : [promptParts];
+      await limiter.acquire(parts.reduce((n, p) => n + estimateTokens(p), 0));
+      try {
+        const text = await provider.generateText(promptParts);
+        limiter.reward();
+        return text;
+      } catch (err) {
+        if (getErrorStatus(err) === 429) limiter.penalize(retryAfterMs(err));
+        throw err;
+      }
+    }
+  };
+}
@@ -0,0 +1,191 @@
+/**
+ * Near-duplicate detection for structured entries (dedupe-entries.js).
+ *
+ * Entry texts are folded (case, diacritics, footnote markers) and cut into character
+ * shingles; MinHash signatures + LSH banding find candidate pairs, which are then kept
+ * only if their exact shingle Jaccard reaches the threshold. Pairs are joined into
+ * clusters with union-find, so A~B and B~C end up together even if A and C differ more.
+ */
+
+import crypto from 'crypto';
+import { foldText } from './claims.js';
+
+export const NUM_PERM = 128;
+export const SHINGLE_SIZE = 5;
+
+/** Text used for similarity: no footnote markers, folded, punctuation collapsed. */
+export function normalizeForSimilarity(text) {
+  return foldText(String(text ?? '').replace(/\[\d+\]/g, ' '))
+    .replace(/[^\p{L}\p{N}]+/gu, ' ')
+    .trim();
+}
+
+export function shingles(text, size = SHINGLE_SIZE) {
+  const s = normalizeForSimilarity(text);
+  const out = new Set();
+  if (s.length <= size) {
+    if (s) out.add(s);
+    return out;
+  }
+  for (let i = 0; i + size <= s.length; i++) out.add(s.slice(i, i + size));
+  return out;
+}
+
+export function jaccard(a, b) {
+  if (a.size === 0 && b.size === 0) return 1;
+  let inter = 0;
+  const [small, large] = a.size <= b.size ? [a, b] : [b, a];
+  for (const x of small) if (large.has(x)) inter++;
+  return inter / (a.size + b.size - inter);
+}
+
+// 32-bit FNV-1a, then a murmur3 finalizer per permutation seed.
+function fnv1a(s) {
+  let h = 0x811c9dc5;
+  for (let i = 0; i < s.length; i++) {
+    h ^= s.charCodeAt(i);
+    h = Math.imul(h, 0x01000193);
+  }
+  return h >>> 0;
+}
+
+function mix(h, seed) {
+  let x = (h ^ seed) >>> 0;
+  x = Math.imul(x ^ (x >>> 16), 0x85ebca6b);
+  x = Math.imul(x ^ (x >>> 13), 0xc2b2ae35);
+  return (x ^ (x >>> 16)) >>> 0;
+}
+
+const SEEDS = Array.from({ length: NUM_PERM }, (_, i) => mix(0x9e3779b9, i + 1));
+
+export function minhash(shingleSet) {
+  const sig = new Uint32Array(NUM_PERM).fill(0xffffffff);
+  for (const sh of shingleSet) {
+    const h = fnv1a(sh);
+    for (let i = 0; i < NUM_PERM; i++) {
+      const v = mix(h, SEEDS[i]);
+      if (v < sig[i]) sig[i] = v;
+    }
+  }
+  return sig;
+}
+
+/**
+ * Rows per band for a Jaccard threshold: the largest r whose LSH S-curve midpoint
+ * (1/b)^(1/r) stays below ~90% of the threshold, so true matches are rarely missed.
+ */
+export function lshRows(threshold) {
+  let best = 1;
+  for (const r of [1, 2, 4, 8, 16]) {
+    if (Math.pow(r / NUM_PERM, 1 / r) <= threshold * 0.9) best = r;
+  }
+  return best;
+}
+
+function candidatePairs(signatures, rows) {
+  const pairs = new Set();
+  for (let start = 0; start + rows <= NUM_PERM; start += rows) {
+    const buckets = new Map();
+    signatures.forEach((sig, idx) => {
+      const key = sig.subarray(start, start + rows).join(',');
+      if (!buckets.has(key)) buckets.set(key, []);
+      buckets.get(key).push(idx);
+    });
+    for (const members of buckets.values()) {
+      for (let i = 0; i < members.length; i++) {
+        for (let j = i + 1; j < members.length; j++) pairs.add(`${members[i]},${members[j]}`);
+      }
+    }
+  }
+  return [...pairs].map(p => p.split(',').map(Number));
+}
+
+/**
+ * Clusters items ({ text, ... }) whose texts are near-duplicates.
+ * Returns [{ members: [index, ...], similarity }] for clusters of two or more, where
+ * `similarity` is the lowest Jaccard among the pairs that joined the cluster.
+ */
+export function clusterNearDuplicates(items, { threshold = 0.5 } = {}) {
+  const sets = items.map(it => shingles(it.text));
+  const signatures = sets.map(minhash);
+  const parent = items.map((_, i) => i);
+  const find = (i) => {
+    while (parent[i] !== i) i = parent[i] = parent[parent[i]];
+    return i;
+  };
+  const edgeMin = new Map();
+
+  for (const [a, b] of candidatePairs(signatures, lshRows(threshold))) {
+    if (sets[a].size === 0 || sets[b].size === 0) continue;
+    const sim = jaccard(sets[a], sets[b]);
+    if (sim < threshold) continue;
+    const ra = find(a);
+    const rb = find(b);
+    const low = Math.min(sim, edgeMin.get(ra) ?? 1, edgeMin.get(rb) ?? 1);
+    parent[rb] = ra;
+    edgeMin.set(ra, low);
+  }
+
+  const groups = new Map();
+  items.forEach((_, i) => {
+    const root = find(i);
+    if (!groups.has(root)) groups.set(root, []);
+    groups.get(root).push(i);
+  });
+  return [...groups.entries()]
+    .filter(([, members]) => members.length > 1)
+    .map(([root, members]) => ({ members, similarity: Math.round((edgeMin.get(root) ?? 1) * 1000) / 1000 }));
+}
+
+export function textHash(text) {
+  return crypto.createHash('sha256').update(String(text ?? '')).digest('hex').slice(0, 16);
+}
+
+function sourceCount(entry) {
+  return new Set(Object.values(entry?.footnotes ?? {}).flat().map(String)).size;
+}
+
+/** Best member to keep: highest rating, then most cited messages, then longest text. */
+export function pickCanonical(entries) {
+  let best = 0;
+  const score = e => [typeof e?.rating === 'number' ? e.rating : -1, sourceCount(e), String(e?.text ?? '').length];
+  for (let i = 1; i < entries.length; i++) {
+    const [a, b] = [score(entries[i]), score(entries[best])];
+    const cmp = a[0] - b[0] || a[1] - b[1] || a[2] - b[2];
+    if (cmp > 0) best = i;
+  }
+  return best;
+}
+
+/**
+ * The canonical entry with the other members' sources folded in: messages it does not
+ * cite yet go under one new footnote marker appended to its text.
+ */
+export function mergeEntries(canonical, others) {
+  const footnotes = Object.fromEntries(Object.entries(canonical?.footnotes ?? {}).map(([k, ids]) => [k, [...ids]]));
+  const cited = new Set(Object.values(footnotes).flat().map(String));
+  const extra = [];
+  for (const other of others) {
+    for (const id of Object.values(other?.footnotes ?? {}).flat().map(String)) {
+      if (!cited.has(id)) {
+        cited.add(id);
+        extra.push(id);
+      }
+    }
+  }
+
+  let text = String(canonical?.text ?? '');
+  if (extra.length) {
+    const next = Math.max(0, ...Object.keys(footnotes).map(k => Number.parseInt(k, 10)).filter(Number.isFinite)) + 1;
+    footnotes[String(next)] = extra;
+    text = `${text.trimEnd()}[${next}]`;
+  }
+
+  // Sources changed, so an earlier citation check no longer applies.
+  const merged = { ...canonical, text, footnotes };
+  delete merged.verification;
+  const sources = Object.assign({}, ...others.map(o => o?.footnoteSources ?? {}), canonical?.footnoteSources ?? {});
+  const citedSources = Object.fromEntries(Object.entries(sources).filter(([id]) => cited.has(id)));
+  if (Object.keys(citedSources).length) merged.footnoteSources = citedSources;
+  return merged;
+}
@@ -0,0 +1,56 @@
+/**
+ * Content-addressed entry IDs: "e-" + 12 hex chars of sha256(topic slug, sorted cited
+ * message IDs, normalized text). Rerunning a batch that yields the same entry yields the
+ * same ID, and entries from different topics never collide when topics are merged.
+ *
+ * An ID is computed once, when the entry is created (or migrated), and is not
+ * recomputed when the entry is edited later (dedupe, merges, ratings), so everything
+ * that references it stays valid. Identical entries in one topic get "-2", "-3"...
+ */
+
+import crypto from 'crypto';
+
+const CONTENT_ID_RE = /^e-[0-9a-f]{12}(?:-\d+)?$/;
+
+/** Whether an ID already has the content-addressed format (vs legacy "3:e1"). */
+export function isContentEntryId(id) {
+  return typeof id === 'string' && CONTENT_ID_RE.test(id);
+}
+
+export function normalizeEntryText(text) {
+  return String(text ?? '')
+    .replace(/\[\d+\]/g, ' ')
+    .normalize('NFKC')
+    .toLowerCase()
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+export function citedMessageIds(entry) {
+  return [...new Set(Object.values(entry?.footnotes ?? {}).flat().map(String))].sort();
+}
+
+export function computeEntryId(topicSlug, entry) {
+  const input = [String(topicSlug), citedMessageIds(entry).join(','), normalizeEntryText(entry?.text)].join('\n');
+  return `e-${crypto.createHash('sha256').update(input).digest('hex').slice(0, 12)}`;
+}
+
+/**
+ * `id`, or when `taken` (a Set of IDs in the topic, updated in place) already has it, its
+ * next free "-n" variant. A suffixed content ID is renumbered, never suffixed twice.
+ */
+export function claimEntryId(id, taken) {
+  const root = isContentEntryId(id) ? id.replace(/^(e-[0-9a-f]{12})-\d+$/, '$1') : id;
+  let out = id;
+  for (let n = 2; taken.has(out); n++) out = `${root}-${n}`;
+  taken.add(out);
+  return out;
+}
+
+/**
+ * Gives each entry its content ID, suffixing any that is already in `taken` (a Set of
+ * IDs in the topic, updated in place). Returns new entry objects.
+ */
+export function assignEntryIds(topicSlug, entries, taken = new Set()) {
+  return entries.map(entry => ({ ...entry, entryId: claimEntryId(computeEntryId(topicSlug, entry), taken) }));
+}
@@ -0,0 +1,124 @@
+/**
+ * A local stand-in for the parts of discord.js the bot uses: a client that dispatches
+ * `interactionCreate` to its listeners, and chat-input interactions that record their
+ * replies. Lets discord-bot.js run (`--fake`) without a token, a network or discord.js.
+ */
+
+// Discord application command option types used by the bot.
+const OPTION_TYPES = { string: 3, integer: 4 };
+
+/**
+ * A slash-command interaction with the discord.js surface the bot touches:
+ * isChatInputCommand(), commandName, user, options.getString/getInteger and
+ * reply/deferReply/editReply/followUp. Replies land in `interaction.replies`.
+ */
+export function createFakeInteraction(commandName, values = {}, { user = { id: '0', username: 'local' } } = {}) {
+  const get = (name, required, check) => {
+    const v = values[name];
+    if (v === undefined || v === null) {
+      if (required) throw new TypeError(`Required option "${name}" not found.`);
+      return null;
+    }
+    if (!check(v)) throw new TypeError(`Option "${name}" is of the wrong type.`);
+    return v;
+  };
+  const interaction = {
+    commandName,
+    user,
+    replies: [],
+    replied: false,
+    deferred: false,
+    isChatInputCommand: () => true,
+    isAutocomplete: () => false,
+    options: {
+      getString: (name, required = false) => get(name, required, v => typeof v === 'string'),
+      getInteger: (name, required = false) => get(name, required, v => Number.isInteger(v))
+    },
+    async reply(payload) {
+      if (interaction.replied || interaction.deferred) throw new Error('The reply to this interaction has already been sent or deferred.');
+      interaction.replied = true;
+      interaction.replies.push(toPayload(payload));
+    },
+    async deferReply() {
+      if (interaction.replied || interaction.deferred) throw new Error('The reply to this interaction has already been sent or deferred.');
+      interaction.deferred = true;
+    },
+    async editReply(payload) {
+      if (!interaction.replied && !interaction.deferred) throw new Error('The reply to this interaction has not been sent or deferred.');
+      interaction.replied = true;
+      interaction.replies.push(toPayload(payload));
+    },
+    async followUp(payload) {
+      if (!interaction.replied && !interaction.deferred) throw new Error('The reply to this interaction has not been sent or deferred.');
+      interaction.replies.push(toPayload(payload));
+    }
+  };
+  return interaction;
+}
+
+function toPayload(payload) {
+  return typeof payload === 'string' ? { content: payload } : { ...payload };
+}
+
+/**
+ * A client with discord.js's on/once/login shape. `dispatch(interaction)` emits
+ * `interactionCreate` and, unlike an EventEmitter, waits for async listeners.
+ */
+export function createFakeClient() {
+  const listeners = new Map();
+  const add = (event, fn, once) => {
+    if (!listeners.has(event)) listeners.set(event, []);
+    listeners.get(event).push({ fn, once });
+  };
+  const emit = async (event, ...args) => {
+    const list = listeners.get(event) ?? [];
+    listeners.set(event, list.filter(l => !l.once));
+    for (const l of list) await l.fn(...args);
+  };
+  const client = {
+    user: { id: '0', tag: 'fake-bot#0000' },
+    on(event, fn) {
+      add(event, fn, false);
+      return client;
+    },
+    once(event, fn) {
+      add(event, fn, true);
+      return client;
+    },
+    async login() {
+      await emit('ready', client);
+      return 'fake-token';
+    },
+    async dispatch(interaction) {
+      await emit('interactionCreate', interaction);
+      return interaction.replies;
+    },
+    destroy() {
+      listeners.clear();
+    }
+  };
+  return client;
+}
+
+/**
+ * Parses a typed command line ("/top transport 3") against slash-command definitions:
+ * integer options are taken from the end when the last word is a number, the first
+ * string option gets the remaining words. Returns { commandName, values }.
+ */
+export function parseCommandLine(line, commands) {
+  const words = String(line ?? '').trim().replace(/^\//, '').split(/\s+/).filter(Boolean);
+  const commandName = words.shift();
+  const command = commands.find(cmd => cmd.name === commandName);
+  if (!command) throw new Error(`Unknown command "/${commandName ?? ''}" (known: ${commands.map(cmd => `/${cmd.name}`).join(', ')})`);
+
+  const values = {};
+  const options = command.options ?? [];
+  for (const opt of [...options].reverse()) {
+    if (opt.type === OPTION_TYPES.integer && words.length && /^-?\d+$/.test(words[words.length - 1])) {
+      values[opt.name] = Number.parseInt(words.pop(), 10);
+    }
+  }
+  const stringOpt = options.find(opt => opt.type === OPTION_TYPES.string);
+  if (stringOpt && words.length) values[stringOpt.name] = words.join(' ');
+  return { commandName, values };
+}
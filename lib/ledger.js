@@ -0,0 +1,110 @@
+/**
+ * Processing ledger for index.js (compendium_versions/ledger.json).
+ *
+ * One record per slim input file:
+ *   { path, hash, status: 'ok' | 'empty' | 'failed', version, kept, error?, updatedAt }
+ *
+ * `version` is the compendium_NNN.md the file's messages landed in (for 'empty' the
+ * unchanged version that was current at the time, null for 'failed'). Resume is driven
+ * only by these records, never by counting files or versions.
+ */
+
+import crypto from 'crypto';
+import fs from 'fs-extra';
+import { ts, writeJsonAtomic } from './pipeline.js';
+
+export const LEDGER_SCHEMA_VERSION = 1;
+
+export async function hashFile(filePath) {
+  const buf = await fs.readFile(filePath);
+  return crypto.createHash('sha256').update(buf).digest('hex');
+}
+
+export function emptyLedger() {
+  return { schemaVersion: LEDGER_SCHEMA_VERSION, files: {}, updatedAt: null };
+}
+
+export async function loadLedger(ledgerPath) {
+  if (!(await fs.pathExists(ledgerPath))) return null;
+  const data = await fs.readJson(ledgerPath);
+  if (!data || typeof data.files !== 'object') return emptyLedger();
+  return data;
+}
+
+export async function saveLedger(ledgerPath, ledger) {
+  ledger.updatedAt = ts();
+  await writeJsonAtomic(ledgerPath, ledger);
+}
+
+export function recordFile(ledger, { path, hash, status, version = null, kept = 0, error = null }) {
+  ledger.files[path] = {
+    path,
+    hash,
+    status,
+    version,
+    kept,
+    ...(error ? { error: String(error).slice(0, 500) } : {}),
+    updatedAt: ts()
+  };
+}
+
+/**
+ * Builds a ledger for trees processed before the ledger existed, when the
+ * compendium_NNN number was the count of processed files (in sorted order).
+ */
+export async function bootstrapLegacyLedger(sortedPaths, processedCount) {
+  const ledger = emptyLedger();
+  const n = Math.min(processedCount, sortedPaths.length);
+  for (let i = 0; i < n; i++) {
+    recordFile(ledger, { path: sortedPaths[i], hash: await hashFile(sortedPaths[i]), status: 'ok', version: i + 1 });
+    ledger.files[sortedPaths[i]].legacy = true;
+  }
+  return ledger;
+}
+
+/**
+ * Decides what to do with every input file.
+ * Returns { todo: [{ path, hash, reason }], done, failed, renamed, missing } where reason is
+ * 'new' | 'changed' | 'failed'. Failed files are only retried with retryFailed.
+ * A new path whose hash matches a record whose file is gone is treated as a rename.
+ */
+export async function planFromLedger(inputPaths, ledger, { retryFailed = false } = {}) {
+  const present = new Set(inputPaths);
+  const plan = { todo: [], done: [], failed: [], renamed: [], missing: [] };
+
+  const orphanByHash = new Map();
+  for (const rec of Object.values(ledger.files)) {
+    if (!present.has(rec.path) && rec.status !== 'failed') orphanByHash.set(rec.hash, rec);
+  }
+
+  for (const p of inputPaths) {
+    const hash = await hashFile(p);
+    const rec = ledger.files[p];
+
+    if (!rec) {
+      const orphan = orphanByHash.get(hash);
+      if (orphan) {
+        orphanByHash.delete(hash);
+        delete ledger.files[orphan.path];
+        ledger.files[p] = { ...orphan, path: p, renamedFrom: orphan.path, updatedAt: ts() };
+        plan.renamed.push({ from: orphan.path, to: p });
+        plan.done.push(p);
+      } else {
+        plan.todo.push({ path: p, hash, reason: 'new' });
+      }
+      continue;
+    }
+
+    if (rec.hash !== hash) {
+      plan.todo.push({ path: p, hash, reason: 'changed' });
+    } else if (rec.status === 'failed') {
+      plan.failed.push(p);
+      if (retryFailed) plan.todo.push({ path: p, hash, reason: 'failed' });
+    } else {
+      plan.done.push(p);
+    }
+  }
+
+  plan.missing = [...orphanByHash.values()].map(rec => rec.path);
+  return plan;
+}
@@ -0,0 +1,177 @@
+/**
+ * LLM provider layer shared by index.js, structure-compendium-topics.js and rate-entries.js.
+ *
+ * Every provider exposes the same tiny surface:
+ *   { name, model, generateText(promptParts) -> Promise<string> }
+ *
+ * Providers:
+ *   gemini   - Google Gemini via @google/generative-ai (needs GEMINI_API_KEY)
+ *   openai   - any OpenAI-compatible /chat/completions server (llama.cpp, vLLM, Ollama, LM Studio...)
+ *   fixture  - offline replay of recorded responses, keyed by a hash of the prompt
+ *
+ * Selection: LLM_PROVIDER=gemini|openai|fixture (default: gemini).
+ * Recording: LLM_RECORD_FIXTURES=1 saves every live response into LLM_FIXTURES_DIR
+ * so the same run can later be replayed with LLM_PROVIDER=fixture.
+ */
+
+import crypto from 'crypto';
+import fs from 'fs-extra';
+import path from 'path';
+
+export const PROVIDER_NAMES = ['gemini', 'openai', 'fixture'];
+
+const DEFAULT_FIXTURES_DIR = './fixtures/llm';
+const DEFAULT_OPENAI_BASE_URL = 'http://localhost:8080/v1';
+
+function normalizePromptParts(promptParts) {
+  const parts = Array.isArray(promptParts) ? promptParts : [promptParts];
+  return parts.map(p => String(p ?? ''));
+}
+
+/**
+ * Stable hash of a prompt. The model name is deliberately not part of the key,
+ * so fixtures recorded with one model can be replayed regardless of MODEL_NAME.
+ */
+export function hashPrompt(promptParts) {
+  return crypto
+    .createHash('sha256')
+    .update(JSON.stringify(normalizePromptParts(promptParts)), 'utf8')
+    .digest('hex');
+}
+
+function fixturePath(fixturesDir, key) {
+  return path.join(fixturesDir, `${key}.json`);
+}
+
+function createGeminiProvider({ model, thinkingBudget }) {
+  const apiKey = process.env.GEMINI_API_KEY;
+  if (!apiKey) {
+    throw new Error('GEMINI_API_KEY is not set (put it in .env).');
+  }
+
+  let clientPromise = null;
+  function getModel() {
+    // Lazy import: offline tools that only need the fixture provider don't have to load the SDK.
+    clientPromise ??= import('@google/generative-ai').then(({ GoogleGenerativeAI }) => {
+      const genAI = new GoogleGenerativeAI(apiKey);
+      const generationConfig = Number.isInteger(thinkingBudget)
+        ? { thinkingConfig: { thinkingBudget } }
+        : undefined;
+      return genAI.getGenerativeModel({ model, ...(generationConfig ? { generationConfig } : {}) });
+    });
+    return clientPromise;
+  }
+
+  return {
+    name: 'gemini',
+    model,
+    async generateText(promptParts) {
+      const m = await getModel();
+      const result = await m.generateContent(normalizePromptParts(promptParts));
+      return result.response.text();
+    }
+  };
+}
+
+function createOpenAiProvider({ model }) {
+  const baseUrl = String(process.env.OPENAI_BASE_URL || DEFAULT_OPENAI_BASE_URL).replace(/\/+$/, '');
+  const apiKey = process.env.OPENAI_API_KEY || '';
+  // Local servers rarely know Gemini model names, so allow a separate override.
+  const modelName = process.env.OPENAI_MODEL || model;
+
+  return {
+    name: 'openai',
+    model: modelName,
+    async generateText(promptParts) {
+      const headers = { 'content-type': 'application/json' };
+      if (apiKey) headers.authorization = `Bearer ${apiKey}`;
+
+      const res = await fetch(`${baseUrl}/chat/completions`, {
+        method: 'POST',
+        headers,
+        body: JSON.stringify({
+          model: modelName,
+          messages: [{ role: 'user', content: normalizePromptParts(promptParts).join('\n\n') }]
+        })
+      });
+
+      if (!res.ok) {
+        const body = await res.text().catch(() => '');
+        const err = new Error(`OpenAI-compatible request failed: ${res.status} ${res.statusText} ${body.slice(0, 500)}`.trim());
+        err.status = res.status;
+        throw err;
+      }
+
+      const data = await res.json();
+      const text = data?.choices?.[0]?.message?.content;
+      if (typeof text !== 'string') {
+        throw new Error('OpenAI-compatible response has no choices[0].message.content');
+      }
+      return text;
+    }
+  };
+}
+
+function createFixtureProvider({ model, fixturesDir }) {
+  return {
+    name: 'fixture',
+    model,
+    async generateText(promptParts) {
+      const key = hashPrompt(promptParts);
+      const p = fixturePath(fixturesDir, key);
+      if (!(await fs.pathExists(p))) {
+        const err = new Error(`No recorded fixture for prompt ${key} (looked for ${p}). Record one with LLM_RECORD_FIXTURES=1.`);
+        err.code = 'LLM_FIXTURE_MISSING';
+        throw err;
+      }
+      const fixture = await fs.readJson(p);
+      return String(fixture?.text ?? '');
+    }
+  };
+}
+
+/**
+ * Wraps a live provider so every successful response is written to the fixtures dir.
+ */
+export function withFixtureRecording(provider, fixturesDir = DEFAULT_FIXTURES_DIR) {
+  return {
+    ...provider,
+    async generateText(promptParts) {
+      const text = await provider.generateText(promptParts);
+      const key = hashPrompt(promptParts);
+      await fs.ensureDir(fixturesDir);
+      await fs.writeFile(
+        fixturePath(fixturesDir, key),
+        JSON.stringify({
+          key,
+          provider: provider.name,
+          model: provider.model,
+          recordedAt: new Date().toISOString(),
+          promptChars: normalizePromptParts(promptParts).reduce((n, p) => n + p.length, 0),
+          text
+        }, null, 2),
+        'utf8'
+      );
+      return text;
+    }
+  };
+}
+
+/**
+ * Builds the provider selected by LLM_PROVIDER (or opts.provider).
+ * Throws with a user-facing message when the provider is unknown or misconfigured.
+ */
+export function createProvider(opts = {}) {
+  const name = String(opts.provider || process.env.LLM_PROVIDER || 'gemini').toLowerCase();
+  const fixturesDir = opts.fixturesDir || process.env.LLM_FIXTURES_DIR || DEFAULT_FIXTURES_DIR;
+  const model = opts.model;
+
+  let provider;
+  if (name === 'gemini') provider = createGeminiProvider({ model, thinkingBudget: opts.thinkingBudget });
+  else if (name === 'openai') provider = createOpenAiProvider({ model });
+  else if (name === 'fixture') return createFixtureProvider({ model, fixturesDir });
+  else throw new Error(`Unknown LLM provider "${name}" (expected one of: ${PROVIDER_NAMES.join(', ')})`);
+
+  const record = opts.recordFixtures ?? /^(1|true|yes)$/i.test(process.env.LLM_RECORD_FIXTURES ?? '');
+  return record ? withFixtureRecording(provider, fixturesDir) : provider;
+}
@@ -0,0 +1,84 @@
+/**
+ * Where a Discord message lives: { guildId, guildName, channelId, channelName, url }.
+ *
+ * Split exports carry guild/channel in their header and slim files keep it. The
+ * compendium markdown has only message IDs, so index.js records each inserted message's
+ * source in compendium_versions/message_sources.json (shared by all editions), and
+ * structured entries copy the sources of the messages they cite into `footnoteSources`.
+ */
+
+import fs from 'fs-extra';
+import path from 'path';
+import { ts, writeJsonAtomic } from './pipeline.js';
+
+export const MESSAGE_SOURCES_FILE = 'message_sources.json';
+
+/** https://discord.com/channels/<guild>/<channel>/<message>, or null without guild/channel IDs. */
+export function messageUrl({ guildId, channelId, messageId }) {
+  if (!guildId || !channelId || !messageId) return null;
+  return `https://discord.com/channels/${guildId}/${channelId}/${messageId}`;
+}
+
+/** { guildId, guildName, channelId, channelName } from a split/slim file header, or null. */
+export function sourceFromHeader(data) {
+  const channelId = data?.channel?.id ?? null;
+  if (!channelId) return null;
+  return {
+    guildId: data?.guild?.id ?? null,
+    guildName: data?.guild?.name ?? null,
+    channelId: String(channelId),
+    channelName: data?.channel?.name ?? null
+  };
+}
+
+/** A message's source record: the file header's guild/channel plus its jump URL. */
+export function messageSource(header, messageId) {
+  if (!header) return null;
+  return { ...header, url: messageUrl({ ...header, messageId: String(messageId) }) };
+}
+
+export function messageSourcesPath(compendiumDir) {
+  return path.join(compendiumDir, MESSAGE_SOURCES_FILE);
+}
+
+/** Map of messageId -> source from compendium_versions/message_sources.json (empty when missing). */
+export async function loadMessageSources(compendiumDir) {
+  const file = messageSourcesPath(compendiumDir);
+  if (!(await fs.pathExists(file))) return new Map();
+  const data = await fs.readJson(file);
+  return new Map(Object.entries(data?.sources ?? {}));
+}
+
+export async function saveMessageSources(compendiumDir, sources) {
+  const sorted = [...sources].sort((a, b) => a[0].localeCompare(b[0], undefined, { numeric: true }));
+  await writeJsonAtomic(messageSourcesPath(compendiumDir), {
+    updatedAt: ts(),
+    count: sorted.length,
+    sources: Object.fromEntries(sorted)
+  });
+}
+
+/**
+ * { messageId: source } for every message an entry cites that `sources` knows. Returns
+ * null when none is known, so entries without metadata stay as they were.
+ */
+export function footnoteSources(entry, sources) {
+  const ids = [...new Set(Object.values(entry?.footnotes ?? {}).flat().map(String))];
+  const known = ids.filter(id => sources.has(id)).map(id => [id, sources.get(id)]);
+  return known.length ? Object.fromEntries(known) : null;
+}
+
+/** The entry with `footnoteSources` set from `sources` (unchanged when none is known). */
+export function withFootnoteSources(entry, sources) {
+  const found = footnoteSources(entry, sources);
+  return found ? { ...entry, footnoteSources: found } : entry;
+}
+
+/**
+ * The source of a cited message: the entry's own footnoteSources first, then the
+ * compendium message's (loadCompendiumMessages). Null when neither knows it.
+ */
+export function citedSource(messageId, { entry = null, messages = new Map() } = {}) {
+  const id = String(messageId);
+  return entry?.footnoteSources?.[id] ?? messages.get(id)?.source ?? null;
+}
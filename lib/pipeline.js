@@ -0,0 +1,399 @@
+/**
+ * Shared pipeline helpers: colored logging, JSON extraction from model output
+ * and the retry/repair policy around provider calls.
+ *
+ * Retry knobs (CLI flag wins over env, env wins over default):
+ *   --retry-max-attempts   / RETRY_MAX_ATTEMPTS   (default 30)
+ *   --retry-base-delay-ms  / RETRY_BASE_DELAY_MS  (default 1500)
+ *   --retry-max-delay-ms   / RETRY_MAX_DELAY_MS   (default 120000)
+ * Repair knobs (see generateValidatedJson):
+ *   --max-repairs          / REPAIR_MAX_ATTEMPTS  (default 2)
+ *   --rejects-dir          / REJECTED_RESPONSES_DIR (default ./_rejected_responses)
+ * Provider knob:
+ *   --provider             / LLM_PROVIDER         (see lib/llm-providers.js)
+ * Throughput knobs (see lib/concurrency.js):
+ *   --concurrency / LLM_CONCURRENCY, --rpm / LLM_RPM, --tpm / LLM_TPM
+ */
+
+import fs from 'fs-extra';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+// --- Logging ---
+const COLOR_ENABLED =
+  process.stdout.isTTY &&
+  !process.env.NO_COLOR &&
+  process.env.FORCE_COLOR !== '0';
+
+const ANSI = {
+  reset: '\u001b[0m',
+  dim: '\u001b[2m',
+  bold: '\u001b[1m',
+  red: '\u001b[31m',
+  green: '\u001b[32m',
+  yellow: '\u001b[33m',
+  blue: '\u001b[34m',
+  magenta: '\u001b[35m',
+  cyan: '\u001b[36m',
+  gray: '\u001b[90m'
+};
+
+export function c(text, ...styles) {
+  if (!COLOR_ENABLED) return String(text);
+  const open = styles.map(s => ANSI[s] ?? '').join('');
+  return `${open}${text}${ANSI.reset}`;
+}
+
+export function ts() {
+  return new Date().toISOString();
+}
+
+let infoToStderr = false;
+
+/** Sends INFO lines to stderr, keeping stdout for machine-readable output (--json). */
+export function logToStderr(enabled = true) {
+  infoToStderr = enabled;
+}
+
+export function log(...args) {
+  (infoToStderr ? console.error : console.log)(c(`[${ts()}]`, 'dim'), c('INFO', 'cyan'), ...args);
+}
+
+export function warn(...args) {
+  console.warn(c(`[${ts()}]`, 'dim'), c('WARN', 'yellow', 'bold'), ...args);
+}
+
+export function errorLog(...args) {
+  console.error(c(`[${ts()}]`, 'dim'), c('ERR ', 'red', 'bold'), ...args);
+}
+
+export function approxChars(parts) {
+  if (!Array.isArray(parts)) return String(parts ?? '').length;
+  let total = 0;
+  for (const p of parts) total += String(p ?? '').length;
+  return total;
+}
+
+export function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+/**
+ * Writes JSON via a temp file + rename so a crash never leaves a half-written file.
+ */
+export async function writeJsonAtomic(filePath, obj) {
+  await fs.ensureDir(path.dirname(filePath));
+  const tmp = `${filePath}.${process.pid}.tmp`;
+  await fs.writeFile(tmp, JSON.stringify(obj, null, 2), 'utf8');
+  await fs.rename(tmp, filePath);
+}
+
+// --- JSON extraction ---
+export function stripJsonFences(text) {
+  const t = String(text ?? '').trim();
+  if (t.startsWith('```')) {
+    return t.replace(/^```[a-zA-Z]*\s*/m, '').replace(/```\s*$/m, '').trim();
+  }
+  return t;
+}
+
+/**
+ * Finds the first balanced JSON value starting with `open` ('{' or '[') in text,
+ * skipping over brackets inside strings. Returns the parsed value or undefined.
+ */
+function extractBalancedJson(text, open) {
+  const close = open === '{' ? '}' : ']';
+  for (let start = text.indexOf(open); start >= 0; start = text.indexOf(open, start + 1)) {
+    let depth = 0;
+    let inString = false;
+    let escaped = false;
+    for (let i = start; i < text.length; i++) {
+      const ch = text[i];
+      if (inString) {
+        if (escaped) escaped = false;
+        else if (ch === '\\') escaped = true;
+        else if (ch === '"') inString = false;
+        continue;
+      }
+      if (ch === '"') inString = true;
+      else if (ch === '{' || ch === '[') depth++;
+      else if (ch === '}' || ch === ']') {
+        depth--;
+        if (depth === 0) {
+          if (ch !== close) break;
+          try {
+            return JSON.parse(text.slice(start, i + 1));
+          } catch {
+            break;
+          }
+        }
+      }
+    }
+  }
+  return undefined;
+}
+
+export function tryParseJsonObject(text) {
+  const cleaned = stripJsonFences(text);
+  try {
+    return JSON.parse(cleaned);
+  } catch {
+    const val = extractBalancedJson(cleaned, '{');
+    if (val !== undefined) return val;
+    throw new Error('Could not parse JSON object from model response');
+  }
+}
+
+export function tryParseJsonArray(text) {
+  const cleaned = stripJsonFences(text);
+  try {
+    const val = JSON.parse(cleaned);
+    if (Array.isArray(val)) return val;
+  } catch {
+    // fall through to extraction
+  }
+  const val = extractBalancedJson(cleaned, '[');
+  if (val !== undefined) return val;
+  throw new Error('Could not parse JSON array from model response');
+}
+
+// --- Retry policy ---
+export function getErrorCode(err) {
+  const code =
+    err?.code ??
+    err?.cause?.code ??
+    err?.cause?.errno ??
+    err?.errno ??
+    err?.cause?.cause?.code;
+  return typeof code === 'string' ? code : undefined;
+}
+
+export function getErrorStatus(err) {
+  const status = err?.status ?? err?.cause?.status;
+  return typeof status === 'number' ? status : undefined;
+}
+
+export function isRetryableError(err) {
+  const status = getErrorStatus(err);
+  if (status !== undefined) {
+    if (status === 408 || status === 429) return true;
+    if (status >= 500 && status <= 599) return true;
+  }
+
+  const msg = String(err?.message ?? '');
+  if (/fetch failed/i.test(msg)) return true;
+  if (/socket hang up/i.test(msg)) return true;
+
+  const code = getErrorCode(err);
+  if (!code) return false;
+  return [
+    'ECONNRESET',
+    'ECONNREFUSED',
+    'EAI_AGAIN',
+    'ENOTFOUND',
+    'ETIMEDOUT',
+    'UND_ERR_CONNECT_TIMEOUT',
+    'UND_ERR_HEADERS_TIMEOUT',
+    'UND_ERR_BODY_TIMEOUT',
+    'UND_ERR_SOCKET'
+  ].includes(code);
+}
+
+function positiveIntOr(value, fallback) {
+  const n = Number.parseInt(value ?? '', 10);
+  return Number.isFinite(n) && n > 0 ? n : fallback;
+}
+
+/**
+ * Resolves the retry policy from CLI overrides, then env, then defaults.
+ */
+export function resolveRetryPolicy(overrides = {}) {
+  return {
+    maxAttempts: positiveIntOr(overrides.maxAttempts ?? process.env.RETRY_MAX_ATTEMPTS, 30),
+    baseDelayMs: positiveIntOr(overrides.baseDelayMs ?? process.env.RETRY_BASE_DELAY_MS, 1500),
+    maxDelayMs: positiveIntOr(overrides.maxDelayMs ?? process.env.RETRY_MAX_DELAY_MS, 120000)
+  };
+}
+
+export function resolveRepairPolicy(overrides = {}) {
+  const n = Number.parseInt(overrides.maxRepairs ?? process.env.REPAIR_MAX_ATTEMPTS ?? '', 10);
+  return {
+    maxRepairs: Number.isFinite(n) && n >= 0 ? n : 2,
+    rejectsDir: overrides.rejectsDir || process.env.REJECTED_RESPONSES_DIR || './_rejected_responses'
+  };
+}
+
+/**
+ * Parses the flags every LLM-driven script understands. Script-specific
+ * parsers call this and ignore these flags in their own loop.
+ */
+export function parseCommonArgs(argv) {
+  const common = {
+    provider: null,
+    retry: {},
+    repair: {},
+    concurrency: positiveIntOr(process.env.LLM_CONCURRENCY, 1),
+    rateLimit: {
+      rpm: Math.max(0, Number.parseInt(process.env.LLM_RPM ?? '', 10) || 0),
+      tpm: Math.max(0, Number.parseInt(process.env.LLM_TPM ?? '', 10) || 0)
+    }
+  };
+  for (let i = 0; i < argv.length; i++) {
+    const a = argv[i];
+    const v = argv[i + 1];
+    if (a === '--provider' && v) {
+      common.provider = v;
+      i++;
+    } else if (a === '--retry-max-attempts' && v) {
+      common.retry.maxAttempts = v;
+      i++;
+    } else if (a === '--retry-base-delay-ms' && v) {
+      common.retry.baseDelayMs = v;
+      i++;
+    } else if (a === '--retry-max-delay-ms' && v) {
+      common.retry.maxDelayMs = v;
+      i++;
+    } else if (a === '--max-repairs' && v) {
+      common.repair.maxRepairs = v;
+      i++;
+    } else if (a === '--rejects-dir' && v) {
+      common.repair.rejectsDir = v;
+      i++;
+    } else if (a === '--concurrency' && v) {
+      common.concurrency = positiveIntOr(v, common.concurrency);
+      i++;
+    } else if (a === '--rpm' && v) {
+      common.rateLimit.rpm = Math.max(0, Number.parseInt(v, 10) || 0);
+      i++;
+    } else if (a === '--tpm' && v) {
+      common.rateLimit.tpm = Math.max(0, Number.parseInt(v, 10) || 0);
+      i++;
+    }
+  }
+  common.retry = resolveRetryPolicy(common.retry);
+  common.repair = resolveRepairPolicy(common.repair);
+  return common;
+}
+
+/**
+ * Sends a prompt through the provider, retrying transient failures with
+ * exponential backoff + jitter. Non-retryable errors are rethrown immediately.
+ */
+export async function generateTextWithRetry(provider, promptParts, retry = resolveRetryPolicy()) {
+  const { maxAttempts, baseDelayMs, maxDelayMs } = retry;
+  const modelLabel = `model:${provider.model}`;
+
+  for (let attempt = 1; ; attempt++) {
+    try {
+      const sendSize = approxChars(promptParts);
+      const t0 = Date.now();
+      log(c(`${modelLabel} send`, 'magenta'), `attempt=${attempt}/${maxAttempts}`, `chars≈${sendSize.toLocaleString()}`);
+      const text = await provider.generateText(promptParts);
+      const dt = Date.now() - t0;
+      log(c(`${modelLabel} recv`, 'green'), `ms=${dt}`, `chars=${String(text ?? '').length.toLocaleString()}`);
+      return text;
+    } catch (error) {
+      if (attempt >= maxAttempts) throw error;
+      if (!isRetryableError(error)) throw error;
+
+      const exp = baseDelayMs * Math.pow(2, attempt - 1);
+      const delay = Math.min(maxDelayMs, exp) + Math.floor(Math.random() * 750);
+      const status = getErrorStatus(error);
+      const code = getErrorCode(error);
+      const msg = String(error?.message ?? '').slice(0, 220).replace(/\s+/g, ' ').trim();
+      const bits = [`${modelLabel} retry`, `attempt=${attempt}/${maxAttempts}`];
+      if (status) bits.push(`status=${status}`);
+      if (code) bits.push(`code=${code}`);
+      if (msg) bits.push(`msg="${msg}"`);
+      bits.push(`sleep=${(delay / 1000).toFixed(1)}s`);
+      warn(c(bits.join(' | '), 'yellow'));
+      await sleep(delay);
+    }
+  }
+}
+
+// --- Validation + repair ---
+function buildRepairPrompt(promptParts, rawResponse, errors) {
+  return [
+    ...promptParts,
+    [
+      '# REPAIR REQUEST',
+      'Your previous response did not pass validation against the output format above.',
+      'Validation errors:',
+      ...errors.map(e => `- ${e}`),
+      '',
+      'BEGIN_PREVIOUS_RESPONSE',
+      String(rawResponse ?? ''),
+      'END_PREVIOUS_RESPONSE',
+      '',
+      'Return ONE corrected JSON value that follows the output format exactly.',
+      'Fix every listed error and keep everything else unchanged. No markdown, no code fences, no comments.'
+    ].join('\n')
+  ];
+}
+
+async function logRejectedResponse(rejectsDir, label, round, rawResponse, errors) {
+  const safeLabel = String(label || 'response').replace(/[^a-zA-Z0-9._-]+/g, '_');
+  const file = path.join(rejectsDir, safeLabel, `${ts().replace(/[:.]/g, '-')}_r${round}.json`);
+  await fs.outputFile(file, JSON.stringify({ label, round, errors, raw: rawResponse, rejectedAt: ts() }, null, 2), 'utf8');
+  return file;
+}
+
+/**
+ * Asks the model for JSON, parses it and validates it. Invalid responses are written
+ * to rejectsDir and sent back with their validation errors, up to maxRepairs times.
+ *
+ * parse(raw) -> value; validate(value) -> string[] (empty when valid).
+ * Resolves { value, raw, repairs }; throws an Error with code LLM_RESPONSE_INVALID
+ * and `validationErrors` when the response is still invalid after the last repair.
+ */
+export async function generateValidatedJson(provider, promptParts, {
+  parse,
+  validate,
+  label,
+  retry = resolveRetryPolicy(),
+  repair = resolveRepairPolicy()
+}) {
+  const baseParts = Array.isArray(promptParts) ? promptParts : [promptParts];
+  let parts = baseParts;
+
+  for (let round = 0; ; round++) {
+    const raw = await generateTextWithRetry(provider, parts, retry);
+    let value;
+    let errors;
+    try {
+      value = parse(raw);
+      errors = validate(value);
+    } catch (err) {
+      errors = [`response is not valid JSON: ${err.message}`];
+    }
+    if (errors.length === 0) return { value, raw, repairs: round };
+
+    const rejectedPath = await logRejectedResponse(repair.rejectsDir, label, round, raw, errors);
+    warn(c(`${label ?? 'response'} failed validation`, 'yellow'), `errors=${errors.length}`, `round=${round}/${repair.maxRepairs}`, c(rejectedPath, 'gray'));
+    for (const e of errors.slice(0, 5)) warn(c(`  ${e}`, 'yellow'));
+
+    if (round >= repair.maxRepairs) {
+      const err = new Error(`${label ?? 'Model response'} still invalid after ${round} repair round(s): ${errors[0]}`);
+      err.code = 'LLM_RESPONSE_INVALID';
+      err.validationErrors = errors;
+      throw err;
+    }
+    parts = buildRepairPrompt(baseParts, raw, errors);
+  }
+}
+
+// --- Script entry ---
+/**
+ * True when the module at importMetaUrl is the script node was started with,
+ * so scripts can export their stages and still run standalone. Both sides are
+ * resolved through symlinks: npm runs package bins through one.
+ */
+export function isMainModule(importMetaUrl) {
+  if (!process.argv[1]) return false;
+  try {
+    return fs.realpathSync(process.argv[1]) === fs.realpathSync(fileURLToPath(importMetaUrl));
+  } catch {
+    return path.resolve(process.argv[1]) === fileURLToPath(importMetaUrl);
+  }
+}
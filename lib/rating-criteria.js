@@ -0,0 +1,77 @@
+/**
+ * Rating dimensions for rate-entries.js. The model scores every criterion 0..1000 and
+ * the stored `rating` is their weighted combination, so changing weights only needs
+ * `rate-entries.js --recombine`, not new model calls.
+ *
+ * Weights: DEFAULT_RATING_WEIGHTS, overridden by --weights-file (JSON object) and then
+ * by --weights "practicality=1,timeSensitivity=-0.5". A negative weight penalizes.
+ */
+
+import fs from 'fs-extra';
+
+export const RATING_CRITERIA = [
+  { key: 'curiosity', label: 'Ciekawość', description: 'czy wpis jest fascynujący, odkrywczy, niespodziewany' },
+  { key: 'uniqueness', label: 'Unikalność', description: 'czy informacja jest rzadka, niszowa, trudna do znalezienia gdzie indziej' },
+  { key: 'nonObviousness', label: 'Niebanalność', description: 'czy to coś więcej niż ogólniki — konkretne, nieoczywiste' },
+  { key: 'practicality', label: 'Praktyczność', description: 'czy da się z tego od razu skorzystać w podróży (konkretne miejsca, kroki, ceny)' },
+  { key: 'timeSensitivity', label: 'Ryzyko dezaktualizacji', description: 'jak szybko informacja może się zdezaktualizować: 0 = ponadczasowa, 1000 = ceny, godziny otwarcia, wydarzenia czasowe' },
+  { key: 'otakuSpecificity', label: 'Otaku', description: 'na ile wpis dotyczy anime, mangi, gier i kolekcjonerstwa: 0 = ogólny, 1000 = tylko dla otaku' }
+];
+
+export const RATING_CRITERIA_KEYS = RATING_CRITERIA.map(c => c.key);
+
+export const DEFAULT_RATING_WEIGHTS = {
+  curiosity: 1,
+  uniqueness: 1,
+  nonObviousness: 1,
+  practicality: 0.5,
+  timeSensitivity: -0.25,
+  otakuSpecificity: 0
+};
+
+/** "a=1,b=-0.5" -> { a: 1, b: -0.5 }; unknown criteria or bad numbers throw. */
+export function parseWeights(spec) {
+  const out = {};
+  for (const part of String(spec ?? '').split(',').map(s => s.trim()).filter(Boolean)) {
+    const [key, raw] = part.split('=').map(s => s.trim());
+    const value = Number(raw);
+    if (!RATING_CRITERIA_KEYS.includes(key)) throw new Error(`Unknown rating criterion "${key}" (expected ${RATING_CRITERIA_KEYS.join(', ')})`);
+    if (raw === undefined || raw === '' || !Number.isFinite(value)) throw new Error(`Bad weight for ${key}: ${JSON.stringify(raw)}`);
+    out[key] = value;
+  }
+  return out;
+}
+
+export async function resolveWeights({ weights = null, weightsFile = null } = {}) {
+  let fromFile = {};
+  if (weightsFile) {
+    const raw = await fs.readJson(weightsFile);
+    fromFile = parseWeights(Object.entries(raw ?? {}).map(([k, v]) => `${k}=${v}`).join(','));
+  }
+  const merged = { ...DEFAULT_RATING_WEIGHTS, ...fromFile, ...parseWeights(weights) };
+  if (!Object.values(merged).some(w => w > 0)) throw new Error('At least one rating weight must be positive.');
+  return merged;
+}
+
+/**
+ * Weighted combination of criterion scores, 0..1000: positive weights form a weighted
+ * mean, negative weights subtract their share of the same scale.
+ */
+export function combineRating(scores, weights = DEFAULT_RATING_WEIGHTS) {
+  const positive = Object.values(weights).filter(w => w > 0).reduce((a, b) => a + b, 0);
+  let sum = 0;
+  for (const key of RATING_CRITERIA_KEYS) {
+    const w = weights[key] ?? 0;
+    if (w !== 0 && typeof scores?.[key] === 'number') sum += w * scores[key];
+  }
+  return Math.round(Math.max(0, Math.min(1000, sum / positive)));
+}
+
+/**
+ * A ratings-state value as { rating, breakdown?, justification? }; older states stored
+ * just the number.
+ */
+export function normalizeStateRating(value) {
+  if (typeof value === 'number') return { rating: value };
+  return value && typeof value.rating === 'number' ? value : null;
+}
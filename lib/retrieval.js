@@ -0,0 +1,202 @@
+/**
+ * Local lexical retrieval over the compendium: structured entries, the raw compendium
+ * messages they were built from and the slim chat exports behind those, ranked with
+ * BM25. Everything runs in memory; there is no external service and nothing to keep in sync.
+ */
+
+import fs from 'fs-extra';
+import path from 'path';
+import { glob } from 'glob';
+import { formatMediaMarkers } from './attachments.js';
+import { SOURCE_DIRS } from './compendium.js';
+import { messageSource, sourceFromHeader } from './message-sources.js';
+import { messageBody } from './topics.js';
+
+const STOPWORDS = new Set([
+  // Polish
+  'a', 'aby', 'ale', 'bo', 'by', 'byc', 'co', 'czy', 'dla', 'do', 'gdzie', 'i', 'ich', 'ile', 'jak', 'jaki', 'jakie',
+  'jest', 'jestem', 'je', 'juz', 'ktory', 'ktora', 'ktore', 'lub', 'ma', 'mi', 'mam', 'mnie', 'na', 'nie', 'o', 'od',
+  'oraz', 'po', 'pod', 'przez', 'przy', 'sa', 'sie', 'sobie', 'ta', 'tak', 'tam', 'te', 'tego', 'to', 'tu', 'w', 'we',
+  'z', 'za', 'ze', 'zeby',
+  // English
+  'an', 'and', 'are', 'as', 'at', 'be', 'can', 'do', 'for', 'from', 'how', 'in', 'is', 'it', 'of', 'on', 'or',
+  'the', 'to', 'what', 'where', 'which', 'with', 'worth'
+]);
+
+// Polish inflection endings (diacritics already folded), longest first.
+const POLISH_SUFFIXES = [
+  'owania', 'owanie', 'aniem', 'eniem', 'owac', 'ania', 'anie', 'enie', 'enia', 'ami', 'ach', 'ych', 'ich', 'ymi',
+  'imi', 'owi', 'owie', 'iem', 'ego', 'emu', 'om', 'ow', 'ej', 'ac', 'ic', 'yc', 'ie', 'ia', 'iu', 'ym', 'im',
+  'a', 'e', 'i', 'o', 'u', 'y'
+].sort((a, b) => b.length - a.length);
+
+/**
+ * Light Polish stemmer: strips the longest inflection ending that leaves at least three
+ * letters, so "stacji", "stacjach" and "stacja" all become "stacj". Tokens with digits
+ * or non-Latin letters are returned unchanged.
+ */
+export function stemPolish(token) {
+  const t = String(token ?? '');
+  if (!/^[a-z]+$/.test(t)) return t;
+  for (const suffix of POLISH_SUFFIXES) {
+    if (t.length - suffix.length >= 3 && t.endsWith(suffix)) return t.slice(0, -suffix.length);
+  }
+  return t;
+}
+
+/** Lowercase and fold diacritics ("ł" -> "l"). */
+export function foldText(text) {
+  return String(text ?? '')
+    .toLowerCase()
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .replace(/\u0142/g, 'l');
+}
+
+/**
+ * Folded text split on anything but letters/digits, stopwords dropped and (unless
+ * `stem: false`) stemmed with stemPolish.
+ */
+export function tokenize(text, { stem = true } = {}) {
+  const tokens = foldText(text)
+    .split(/[^\p{L}\p{N}]+/u)
+    .filter(t => t.length > 1 && !STOPWORDS.has(t));
+  return stem ? tokens.map(stemPolish) : tokens;
+}
+
+/**
+ * BM25 index over [{ id, text, ... }]. Documents are kept as given; `search` returns
+ * them with their scores.
+ */
+export function createBm25Index(docs, { k1 = 1.2, b = 0.75, tokenizer = tokenize } = {}) {
+  const postings = new Map();
+  const lengths = [];
+  docs.forEach((doc, i) => {
+    const tokens = tokenizer(doc.text);
+    lengths.push(tokens.length);
+    const tf = new Map();
+    for (const t of tokens) tf.set(t, (tf.get(t) ?? 0) + 1);
+    for (const [t, n] of tf) {
+      if (!postings.has(t)) postings.set(t, []);
+      postings.get(t).push([i, n]);
+    }
+  });
+  const avgdl = lengths.reduce((a, n) => a + n, 0) / (lengths.length || 1);
+  return { docs, postings, lengths, avgdl, k1, b, tokenizer };
+}
+
+function idf(index, term) {
+  const df = index.postings.get(term)?.length ?? 0;
+  return Math.log(1 + (index.docs.length - df + 0.5) / (df + 0.5));
+}
+
+/**
+ * Top documents for a query: [{ doc, score, matched: [terms] }], best first. Documents
+ * below `minScore` or matching no query term are left out.
+ */
+export function searchIndex(index, query, { limit = 10, minScore = 0, filter = null } = {}) {
+  const terms = [...new Set(index.tokenizer(query))];
+  const scores = new Map();
+  const matched = new Map();
+  for (const term of terms) {
+    const w = idf(index, term);
+    for (const [i, tf] of index.postings.get(term) ?? []) {
+      const norm = tf + index.k1 * (1 - index.b + index.b * (index.lengths[i] / (index.avgdl || 1)));
+      scores.set(i, (scores.get(i) ?? 0) + w * ((tf * (index.k1 + 1)) / norm));
+      matched.set(i, [...(matched.get(i) ?? []), term]);
+    }
+  }
+  return [...scores]
+    .filter(([i, score]) => score >= minScore && (!filter || filter(index.docs[i])))
+    .sort((x, y) => y[1] - x[1] || x[0] - y[0])
+    .slice(0, limit)
+    .map(([i, score]) => ({ doc: index.docs[i], score, matched: matched.get(i) }));
+}
+
+/**
+ * Reads the slim exports (<dir>/slim/**\/*.json) into a Map of messageId ->
+ * { messageId, author, date, timestamp, content, replyTo, attachments, embeds, source, slimFile, splitFile }.
+ * `splitFile` is the split export the slim file was made from (paths relative to `root`);
+ * `source` is the guild/channel/URL record of lib/message-sources.js, null for slim
+ * files without a header.
+ */
+export async function loadSlimMessages({ root = '.', sourceDirs = SOURCE_DIRS } = {}) {
+  const messages = new Map();
+  for (const dir of sourceDirs) {
+    const files = (await glob(`${dir}/slim/**/*.json`, { cwd: root, posix: true })).sort();
+    for (const slimFile of files) {
+      let data;
+      try {
+        data = await fs.readJson(path.join(root, slimFile));
+      } catch {
+        continue;
+      }
+      const splitFile = slimFile.replace('/slim/', '/split/');
+      const header = sourceFromHeader(data);
+      for (const msg of Array.isArray(data?.messages) ? data.messages : []) {
+        if (!msg?.id) continue;
+        const timestamp = typeof msg.timestamp === 'string' ? msg.timestamp : null;
+        messages.set(String(msg.id), {
+          messageId: String(msg.id),
+          author: msg.author ?? null,
+          date: timestamp ? timestamp.slice(0, 10) : null,
+          timestamp,
+          content: typeof msg.content === 'string' ? msg.content : '',
+          replyTo: msg.replyTo ?? null,
+          attachments: Array.isArray(msg.attachments) ? msg.attachments : [],
+          embeds: Array.isArray(msg.embeds) ? msg.embeds : [],
+          source: messageSource(header, msg.id),
+          slimFile,
+          splitFile
+        });
+      }
+    }
+  }
+  return messages;
+}
+
+/**
+ * Retrieval documents for one edition:
+ *   { id: 'entry:<entryId>', kind: 'entry', text, topic, entry, messageIds, section, type, rating }
+ *   { id: 'msg:<messageId>', kind: 'message', text, message, slim, messageIds: [messageId], section, author, date }
+ * Entries are indexed with their topic title. A message is indexed once, with its
+ * compendium body when the compendium has it and its slim export content otherwise;
+ * `message` / `slim` are null when that side does not know it.
+ */
+export function buildCompendiumDocuments(topics, messages = new Map(), slimMessages = new Map()) {
+  const docs = [];
+  for (const topic of topics) {
+    for (const entry of topic.entries) {
+      const messageIds = [...new Set(Object.values(entry?.footnotes ?? {}).flat().map(String))];
+      docs.push({
+        id: `entry:${entry.entryId}`,
+        kind: 'entry',
+        text: `${topic.title}\n${String(entry?.text ?? '').replace(/\[\d+\]/g, '')}`,
+        topic: { slug: topic.slug, title: topic.title },
+        entry,
+        messageIds,
+        section: topic.title,
+        type: entry?.type ?? null,
+        rating: typeof entry?.rating === 'number' ? entry.rating : null
+      });
+    }
+  }
+  for (const messageId of new Set([...messages.keys(), ...slimMessages.keys()])) {
+    const message = messages.get(messageId) ?? null;
+    const slim = slimMessages.get(messageId) ?? null;
+    const body = message ? messageBody(message) : [String(slim?.content ?? '').trim(), formatMediaMarkers(slim)].filter(Boolean).join(' ');
+    if (!body) continue;
+    docs.push({
+      id: `msg:${messageId}`,
+      kind: 'message',
+      text: body,
+      message,
+      slim,
+      messageIds: [messageId],
+      section: message?.section ?? null,
+      author: message?.author ?? slim?.author ?? null,
+      date: message?.date ?? slim?.date ?? null
+    });
+  }
+  return docs;
+}
@@ -0,0 +1,315 @@
+/**
+ * Strict validators for the JSON the model returns in each stage.
+ *
+ * Every validator returns a list of human-readable errors ("operations[3].category: ...").
+ * An empty list means the response is valid. The errors are also what we send back
+ * to the model in the repair prompt, so keep them short and concrete.
+ */
+
+export const COMPENDIUM_CATEGORIES = [
+  '## Transport & Logistics',
+  '## Connectivity',
+  '## Otaku: Shopping & Goods',
+  '## Otaku: Arcades & Rhythm Games',
+  '## Otaku: Events, Raves & Idols',
+  '## Otaku: Themed Cafes',
+  '## Food & Dining (Jedzenie)',
+  '## Accommodation (Noclegi)',
+  '## Sightseeing',
+  '## Shopping (General/Fashion)',
+  '## Money & Budget',
+  '## Seasonal',
+  '## Cultural Etiquette & Tips'
+];
+
+export const ENTRY_TYPES = ['tip', 'warning', 'price', 'rule', 'route', 'recommendation', 'info', 'other'];
+
+const MAX_ERRORS = 50;
+
+function isPlainObject(v) {
+  return v !== null && typeof v === 'object' && !Array.isArray(v);
+}
+
+function isNonEmptyString(v) {
+  return typeof v === 'string' && v.trim().length > 0;
+}
+
+function describe(v) {
+  if (v === null) return 'null';
+  if (Array.isArray(v)) return 'array';
+  return typeof v;
+}
+
+function checkMessageId(errors, where, value, knownIds) {
+  if (!isNonEmptyString(value)) {
+    errors.push(`${where}: messageId is required and must be a non-empty string (got ${describe(value)})`);
+    return;
+  }
+  if (knownIds && !knownIds.has(value.trim())) {
+    errors.push(`${where}: messageId "${value}" is not one of the provided messages`);
+  }
+}
+
+function footnoteMarkers(text) {
+  return String(text ?? '').match(/\[\d+\]/g) ?? [];
+}
+
+function capErrors(errors) {
+  if (errors.length <= MAX_ERRORS) return errors;
+  return [...errors.slice(0, MAX_ERRORS), `... and ${errors.length - MAX_ERRORS} more error(s)`];
+}
+
+/**
+ * Shared shape of the [{ id, ... }] responses: every item an object whose id was sent,
+ * no id twice, none left out ("missing <what> for id(s): ..."). `checkItem(errors, where,
+ * item, id)` adds the errors of the item's other fields.
+ */
+function validateIdItems(value, { ids, what, checkItem }) {
+  const errors = [];
+  if (!Array.isArray(value)) return [`root: expected an array, got ${describe(value)}`];
+
+  const expected = ids ? new Set(Array.from(ids, String)) : null;
+  const seen = new Set();
+  value.forEach((item, i) => {
+    const where = `[${i}]`;
+    if (!isPlainObject(item)) {
+      errors.push(`${where}: expected an object, got ${describe(item)}`);
+      return;
+    }
+    const id = item.id === undefined || item.id === null ? '' : String(item.id);
+    if (!id) errors.push(`${where}.id: required`);
+    else if (expected && !expected.has(id)) errors.push(`${where}.id: "${id}" was not in the input`);
+    else if (seen.has(id)) errors.push(`${where}.id: duplicate "${id}"`);
+    seen.add(id);
+
+    checkItem(errors, where, item, id);
+  });
+
+  if (expected) {
+    const missing = [...expected].filter(id => !seen.has(id));
+    if (missing.length) errors.push(`missing ${what} for id(s): ${missing.slice(0, 20).join(', ')}${missing.length > 20 ? ', ...' : ''}`);
+  }
+
+  return capErrors(errors);
+}
+
+/**
+ * index.js response: { operations: [{ messageId, category, position }], notes? }
+ */
+export function validateOperationsResponse(value, { messageIds = null } = {}) {
+  const errors = [];
+  if (!isPlainObject(value)) return [`root: expected an object, got ${describe(value)}`];
+  if (!Array.isArray(value.operations)) return ['operations: required array is missing'];
+  if (value.notes !== undefined && value.notes !== null && typeof value.notes !== 'string') {
+    errors.push(`notes: expected a string, got ${describe(value.notes)}`);
+  }
+
+  const known = messageIds ? new Set(Array.from(messageIds, String)) : null;
+  const seen = new Set();
+  value.operations.forEach((op, i) => {
+    const where = `operations[${i}]`;
+    if (!isPlainObject(op)) {
+      errors.push(`${where}: expected an object, got ${describe(op)}`);
+      return;
+    }
+    checkMessageId(errors, where, op.messageId, known);
+    if (isNonEmptyString(op.messageId)) {
+      if (seen.has(op.messageId.trim())) errors.push(`${where}: duplicate messageId "${op.messageId}"`);
+      seen.add(op.messageId.trim());
+    }
+    if (!COMPENDIUM_CATEGORIES.includes(String(op.category ?? '').trim())) {
+      errors.push(`${where}: category "${op.category}" is not one of the allowed categories`);
+    }
+    const pos = op.position;
+    const posOk =
+      pos === 'append' ||
+      pos === 'prepend' ||
+      (isPlainObject(pos) && (isNonEmptyString(pos.afterId) || isNonEmptyString(pos.beforeId)));
+    if (!posOk) errors.push(`${where}: position must be "append", "prepend", { "afterId": "..." } or { "beforeId": "..." }`);
+  });
+
+  return capErrors(errors);
+}
+
+/**
+ * structure-compendium-topics.js response: { entries: [{ entryId, type, text, citationInserts }] }
+ */
+export function validateStructureResponse(value, { messageIds = null } = {}) {
+  const errors = [];
+  if (!isPlainObject(value)) return [`root: expected an object, got ${describe(value)}`];
+  if (!Array.isArray(value.entries)) return ['entries: required array is missing'];
+
+  const known = messageIds ? new Set(Array.from(messageIds, String)) : null;
+  value.entries.forEach((entry, i) => {
+    const where = `entries[${i}]`;
+    if (!isPlainObject(entry)) {
+      errors.push(`${where}: expected an object, got ${describe(entry)}`);
+      return;
+    }
+    if (entry.entryId !== undefined && !isNonEmptyString(entry.entryId)) {
+      errors.push(`${where}.entryId: expected a non-empty string`);
+    }
+    if (!ENTRY_TYPES.includes(entry.type)) {
+      errors.push(`${where}.type: "${entry.type}" is not one of ${ENTRY_TYPES.join('|')}`);
+    }
+    if (!isNonEmptyString(entry.text)) {
+      errors.push(`${where}.text: required non-empty string`);
+      return;
+    }
+
+    const inserts = entry.citationInserts;
+    if (!Array.isArray(inserts) || inserts.length === 0) {
+      errors.push(`${where}.citationInserts: at least one citation is required`);
+      return;
+    }
+    inserts.forEach((ins, j) => {
+      const w = `${where}.citationInserts[${j}]`;
+      if (!isPlainObject(ins)) {
+        errors.push(`${w}: expected an object, got ${describe(ins)}`);
+        return;
+      }
+      if (!Number.isInteger(ins.atChar)) {
+        errors.push(`${w}.atChar: expected an integer, got ${JSON.stringify(ins.atChar)}`);
+      } else if (ins.atChar < 0 || ins.atChar > entry.text.length) {
+        errors.push(`${w}.atChar: ${ins.atChar} is outside the text (0..${entry.text.length})`);
+      }
+      if (!Array.isArray(ins.sources) || ins.sources.length === 0) {
+        errors.push(`${w}.sources: at least one source is required`);
+        return;
+      }
+      ins.sources.forEach((src, k) => {
+        if (!isPlainObject(src)) {
+          errors.push(`${w}.sources[${k}]: expected an object, got ${describe(src)}`);
+          return;
+        }
+        checkMessageId(errors, `${w}.sources[${k}]`, src.messageId, known);
+      });
+    });
+  });
+
+  return capErrors(errors);
+}
+
+/**
+ * rate-entries.js response: [{ id, rating }] covering every id that was sent.
+ * With `criteria` (list of keys) it is [{ id, scores: { <key>: 0..1000 }, justification }]
+ * instead, and `rating` is not expected.
+ */
+export function validateRatingResponse(value, { ids = null, criteria = null } = {}) {
+  return validateIdItems(value, {
+    ids,
+    what: 'ratings',
+    checkItem: (errors, where, item) => {
+      if (criteria) {
+        if (!isPlainObject(item.scores)) {
+          errors.push(`${where}.scores: expected an object, got ${describe(item.scores)}`);
+        } else {
+          for (const key of criteria) {
+            const v = item.scores[key];
+            if (!Number.isInteger(v) || v < 0 || v > 1000) errors.push(`${where}.scores.${key}: expected an integer 0..1000, got ${JSON.stringify(v)}`);
+          }
+        }
+        if (item.justification !== undefined && typeof item.justification !== 'string') {
+          errors.push(`${where}.justification: expected a string, got ${describe(item.justification)}`);
+        }
+      } else if (!Number.isInteger(item.rating) || item.rating < 0 || item.rating > 1000) {
+        errors.push(`${where}.rating: expected an integer 0..1000, got ${JSON.stringify(item.rating)}`);
+      }
+    }
+  });
+}
+
+export const VERIFICATION_VERDICTS = ['supported', 'unsupported', 'contradicted'];
+
+/**
+ * verify-citations.js model judgment: [{ id, verdict, reason }], one per claim sent.
+ */
+export function validateVerificationResponse(value, { ids = null } = {}) {
+  return validateIdItems(value, {
+    ids,
+    what: 'verdicts',
+    checkItem: (errors, where, item) => {
+      if (!VERIFICATION_VERDICTS.includes(item.verdict)) {
+        errors.push(`${where}.verdict: expected one of ${VERIFICATION_VERDICTS.join('|')}, got ${JSON.stringify(item.verdict)}`);
+      }
+      if (item.reason !== undefined && typeof item.reason !== 'string') {
+        errors.push(`${where}.reason: expected a string, got ${describe(item.reason)}`);
+      }
+    }
+  });
+}
+
+/**
+ * rate-entries.js --calibrate pairwise comparisons: [{ id, winner: 'a' | 'b' }], one per pair.
+ */
+export function validatePairwiseResponse(value, { ids = null } = {}) {
+  return validateIdItems(value, {
+    ids,
+    what: 'comparisons',
+    checkItem: (errors, where, item) => {
+      const winner = typeof item.winner === 'string' ? item.winner.toLowerCase() : item.winner;
+      if (winner !== 'a' && winner !== 'b') {
+        errors.push(`${where}.winner: expected "a" or "b", got ${JSON.stringify(item.winner)}`);
+      }
+    }
+  });
+}
+
+/**
+ * translate-topics.js response: [{ id, text }], one per input item. With `sources`
+ * ({ id: source text }) every translation must carry the same [n] markers in the same order.
+ */
+export function validateTranslationResponse(value, { ids = null, sources = null } = {}) {
+  return validateIdItems(value, {
+    ids,
+    what: 'translations',
+    checkItem: (errors, where, item, id) => {
+      if (!isNonEmptyString(item.text)) {
+        errors.push(`${where}.text: expected a non-empty string, got ${describe(item.text)}`);
+        return;
+      }
+      const source = sources?.[id];
+      if (typeof source === 'string') {
+        const want = footnoteMarkers(source).join('');
+        const got = footnoteMarkers(item.text).join('');
+        if (want !== got) errors.push(`${where}.text: footnote markers must be ${want || '(none)'} in this order, got ${got || '(none)'}`);
+      }
+    }
+  });
+}
+
+/**
+ * ask.js response: { refused: false, sentences: [{ text, sources: [messageId, ...] }] }
+ * with at least one source per sentence, or { refused: true, reason } when the provided
+ * material does not answer the question.
+ */
+export function validateAnswerResponse(value, { messageIds = null } = {}) {
+  const errors = [];
+  if (!isPlainObject(value)) return [`root: expected an object, got ${describe(value)}`];
+  if (typeof value.refused !== 'boolean') errors.push(`refused: expected true or false, got ${describe(value.refused)}`);
+  if (value.refused === true) {
+    if (value.reason !== undefined && typeof value.reason !== 'string') errors.push(`reason: expected a string, got ${describe(value.reason)}`);
+    return capErrors(errors);
+  }
+  if (!Array.isArray(value.sentences) || value.sentences.length === 0) {
+    errors.push(`sentences: expected a non-empty array, got ${describe(value.sentences)}`);
+    return capErrors(errors);
+  }
+
+  const known = messageIds ? new Set(Array.from(messageIds, String)) : null;
+  value.sentences.forEach((s, i) => {
+    const where = `sentences[${i}]`;
+    if (!isPlainObject(s)) {
+      errors.push(`${where}: expected an object, got ${describe(s)}`);
+      return;
+    }
+    if (!isNonEmptyString(s.text)) errors.push(`${where}.text: expected a non-empty string, got ${describe(s.text)}`);
+    if (!Array.isArray(s.sources) || s.sources.length === 0) {
+      errors.push(`${where}.sources: every sentence must cite at least one messageId`);
+      return;
+    }
+    s.sources.forEach((id, j) => checkMessageId(errors, `${where}.sources[${j}]`, id, known));
+  });
+
+  return capErrors(errors);
+}
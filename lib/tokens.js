@@ -0,0 +1,15 @@
+/**
+ * Local token estimation, good enough for budgeting requests without calling
+ * the provider's count-tokens endpoint. Errs on the high side.
+ */
+
+// Hiragana, katakana, CJK ideographs, halfwidth/fullwidth forms: roughly one token per char.
+const WIDE_CHAR = /[\u3040-\u30ff\u3400-\u4dbf\u4e00-\u9fff\uf900-\ufaff\uff00-\uffef]/g;
+
+export function estimateTokens(text) {
+  const s = String(text ?? '');
+  if (!s) return 0;
+  const wide = (s.match(WIDE_CHAR) || []).length;
+  // ~3.5 chars per token for Polish/English mixed with JSON punctuation.
+  return wide + Math.ceil((s.length - wide) / 3.5);
+}
@@ -0,0 +1,164 @@
+/**
+ * Read side of the structured topics: which edition to use, its topic files and the
+ * compendium messages their footnotes cite. Shared by the renderers/exporters.
+ *
+ * Layout (written by structure-compendium-topics.js):
+ *   structured_topics/compendium_N/<slug>.json   { entries: [{ entryId, type, text, footnotes, footnoteSources?, rating? }] }
+ *   structured_topics/compendium_N_state.json    { source: { compendiumPath }, topicOrder: [{ header, slug }] }
+ */
+
+import fs from 'fs-extra';
+import path from 'path';
+import { glob } from 'glob';
+import { parseCompendiumMessages } from './compendium.js';
+import { loadMessageSources } from './message-sources.js';
+import { ENTRY_TYPES } from './schemas.js';
+
+export const ENTRY_TYPE_LABELS = {
+  tip: 'Porady',
+  warning: 'Ostrzeżenia',
+  price: 'Ceny',
+  rule: 'Zasady',
+  route: 'Trasy',
+  recommendation: 'Polecane',
+  info: 'Informacje',
+  other: 'Inne'
+};
+
+export function entryTypeLabel(type) {
+  return ENTRY_TYPE_LABELS[type] ?? String(type);
+}
+
+/** Known types in ENTRY_TYPES order first, anything else alphabetically after. */
+export function compareEntryTypes(a, b) {
+  const ia = ENTRY_TYPES.indexOf(a);
+  const ib = ENTRY_TYPES.indexOf(b);
+  if (ia !== -1 || ib !== -1) return (ia === -1 ? Infinity : ia) - (ib === -1 ? Infinity : ib);
+  return String(a).localeCompare(String(b));
+}
+
+/** Editions that have a topics directory, ascending. */
+export async function listEditions(topicsDir) {
+  const dirs = await glob(path.join(topicsDir, 'compendium_*/').replace(/\\/g, '/'));
+  return dirs
+    .map(d => path.basename(d).match(/^compendium_(\d+)$/))
+    .filter(Boolean)
+    .map(m => Number.parseInt(m[1], 10))
+    .sort((a, b) => a - b);
+}
+
+/**
+ * Picks the edition (the newest one unless `edition` is given) and reads its state file.
+ * The compendium path comes from the state, falling back to compendiumDir.
+ */
+export async function resolveEdition({ topicsDir = './structured_topics', compendiumDir = './compendium_versions', edition = null } = {}) {
+  const editions = await listEditions(topicsDir);
+  const chosen = edition ?? editions[editions.length - 1] ?? null;
+  if (chosen === null || !editions.includes(chosen)) {
+    throw new Error(edition === null
+      ? `No structured topics found in ${topicsDir}`
+      : `Edition ${edition} not found in ${topicsDir} (have: ${editions.join(', ') || 'none'})`);
+  }
+
+  const statePath = path.join(topicsDir, `compendium_${chosen}_state.json`);
+  const state = (await fs.pathExists(statePath)) ? await fs.readJson(statePath) : null;
+
+  const candidates = [
+    state?.source?.compendiumPath,
+    path.join(compendiumDir, `compendium_${String(chosen).padStart(3, '0')}.md`),
+    path.join(compendiumDir, `compendium_${chosen}.md`)
+  ].filter(Boolean);
+  let compendiumPath = null;
+  for (const p of candidates) {
+    if (await fs.pathExists(p)) {
+      compendiumPath = p;
+      break;
+    }
+  }
+
+  return { edition: chosen, topicsRoot: path.join(topicsDir, `compendium_${chosen}`), statePath, state, compendiumPath };
+}
+
+function titleFromSlug(slug) {
+  const words = String(slug).split('-').filter(Boolean);
+  const s = words.join(' ');
+  return s ? s[0].toUpperCase() + s.slice(1) : String(slug);
+}
+
+/**
+ * Loads every topic file of a resolved edition, in compendium topic order (topics the
+ * state does not know, e.g. merged files, go last by slug).
+ * Returns [{ slug, title, file, entries }].
+ */
+export async function loadTopics({ topicsRoot, state }) {
+  const headerBySlug = new Map((state?.topicOrder ?? []).map(t => [t.slug, String(t.header).replace(/^##\s*/, '')]));
+  const order = [...headerBySlug.keys()];
+
+  const files = await glob(path.join(topicsRoot, '*.json').replace(/\\/g, '/'));
+  const topics = [];
+  for (const file of files) {
+    const slug = path.basename(file, '.json');
+    const data = await fs.readJson(file);
+    topics.push({
+      slug,
+      title: headerBySlug.get(slug) ?? titleFromSlug(slug),
+      file,
+      entries: Array.isArray(data?.entries) ? data.entries : []
+    });
+  }
+
+  const rank = slug => (order.includes(slug) ? order.indexOf(slug) : Infinity);
+  return topics.sort((a, b) => rank(a.slug) - rank(b.slug) || a.slug.localeCompare(b.slug));
+}
+
+/**
+ * --topic filters: a topic matches when a filter equals its slug (or "<slug>.json") or
+ * is contained in its title, case-insensitively. No filters match everything.
+ */
+export function topicMatches(topic, filters) {
+  const list = (Array.isArray(filters) ? filters : [filters]).filter(Boolean).map(f => String(f).toLowerCase());
+  if (list.length === 0) return true;
+  const slug = topic.slug.toLowerCase();
+  return list.some(q => slug === q || `${slug}.json` === q || String(topic.title ?? '').toLowerCase().includes(q));
+}
+
+/**
+ * Map of messageId -> parsed compendium message ({ date, author, raw, source, ... }).
+ * `source` ({ guildId, channelId, channelName, url, ... }) comes from the
+ * message_sources.json next to the markdown and is null for messages it lacks.
+ */
+export async function loadCompendiumMessages(compendiumPath) {
+  if (!compendiumPath) return new Map();
+  const messages = parseCompendiumMessages(await fs.readFile(compendiumPath, 'utf8'));
+  const sources = await loadMessageSources(path.dirname(compendiumPath));
+  return new Map(messages.map(m => [m.messageId, { ...m, source: sources.get(m.messageId) ?? null }]));
+}
+
+/**
+ * The message text without its "[date] [author]" header and reply quote lines.
+ */
+export function messageBody(msg) {
+  const lines = String(msg?.raw ?? '').split('\n').filter(l => !l.trimStart().startsWith('>'));
+  return lines.join('\n').replace(/^\[\d{4}-\d{2}-\d{2}\]\s+\[[^\]]+\]\s*/, '').trim();
+}
+
+/**
+ * Splits entry text on its [n] footnote markers:
+ *   "Foo.[1][2] Bar" -> [{ text: 'Foo.' }, { ref: '1' }, { ref: '2' }, { text: ' Bar' }]
+ * Only numbers present in `footnotes` count as markers.
+ */
+export function splitFootnoteMarkers(text, footnotes = {}) {
+  const parts = [];
+  const re = /\[(\d+)\]/g;
+  let last = 0;
+  let m;
+  const s = String(text ?? '');
+  while ((m = re.exec(s))) {
+    if (!Object.hasOwn(footnotes, m[1])) continue;
+    if (m.index > last) parts.push({ text: s.slice(last, m.index) });
+    parts.push({ ref: m[1] });
+    last = m.index + m[0].length;
+  }
+  if (last < s.length) parts.push({ text: s.slice(last) });
+  return parts;
+}
@@ -1,92 +1,374 @@
 #!/usr/bin/env node
 /**
- * Merges JSON topic files in groups and renumbers entryIds to be continuous.
- * Usage: node merge-structured-topics.js
+ * Folds alias topic files into their target topic, driven by topic-aliases.json:
+ *   { "<target slug>": ["<alias slug>", ...], ... }
+ *
+ * Entries keep their content-addressed entryIds (lib/entry-ids.js), which cannot collide
+ * across topics. Legacy IDs ("3:e1") from an alias file get an "<alias slug>:" prefix
+ * instead. Alias files are moved to a backup dir, every old -> new entryId goes into
+ * compendium_N_merge_map.json, and renamed IDs are re-keyed in the rate-entries state.
+ * Translations (compendium_N/<lang>/<alias>.json) are folded into the target's with the
+ * same IDs and moved to the backup; dedupe proposals and calibration state, which name
+ * entries by topic and old ID, are moved to the backup too, so the next dedupe and
+ * --calibrate runs start from the merged topics.
+ *
+ * Usage:
+ *   node merge-structured-topics.js [--edition N] [--config topic-aliases.json]   dry run
+ *   node merge-structured-topics.js --apply
+ *   node merge-structured-topics.js --suggest [--save-suggestions]   aliases by slug similarity
+ *
+ * The newest edition in --topics-dir is used unless --edition is given. --topic slug
+ * (repeatable, comma-separated) limits --apply to groups whose target or an alias matches.
  */
 
-import { readFileSync, writeFileSync, unlinkSync } from 'fs';
-import { join, dirname } from 'path';
-import { fileURLToPath } from 'url';
-
-const __dirname = dirname(fileURLToPath(import.meta.url));
-const BASE = join(__dirname, 'structured_topics', 'compendium_931');
-
-const GROUPS = [
-  {
-    name: 'A',
-    files: ['accommodation-noclegi.json', 'accommodation.json'],
-    output: 'accommodation.json',
-  },
-  {
-    name: 'B',
-    files: [
-      'general-protips-travel-hacks-life-hacks.json',
-      'general-protips-travel-hacks.json',
-      'general-protips.json',
-    ],
-    output: 'general-protips.json',
-  },
-  {
-    name: 'C',
-    files: ['shopping-general-fashion.json', 'shopping-general.json'],
-    output: 'shopping-general.json',
-  },
-  {
-    name: 'D',
-    files: ['otaku-themed-cafes.json', 'themed-cafes.json'],
-    output: 'themed-cafes.json',
-  },
-];
-
-function loadJson(path) {
-  const raw = readFileSync(path, 'utf-8');
-  const data = JSON.parse(raw);
-  return Array.isArray(data.entries) ? data.entries : [];
+import fs from 'fs-extra';
+import path from 'path';
+import { c, errorLog, isMainModule, log, ts, warn, writeJsonAtomic } from './lib/pipeline.js';
+import { claimEntryId, isContentEntryId } from './lib/entry-ids.js';
+import { loadTopics, resolveEdition, topicMatches } from './lib/topics.js';
+import { proposalsPath } from './dedupe-entries.js';
+import { calibrationStatePath, isPositionalRatingsState, ratingsStatePath } from './rate-entries.js';
+
+export const MERGE_MAP_SCHEMA_VERSION = 1;
+const SLUG_STOPWORDS = new Set(['and', 'i', 'the', 'of', 'w', 'na']);
+
+export function parseArgs(argv) {
+  const args = {
+    edition: null,
+    topicsDir: './structured_topics',
+    compendiumDir: './compendium_versions',
+    config: './topic-aliases.json',
+    topics: [],
+    apply: false,
+    suggest: false,
+    saveSuggestions: false,
+    minSimilarity: 0.75
+  };
+  for (let i = 0; i < argv.length; i++) {
+    const a = argv[i];
+    const v = argv[i + 1];
+    if (a === '--edition' && v) {
+      args.edition = Number.parseInt(v, 10);
+      i++;
+    } else if (a === '--topics-dir' && v) {
+      args.topicsDir = v;
+      i++;
+    } else if (a === '--compendium-dir' && v) {
+      args.compendiumDir = v;
+      i++;
+    } else if (a === '--config' && v) {
+      args.config = v;
+      i++;
+    } else if (a === '--topic' && v) {
+      args.topics.push(...v.split(',').map(t => t.trim()).filter(Boolean));
+      i++;
+    } else if (a === '--apply') {
+      args.apply = true;
+    } else if (a === '--suggest') {
+      args.suggest = true;
+    } else if (a === '--save-suggestions') {
+      args.suggest = true;
+      args.saveSuggestions = true;
+    } else if (a === '--min-similarity' && v) {
+      const s = Number.parseFloat(v);
+      if (s > 0 && s <= 1) args.minSimilarity = s;
+      i++;
+    }
+  }
+  return args;
+}
+
+/** Reads and checks topic-aliases.json; a missing file means no merges. */
+export async function loadAliasConfig(configPath) {
+  if (!(await fs.pathExists(configPath))) return {};
+  const raw = await fs.readJson(configPath);
+  if (!raw || typeof raw !== 'object' || Array.isArray(raw)) throw new Error(`${configPath}: expected an object of "target": ["alias", ...]`);
+  const seen = new Map();
+  for (const [target, aliases] of Object.entries(raw)) {
+    if (!Array.isArray(aliases) || aliases.some(a => typeof a !== 'string' || !a)) {
+      throw new Error(`${configPath}: "${target}" must map to an array of slugs`);
+    }
+    for (const alias of aliases) {
+      if (alias === target) throw new Error(`${configPath}: "${target}" lists itself as an alias`);
+      if (Object.hasOwn(raw, alias)) throw new Error(`${configPath}: "${alias}" is both a target and an alias`);
+      if (seen.has(alias)) throw new Error(`${configPath}: "${alias}" is an alias of both "${seen.get(alias)}" and "${target}"`);
+      seen.set(alias, target);
+    }
+  }
+  return raw;
 }
 
-function mergeGroup(group) {
-  const allEntries = [];
-  for (const file of group.files) {
-    const path = join(BASE, file);
-    try {
-      const entries = loadJson(path);
-      allEntries.push(...entries);
-      console.log(`  + ${file}: ${entries.length} entries`);
-    } catch (err) {
-      console.error(`  ! ${file}: ${err.message}`);
+/**
+ * Merges for the given topics: [{ target, aliases }] where at least one alias file exists.
+ * With `filters` (--topic), only groups whose target or an alias matches.
+ */
+export function planMerges(aliasConfig, topics, filters = []) {
+  const present = new Set(topics.map(t => t.slug));
+  const wanted = slug => topicMatches(topics.find(t => t.slug === slug) ?? { slug }, filters);
+  return Object.entries(aliasConfig)
+    .map(([target, aliases]) => ({ target, aliases: aliases.filter(a => present.has(a)) }))
+    .filter(m => m.aliases.length > 0 && [m.target, ...m.aliases].some(wanted));
+}
+
+export const mergedEntryId = (aliasSlug, entryId) => `${aliasSlug}:${entryId}`;
+
+/**
+ * Applies merges to the loaded topics (in place; alias topics are removed and a missing
+ * target is created). Returns [{ target, aliases, ids: { "alias#old": "target#new" }, entries }].
+ */
+export function mergeTopics(topics, merges) {
+  const results = [];
+  for (const { target, aliases } of merges) {
+    let targetTopic = topics.find(t => t.slug === target);
+    if (!targetTopic) {
+      const first = topics.find(t => t.slug === aliases[0]);
+      targetTopic = { slug: target, title: first.title, file: path.join(path.dirname(first.file), `${target}.json`), entries: [], created: true };
+      topics.push(targetTopic);
+    }
+    const taken = new Set(targetTopic.entries.map(e => e?.entryId));
+    const ids = {};
+    for (const alias of aliases) {
+      const aliasTopic = topics.find(t => t.slug === alias);
+      for (const entry of aliasTopic.entries) {
+        const newId = claimEntryId(isContentEntryId(entry.entryId) ? entry.entryId : mergedEntryId(alias, entry.entryId), taken);
+        ids[`${alias}#${entry.entryId}`] = `${target}#${newId}`;
+        targetTopic.entries.push({ ...entry, entryId: newId });
+      }
+      topics.splice(topics.indexOf(aliasTopic), 1);
     }
+    results.push({ target, aliases, ids, entries: targetTopic.entries.length, file: targetTopic.file, created: Boolean(targetTopic.created) });
   }
+  return results;
+}
 
-  // Renumber entryIds continuously (0:e1, 0:e2, 0:e3, ...)
-  const merged = allEntries.map((entry, i) => ({
-    ...entry,
-    entryId: `0:e${i + 1}`,
-  }));
+/** Map of entryId -> slugs of the topics holding it, taken before mergeTopics. */
+export function entryOwners(topics) {
+  const owners = new Map();
+  for (const topic of topics) {
+    for (const entry of topic.entries) owners.set(entry?.entryId, [...(owners.get(entry?.entryId) ?? []), topic.slug]);
+  }
+  return owners;
+}
 
-  return merged;
+/**
+ * Re-keys a ratings state ({ ratings: { entryId: saved rating } }) for IDs a merge renamed.
+ * Renames are scoped by topic ("alias#old"), so the rating follows the entry of the topic
+ * that held the ID (`owners`, from entryOwners). A rating whose ID several topics held
+ * cannot be attributed and is dropped; rate-entries.js --resume rates those entries again.
+ */
+export function remapRatings(ratings, results, owners = new Map()) {
+  const renamed = new Map();
+  for (const r of results) {
+    for (const [from, to] of Object.entries(r.ids)) {
+      if (from.slice(from.indexOf('#') + 1) !== to.slice(to.indexOf('#') + 1)) renamed.set(from, to.slice(to.indexOf('#') + 1));
+    }
+  }
+  const out = {};
+  let dropped = 0;
+  for (const [entryId, rating] of Object.entries(ratings ?? {})) {
+    const holders = owners.get(entryId) ?? [];
+    if (holders.length > 1) {
+      dropped++;
+      continue;
+    }
+    out[renamed.get(`${holders[0]}#${entryId}`) ?? entryId] = rating;
+  }
+  return { ratings: out, renamed: renamed.size, dropped };
 }
 
-function run() {
-  console.log('Merging structured topic files...\n');
-
-  for (const group of GROUPS) {
-    console.log(`Group ${group.name}:`);
-    const merged = mergeGroup(group);
-    const outputPath = join(BASE, group.output);
-    const output = { entries: merged };
-    writeFileSync(outputPath, JSON.stringify(output, null, 2), 'utf-8');
-    console.log(`  -> ${group.output}: ${merged.length} entries (IDs 0:e1..0:e${merged.length})`);
-
-    for (const file of group.files) {
-      if (file !== group.output) {
-        unlinkSync(join(BASE, file));
-        console.log(`  - deleted ${file}`);
+/**
+ * Folds the alias translations of every language dir under topicsRoot into the target's
+ * translation, with entryIds renamed as in `results`, and moves the alias files into
+ * backupDir/<lang>. translate-topics.js then only translates what is still missing.
+ * Returns the number of alias translation files folded.
+ */
+export async function mergeTranslations(topicsRoot, results, backupDir) {
+  const langs = (await fs.readdir(topicsRoot, { withFileTypes: true })).filter(d => d.isDirectory()).map(d => d.name);
+  let folded = 0;
+  for (const lang of langs) {
+    for (const r of results) {
+      const aliasFiles = r.aliases.map(alias => ({ alias, file: path.join(topicsRoot, lang, `${alias}.json`) }));
+      const present = [];
+      for (const a of aliasFiles) if (await fs.pathExists(a.file)) present.push({ ...a, data: await fs.readJson(a.file) });
+      if (present.length === 0) continue;
+
+      const targetFile = path.join(topicsRoot, lang, `${r.target}.json`);
+      const first = present[0].data;
+      // Without a translated title translate-topics.js translates the target's own.
+      const data = (await fs.pathExists(targetFile))
+        ? await fs.readJson(targetFile)
+        : { lang: first.lang ?? lang, sourceLang: first.sourceLang, edition: first.edition, slug: r.target, entries: [] };
+      const have = new Set((data.entries ?? []).map(e => e.entryId));
+      for (const { alias, data: translated } of present) {
+        for (const entry of translated.entries ?? []) {
+          const to = r.ids[`${alias}#${entry.entryId}`];
+          const entryId = to?.slice(to.indexOf('#') + 1);
+          if (!entryId || have.has(entryId)) continue;
+          data.entries.push({ ...entry, entryId });
+          have.add(entryId);
+        }
       }
+      await writeJsonAtomic(targetFile, { ...data, updatedAt: ts() });
+      for (const { alias, file } of present) await fs.move(file, path.join(backupDir, lang, `${alias}.json`));
+      folded += present.length;
     }
-    console.log('');
   }
+  return folded;
+}
+
+/** Moves state files that name entries by topic and pre-merge ID into backupDir; returns their names. */
+async function retireEntryState(topicsDir, edition, backupDir) {
+  const retired = [];
+  for (const file of [proposalsPath(topicsDir, edition), calibrationStatePath(topicsDir, edition)]) {
+    if (!(await fs.pathExists(file))) continue;
+    await fs.move(file, path.join(backupDir, path.basename(file)));
+    retired.push(path.basename(file));
+  }
+  return retired;
+}
 
-  console.log('Done.');
+function slugTokens(slug) {
+  return new Set(String(slug).split('-').filter(t => t && !SLUG_STOPWORDS.has(t)));
 }
 
-run();
+/**
+ * Alias suggestions from slug similarity (token containment: "general-protips" is
+ * contained in "general-protips-travel-hacks"). Similar slugs are grouped and the
+ * shortest one becomes the target. Slugs already in the config are left out.
+ */
+export function suggestAliases(slugs, { minSimilarity = 0.75, config = {} } = {}) {
+  const configured = new Set([...Object.keys(config), ...Object.values(config).flat()]);
+  const free = slugs.filter(s => !configured.has(s));
+  const parent = new Map(free.map(s => [s, s]));
+  const find = (s) => {
+    while (parent.get(s) !== s) s = parent.get(s);
+    return s;
+  };
+  for (let i = 0; i < free.length; i++) {
+    for (let j = i + 1; j < free.length; j++) {
+      const a = slugTokens(free[i]);
+      const b = slugTokens(free[j]);
+      const common = [...a].filter(t => b.has(t)).length;
+      if (common / Math.min(a.size, b.size) >= minSimilarity) parent.set(find(free[j]), find(free[i]));
+    }
+  }
+  const groups = new Map();
+  for (const s of free) {
+    const root = find(s);
+    if (!groups.has(root)) groups.set(root, []);
+    groups.get(root).push(s);
+  }
+  const out = {};
+  for (const group of groups.values()) {
+    if (group.length < 2) continue;
+    const [target, ...aliases] = [...group].sort((a, b) => a.length - b.length || a.localeCompare(b));
+    out[target] = aliases;
+  }
+  return out;
+}
+
+/** Topic groups still waiting to be merged in the newest (or given) edition. */
+export async function getPendingMerges(argv = []) {
+  const args = parseArgs(argv);
+  let resolved;
+  try {
+    resolved = await resolveEdition(args);
+  } catch {
+    return [];
+  }
+  return planMerges(await loadAliasConfig(args.config), await loadTopics(resolved), args.topics);
+}
+
+export async function main(argv = process.argv.slice(2)) {
+  const args = parseArgs(argv);
+  const resolved = await resolveEdition(args);
+  const config = await loadAliasConfig(args.config);
+  const topics = await loadTopics(resolved);
+  log(`Edition: ${resolved.edition}`);
+  log(`Config: ${path.resolve(args.config)} targets=${Object.keys(config).length}${args.topics.length ? ` topic=${args.topics.join(',')}` : ''}`);
+
+  if (args.suggest) {
+    const suggestions = suggestAliases(topics.map(t => t.slug), { minSimilarity: args.minSimilarity, config });
+    const count = Object.keys(suggestions).length;
+    if (count === 0) log('No new alias suggestions.');
+    else log(c('Suggested aliases', 'cyan', 'bold'), `\n${JSON.stringify(suggestions, null, 2)}`);
+    if (args.saveSuggestions && count) {
+      await writeJsonAtomic(args.config, { ...config, ...suggestions });
+      log(c('Saved', 'green', 'bold'), `${count} group(s) to ${path.resolve(args.config)}; review them before --apply.`);
+    }
+    return { edition: resolved.edition, suggestions: count };
+  }
+
+  const merges = planMerges(config, topics, args.topics);
+  if (merges.length === 0) {
+    log('Nothing to merge.');
+    return { edition: resolved.edition, groups: 0, entries: 0 };
+  }
+
+  const owners = entryOwners(topics);
+  const results = mergeTopics(topics, merges);
+  let moved = 0;
+  for (const r of results) {
+    const count = Object.keys(r.ids).length;
+    moved += count;
+    log(c(r.target, 'cyan'), `<- ${r.aliases.join(', ')}: ${count} entr${count === 1 ? 'y' : 'ies'} moved, ${r.entries} total${r.created ? ' (new file)' : ''}`);
+    const [sampleOld, sampleNew] = Object.entries(r.ids)[0] ?? [];
+    if (sampleOld) log(c(`  e.g. ${sampleOld} -> ${sampleNew}`, 'dim'));
+  }
+
+  if (!args.apply) {
+    log(c('Dry run', 'yellow', 'bold'), 'nothing written; rerun with --apply');
+    return { edition: resolved.edition, groups: results.length, entries: moved, dryRun: true };
+  }
+
+  const stamp = ts().replace(/[:.]/g, '-');
+  const backupDir = path.join(args.topicsDir, `compendium_${resolved.edition}_merged`, stamp);
+  await fs.ensureDir(backupDir);
+  for (const r of results) {
+    const target = topics.find(t => t.slug === r.target);
+    const data = target.created ? {} : await fs.readJson(target.file);
+    data.entries = target.entries;
+    await writeJsonAtomic(target.file, data);
+    for (const alias of r.aliases) {
+      await fs.move(path.join(resolved.topicsRoot, `${alias}.json`), path.join(backupDir, `${alias}.json`));
+    }
+  }
+
+  const mapPath = path.join(args.topicsDir, `compendium_${resolved.edition}_merge_map.json`);
+  const map = (await fs.pathExists(mapPath))
+    ? await fs.readJson(mapPath)
+    : { schemaVersion: MERGE_MAP_SCHEMA_VERSION, edition: resolved.edition, merges: [] };
+  map.merges.push(...results.map(r => ({ appliedAt: ts(), into: r.target, from: r.aliases, backupDir, ids: r.ids })));
+  await writeJsonAtomic(mapPath, map);
+
+  const statePath = ratingsStatePath(args.topicsDir, resolved.edition);
+  if (await fs.pathExists(statePath)) {
+    const state = await fs.readJson(statePath);
+    if (isPositionalRatingsState(state)) {
+      warn(`${statePath} keys ratings by position; run migrate-entry-ids.js to upgrade it.`);
+    } else {
+      const { ratings, renamed, dropped } = remapRatings(state.ratings, results, owners);
+      if (renamed || dropped) {
+        await writeJsonAtomic(statePath, { ...state, ratings, updatedAt: ts() });
+        log(c('Ratings state', 'green'), `${renamed} renamed entryId(s) re-keyed${dropped ? `, ${dropped} ambiguous rating(s) dropped` : ''}`);
+      }
+    }
+  }
+
+  const translations = await mergeTranslations(resolved.topicsRoot, results, backupDir);
+  if (translations) log(c('Translations', 'green'), `${translations} alias file(s) folded into their targets`);
+  const retired = await retireEntryState(args.topicsDir, resolved.edition, backupDir);
+  if (retired.length) warn(`Moved to the backup (entries renamed): ${retired.join(', ')}; rerun dedupe-entries.js and rate-entries.js --calibrate as needed.`);
+
+  log(c('Merged', 'green', 'bold'), `${results.length} group(s), ${moved} entries moved`);
+  log(c('Map', 'green'), path.resolve(mapPath));
+  log(c('Backup', 'green'), path.resolve(backupDir));
+  return { edition: resolved.edition, groups: results.length, entries: moved };
+}
+
+if (isMainModule(import.meta.url)) {
+  main().catch((e) => {
+    errorLog(e?.message ?? e);
+    process.exit(1);
+  });
+}
@@ -0,0 +1,192 @@
+#!/usr/bin/env node
+/**
+ * Upgrades structured_topics data to content-addressed entry IDs (lib/entry-ids.js):
+ *   - topic files: legacy IDs ("3:e1", "accommodation-noclegi:3:e1") get content IDs
+ *   - compendium_N_ratings_state.json: ratings keyed by position -> keyed by entryId
+ *   - compendium_N_dedupe.json: proposal members and canonicals follow the new IDs
+ *   - structured_topics_versions snapshots: same IDs as the live topic files
+ * Every old -> new ID is written to compendium_N_entry_id_map.json. Entries that
+ * already have a content ID are left alone, so the migration can be rerun safely.
+ *
+ * Usage: node migrate-entry-ids.js [--edition N] [--dry-run]
+ *        [--topics-dir ./structured_topics] [--snapshots-dir ./structured_topics_versions]
+ */
+
+import fs from 'fs-extra';
+import path from 'path';
+import { glob } from 'glob';
+import { computeEntryId, isContentEntryId } from './lib/entry-ids.js';
+import { c, errorLog, isMainModule, log, ts, warn, writeJsonAtomic } from './lib/pipeline.js';
+import { listEditions, loadTopics, resolveEdition } from './lib/topics.js';
+import { RATINGS_STATE_SCHEMA_VERSION, isPositionalRatingsState, ratingsStatePath } from './rate-entries.js';
+
+export function parseArgs(argv) {
+  const args = {
+    edition: null,
+    topicsDir: './structured_topics',
+    snapshotsDir: './structured_topics_versions',
+    dryRun: false
+  };
+  for (let i = 0; i < argv.length; i++) {
+    const a = argv[i];
+    const v = argv[i + 1];
+    if (a === '--edition' && v) {
+      args.edition = Number.parseInt(v, 10);
+      i++;
+    } else if (a === '--topics-dir' && v) {
+      args.topicsDir = v;
+      i++;
+    } else if (a === '--snapshots-dir' && v) {
+      args.snapshotsDir = v;
+      i++;
+    } else if (a === '--dry-run') {
+      args.dryRun = true;
+    }
+  }
+  return args;
+}
+
+/**
+ * New IDs for one topic's entries. `resolve(oldId)` may return an ID already assigned
+ * elsewhere (e.g. a snapshot following the live file); otherwise the content ID is
+ * computed, suffixed on collision. Returns { entries, ids: Map(old -> new) }.
+ */
+export function migrateEntries(slug, entries, resolve = () => null) {
+  const taken = new Set(entries.map(e => e?.entryId).filter(isContentEntryId));
+  const ids = new Map();
+  const out = entries.map((entry) => {
+    if (isContentEntryId(entry?.entryId)) return entry;
+    let id = resolve(entry?.entryId);
+    if (!id || taken.has(id)) {
+      const base = computeEntryId(slug, entry);
+      id = base;
+      for (let n = 2; taken.has(id); n++) id = `${base}-${n}`;
+    }
+    taken.add(id);
+    ids.set(entry?.entryId, id);
+    return { ...entry, entryId: id };
+  });
+  return { entries: out, ids };
+}
+
+// The flattened order rate-entries.js used for its positional state keys.
+function positionalKeys(topics) {
+  return [...topics]
+    .sort((a, b) => (a.file < b.file ? -1 : a.file > b.file ? 1 : 0))
+    .flatMap(t => t.entries.map(e => `${t.slug}#${e.entryId}`));
+}
+
+async function migrateEdition(args, edition) {
+  const resolved = await resolveEdition({ topicsDir: args.topicsDir, edition });
+  const topics = await loadTopics(resolved);
+  const oldKeys = positionalKeys(topics);
+  const idMap = {};
+  const touched = [];
+
+  for (const topic of topics) {
+    const { entries, ids } = migrateEntries(topic.slug, topic.entries);
+    for (const [from, to] of ids) idMap[`${topic.slug}#${from}`] = to;
+    if (ids.size) {
+      topic.entries = entries;
+      touched.push(topic);
+    }
+  }
+  const changed = Object.keys(idMap).length;
+  log(c(`Edition ${edition}`, 'cyan', 'bold'), `${changed} entr${changed === 1 ? 'y' : 'ies'} to re-ID in ${touched.length} topic file(s)`);
+
+  // Snapshots of merged alias topics use the alias slug; follow the merge map to the target.
+  const mergeMapPath = path.join(args.topicsDir, `compendium_${edition}_merge_map.json`);
+  const merged = (await fs.pathExists(mergeMapPath))
+    ? Object.assign({}, ...((await fs.readJson(mergeMapPath)).merges ?? []).map(m => m.ids ?? {}))
+    : {};
+  const lookup = (slug, id) => {
+    const key = `${slug}#${id}`;
+    return idMap[key] ?? idMap[merged[key]] ?? null;
+  };
+
+  const snapshotFiles = (await glob(path.join(args.snapshotsDir, `compendium_${edition}`, '*', '*.json').replace(/\\/g, '/'))).sort();
+  const snapshotUpdates = [];
+  for (const file of snapshotFiles) {
+    const slug = path.basename(path.dirname(file));
+    const data = await fs.readJson(file);
+    const { entries, ids } = migrateEntries(slug, Array.isArray(data?.entries) ? data.entries : [], id => lookup(slug, id));
+    if (ids.size) snapshotUpdates.push({ file, data: { ...data, entries } });
+  }
+
+  const statePath = ratingsStatePath(args.topicsDir, edition);
+  let ratingsUpdate = null;
+  if (await fs.pathExists(statePath)) {
+    const state = await fs.readJson(statePath);
+    if (isPositionalRatingsState(state)) {
+      const ratings = {};
+      let dropped = 0;
+      for (const [pos, rating] of Object.entries(state?.ratings ?? {})) {
+        const key = oldKeys[Number(pos)];
+        if (!key) {
+          dropped++;
+          continue;
+        }
+        const [slug, id] = [key.slice(0, key.indexOf('#')), key.slice(key.indexOf('#') + 1)];
+        ratings[idMap[key] ?? lookup(slug, id) ?? id] = rating;
+      }
+      ratingsUpdate = { ...state, schemaVersion: RATINGS_STATE_SCHEMA_VERSION, ratings, ratedSoFar: Object.keys(ratings).length, updatedAt: ts() };
+      log(`  ratings state: ${Object.keys(ratings).length} rating(s) re-keyed by entryId${dropped ? `, ${dropped} out of range dropped` : ''}`);
+      if (dropped) warn(`  ${dropped} rating position(s) in ${statePath} had no entry`);
+    }
+  }
+
+  const proposalsPath = path.join(args.topicsDir, `compendium_${edition}_dedupe.json`);
+  let proposalsUpdate = null;
+  if (changed && await fs.pathExists(proposalsPath)) {
+    const proposals = await fs.readJson(proposalsPath);
+    const follow = (slug, id) => idMap[`${slug}#${id}`] ?? id;
+    for (const cl of proposals.clusters ?? []) {
+      for (const m of cl.members ?? []) m.entryId = follow(m.topic, m.entryId);
+      if (cl.canonical) {
+        cl.canonical.entryId = follow(cl.canonical.topic, cl.canonical.entryId);
+        if (cl.canonical.entry) cl.canonical.entry.entryId = cl.canonical.entryId;
+      }
+    }
+    proposalsUpdate = proposals;
+  }
+
+  log(`  snapshots: ${snapshotUpdates.length}/${snapshotFiles.length} file(s) to update`);
+  if (args.dryRun) return { edition, entries: changed, topics: touched.length, snapshots: snapshotUpdates.length };
+
+  for (const topic of touched) {
+    const data = await fs.readJson(topic.file);
+    data.entries = topic.entries;
+    await writeJsonAtomic(topic.file, data);
+  }
+  for (const { file, data } of snapshotUpdates) await writeJsonAtomic(file, data);
+  if (ratingsUpdate) await writeJsonAtomic(statePath, ratingsUpdate);
+  if (proposalsUpdate) await writeJsonAtomic(proposalsPath, proposalsUpdate);
+  if (changed) {
+    const mapPath = path.join(args.topicsDir, `compendium_${edition}_entry_id_map.json`);
+    const previous = (await fs.pathExists(mapPath)) ? (await fs.readJson(mapPath)).ids ?? {} : {};
+    await writeJsonAtomic(mapPath, { edition, migratedAt: ts(), ids: { ...previous, ...idMap } });
+    log(c('  map', 'green'), path.resolve(mapPath));
+  }
+  return { edition, entries: changed, topics: touched.length, snapshots: snapshotUpdates.length };
+}
+
+export async function main(argv = process.argv.slice(2)) {
+  const args = parseArgs(argv);
+  const editions = args.edition === null ? await listEditions(args.topicsDir) : [args.edition];
+  if (editions.length === 0) throw new Error(`No structured topics found in ${args.topicsDir}`);
+  log(`editions=${editions.join(',')} dryRun=${args.dryRun}`);
+
+  const results = [];
+  for (const edition of editions) results.push(await migrateEdition(args, edition));
+
+  const entries = results.reduce((n, r) => n + r.entries, 0);
+  log(c(args.dryRun ? 'Dry run complete — no changes written.' : 'Done', 'green', 'bold'), `entries=${entries}`);
+  return { editions: editions.length, entries, dryRun: args.dryRun };
+}
+
+if (isMainModule(import.meta.url)) {
+  main().catch((e) => {
+    errorLog(e?.message ?? e);
+    process.exit(1);
+  });
+}
@@ -1,180 +1,181 @@
 #!/usr/bin/env node
 /**
- * Rates all entries in structured_topics/compendium_931 JSON files
- * based on interestingness, uniqueness, and non-obviousness (0-1000).
+ * Rates the entries of structured_topics/compendium_N (the newest edition unless
+ * --edition is given) on several criteria, 0-1000 each.
  *
- * Usage: node rate-entries.js [--resume] [--batch-size 100] [--dry-run]
+ * Usage: node rate-entries.js [--edition N] [--topics-dir ./structured_topics]
+ *        [--topic slug[,slug]] [--model gemini-3-flash-preview]
+ *        [--resume] [--batch-size 100] [--dry-run]
+ *        [--provider gemini|openai|fixture] [--retry-max-attempts 30]
+ *        [--concurrency 4] [--rpm 60] [--tpm 500000]
+ *        [--weights "practicality=1,timeSensitivity=-0.5"] [--weights-file weights.json]
+ *        [--recombine]
  *
- * Saves progress to structured_topics/compendium_931_ratings_state.json
- * so interrupted runs can be resumed with --resume.
+ * The model scores each entry per criterion (lib/rating-criteria.js: curiosity,
+ * uniqueness, nonObviousness, practicality, timeSensitivity, otakuSpecificity) with a
+ * one-line justification. Entries keep `ratingBreakdown` and `ratingJustification`;
+ * `rating` is the weighted combination, and --recombine recomputes it for new weights
+ * without calling the model.
+ *
+ * --topic (repeatable) limits the run to matching topic files (slug or title); ratings
+ * of the other topics stay in the state. The model defaults to $RATE_MODEL_NAME.
+ *
+ * Saves progress to structured_topics/compendium_N_ratings_state.json. --resume rates
+ * only entries without a rating and entries whose text changed since they were rated
+ * (`ratingTextHash`), in fresh batches; ratings the topic file lost but the state still
+ * has for the same text are restored, and state for entries that are gone is dropped.
+ * Ratings from before `ratingTextHash` get the hash of the current text, so later edits
+ * are caught.
+ *
+ * Calibration mode (--calibrate [--passes 3] [--anchors 8] [--pairwise-top 40]
+ * [--pairs-per-entry 3] [--pair-batch-size 25]) re-rates everything in several shuffled
+ * passes with the same anchor entries in every batch, corrects each batch's drift
+ * against the anchors, then orders the top candidates by pairwise comparisons
+ * (Bradley-Terry). Entries get `rating`, `ratingVariance` and `ratingPasses` (combined
+ * raw score per pass), and `ratingBreakdown` averaged over passes; progress is kept in
+ * compendium_N_calibration_state.json for --resume, which keeps a saved batch only while
+ * it holds the same entries as before. With --topic, anchors, batches and pairs only use
+ * the selected topics' entries.
  */
 
 import 'dotenv/config';
-import { GoogleGenerativeAI } from '@google/generative-ai';
 import fs from 'fs-extra';
 import path from 'path';
-import { fileURLToPath } from 'url';
-import { glob } from 'glob';
-
-const __dirname = path.dirname(fileURLToPath(import.meta.url));
-const BASE = path.join(__dirname, 'structured_topics', 'compendium_931');
-const STATE_FILE = path.join(__dirname, 'structured_topics', 'compendium_931_ratings_state.json');
-const MODEL_NAME = 'gemini-3-flash-preview';
-
-// --- Color helpers ---
-const COLOR_ENABLED =
-  process.stdout.isTTY && !process.env.NO_COLOR && process.env.FORCE_COLOR !== '0';
-const ANSI = {
-  reset: '\u001b[0m', dim: '\u001b[2m', bold: '\u001b[1m',
-  red: '\u001b[31m', green: '\u001b[32m', yellow: '\u001b[33m',
-  blue: '\u001b[34m', magenta: '\u001b[35m', cyan: '\u001b[36m', gray: '\u001b[90m'
-};
-function c(text, ...styles) {
-  if (!COLOR_ENABLED) return String(text);
-  return `${styles.map(s => ANSI[s] ?? '').join('')}${text}${ANSI.reset}`;
-}
-function ts() { return new Date().toISOString(); }
-function log(...args) { console.log(c(`[${ts()}]`, 'dim'), c('INFO', 'cyan'), ...args); }
-function warn(...args) { console.warn(c(`[${ts()}]`, 'dim'), c('WARN', 'yellow', 'bold'), ...args); }
-function errorLog(...args) { console.error(c(`[${ts()}]`, 'dim'), c('ERR ', 'red', 'bold'), ...args); }
-
-// --- JSON helpers ---
-function stripJsonFences(text) {
-  const t = String(text ?? '').trim();
-  if (t.startsWith('```')) {
-    return t.replace(/^```[a-zA-Z]*\s*/m, '').replace(/```\s*$/m, '').trim();
-  }
-  return t;
-}
+import { createRateLimiter, createSerialQueue, runPool, withRateLimit } from './lib/concurrency.js';
+import { textHash } from './lib/dedupe.js';
+import { normalizeEntryText } from './lib/entry-ids.js';
+import { createProvider } from './lib/llm-providers.js';
+import {
+  c,
+  errorLog,
+  generateValidatedJson,
+  isMainModule,
+  log,
+  parseCommonArgs,
+  ts,
+  tryParseJsonArray,
+  warn,
+  writeJsonAtomic
+} from './lib/pipeline.js';
+import {
+  bradleyTerry,
+  calibrateBatches,
+  clampRating,
+  mean,
+  neighbourPairs,
+  pickAnchors,
+  seededShuffle,
+  strengthsToScores,
+  variance
+} from './lib/calibration.js';
+import {
+  combineRating,
+  DEFAULT_RATING_WEIGHTS,
+  normalizeStateRating,
+  RATING_CRITERIA,
+  RATING_CRITERIA_KEYS,
+  resolveWeights
+} from './lib/rating-criteria.js';
+import { validatePairwiseResponse, validateRatingResponse } from './lib/schemas.js';
+import { loadTopics, resolveEdition, topicMatches } from './lib/topics.js';
+
+const MODEL_NAME = process.env.RATE_MODEL_NAME || 'gemini-3-flash-preview';
+
+export const RATINGS_STATE_SCHEMA_VERSION = 3;
 
-function tryParseJsonArray(text) {
-  const cleaned = stripJsonFences(text);
-  try {
-    const val = JSON.parse(cleaned);
-    if (Array.isArray(val)) return val;
-    throw new Error('not an array');
-  } catch {
-    const start = cleaned.indexOf('[');
-    const end = cleaned.lastIndexOf(']');
-    if (start >= 0 && end > start) {
-      return JSON.parse(cleaned.slice(start, end + 1));
-    }
-    throw new Error('Could not parse JSON array from model response');
-  }
+/**
+ * Where an edition's rating progress is kept:
+ * { schemaVersion: 3, weights, ratings: { entryId: { rating, breakdown, justification } } }.
+ * Version 2 stored bare numbers per entryId; states without a version keyed by position.
+ */
+export function ratingsStatePath(topicsDir, edition) {
+  return path.join(topicsDir, `compendium_${edition}_ratings_state.json`);
 }
 
-// --- Retry logic ---
-function getErrorCode(err) {
-  const code = err?.code ?? err?.cause?.code ?? err?.cause?.errno ?? err?.errno;
-  return typeof code === 'string' ? code : undefined;
+export function isPositionalRatingsState(state) {
+  return !state?.schemaVersion;
 }
 
-function isRetryableError(err) {
-  const status = err?.status ?? err?.cause?.status;
-  if (typeof status === 'number') {
-    if (status === 408 || status === 429 || status === 503) return true;
-    if (status >= 500 && status <= 599) return true;
-  }
-  const msg = String(err?.message ?? '');
-  if (/fetch failed/i.test(msg) || /socket hang up/i.test(msg)) return true;
-  const code = getErrorCode(err);
-  if (!code) return false;
-  return [
-    'ECONNRESET', 'ECONNREFUSED', 'EAI_AGAIN', 'ENOTFOUND', 'ETIMEDOUT',
-    'UND_ERR_CONNECT_TIMEOUT', 'UND_ERR_HEADERS_TIMEOUT',
-    'UND_ERR_BODY_TIMEOUT', 'UND_ERR_SOCKET'
-  ].includes(code);
-}
+export const CALIBRATION_STATE_SCHEMA_VERSION = 2;
 
-async function generateWithRetry(model, prompt, attempt = 1) {
-  const maxAttempts = 30;
-  const baseDelay = 1500;
-  const maxDelay = 120000;
-  try {
-    const t0 = Date.now();
-    log(c(`model:${MODEL_NAME} send`, 'magenta'), `attempt=${attempt}/${maxAttempts}`, `chars≈${prompt.length.toLocaleString()}`);
-    const result = await model.generateContent(prompt);
-    const text = result.response.text();
-    log(c(`model:${MODEL_NAME} recv`, 'green'), `ms=${Date.now() - t0}`, `chars=${text.length.toLocaleString()}`);
-    return text;
-  } catch (error) {
-    if (attempt > maxAttempts || !isRetryableError(error)) throw error;
-    const delay = Math.min(maxDelay, baseDelay * Math.pow(2, attempt - 1)) + Math.floor(Math.random() * 750);
-    const status = error?.status ?? error?.cause?.status;
-    const bits = [`retry`, `attempt=${attempt}/${maxAttempts}`];
-    if (status) bits.push(`status=${status}`);
-    bits.push(`sleep=${(delay / 1000).toFixed(1)}s`);
-    warn(c(bits.join(' | '), 'yellow'));
-    await new Promise(r => setTimeout(r, delay));
-    return generateWithRetry(model, prompt, attempt + 1);
-  }
+/**
+ * --calibrate progress for --resume: criterion scores per pass and batch
+ * ({ passes: { pass: { batch: { entryId: scores } } } }), justifications and pairwise results.
+ */
+export function calibrationStatePath(topicsDir, edition) {
+  return path.join(topicsDir, `compendium_${edition}_calibration_state.json`);
 }
 
 // --- Prompt builder ---
-function buildRatingPrompt(items) {
+export function buildRatingPrompt(items) {
+  const example = Object.fromEntries(RATING_CRITERIA.map(cr => [cr.key, 0]));
   return [
     `# Rola`,
     `Jesteś ekspertem oceniającym wartość informacyjną wpisów z kompendium podróży do Japonii.`,
     ``,
     `# Zadanie`,
-    `Oceń każdy wpis na podstawie trzech kryteriów:`,
-    `- **Ciekawość**: czy wpis jest fascynujący, odkrywczy, niespodziewany`,
-    `- **Unikalność**: czy informacja jest rzadka, niszowa, trudna do znalezienia gdzie indziej`,
-    `- **Niebanalność**: czy to coś więcej niż ogólniki — konkretne, praktyczne, nieoczywiste`,
+    `Oceń każdy wpis osobno w każdym z kryteriów (klucz w JSON: opis):`,
+    ...RATING_CRITERIA.map(cr => `- **${cr.label}** (\`${cr.key}\`): ${cr.description}`),
     ``,
     `# Skala ocen — ABSOLUTNA (niezależna od innych wpisów w tym batchu)`,
-    `Całe liczby od 0 do 1000:`,
+    `Całe liczby od 0 do 1000 w każdym kryterium. Dla pierwszych czterech kryteriów:`,
     `- 0–100: banalne ogólniki, rzeczy znane każdemu turyście ("w Japonii jeżdżą pociągi")`,
     `- 100–300: standardowe porady turystyczne, użyteczne, ale powszechnie znane`,
     `- 300–500: konkretna, przydatna rada, powyżej przeciętnej wiedzy turystycznej`,
     `- 500–700: ciekawa, mniej oczywista informacja, wartościowa dla doświadczonego podróżnika`,
     `- 700–900: niszowa, zaskakująca informacja — coś czego trudno się dowiedzieć`,
     `- 900–1000: wyjątkowy gem — bardzo konkretny, trudny do znalezienia, wysoka unikalna wartość`,
+    `Ryzyko dezaktualizacji i Otaku opisują wpis, a nie jego jakość — skala jak w opisie kryterium.`,
     ``,
     `# Zasady`,
     `- Oceniaj ABSOLUTNIE — nie porównuj wpisów między sobą w batchu`,
+    `- "justification": jedno krótkie zdanie po polsku, dlaczego takie oceny`,
     `- Zwróć TYLKO poprawny JSON array, bez markdown, bez code fences, bez komentarzy`,
     `- Każdy wpis z wejścia musi być w odpowiedzi`,
     ``,
     `# Format odpowiedzi (JSON array):`,
-    `[{"id": "...", "rating": 0}, ...]`,
+    `[{"id": "...", "scores": ${JSON.stringify(example)}, "justification": "..."}, ...]`,
     ``,
     `# Wpisy do ocenienia:`,
     JSON.stringify(items, null, 2)
   ].join('\n');
 }
 
-// --- Arg parsing ---
-function parseArgs(argv) {
-  const args = { resume: false, batchSize: 100, dryRun: false };
-  for (let i = 0; i < argv.length; i++) {
-    if (argv[i] === '--resume') args.resume = true;
-    else if (argv[i] === '--dry-run') args.dryRun = true;
-    else if (argv[i] === '--batch-size' && argv[i + 1]) {
-      args.batchSize = Math.max(1, parseInt(argv[i + 1], 10) || 100);
-      i++;
-    }
-  }
-  return args;
+/**
+ * Pairwise comparison on the same criteria and weights as the absolute scores, so the
+ * Bradley-Terry order calibrates what `rating` measures. Zero-weight criteria are left out.
+ */
+export function buildPairwisePrompt(pairs, weights = DEFAULT_RATING_WEIGHTS) {
+  const weighted = RATING_CRITERIA.filter(cr => (weights[cr.key] ?? 0) !== 0);
+  return [
+    `# Rola`,
+    `Jesteś ekspertem oceniającym wartość informacyjną wpisów z kompendium podróży do Japonii.`,
+    ``,
+    `# Zadanie`,
+    `Dla każdej pary wpisów ("a" i "b") wskaż, który jest bardziej wartościowy według kryteriów`,
+    `(waga mówi, ile kryterium znaczy; ujemna waga: im więcej, tym gorzej dla wpisu):`,
+    ...weighted.map(cr => `- **${cr.label}** (waga ${weights[cr.key]}): ${cr.description}`),
+    ``,
+    `# Zasady`,
+    `- Każdą parę oceniaj osobno; remisów nie ma — wybierz lepszy wpis`,
+    `- Kolejność w parze nie ma znaczenia`,
+    `- Zwróć TYLKO poprawny JSON array, bez markdown, bez code fences, bez komentarzy`,
+    `- Każda para z wejścia musi być w odpowiedzi`,
+    ``,
+    `# Format odpowiedzi (JSON array):`,
+    `[{"id": "...", "winner": "a"}, ...]`,
+    ``,
+    `# Pary do porównania:`,
+    JSON.stringify(pairs, null, 2)
+  ].join('\n');
 }
 
-// --- Main ---
-async function main() {
-  const args = parseArgs(process.argv.slice(2));
-
-  if (!process.env.GEMINI_API_KEY && !args.dryRun) {
-    errorLog('GEMINI_API_KEY is not set (put it in .env).');
-    process.exit(1);
-  }
-
-  const genAI = args.dryRun ? null : new GoogleGenerativeAI(process.env.GEMINI_API_KEY);
-  const model = args.dryRun ? null : genAI.getGenerativeModel({ model: MODEL_NAME });
-
-  // Load all JSON files
-  const files = (await glob(path.join(BASE, '*.json').replace(/\\/g, '/'))).sort();
-  log(`Found ${files.length} JSON files in ${BASE}`);
-
-  // Load all entries with metadata
+// --- Entry loading ---
+/**
+ * Flattens every topic file into one list. `id` is the entry's position in that list
+ * (a short handle for the prompt); the state file keys ratings by `entryId`.
+ */
+export async function loadEntries(files) {
   const allEntries = [];
   const fileData = new Map();
 
@@ -197,126 +198,605 @@ async function main() {
     log(`  ${fileName}: ${entries.length} entries`);
   }
 
+  return { allEntries, fileData };
+}
+
+/**
+ * Hash of the text a rating was given for (footnote markers and whitespace ignored).
+ * Stored as `ratingTextHash`; a different hash means the entry was edited since.
+ */
+export function ratingTextHash(text) {
+  return textHash(normalizeEntryText(text));
+}
+
+// The ratings-state value for a rated entry.
+function savedRatingOf(entry) {
+  return {
+    rating: entry.rating,
+    ...(entry.ratingBreakdown ? { breakdown: entry.ratingBreakdown } : {}),
+    ...(entry.ratingJustification ? { justification: entry.ratingJustification } : {}),
+    ...(entry.ratingTextHash ? { textHash: entry.ratingTextHash } : {})
+  };
+}
+
+/**
+ * What --resume has to do with one entry: 'rated' (keep), 'new' (no rating), 'changed'
+ * (text differs from what was rated) or 'restore' (the topic file lost the rating, but
+ * the state still has it for the same text). Ratings without a recorded hash (given
+ * before hashes were kept) are kept; --resume then records the current text's hash.
+ */
+export function ratingStatus(entry, saved) {
+  const hash = ratingTextHash(entry?.text);
+  if (typeof entry?.rating === 'number') {
+    const rated = entry.ratingTextHash ?? saved?.textHash;
+    return !rated || rated === hash ? 'rated' : 'changed';
+  }
+  return saved?.textHash === hash ? 'restore' : 'new';
+}
+
+/** Criterion scores from a model item, clamped to 0..1000 (null if any is missing). */
+function itemScores(item) {
+  const scores = {};
+  for (const key of RATING_CRITERIA_KEYS) {
+    const v = Number(item?.scores?.[key]);
+    if (!Number.isFinite(v)) return null;
+    scores[key] = Math.round(Math.max(0, Math.min(1000, v)));
+  }
+  return scores;
+}
+
+/**
+ * Writes the model's ratings for one batch into fileData and savedRatings: the
+ * per-criterion `ratingBreakdown`, `ratingJustification` and the weighted `rating`.
+ * Returns how many batch entries got a rating and which files changed.
+ */
+export function applyBatchRatings(parsed, batch, fileData, savedRatings, weights = DEFAULT_RATING_WEIGHTS) {
+  const batchById = new Map(batch.map(e => [e.id, e]));
+
+  let matched = 0;
+  const touchedFiles = new Set();
+  for (const item of parsed) {
+    const id = String(item?.id ?? '');
+    const scores = itemScores(item);
+    if (!scores) continue;
+    const entry = batchById.get(id);
+    if (!entry) continue;
+    const rating = combineRating(scores, weights);
+    const justification = typeof item.justification === 'string' ? item.justification.trim() : '';
+    const target = fileData.get(entry.filePath).entries[entry.entryIndex];
+    target.rating = rating;
+    target.ratingBreakdown = scores;
+    if (justification) target.ratingJustification = justification;
+    else delete target.ratingJustification;
+    target.ratingTextHash = ratingTextHash(entry.text);
+    // A plain absolute rating replaces an earlier --calibrate result entirely.
+    delete target.ratingVariance;
+    delete target.ratingPasses;
+    delete target.ratingPairwise;
+    savedRatings.set(entry.entryId, savedRatingOf(target));
+    touchedFiles.add(entry.filePath);
+    matched++;
+  }
+
+  return { matched, touchedFiles };
+}
+
+/**
+ * Counts entries without a numeric rating and rated entries whose text changed since.
+ * Used by the compendium CLI to decide whether the rate stage is stale.
+ */
+export async function getRatingProgress(argv = []) {
+  const args = parseArgs(argv);
+  let resolved;
+  try {
+    resolved = await resolveEdition(args);
+  } catch {
+    return { files: 0, total: 0, unrated: 0, changed: 0 };
+  }
+  const topics = (await loadTopics(resolved)).filter(t => topicMatches(t, args.topics));
+  const entries = topics.flatMap(t => t.entries);
+  return {
+    edition: resolved.edition,
+    files: topics.length,
+    total: entries.length,
+    unrated: entries.filter(e => typeof e?.rating !== 'number').length,
+    changed: entries.filter(e => ratingStatus(e) === 'changed').length
+  };
+}
+
+// --- Arg parsing ---
+export function parseArgs(argv) {
+  const args = {
+    ...parseCommonArgs(argv),
+    edition: null,
+    topicsDir: './structured_topics',
+    topics: [],
+    model: MODEL_NAME,
+    resume: false,
+    batchSize: 100,
+    dryRun: false,
+    calibrate: false,
+    passes: 3,
+    anchors: 8,
+    pairwiseTop: 40,
+    pairsPerEntry: 3,
+    pairBatchSize: 25,
+    weights: null,
+    weightsFile: null,
+    recombine: false
+  };
+  const int = (v, min, fallback) => {
+    const n = parseInt(v, 10);
+    return Math.max(min, Number.isNaN(n) ? fallback : n);
+  };
+  for (let i = 0; i < argv.length; i++) {
+    const v = argv[i + 1];
+    if (argv[i] === '--resume') args.resume = true;
+    else if (argv[i] === '--dry-run') args.dryRun = true;
+    else if (argv[i] === '--calibrate') args.calibrate = true;
+    else if (argv[i] === '--recombine') args.recombine = true;
+    else if (argv[i] === '--edition' && v) {
+      args.edition = Number.parseInt(v, 10);
+      i++;
+    } else if (argv[i] === '--topics-dir' && v) {
+      args.topicsDir = v;
+      i++;
+    } else if (argv[i] === '--topic' && v) {
+      args.topics.push(...v.split(',').map(t => t.trim()).filter(Boolean));
+      i++;
+    } else if (argv[i] === '--model' && v) {
+      args.model = v;
+      i++;
+    }
+    else if (argv[i] === '--weights' && v) {
+      args.weights = v;
+      i++;
+    } else if (argv[i] === '--weights-file' && v) {
+      args.weightsFile = v;
+      i++;
+    }
+    else if (argv[i] === '--batch-size' && v) {
+      args.batchSize = int(v, 1, 100);
+      i++;
+    } else if (argv[i] === '--passes' && v) {
+      args.passes = int(v, 1, 3);
+      i++;
+    } else if (argv[i] === '--anchors' && v) {
+      args.anchors = int(v, 0, 8);
+      i++;
+    } else if (argv[i] === '--pairwise-top' && v) {
+      args.pairwiseTop = int(v, 0, 40);
+      i++;
+    } else if (argv[i] === '--pairs-per-entry' && v) {
+      args.pairsPerEntry = int(v, 1, 3);
+      i++;
+    } else if (argv[i] === '--pair-batch-size' && v) {
+      args.pairBatchSize = int(v, 1, 25);
+      i++;
+    }
+  }
+  return args;
+}
+
+function writeRatingsState({ model, args, weights, totalEntries, savedRatings }) {
+  return writeJsonAtomic(args.statePath, {
+    schemaVersion: RATINGS_STATE_SCHEMA_VERSION,
+    model,
+    batchSize: args.batchSize,
+    weights,
+    totalEntries,
+    ratedSoFar: savedRatings.size,
+    ratings: Object.fromEntries(savedRatings),
+    updatedAt: ts()
+  });
+}
+
+/**
+ * --recombine: recomputes `rating` from the stored `ratingBreakdown` with the current
+ * weights, without model calls. Calibrated entries are left to `--calibrate --resume`,
+ * which recombines the saved per-pass scores before correcting them.
+ */
+export async function recombine(args, { allEntries, fileData, savedRatings, weights, totalEntries = allEntries.length }) {
+  let changed = 0;
+  let skipped = 0;
+  let calibrated = 0;
+  const touchedFiles = new Set();
+  for (const e of allEntries) {
+    const entry = fileData.get(e.filePath).entries[e.entryIndex];
+    if (typeof entry.ratingVariance === 'number') {
+      calibrated++;
+      continue;
+    }
+    if (!entry.ratingBreakdown) {
+      skipped++;
+      continue;
+    }
+    const rating = combineRating(entry.ratingBreakdown, weights);
+    const before = entry.rating;
+    entry.rating = rating;
+    savedRatings.set(e.entryId, savedRatingOf(entry));
+    if (before === rating) continue;
+    touchedFiles.add(e.filePath);
+    changed++;
+  }
+  log(`Recombined: ${changed} rating(s) changed, ${skipped} without a breakdown${calibrated ? `, ${calibrated} calibrated (use --calibrate --resume)` : ''}`);
+  if (args.dryRun) return { total: allEntries.length, changed, dryRun: true };
+
+  for (const filePath of touchedFiles) await writeJsonAtomic(filePath, fileData.get(filePath));
+  const state = (await fs.pathExists(args.statePath)) ? await fs.readJson(args.statePath) : {};
+  await writeRatingsState({ model: state.model ?? null, args, weights, totalEntries, savedRatings });
+  log(c('Done', 'green', 'bold'), `${touchedFiles.size} file(s) written`);
+  return { total: allEntries.length, changed };
+}
+
+// --- Calibration ---
+/**
+ * Saved calibration progress for --resume. Anchors are picked from the current ratings,
+ * which calibration itself rewrites, so a resumed run keeps the saved anchors. Progress
+ * belongs to one --topic selection; another selection starts over.
+ */
+async function loadCalibrationState(args, allEntries, pickNew) {
+  const topics = [...args.topics].sort();
+  const saved = args.resume && (await fs.pathExists(args.calibrationStatePath)) ? await fs.readJson(args.calibrationStatePath) : null;
+  if (saved?.schemaVersion === CALIBRATION_STATE_SCHEMA_VERSION && JSON.stringify(saved.topics ?? []) !== JSON.stringify(topics)) {
+    warn(`Calibration state is for --topic ${(saved.topics ?? []).join(',') || '(all)'}; starting over.`);
+  } else if (saved?.schemaVersion === CALIBRATION_STATE_SCHEMA_VERSION) {
+    const ids = new Set(allEntries.map(e => e.entryId));
+    if ((saved.anchors ?? []).every(id => ids.has(id))) {
+      log(c(`Resumed calibration: ${Object.values(saved.passes).reduce((n, p) => n + Object.keys(p).length, 0)} batch(es), ${Object.keys(saved.pairs).length} pair(s) done`, 'yellow'));
+      return saved;
+    }
+    warn('Calibration state refers to entries that no longer exist; starting over.');
+  }
+  return { schemaVersion: CALIBRATION_STATE_SCHEMA_VERSION, topics, anchors: pickNew(), passes: {}, justifications: {}, pairs: {} };
+}
+
+/** Batches of one pass: the anchors plus a shuffled slice of the other entries each. */
+export function calibrationBatches(entries, anchorIds, { pass, batchSize }) {
+  const anchorSet = new Set(anchorIds);
+  const anchors = entries.filter(e => anchorSet.has(e.entryId));
+  const rest = seededShuffle(entries.filter(e => !anchorSet.has(e.entryId)), pass);
+  const chunk = Math.max(1, batchSize - anchors.length);
+  const batches = [];
+  for (let i = 0; i < rest.length; i += chunk) {
+    batches.push(seededShuffle(anchors.concat(rest.slice(i, i + chunk)), pass * 100003 + batches.length));
+  }
+  return batches;
+}
+
+/**
+ * Drops saved batches that no longer hold the entries of the planned batch at their
+ * position (a saved batch's scores are keyed by the entryIds it rated). Added, removed
+ * or reordered entries shift the batches; a stale batch would score some entries twice
+ * in a pass and leave others out. Returns the number of batches dropped.
+ */
+export function pruneCalibrationPasses(state, plan) {
+  let dropped = 0;
+  for (const [pass, batches] of Object.entries(state.passes)) {
+    for (const [b, scores] of Object.entries(batches)) {
+      const planned = plan[Number(pass) - 1]?.[Number(b) - 1];
+      const ids = Object.keys(scores);
+      if (planned && planned.length === ids.length && planned.every(e => Object.hasOwn(scores, e.entryId))) continue;
+      delete batches[b];
+      dropped++;
+    }
+  }
+  return dropped;
+}
+
+export async function calibrate(args, { allEntries, fileData, model, savedRatings, weights, totalEntries = allEntries.length }) {
+  const entryOf = e => fileData.get(e.filePath).entries[e.entryIndex];
+  const byId = new Map(allEntries.map(e => [e.entryId, e]));
+  const state = await loadCalibrationState(args, allEntries, () =>
+    pickAnchors(allEntries.map(e => ({ entryId: e.entryId, rating: entryOf(e).rating })), args.anchors, 1).map(a => a.entryId));
+  const anchorIds = state.anchors;
+  const writeQueue = createSerialQueue();
+  const saveState = () => writeQueue.run(() => writeJsonAtomic(args.calibrationStatePath, { ...state, updatedAt: ts() }));
+
+  const plan = Array.from({ length: args.passes }, (_, p) => calibrationBatches(allEntries, anchorIds, { pass: p + 1, batchSize: args.batchSize }));
+  log(c('Calibration', 'cyan', 'bold'), `passes=${args.passes} anchors=${anchorIds.length} batches/pass=${plan[0].length} pairwiseTop=${args.pairwiseTop}`);
+  const stale = pruneCalibrationPasses(state, plan);
+  if (stale) warn(`${stale} saved calibration batch(es) no longer match the entries; they are scored again.`);
+  if (args.dryRun) {
+    log(c('Dry run', 'yellow'), 'skipping model calls');
+    return { total: allEntries.length, passes: args.passes, batches: plan.flat().length, dryRun: true };
+  }
+
+  // 1. Raw absolute scores, several passes.
+  const jobs = plan.flatMap((batches, p) => batches.map((batch, b) => ({ pass: String(p + 1), b: String(b + 1), batch })));
+  await runPool(jobs, args.concurrency, async ({ pass, b, batch }) => {
+    if (state.passes[pass]?.[b]) return;
+    const items = batch.map((e, i) => ({ id: String(i), text: e.text }));
+    const { value } = await generateValidatedJson(model, [buildRatingPrompt(items)], {
+      parse: tryParseJsonArray,
+      validate: v => validateRatingResponse(v, { ids: items.map(it => it.id), criteria: RATING_CRITERIA_KEYS }),
+      label: `calibrate_p${pass}_b${b}`,
+      retry: args.retry,
+      repair: args.repair
+    });
+    const scores = {};
+    for (const item of value) {
+      const entryId = batch[Number(item.id)].entryId;
+      scores[entryId] = itemScores(item);
+      if (typeof item.justification === 'string' && item.justification.trim()) state.justifications[entryId] = item.justification.trim();
+    }
+    state.passes[pass] ??= {};
+    state.passes[pass][b] = scores;
+    await saveState();
+    log(`Pass ${pass} batch ${b}/${plan[0].length}: ${Object.keys(scores).length} score(s)`);
+  });
+
+  // 2. Per-batch drift correction against the anchors, then mean/variance over passes.
+  // Criterion scores are combined with the current weights here, so a resumed run may change them.
+  const raw = new Map();
+  const observed = new Map();
+  for (const [pass, batches] of Object.entries(state.passes)) {
+    for (const [b, scores] of Object.entries(batches)) {
+      raw.set(`${pass}:${b}`, new Map(Object.entries(scores).map(([id, sc]) => [id, combineRating(sc, weights)])));
+      for (const [id, sc] of Object.entries(scores)) observed.set(id, [...(observed.get(id) ?? []), sc]);
+    }
+  }
+  const { calibrated, corrections } = calibrateBatches(raw, new Set(anchorIds));
+  const drift = [...corrections.values()].map(f => Math.abs(f.b + (f.a - 1) * 500));
+  log(c('Anchors', 'cyan'), `mean batch drift ±${Math.round(mean(drift))} points`);
+
+  const final = new Map([...calibrated].map(([id, xs]) => [id, mean(xs)]));
+  const perPass = new Map();
+  for (const [pass, batches] of Object.entries(state.passes)) {
+    const sums = new Map();
+    for (const scores of Object.values(batches)) {
+      for (const [id, sc] of Object.entries(scores)) sums.set(id, [...(sums.get(id) ?? []), combineRating(sc, weights)]);
+    }
+    for (const [id, xs] of sums) perPass.set(id, [...(perPass.get(id) ?? []), { pass: Number(pass), raw: Math.round(mean(xs)) }]);
+  }
+
+  // 3. Pairwise comparisons among the top candidates, fitted with Bradley-Terry.
+  const top = [...final.keys()].filter(id => byId.has(id)).sort((a, b) => final.get(b) - final.get(a)).slice(0, args.pairwiseTop);
+  const pairs = top.length > 1 ? neighbourPairs(top, args.pairsPerEntry) : [];
+  const pairKey = ([a, b]) => `${a}|${b}`;
+  const pending = pairs.filter(p => !state.pairs[pairKey(p)]);
+  const pairBatches = [];
+  for (let i = 0; i < pending.length; i += args.pairBatchSize) pairBatches.push(pending.slice(i, i + args.pairBatchSize));
+  if (pairs.length) log(c('Pairwise', 'cyan', 'bold'), `${pairs.length} pair(s) among top ${top.length}, ${pending.length} to compare`);
+
+  await runPool(pairBatches, args.concurrency, async (batch, n) => {
+    // Randomize sides so a position bias in the model does not favour higher-ranked entries.
+    const flips = batch.map((p, i) => seededShuffle([0, 1], n * 1009 + i)[0] === 1);
+    const items = batch.map(([a, b], i) => {
+      const [x, y] = flips[i] ? [b, a] : [a, b];
+      return { id: String(i), a: byId.get(x).text, b: byId.get(y).text };
+    });
+    const { value } = await generateValidatedJson(model, [buildPairwisePrompt(items, weights)], {
+      parse: tryParseJsonArray,
+      validate: v => validatePairwiseResponse(v, { ids: items.map(it => it.id) }),
+      label: `calibrate_pairs_${n + 1}`,
+      retry: args.retry,
+      repair: args.repair
+    });
+    for (const item of value) {
+      const i = Number(item.id);
+      const firstWon = String(item.winner).toLowerCase() === 'a';
+      state.pairs[pairKey(batch[i])] = firstWon !== flips[i] ? 'a' : 'b';
+    }
+    await saveState();
+    log(`Pairs ${n + 1}/${pairBatches.length}: ${value.length} comparison(s)`);
+  });
+
+  const results = pairs.filter(p => state.pairs[pairKey(p)]).map(([a, b]) => (state.pairs[pairKey([a, b])] === 'a' ? { winner: a, loser: b } : { winner: b, loser: a }));
+  const pairwiseScores = results.length ? strengthsToScores(bradleyTerry(results), new Map(top.map(id => [id, final.get(id)]))) : new Map();
+  const record = new Map(top.map(id => [id, { wins: 0, comparisons: 0 }]));
+  for (const { winner, loser } of results) {
+    record.get(winner).wins++;
+    record.get(winner).comparisons++;
+    record.get(loser).comparisons++;
+  }
+
+  // 4. Write rating, ratingVariance, ratingPasses (and ratingPairwise for the top).
+  const touchedFiles = new Set();
+  for (const e of allEntries) {
+    const xs = calibrated.get(e.entryId);
+    if (!xs) continue;
+    const entry = entryOf(e);
+    entry.rating = clampRating(pairwiseScores.get(e.entryId) ?? final.get(e.entryId));
+    entry.ratingVariance = Math.round(variance(xs) * 10) / 10;
+    entry.ratingPasses = (perPass.get(e.entryId) ?? []).sort((a, b) => a.pass - b.pass).map(p => p.raw);
+    if (record.get(e.entryId)?.comparisons) entry.ratingPairwise = record.get(e.entryId);
+    else delete entry.ratingPairwise;
+    const seen = observed.get(e.entryId);
+    entry.ratingBreakdown = Object.fromEntries(RATING_CRITERIA_KEYS.map(k => [k, Math.round(mean(seen.map(sc => sc[k])))]));
+    const justification = state.justifications?.[e.entryId];
+    if (justification) entry.ratingJustification = justification;
+    entry.ratingTextHash = ratingTextHash(e.text);
+    savedRatings.set(e.entryId, savedRatingOf(entry));
+    touchedFiles.add(e.filePath);
+  }
+  for (const filePath of touchedFiles) await writeJsonAtomic(filePath, fileData.get(filePath));
+  await writeRatingsState({ model: model.model, args, weights, totalEntries, savedRatings });
+
+  log(c(`Calibrated ${calibrated.size}/${allEntries.length} entries`, 'green', 'bold'), `pairs=${results.length}`);
+  return { total: allEntries.length, rated: savedRatings.size, passes: args.passes, pairs: results.length };
+}
+
+// --- Main ---
+export async function main(argv = process.argv.slice(2)) {
+  const args = parseArgs(argv);
+  const weights = await resolveWeights(args);
+  log(`weights: ${RATING_CRITERIA_KEYS.map(k => `${k}=${weights[k]}`).join(' ')}`);
+
+  const resolved = await resolveEdition(args);
+  args.statePath = ratingsStatePath(args.topicsDir, resolved.edition);
+  args.calibrationStatePath = calibrationStatePath(args.topicsDir, resolved.edition);
+  const topics = await loadTopics(resolved);
+  const selected = topics.filter(t => topicMatches(t, args.topics));
+  if (selected.length === 0) throw new Error(`No topics match --topic ${args.topics.join(',')} in edition ${resolved.edition}`);
+
+  const provider = args.dryRun || args.recombine ? null : createProvider({ provider: args.provider, model: args.model });
+
+  const files = selected.map(t => t.file).sort();
+  log(`Edition ${resolved.edition}: ${files.length}/${topics.length} topic file(s) in ${resolved.topicsRoot}`);
+
+  const { allEntries, fileData } = await loadEntries(files);
   log(c(`Total entries: ${allEntries.length.toLocaleString()}`, 'bold'));
+  // Ratings are keyed by entryId, so legacy per-batch IDs ("0:e1" in every file) would clash.
+  const seenIds = new Set();
+  for (const e of topics.flatMap(t => t.entries)) {
+    if (seenIds.has(e.entryId)) throw new Error(`entryId ${e.entryId} is not unique; run migrate-entry-ids.js first.`);
+    seenIds.add(e.entryId);
+  }
 
-  // Load saved ratings from state file (for --resume)
+  // Saved ratings of the whole edition; a run over some topics keeps the others.
   const savedRatings = new Map();
-  if (args.resume && await fs.pathExists(STATE_FILE)) {
+  if (await fs.pathExists(args.statePath)) {
     try {
-      const state = await fs.readJson(STATE_FILE);
-      const saved = state?.ratings ?? {};
-      for (const [id, rating] of Object.entries(saved)) {
-        savedRatings.set(String(id), Number(rating));
+      const state = await fs.readJson(args.statePath);
+      if (isPositionalRatingsState(state)) {
+        warn('State file keys ratings by position; run migrate-entry-ids.js first. Ignoring it.');
+      } else {
+        for (const [entryId, value] of Object.entries(state.ratings ?? {})) {
+          const saved = normalizeStateRating(value);
+          if (saved) savedRatings.set(entryId, saved);
+        }
+        if (args.resume) log(c(`Resumed: ${savedRatings.size} ratings already saved`, 'yellow'));
       }
-      log(c(`Resumed: ${savedRatings.size} ratings already saved`, 'yellow'));
     } catch (e) {
       warn('Could not read state file:', e.message);
     }
   }
 
-  const totalBatches = Math.ceil(allEntries.length / args.batchSize);
+  if (args.recombine) return recombine(args, { allEntries, fileData, savedRatings, weights, totalEntries: seenIds.size });
 
-  // Process in batches
-  for (let batchStart = 0; batchStart < allEntries.length; batchStart += args.batchSize) {
-    const batch = allEntries.slice(batchStart, batchStart + args.batchSize);
-    const batchNum = Math.floor(batchStart / args.batchSize) + 1;
-
-    // Check if all items in this batch already have ratings (resume mode)
-    const alreadyDone = batch.every(e => savedRatings.has(e.id));
-    if (alreadyDone) {
-      log(c(`Batch ${batchNum}/${totalBatches}`, 'gray'), `skipped (already rated)`);
-      continue;
+  if (args.calibrate) {
+    const model = provider ? withRateLimit(provider, createRateLimiter(args.rateLimit)) : null;
+    return calibrate(args, { allEntries, fileData, model, savedRatings, weights, totalEntries: seenIds.size });
+  }
+
+  // With --resume only new and edited entries are rated, regrouped into fresh batches;
+  // everything else keeps its rating. A fresh run rates everything.
+  let pending = allEntries;
+  const counts = { new: 0, changed: 0, restore: 0, rated: 0, stale: 0, hashed: 0 };
+  if (args.resume) {
+    const rewrittenFiles = new Set();
+    pending = [];
+    for (const e of allEntries) {
+      const entry = fileData.get(e.filePath).entries[e.entryIndex];
+      const status = ratingStatus(entry, savedRatings.get(e.entryId));
+      counts[status]++;
+      if (status === 'new' || status === 'changed') {
+        savedRatings.delete(e.entryId);
+        pending.push(e);
+      } else if (status === 'restore') {
+        const saved = savedRatings.get(e.entryId);
+        Object.assign(entry, { rating: saved.rating, ratingTextHash: saved.textHash });
+        if (saved.breakdown) entry.ratingBreakdown = saved.breakdown;
+        if (saved.justification) entry.ratingJustification = saved.justification;
+        rewrittenFiles.add(e.filePath);
+      } else {
+        if (!entry.ratingTextHash) {
+          entry.ratingTextHash = ratingTextHash(e.text);
+          rewrittenFiles.add(e.filePath);
+          counts.hashed++;
+        }
+        savedRatings.set(e.entryId, savedRatingOf(entry));
+      }
+    }
+    // Ratings of entries that are gone (merged, deduplicated, re-structured away).
+    for (const entryId of [...savedRatings.keys()]) {
+      if (!seenIds.has(entryId)) {
+        savedRatings.delete(entryId);
+        counts.stale++;
+      }
+    }
+    log(c('To rate:', 'bold'), `${counts.new} new, ${counts.changed} changed`,
+      c(`(${counts.rated} unchanged${counts.hashed ? ` of which ${counts.hashed} got a text hash` : ''}, ${counts.restore} restored from state, ${counts.stale} stale dropped from state)`, 'dim'));
+    if (!args.dryRun && (rewrittenFiles.size || counts.stale)) {
+      for (const filePath of rewrittenFiles) await writeJsonAtomic(filePath, fileData.get(filePath));
+      await writeRatingsState({ model: provider.model, args, weights, totalEntries: seenIds.size, savedRatings });
     }
+  }
+
+  const totalBatches = Math.ceil(pending.length / args.batchSize);
+  const batches = [];
+  for (let batchStart = 0; batchStart < pending.length; batchStart += args.batchSize) {
+    batches.push({
+      batchStart,
+      batchNum: Math.floor(batchStart / args.batchSize) + 1,
+      batch: pending.slice(batchStart, batchStart + args.batchSize)
+    });
+  }
 
+  const concurrency = args.dryRun ? 1 : args.concurrency;
+  const model = provider ? withRateLimit(provider, createRateLimiter(args.rateLimit)) : null;
+  log(`concurrency=${concurrency} rpm=${args.rateLimit.rpm || 'unlimited'} tpm=${args.rateLimit.tpm || 'unlimited'}`);
+
+  // Batches are rated in parallel, but topic files and the state file are shared
+  // between batches, so every write goes through one queue.
+  const writeQueue = createSerialQueue();
+  const saveBatch = touchedFiles => writeQueue.run(async () => {
+    for (const filePath of touchedFiles) {
+      const data = fileData.get(filePath);
+      const entries = Array.isArray(data.entries) ? data.entries : [];
+      const rated = entries.filter(e => typeof e.rating === 'number').length;
+      log(c('  saving', 'blue'), `${path.basename(filePath)} — ${rated}/${entries.length} entries rated`);
+      await writeJsonAtomic(filePath, data);
+    }
+
+    await writeRatingsState({ model: provider.model, args, weights, totalEntries: seenIds.size, savedRatings });
+  });
+
+  // Process in batches
+  await runPool(batches, concurrency, async ({ batchStart, batchNum, batch }) => {
     log(c(`Batch ${batchNum}/${totalBatches}`, 'cyan', 'bold'),
-      `entries ${batchStart + 1}–${batchStart + batch.length} / ${allEntries.length}`);
+      `entries ${batchStart + 1}–${batchStart + batch.length} / ${pending.length}`);
 
     if (args.dryRun) {
       log(c('Dry run', 'yellow'), 'skipping model call');
-      continue;
+      return;
     }
 
     const items = batch.map(e => ({ id: e.id, entryId: e.entryId, text: e.text }));
     const prompt = buildRatingPrompt(items);
 
     let parsed;
-    {
-      const maxParseAttempts = 5;
-      let parseAttempt = 0;
-      while (true) {
-        parseAttempt++;
-        try {
-          const raw = await generateWithRetry(model, prompt);
-          parsed = tryParseJsonArray(raw);
-          break;
-        } catch (err) {
-          const isParseError = err instanceof SyntaxError || /json/i.test(err.message) || /token/i.test(err.message);
-          if (isParseError && parseAttempt < maxParseAttempts) {
-            warn(c(`Batch ${batchNum}: JSON parse error, retrying (${parseAttempt}/${maxParseAttempts})...`, 'yellow'), err.message.slice(0, 120));
-            await new Promise(r => setTimeout(r, 1500 * parseAttempt));
-            continue;
-          }
-          errorLog(`Batch ${batchNum} failed after ${parseAttempt} attempt(s):`, err.message);
-          warn('Saving progress and stopping. Re-run with --resume to continue.');
-          process.exit(1);
-        }
-      }
+    try {
+      const result = await generateValidatedJson(model, [prompt], {
+        parse: tryParseJsonArray,
+        validate: v => validateRatingResponse(v, { ids: batch.map(e => e.id), criteria: RATING_CRITERIA_KEYS }),
+        label: `rate_batch_${batchNum}`,
+        retry: args.retry,
+        repair: args.repair
+      });
+      parsed = result.value;
+    } catch (err) {
+      errorLog(`Batch ${batchNum} failed:`, err.message);
+      warn('Saving progress and stopping. Re-run with --resume to continue.');
+      throw new Error(`Rating stopped at batch ${batchNum}/${totalBatches}`, { cause: err });
     }
 
-    // Build id->entry map for this batch
-    const batchById = new Map(batch.map(e => [e.id, e]));
-
-    let matched = 0;
-    const touchedFiles = new Set();
-    for (const item of parsed) {
-      const id = String(item?.id ?? '');
-      const raw = Number(item?.rating);
-      if (!Number.isFinite(raw)) continue;
-      const entry = batchById.get(id);
-      if (!entry) continue;
-      const rating = Math.round(Math.max(0, Math.min(1000, raw)));
-      savedRatings.set(id, rating);
-      fileData.get(entry.filePath).entries[entry.entryIndex].rating = rating;
-      touchedFiles.add(entry.filePath);
-      matched++;
-    }
+    const { matched, touchedFiles } = applyBatchRatings(parsed, batch, fileData, savedRatings, weights);
 
     log(`Batch ${batchNum}: ${matched}/${batch.length} ratings received`);
     if (matched < batch.length) {
       warn(`Missing ${batch.length - matched} ratings in this batch`);
     }
 
-    // Write affected files immediately after each batch
-    for (const filePath of touchedFiles) {
-      const data = fileData.get(filePath);
-      const entries = Array.isArray(data.entries) ? data.entries : [];
-      const rated = entries.filter(e => typeof e.rating === 'number').length;
-      log(c('  saving', 'blue'), `${path.basename(filePath)} — ${rated}/${entries.length} entries rated`);
-      await fs.writeJson(filePath, data, { spaces: 2 });
-    }
-
-    // Save progress to state file after each batch
-    await fs.ensureDir(path.dirname(STATE_FILE));
-    await fs.writeJson(STATE_FILE, {
-      model: MODEL_NAME,
-      batchSize: args.batchSize,
-      totalEntries: allEntries.length,
-      ratedSoFar: savedRatings.size,
-      ratings: Object.fromEntries(savedRatings),
-      updatedAt: ts()
-    }, { spaces: 2 });
-  }
+    // Write affected files and progress immediately after each batch
+    await saveBatch(touchedFiles);
+  });
 
   if (args.dryRun) {
     log(c('Dry run complete — no changes written.', 'yellow'));
-    return;
+    return { total: allEntries.length, rated: savedRatings.size, pending: pending.length, dryRun: true };
   }
 
-  const totalRated = [...savedRatings.values()].length;
+  const totalRated = allEntries.filter(e => savedRatings.has(e.entryId)).length;
   log(c(`Done! ${totalRated}/${allEntries.length} entries rated.`, 'green', 'bold'));
+  if (args.resume) log(`Summary: ${counts.new} new, ${counts.changed} changed, ${counts.stale} stale, ${counts.restore} restored`);
+  return { total: allEntries.length, rated: totalRated, new: counts.new, changed: counts.changed, stale: counts.stale, restored: counts.restore };
 }
 
-main().catch(e => {
-  console.error(e);
-  process.exit(1);
-});
+if (isMainModule(import.meta.url)) {
+  main().catch(e => {
+    errorLog(e?.message ?? e);
+    process.exit(1);
+  });
+}
@@ -0,0 +1,300 @@
+#!/usr/bin/env node
+/**
+ * Full-text and faceted search over the structured entries, compendium messages and
+ * slim chat exports of one edition:
+ *
+ *   node search.js "karta suica" --type tip --min-rating 500
+ *   node search.js --author kuba --from 2024-03-01 --to 2024-03-31 --kind message
+ *
+ * Queries go through lib/retrieval.js (diacritics folded, Polish endings stemmed, BM25).
+ * Without a query, the facets alone select documents: entries best rated first, then
+ * messages newest first. Entries are shown with their footnoted sources; every message
+ * gets a jump path back to the split export it came from ("<split file>#messages[i]")
+ * and, when its guild/channel is known, its Discord URL.
+ *
+ * Facets: --section (topic title / compendium section), --type, --author, --from/--to
+ *         (YYYY-MM-DD), --min-rating/--max-rating, --kind entry|message.
+ * Entry authors and dates are those of the messages they cite. --type and rating bounds
+ * only match entries.
+ *
+ * Options: [--edition N] [--limit 10] [--json]
+ *          [--topics-dir ./structured_topics] [--compendium-dir ./compendium_versions]
+ */
+
+import fs from 'fs-extra';
+import { citedSource } from './lib/message-sources.js';
+import { c, errorLog, isMainModule, log, logToStderr, warn } from './lib/pipeline.js';
+import { buildCompendiumDocuments, createBm25Index, foldText, loadSlimMessages, searchIndex } from './lib/retrieval.js';
+import { loadCompendiumMessages, loadTopics, messageBody, resolveEdition } from './lib/topics.js';
+
+const EXCERPT_CHARS = 160;
+const FACET_VALUES = 5;
+
+export function parseArgs(argv) {
+  const args = {
+    edition: null,
+    topicsDir: './structured_topics',
+    compendiumDir: './compendium_versions',
+    query: '',
+    limit: 10,
+    json: false,
+    kind: null,
+    sections: [],
+    types: [],
+    authors: [],
+    from: null,
+    to: null,
+    minRating: null,
+    maxRating: null
+  };
+  const words = [];
+  const list = v => v.split(',').map(s => s.trim()).filter(Boolean);
+  const withValue = new Set([
+    '--edition', '--topics-dir', '--compendium-dir', '--limit', '--kind', '--section', '--type', '--author',
+    '--from', '--to', '--min-rating', '--max-rating'
+  ]);
+  for (let i = 0; i < argv.length; i++) {
+    const a = argv[i];
+    const v = argv[i + 1];
+    if (a === '--edition' && v) {
+      args.edition = Number.parseInt(v, 10);
+    } else if (a === '--topics-dir' && v) {
+      args.topicsDir = v;
+    } else if (a === '--compendium-dir' && v) {
+      args.compendiumDir = v;
+    } else if (a === '--limit' && v) {
+      args.limit = Math.max(1, Number.parseInt(v, 10) || 1);
+    } else if (a === '--kind' && v) {
+      if (v !== 'entry' && v !== 'message') throw new Error(`--kind must be entry or message, got "${v}"`);
+      args.kind = v;
+    } else if (a === '--section' && v) {
+      args.sections.push(...list(v));
+    } else if (a === '--type' && v) {
+      args.types.push(...list(v));
+    } else if (a === '--author' && v) {
+      args.authors.push(...list(v));
+    } else if ((a === '--from' || a === '--to') && v) {
+      if (!/^\d{4}-\d{2}-\d{2}$/.test(v)) throw new Error(`${a} expects YYYY-MM-DD, got "${v}"`);
+      args[a.slice(2)] = v;
+    } else if ((a === '--min-rating' || a === '--max-rating') && v) {
+      const n = Number.parseInt(v, 10);
+      if (!Number.isFinite(n)) throw new Error(`${a} expects a number, got "${v}"`);
+      args[a === '--min-rating' ? 'minRating' : 'maxRating'] = n;
+    } else if (a === '--json') {
+      args.json = true;
+    } else if (!a.startsWith('--')) {
+      words.push(a);
+    }
+    if (withValue.has(a) && v) i++;
+  }
+  args.query = words.join(' ').trim();
+  return args;
+}
+
+/** Loads an edition plus the slim exports into one index: { resolved, topics, messages, slim, index }. */
+export async function loadSearchIndex(args) {
+  const resolved = await resolveEdition(args);
+  const topics = await loadTopics(resolved);
+  const messages = await loadCompendiumMessages(resolved.compendiumPath);
+  const slim = await loadSlimMessages();
+  if (!resolved.compendiumPath) warn('Compendium markdown not found; compendium sections are unavailable.');
+  if (slim.size === 0) warn('No slim exports found; messages have no jump paths.');
+  return { resolved, topics, messages, slim, index: createBm25Index(buildCompendiumDocuments(topics, messages, slim)) };
+}
+
+/** Author and date of a message, whichever of compendium / slim export knows it. */
+function messageMeta(messageId, messages, slim) {
+  const msg = messages.get(messageId);
+  const s = slim.get(messageId);
+  return { author: msg?.author ?? s?.author ?? null, date: msg?.date ?? s?.date ?? null };
+}
+
+/**
+ * The facet predicate for `args` over documents from buildCompendiumDocuments. Entries
+ * take authors and dates from the messages they cite and match when any of them does.
+ */
+export function facetFilter(args, { messages = new Map(), slim = new Map() } = {}) {
+  const folded = xs => xs.map(foldText);
+  const sections = folded(args.sections);
+  const authors = folded(args.authors);
+  const types = args.types.map(t => t.toLowerCase());
+  const entryOnly = types.length > 0 || args.minRating !== null || args.maxRating !== null;
+
+  const sourcesOf = doc => (doc.kind === 'entry'
+    ? doc.messageIds.map(id => messageMeta(id, messages, slim))
+    : [{ author: doc.author, date: doc.date }]);
+
+  return (doc) => {
+    if (args.kind && doc.kind !== args.kind) return false;
+    if (entryOnly && doc.kind !== 'entry') return false;
+    if (sections.length) {
+      const names = [doc.section, doc.topic?.slug].filter(Boolean).map(foldText);
+      if (!sections.some(q => names.some(n => n.includes(q)))) return false;
+    }
+    if (types.length && !types.includes(String(doc.type ?? '').toLowerCase())) return false;
+    if (args.minRating !== null && !(doc.rating !== null && doc.rating >= args.minRating)) return false;
+    if (args.maxRating !== null && !(doc.rating !== null && doc.rating <= args.maxRating)) return false;
+    if (authors.length || args.from || args.to) {
+      const ok = sourcesOf(doc).some(s => (!authors.length || authors.some(q => foldText(s.author).includes(q)))
+        && (!args.from || (s.date && s.date >= args.from))
+        && (!args.to || (s.date && s.date <= args.to)));
+      if (!ok) return false;
+    }
+    return true;
+  };
+}
+
+/**
+ * Every matching document, best first: BM25 order for a query, otherwise entries by
+ * rating then messages by date (newest first). Returns [{ doc, score, matched }].
+ */
+export function searchDocuments(index, query, filter) {
+  if (query) return searchIndex(index, query, { limit: Infinity, filter });
+  const docs = index.docs.filter(filter);
+  const order = (a, b) => (a.kind === b.kind ? 0 : a.kind === 'entry' ? -1 : 1)
+    || (b.rating ?? -1) - (a.rating ?? -1)
+    || String(b.date ?? '').localeCompare(String(a.date ?? ''));
+  return docs.sort(order).map(doc => ({ doc, score: null, matched: [] }));
+}
+
+/** Result counts per kind, section, type and author (authors of entries' sources included). */
+export function facetCounts(hits, { messages = new Map(), slim = new Map() } = {}) {
+  const counts = { kind: {}, section: {}, type: {}, author: {} };
+  const bump = (facet, value) => {
+    if (value) counts[facet][value] = (counts[facet][value] ?? 0) + 1;
+  };
+  for (const { doc } of hits) {
+    bump('kind', doc.kind);
+    bump('section', doc.section);
+    bump('type', doc.type);
+    const authors = doc.kind === 'entry' ? doc.messageIds.map(id => messageMeta(id, messages, slim).author) : [doc.author];
+    for (const a of new Set(authors)) bump('author', a);
+  }
+  return counts;
+}
+
+/**
+ * Jump paths for message IDs: { messageId: { file, index } } where `index` is the
+ * message's position in the split export's `messages` array. Split files are read once
+ * each; when the split export is missing, the slim file is given with index null.
+ */
+export async function resolveJumpPaths(messageIds, slim) {
+  const files = new Map();
+  const out = {};
+  for (const id of messageIds) {
+    const s = slim.get(id);
+    if (!s) continue;
+    if (!files.has(s.splitFile)) {
+      let ids = null;
+      try {
+        const data = await fs.readJson(s.splitFile);
+        ids = (Array.isArray(data?.messages) ? data.messages : []).map(m => String(m?.id));
+      } catch {
+        ids = null;
+      }
+      files.set(s.splitFile, ids);
+    }
+    const ids = files.get(s.splitFile);
+    const index = ids ? ids.indexOf(id) : -1;
+    out[id] = index >= 0 ? { file: s.splitFile, index } : { file: s.slimFile, index: null };
+  }
+  return out;
+}
+
+function jumpLabel(jump) {
+  if (!jump) return null;
+  return jump.index === null ? jump.file : `${jump.file}#messages[${jump.index}]`;
+}
+
+function excerpt(text) {
+  const s = String(text ?? '').replace(/\s+/g, ' ').trim();
+  return s.length > EXCERPT_CHARS ? `${s.slice(0, EXCERPT_CHARS - 1)}…` : s;
+}
+
+/** A plain object for one hit, sources and jump paths resolved. */
+export function describeHit(hit, { messages, slim, jumps }) {
+  const { doc } = hit;
+  const source = (messageId) => {
+    const msg = messages.get(messageId);
+    const s = slim.get(messageId);
+    const origin = citedSource(messageId, { entry: doc.entry, messages }) ?? s?.source ?? null;
+    return {
+      messageId,
+      ...messageMeta(messageId, messages, slim),
+      channel: origin?.channelName ?? null,
+      url: origin?.url ?? null,
+      text: msg ? messageBody(msg) : String(s?.content ?? ''),
+      jump: jumpLabel(jumps[messageId])
+    };
+  };
+  const base = { id: doc.id, kind: doc.kind, score: hit.score, matched: hit.matched, section: doc.section };
+  if (doc.kind === 'entry') {
+    const footnotes = Object.entries(doc.entry.footnotes ?? {}).map(([n, ids]) => ({ n, sources: ids.map(id => source(String(id))) }));
+    return { ...base, topic: doc.topic, type: doc.type, rating: doc.rating, text: doc.entry.text, footnotes };
+  }
+  return { ...base, ...source(doc.messageIds[0]) };
+}
+
+function renderHit(r, i) {
+  const score = r.score === null ? '' : ` ${c(r.score.toFixed(2), 'cyan')}`;
+  if (r.kind === 'entry') {
+    const meta = [r.section, r.type, r.rating === null ? 'unrated' : `rating ${r.rating}`].filter(Boolean).join(' · ');
+    const lines = [`${i + 1}. ${c('[entry]', 'bold')}${score} ${meta}`, `   ${String(r.text).replace(/\n/g, '\n   ')}`];
+    for (const f of r.footnotes) {
+      for (const s of f.sources) {
+        lines.push(`   [${f.n}] #${s.messageId} ${s.author ?? '?'}, ${s.date ?? '?'}: ${c(excerpt(s.text), 'dim')}`);
+        if (s.jump) lines.push(`       → ${s.jump}`);
+        if (s.url) lines.push(`       → ${s.url}`);
+      }
+    }
+    return lines.join('\n');
+  }
+  const meta = [r.section, `${r.author ?? '?'}, ${r.date ?? '?'}`].filter(Boolean).join(' · ');
+  const lines = [`${i + 1}. ${c('[message]', 'bold')}${score} #${r.messageId} ${meta}`, `   ${excerpt(r.text)}`];
+  if (r.jump) lines.push(`   → ${r.jump}`);
+  if (r.url) lines.push(`   → ${r.url}`);
+  return lines.join('\n');
+}
+
+function renderFacets(counts) {
+  return Object.entries(counts)
+    .filter(([, values]) => Object.keys(values).length)
+    .map(([facet, values]) => {
+      const top = Object.entries(values).sort((a, b) => b[1] - a[1] || a[0].localeCompare(b[0])).slice(0, FACET_VALUES);
+      return `${c(`${facet}:`, 'bold')} ${top.map(([v, n]) => `${v} (${n})`).join(', ')}`;
+    })
+    .join('\n');
+}
+
+export async function main(argv = process.argv.slice(2)) {
+  const args = parseArgs(argv);
+  const hasFacets = args.kind || args.sections.length || args.types.length || args.authors.length
+    || args.from || args.to || args.minRating !== null || args.maxRating !== null;
+  if (!args.query && !hasFacets) throw new Error('Usage: node search.js "<query>" [--section ...] [--type ...] [--author ...] [--from/--to YYYY-MM-DD] [--min-rating/--max-rating N] [options]');
+  if (args.json) logToStderr();
+
+  const { resolved, messages, slim, index } = await loadSearchIndex(args);
+  log(`Edition: ${resolved.edition} documents=${index.docs.length} slim messages=${slim.size}`);
+
+  const hits = searchDocuments(index, args.query, facetFilter(args, { messages, slim }));
+  const shown = hits.slice(0, args.limit);
+  const jumps = await resolveJumpPaths([...new Set(shown.flatMap(h => h.doc.messageIds))], slim);
+  const results = shown.map(h => describeHit(h, { messages, slim, jumps }));
+  const counts = facetCounts(hits, { messages, slim });
+
+  if (args.json) {
+    process.stdout.write(`${JSON.stringify({ query: args.query, edition: resolved.edition, total: hits.length, facets: counts, results }, null, 2)}\n`);
+  } else {
+    const lines = [`${hits.length} result(s)${hits.length > shown.length ? `, showing ${shown.length}` : ''}`];
+    if (hits.length) lines.push(renderFacets(counts), '', results.map(renderHit).join('\n\n'));
+    process.stdout.write(`${lines.join('\n')}\n`);
+  }
+  return { edition: resolved.edition, total: hits.length, shown: results.length };
+}
+
+if (isMainModule(import.meta.url)) {
+  main().catch((e) => {
+    errorLog(e?.message ?? e);
+    process.exit(1);
+  });
+}
@@ -1,6 +1,9 @@
 import fs from 'fs-extra';
 import { glob } from 'glob';
 import path from 'path';
+import { hasMedia, summarizeMedia } from './lib/attachments.js';
+import { SOURCE_DIRS } from './lib/compendium.js';
+import { isMainModule } from './lib/pipeline.js';
 
 function ts() {
   return new Date().toISOString();
@@ -27,11 +30,7 @@ function parseArgs(argv) {
   return args;
 }
 
-const INPUT_PATTERNS = [
-  './KARCZMA_JAPAN/split/**/*.json',
-  './NODODON_JAPAN/split/**/*.json',
-  './NODODON_JAPAN_THREAD/split/**/*.json'
-];
+const INPUT_PATTERNS = SOURCE_DIRS.map(dir => `./${dir}/split/**/*.json`);
 
 function toPosix(p) {
   return String(p).replace(/\\/g, '/');
@@ -43,28 +42,56 @@ function pickAuthor(msg) {
   return v || null;
 }
 
-function slimMessage(msg, opts) {
+/**
+ * Attachments, embeds and stickers are kept as compact summaries (lib/attachments.js),
+ * with local paths resolved against `opts.splitDir`. Messages with neither text nor an
+ * attachment/embed are dropped unless --keep-empty-content.
+ */
+export function slimMessage(msg, opts) {
   const content = typeof msg?.content === 'string' ? msg.content : '';
   const contentTrim = content.trim();
-  if (!opts.keepEmptyContent && contentTrim.length === 0) return null;
+  const media = summarizeMedia(msg, { baseDir: opts.splitDir ?? '.' });
+  if (!opts.keepEmptyContent && contentTrim.length === 0 && !hasMedia(media)) return null;
 
   return {
     id: msg?.id ?? null,
     timestamp: msg?.timestamp ?? null,
     author: pickAuthor(msg),
     content: content,
-    replyTo: msg?.reference?.messageId ?? null
+    replyTo: msg?.reference?.messageId ?? null,
+    ...media
   };
 }
 
-function makeOutputPath(inputPath) {
+/**
+ * Guild and channel are always kept so every message can be traced back to Discord
+ * (lib/message-sources.js); --keep-header adds the export time.
+ */
+export function slimHeader(data, opts = {}) {
+  return {
+    guild: data?.guild ? { id: data.guild.id ?? null, name: data.guild.name ?? null } : undefined,
+    channel: data?.channel ? { id: data.channel.id ?? null, name: data.channel.name ?? null, category: data.channel.category ?? null } : undefined,
+    ...(opts.keepHeader ? { exportedAt: data?.exportedAt ?? null } : {})
+  };
+}
+
+export function makeOutputPath(inputPath) {
   const rel = toPosix(path.relative('.', inputPath));
   if (rel.includes('/split/')) return path.resolve(rel.replace('/split/', '/slim/'));
   return path.resolve(rel.replace(/^\.\//, ''));
 }
 
-async function main() {
-  const opts = parseArgs(process.argv.slice(2));
+/**
+ * An output is up to date when it exists and is not older than its split input.
+ */
+async function isUpToDate(inPath, outPath) {
+  if (!(await fs.pathExists(outPath))) return false;
+  const [inStat, outStat] = await Promise.all([fs.stat(inPath), fs.stat(outPath)]);
+  return outStat.mtimeMs >= inStat.mtimeMs;
+}
+
+export async function main(argv = process.argv.slice(2)) {
+  const opts = parseArgs(argv);
 
   let files = [];
   for (const pattern of INPUT_PATTERNS) {
@@ -77,7 +104,7 @@ async function main() {
 
   if (files.length === 0) {
     log('No input JSON files found.');
-    return;
+    return { files: 0, written: 0, skipped: 0 };
   }
 
   log(`Found ${files.length} JSON file(s) to slim.`);
@@ -86,36 +113,32 @@ async function main() {
   let totalInMsgs = 0;
   let totalOutMsgs = 0;
   let skipped = 0;
+  let overwritten = 0;
 
   for (let i = 0; i < files.length; i++) {
     const inPath = files[i];
     const outPath = makeOutputPath(inPath);
 
-    if (!opts.overwrite && (await fs.pathExists(outPath))) {
+    if (!opts.overwrite && (await isUpToDate(inPath, outPath))) {
       skipped++;
       continue;
     }
 
+    if (await fs.pathExists(outPath)) overwritten++;
     const data = await fs.readJson(inPath);
     const inMessages = Array.isArray(data?.messages) ? data.messages : [];
 
     const outMessages = [];
+    const splitDir = path.posix.dirname(toPosix(path.relative('.', inPath)));
     for (const m of inMessages) {
-      const sm = slimMessage(m, opts);
+      const sm = slimMessage(m, { ...opts, splitDir });
       if (sm) outMessages.push(sm);
     }
 
     totalInMsgs += inMessages.length;
     totalOutMsgs += outMessages.length;
 
-    const outObj = opts.keepHeader
-      ? {
-          guild: data?.guild ? { id: data.guild.id ?? null, name: data.guild.name ?? null } : undefined,
-          channel: data?.channel ? { id: data.channel.id ?? null, name: data.channel.name ?? null, category: data.channel.category ?? null } : undefined,
-          exportedAt: data?.exportedAt ?? null,
-          messages: outMessages
-        }
-      : { messages: outMessages };
+    const outObj = { ...slimHeader(data, opts), messages: outMessages };
 
     const pct = inMessages.length ? ((outMessages.length / inMessages.length) * 100).toFixed(1) : '0.0';
     log(`(${i + 1}/${files.length}) ${toPosix(inPath)} -> ${toPosix(outPath)} msgs ${outMessages.length}/${inMessages.length} (${pct}%)`);
@@ -127,10 +150,18 @@ async function main() {
   }
 
   log(`Done. inputMsgs=${totalInMsgs} outputMsgs=${totalOutMsgs} skippedFiles=${skipped}`);
+  if (overwritten && !opts.dryRun) {
+    // index.js keys its ledger by file hash: every rewritten file it had processed is sent to the model again.
+    log(`WARN ${overwritten} existing slim file(s) rewritten; index.js will classify every one whose content changed again.`
+      + ' To pick up newer slim rules without that, use backfill-slim-media.js instead of --overwrite.');
+  }
+  return { files: files.length, written: files.length - skipped, skipped, inputMsgs: totalInMsgs, outputMsgs: totalOutMsgs };
 }
 
-main().catch((e) => {
-  console.error(e);
-  process.exit(1);
-});
+if (isMainModule(import.meta.url)) {
+  main().catch((e) => {
+    console.error(e);
+    process.exit(1);
+  });
+}
 
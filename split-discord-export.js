@@ -3,6 +3,16 @@
  * Streams Discord export JSON files from NODODON_JAPAN_THREAD, NODODON_JAPAN, KARCZMA_JAPAN
  * and splits them into files at 1000 messages each.
  * Fixes attachment/avatar/icon paths to point to the correct _Files folder locations.
+ *
+ * Usage: node split-discord-export.js [--incremental]
+ *
+ * Every run records a manifest in {sourceDir}/split/.manifest.json: the Discord message
+ * IDs already split, the last part number per channel and the size/mtime of each export.
+ * With --incremental, unchanged exports are skipped and a new export only contributes
+ * messages whose ID has not been seen, written to new parts that continue the channel's
+ * numbering. Existing parts are never rewritten, so slim/classify only see the new ones.
+ * A full run splits every export under its own name from part 1, keeping messages that
+ * several exports share. Source dirs are resolved against this script's directory.
  */
 
 import fs from 'fs';
@@ -18,10 +28,13 @@ const pick = Pick.pick ?? Pick.make;
 const streamValues = StreamValues.streamValues ?? StreamValues.make;
 
 import { fileURLToPath } from 'url';
+import { SOURCE_DIRS } from './lib/compendium.js';
+import { isMainModule, writeJsonAtomic } from './lib/pipeline.js';
 const __dirname = path.dirname(fileURLToPath(import.meta.url));
 const ROOT_DIR = path.resolve(__dirname);
-const SOURCE_DIRS = ['NODODON_JAPAN_THREAD', 'NODODON_JAPAN', 'KARCZMA_JAPAN'];
 const MESSAGES_PER_FILE = 100;
+const MANIFEST_NAME = '.manifest.json';
+const PART_FILE = /^(.+)_part(\d+)\.json$/;
 
 /**
  * Recursively fix paths in an object. Paths like "{jsonName}_Files\\file.png"
@@ -68,19 +81,115 @@ function parseHeader(jsonPath) {
   return JSON.parse(headerStr);
 }
 
-function writePart(header, messages, splitDir, jsonBasename, partIndex) {
-  const partName = `${jsonBasename}_part${String(partIndex).padStart(3, '0')}.json`;
+function writePart(header, messages, splitDir, partPrefix, partIndex) {
+  const partName = `${partPrefix}_part${String(partIndex).padStart(3, '0')}.json`;
   const outputPath = path.join(splitDir, partName);
   const output = { ...header, messages };
   fs.writeFileSync(outputPath, JSON.stringify(output, null, 2), 'utf8');
 }
 
+export function parseArgs(argv) {
+  const args = { incremental: false };
+  for (const a of argv) {
+    if (a === '--incremental') args.incremental = true;
+  }
+  return args;
+}
+
+/** A source dir as an absolute path: relative names are resolved against this script's directory. */
+export function sourceDirPath(sourceDirName) {
+  return path.resolve(ROOT_DIR, sourceDirName);
+}
+
+function emptyManifest() {
+  return { schemaVersion: 1, streams: {}, exports: {}, seenIds: [], updatedAt: null };
+}
+
+function manifestPath(sourceDirName) {
+  return path.join(sourceDirPath(sourceDirName), 'split', MANIFEST_NAME);
+}
+
+/** Returns the split manifest for a source dir, or null if it was never split with one. */
+export function loadSplitManifest(sourceDirName) {
+  const p = manifestPath(sourceDirName);
+  if (!fs.existsSync(p)) return null;
+  const data = JSON.parse(fs.readFileSync(p, 'utf8'));
+  return { ...emptyManifest(), ...data };
+}
+
+async function saveSplitManifest(sourceDirName, manifest, seen) {
+  manifest.seenIds = [...seen].sort();
+  manifest.updatedAt = new Date().toISOString();
+  await writeJsonAtomic(manifestPath(sourceDirName), manifest);
+}
+
+/**
+ * Rebuilds a manifest from parts written before manifests existed, so the first
+ * --incremental run does not duplicate them.
+ */
+function bootstrapManifest(sourceDirName) {
+  const manifest = emptyManifest();
+  const splitDir = path.join(sourceDirPath(sourceDirName), 'split');
+  if (!fs.existsSync(splitDir)) return manifest;
+
+  const ids = new Set();
+  for (const f of fs.readdirSync(splitDir).sort()) {
+    const m = f.match(PART_FILE);
+    if (!m) continue;
+    const data = JSON.parse(fs.readFileSync(path.join(splitDir, f), 'utf8'));
+    for (const msg of data.messages ?? []) {
+      if (msg?.id) ids.add(String(msg.id));
+    }
+    const key = streamKey(data, m[1]);
+    const partNumber = Number.parseInt(m[2], 10);
+    if (!manifest.streams[key] || manifest.streams[key].lastPart < partNumber) {
+      manifest.streams[key] = { partPrefix: m[1], lastPart: partNumber };
+    }
+  }
+  manifest.seenIds = [...ids];
+  return manifest;
+}
+
+// Parts of one channel keep one name and one numbering, whatever the export file was called.
+function streamKey(header, jsonBasename) {
+  return header?.channel?.id ? `channel:${header.channel.id}` : `file:${jsonBasename}`;
+}
+
+function exportFingerprint(jsonPath) {
+  const st = fs.statSync(jsonPath);
+  return { size: st.size, mtimeMs: st.mtimeMs };
+}
+
+/**
+ * Lists the raw exports of a source dir whose size/mtime differ from what the manifest
+ * recorded. Without a manifest every export counts as changed.
+ */
+export function findChangedExports(sourceDirName) {
+  const dirPath = sourceDirPath(sourceDirName);
+  if (!fs.existsSync(dirPath)) return [];
+  const manifest = loadSplitManifest(sourceDirName);
+  return listExports(dirPath).filter((file) => {
+    const known = manifest?.exports?.[file];
+    const now = exportFingerprint(path.join(dirPath, file));
+    return !known || known.size !== now.size || known.mtimeMs !== now.mtimeMs;
+  });
+}
+
+function listExports(dirPath) {
+  return fs
+    .readdirSync(dirPath)
+    .filter((f) => f.endsWith('.json') && !f.includes('_Files') && !f.includes('_part'))
+    .sort();
+}
+
 /**
  * Process a single JSON file: stream messages, split into chunks, fix paths, write output.
+ * Written IDs are added to `seen`; with `skipSeen` (--incremental) messages whose ID is
+ * already in it are dropped.
  */
-function processFile(jsonPath, sourceDirName) {
+function processFile(jsonPath, sourceDirName, { seen, skipSeen, partPrefix, firstPart }) {
   const jsonBasename = path.basename(jsonPath, '.json');
-  const splitDir = path.join(ROOT_DIR, sourceDirName, 'split');
+  const splitDir = path.join(sourceDirPath(sourceDirName), 'split');
   fs.mkdirSync(splitDir, { recursive: true });
 
   const header = parseHeader(jsonPath);
@@ -89,8 +198,9 @@ function processFile(jsonPath, sourceDirName) {
   }
 
   let messageBuffer = [];
-  let partIndex = 1;
+  let partIndex = firstPart;
   let totalMessages = 0;
+  let newMessages = 0;
 
   return new Promise((resolve, reject) => {
     const pipeline = chain([
@@ -104,12 +214,17 @@ function processFile(jsonPath, sourceDirName) {
       .on('data', (data) => {
         const value = data.value ?? data;
         if (value && typeof value === 'object') {
+          totalMessages++;
+          const id = value.id ? String(value.id) : null;
+          if (skipSeen && id && seen.has(id)) return;
+          if (id) seen.add(id);
+
           const msg = fixPathsInObject(value, jsonBasename);
           messageBuffer.push(msg);
-          totalMessages++;
+          newMessages++;
 
           if (messageBuffer.length >= MESSAGES_PER_FILE) {
-            writePart(header, messageBuffer, splitDir, jsonBasename, partIndex);
+            writePart(header, messageBuffer, splitDir, partPrefix, partIndex);
             partIndex++;
             messageBuffer = [];
           }
@@ -117,45 +232,91 @@ function processFile(jsonPath, sourceDirName) {
       })
       .on('end', () => {
         if (messageBuffer.length > 0) {
-          writePart(header, messageBuffer, splitDir, jsonBasename, partIndex);
+          writePart(header, messageBuffer, splitDir, partPrefix, partIndex);
+          partIndex++;
         }
-        console.log(`  ${jsonBasename}: ${totalMessages} messages → ${partIndex} part(s)`);
-        resolve();
+        const parts = partIndex - firstPart;
+        const dupes = totalMessages - newMessages;
+        console.log(`  ${jsonBasename}: ${newMessages} new message(s)${dupes ? ` (${dupes} already split)` : ''} → ${parts} part(s)`);
+        resolve({ messages: totalMessages, newMessages, parts, lastPart: partIndex - 1, streamKey: streamKey(header, jsonBasename) });
       })
       .on('error', reject);
   });
 }
 
-async function main() {
-  console.log('Splitting Discord export JSON files (1000 messages per file)...\n');
+export async function main(argv = process.argv.slice(2), { sourceDirs = SOURCE_DIRS } = {}) {
+  const args = parseArgs(argv);
+  const summary = { files: 0, skipped: 0, messages: 0, newMessages: 0, parts: 0, failed: 0 };
+  console.log(`Splitting Discord export JSON files (${MESSAGES_PER_FILE} messages per file)${args.incremental ? ', incremental' : ''}...\n`);
 
-  for (const dirName of SOURCE_DIRS) {
-    const dirPath = path.join(ROOT_DIR, dirName);
+  for (const dirName of sourceDirs) {
+    const dirPath = sourceDirPath(dirName);
     if (!fs.existsSync(dirPath)) {
       console.warn(`Directory not found: ${dirPath}`);
       continue;
     }
 
-    const files = fs
-      .readdirSync(dirPath)
-      .filter((f) => f.endsWith('.json') && !f.includes('_Files') && !f.includes('_part'));
+    const files = listExports(dirPath);
     if (files.length === 0) {
       console.log(`${dirName}: No JSON files found`);
       continue;
     }
 
+    // A full split starts over; incremental continues from the manifest (or from the
+    // parts already on disk when there is none yet).
+    const manifest = args.incremental
+      ? (loadSplitManifest(dirName) ?? bootstrapManifest(dirName))
+      : emptyManifest();
+    const seen = new Set(manifest.seenIds.map(String));
+    const changed = new Set(args.incremental ? findChangedExports(dirName) : files);
+
     console.log(`${dirName}:`);
     for (const file of files) {
+      if (!changed.has(file)) {
+        summary.skipped++;
+        console.log(`  ${path.basename(file, '.json')}: unchanged, skipped`);
+        continue;
+      }
+
       const jsonPath = path.join(dirPath, file);
       try {
-        await processFile(jsonPath, dirName);
+        const jsonBasename = path.basename(file, '.json');
+        // A full split writes every export under its own name from part 1, as before manifests.
+        const stream = args.incremental ? manifest.streams[streamKey(parseHeader(jsonPath), jsonBasename)] : null;
+        const result = await processFile(jsonPath, dirName, {
+          seen,
+          skipSeen: args.incremental,
+          partPrefix: stream?.partPrefix ?? jsonBasename,
+          firstPart: (stream?.lastPart ?? 0) + 1
+        });
+        if (result.parts > 0 || !stream) {
+          manifest.streams[result.streamKey] = {
+            partPrefix: stream?.partPrefix ?? jsonBasename,
+            lastPart: result.parts > 0 ? result.lastPart : (stream?.lastPart ?? 0)
+          };
+        }
+        manifest.exports[file] = {
+          ...exportFingerprint(jsonPath),
+          messages: result.messages,
+          newMessages: result.newMessages,
+          splitAt: new Date().toISOString()
+        };
+        await saveSplitManifest(dirName, manifest, seen);
+        summary.files++;
+        summary.messages += result.messages;
+        summary.newMessages += result.newMessages;
+        summary.parts += result.parts;
       } catch (err) {
+        summary.failed++;
         console.error(`  Error processing ${file}:`, err.message);
       }
     }
   }
 
   console.log('\nDone.');
+  return summary;
 }
 
-main().catch(console.error);
+if (isMainModule(import.meta.url)) {
+  main().catch(console.error);
+}
@@ -1,154 +1,39 @@
 import 'dotenv/config';
-import { GoogleGenerativeAI } from '@google/generative-ai';
 import fs from 'fs-extra';
 import path from 'path';
 import { glob } from 'glob';
-const modelName = 'gemini-3-pro-preview';
-
-const COLOR_ENABLED =
-  process.stdout.isTTY &&
-  !process.env.NO_COLOR &&
-  process.env.FORCE_COLOR !== '0';
-
-const ANSI = {
-  reset: '\u001b[0m',
-  dim: '\u001b[2m',
-  bold: '\u001b[1m',
-  red: '\u001b[31m',
-  green: '\u001b[32m',
-  yellow: '\u001b[33m',
-  blue: '\u001b[34m',
-  magenta: '\u001b[35m',
-  cyan: '\u001b[36m',
-  gray: '\u001b[90m'
-};
-
-function c(text, ...styles) {
-  if (!COLOR_ENABLED) return String(text);
-  const open = styles.map(s => ANSI[s]).join('');
-  return `${open}${text}${ANSI.reset}`;
-}
-
-function ts() {
-  return new Date().toISOString();
-}
-
-function log(...args) {
-  console.log(c(`[${ts()}]`, 'dim'), c('INFO', 'cyan'), ...args);
-}
-
-function warn(...args) {
-  console.warn(c(`[${ts()}]`, 'dim'), c('WARN', 'yellow', 'bold'), ...args);
-}
+import {
+  getLatestCompendiumFile,
+  groupMessagesByTopic,
+  parseCompendiumMessages,
+  parseEditionNumber,
+  slugifyTopic
+} from './lib/compendium.js';
+import { createRateLimiter, createSerialQueue, runPool, withRateLimit } from './lib/concurrency.js';
+import { assignEntryIds } from './lib/entry-ids.js';
+import { createProvider } from './lib/llm-providers.js';
+import { loadMessageSources, withFootnoteSources } from './lib/message-sources.js';
+import {
+  c,
+  errorLog,
+  generateValidatedJson,
+  isMainModule,
+  log,
+  parseCommonArgs,
+  ts,
+  tryParseJsonObject,
+  warn,
+  writeJsonAtomic
+} from './lib/pipeline.js';
+import { ENTRY_TYPES, validateStructureResponse } from './lib/schemas.js';
 
-function errorLog(...args) {
-  console.error(c(`[${ts()}]`, 'dim'), c('ERR ', 'red', 'bold'), ...args);
-}
-
-function approxChars(parts) {
-  if (!Array.isArray(parts)) return 0;
-  let total = 0;
-  for (const p of parts) total += String(p ?? '').length;
-  return total;
-}
-
-function stripJsonFences(text) {
-  const t = String(text ?? '').trim();
-  if (t.startsWith('```')) {
-    return t.replace(/^```[a-zA-Z]*\s*/m, '').replace(/```$/m, '').trim();
-  }
-  return t;
-}
-
-function tryParseJsonObject(text) {
-  const cleaned = stripJsonFences(text);
-  try {
-    return JSON.parse(cleaned);
-  } catch {
-    const start = cleaned.indexOf('{');
-    const end = cleaned.lastIndexOf('}');
-    if (start >= 0 && end > start) {
-      const slice = cleaned.slice(start, end + 1);
-      return JSON.parse(slice);
-    }
-    throw new Error('Could not parse JSON');
-  }
-}
-
-function getErrorCode(err) {
-  const code =
-    err?.code ??
-    err?.cause?.code ??
-    err?.cause?.errno ??
-    err?.errno ??
-    err?.cause?.cause?.code;
-  return typeof code === 'string' ? code : undefined;
-}
-
-function isRetryableError(err) {
-  const status = err?.status ?? err?.cause?.status;
-  if (typeof status === 'number') {
-    if (status === 408) return true;
-    if (status === 429) return true;
-    if (status === 503) return true;
-    if (status >= 500 && status <= 599) return true;
-  }
-
-  const msg = String(err?.message ?? '');
-  if (/fetch failed/i.test(msg)) return true;
-  if (/socket hang up/i.test(msg)) return true;
-
-  const code = getErrorCode(err);
-  if (!code) return false;
-  return [
-    'ECONNRESET',
-    'ECONNREFUSED',
-    'EAI_AGAIN',
-    'ENOTFOUND',
-    'ETIMEDOUT',
-    'UND_ERR_CONNECT_TIMEOUT',
-    'UND_ERR_HEADERS_TIMEOUT',
-    'UND_ERR_BODY_TIMEOUT',
-    'UND_ERR_SOCKET'
-  ].includes(code);
-}
-
-async function generateTextWithRetry(modelToUse, promptParts, attempt = 1) {
-  const maxAttempts = Number.parseInt(process.env.RETRY_MAX_ATTEMPTS ?? '', 10) || 30;
-  const baseDelay = Number.parseInt(process.env.RETRY_BASE_DELAY_MS ?? '', 10) || 1500;
-  const maxDelay = Number.parseInt(process.env.RETRY_MAX_DELAY_MS ?? '', 10) || 120000;
+const modelName = 'gemini-3-pro-preview';
 
-  try {
-    const sendSize = approxChars(promptParts);
-    const t0 = Date.now();
-    log(c(`model:${modelName} send`, 'magenta'), `attempt=${attempt}/${maxAttempts}`, `chars≈${sendSize.toLocaleString()}`);
-    const result = await modelToUse.generateContent(promptParts);
-    const text = result.response.text();
-    const dt = Date.now() - t0;
-    log(c(`model:${modelName} recv`, 'green'), `ms=${dt}`, `chars=${String(text ?? '').length.toLocaleString()}`);
-    return text;
-  } catch (error) {
-    if (attempt > maxAttempts) throw error;
-    if (!isRetryableError(error)) throw error;
-
-    const exp = baseDelay * Math.pow(2, attempt - 1);
-    const delay = Math.min(maxDelay, exp) + Math.floor(Math.random() * 750);
-    const status = error?.status ?? error?.cause?.status;
-    const code = getErrorCode(error);
-    const msg = String(error?.message ?? '').slice(0, 220).replace(/\s+/g, ' ').trim();
-    const bits = [`retry`, `attempt=${attempt}/${maxAttempts}`];
-    if (status) bits.push(`status=${status}`);
-    if (code) bits.push(`code=${code}`);
-    if (msg) bits.push(`msg="${msg}"`);
-    bits.push(`sleep=${(delay / 1000).toFixed(1)}s`);
-    warn(c(bits.join(' | '), 'yellow'));
-    await new Promise(resolve => setTimeout(resolve, delay));
-    return generateTextWithRetry(modelToUse, promptParts, attempt + 1);
-  }
-}
+export { getLatestCompendiumFile, groupMessagesByTopic, parseCompendiumMessages, parseEditionNumber, slugifyTopic };
 
-function parseArgs(argv) {
+export function parseArgs(argv) {
   const args = {
+    ...parseCommonArgs(argv),
     compendiumPath: null,
     compendiumDir: './compendium_versions',
     topicsDir: './structured_topics',
@@ -159,7 +44,9 @@ function parseArgs(argv) {
     topic: null, // slug or header substring
     startIndex: null, // start message index within a chosen topic
     logModelOutput: false,
-    dryRun: false
+    dryRun: false,
+    incremental: false,
+    fromEdition: null
   };
 
   for (let i = 0; i < argv.length; i++) {
@@ -189,7 +76,7 @@ function parseArgs(argv) {
       args.batchSize = Math.max(1, Number.parseInt(v, 10) || 50);
       i++;
     } else if (a === '--max-batches' && v) {
-      args.maxBatches = Math.max(1, Number.parseInt(v, 10) || 1);
+      args.maxBatches = v === 'all' ? Infinity : Math.max(1, Number.parseInt(v, 10) || 1);
       i++;
     } else if (a === '--topic' && v) {
       args.topic = String(v);
@@ -201,119 +88,19 @@ function parseArgs(argv) {
       args.logModelOutput = true;
     } else if (a === '--dry-run') {
       args.dryRun = true;
+    } else if (a === '--incremental') {
+      args.incremental = true;
+    } else if (a === '--from-edition' && v) {
+      args.incremental = true;
+      args.fromEdition = Number.parseInt(v, 10) || null;
+      i++;
     }
   }
 
   return args;
 }
 
-async function getLatestCompendiumFile(compendiumDir) {
-  const files = await glob(path.join(compendiumDir, 'compendium_*.md').replace(/\\/g, '/'));
-  const parsed = files
-    .map(p => {
-      const base = path.basename(p);
-      const m = base.match(/compendium_(\d+)\.md$/);
-      return m ? { path: p, version: Number.parseInt(m[1], 10) } : null;
-    })
-    .filter(Boolean)
-    .sort((a, b) => b.version - a.version);
-  return parsed.length ? parsed[0] : null;
-}
-
-function parseEditionNumber(compendiumPath) {
-  const base = path.basename(compendiumPath);
-  const m = base.match(/compendium_(\d+)\.md$/);
-  return m ? Number.parseInt(m[1], 10) : null;
-}
-
-function parseCompendiumMessages(markdown) {
-  const lines = String(markdown ?? '').split(/\r?\n/);
-  const messages = [];
-
-  let currentSection = null;
-  let buf = [];
-  let bufSection = null;
-
-  // Message blocks are terminated by a Discord-like message ID in brackets at end.
-  const idAtLineEnd = /\[(\d{10,})\]\s*$/;
-
-  function flushIfComplete(line) {
-    const m = String(line ?? '').match(idAtLineEnd);
-    if (!m) return null;
-
-    const messageId = m[1];
-    const cleanedLastLine = String(line).replace(idAtLineEnd, '');
-    const allLines = buf.length ? [...buf.slice(0, -1), cleanedLastLine] : [cleanedLastLine];
-    const raw = allLines.join('\n');
-
-    let date = null;
-    let author = null;
-    const firstNonReply = allLines.find(l => !String(l).trimStart().startsWith('>')) ?? '';
-    const headerMatch = String(firstNonReply).match(/^\[(\d{4}-\d{2}-\d{2})\]\s+\[([^\]]+)\]\s+(.*)$/);
-    if (headerMatch) {
-      date = headerMatch[1];
-      author = headerMatch[2];
-    }
-
-    const msg = {
-      index: messages.length,
-      messageId,
-      section: bufSection ?? currentSection,
-      sectionHeader: (bufSection ?? currentSection) ? `## ${bufSection ?? currentSection}` : '## Uncategorized',
-      date,
-      author,
-      raw
-    };
-    messages.push(msg);
-
-    buf = [];
-    bufSection = null;
-    return msg;
-  }
-
-  for (const line of lines) {
-    const rawLine = String(line ?? '');
-    const trimmedEnd = rawLine.trimEnd();
-
-    if (trimmedEnd.startsWith('## ')) {
-      currentSection = trimmedEnd.slice(3).trim();
-      continue;
-    }
-
-    if (buf.length === 0) bufSection = currentSection;
-    buf.push(rawLine);
-    flushIfComplete(rawLine);
-  }
-
-  return messages;
-}
-
-function slugifyTopic(topicHeader) {
-  const t = String(topicHeader ?? '').trim();
-  const norm = t.replace(/^##\s+/, '').trim().toLowerCase();
-  const slug = norm
-    .replace(/&/g, ' and ')
-    .replace(/[^a-z0-9]+/g, '-')
-    .replace(/-+/g, '-')
-    .replace(/^-|-$/g, '');
-  return slug || 'unknown';
-}
-
-function groupMessagesByTopic(messages) {
-  const map = new Map();
-  const order = [];
-  for (const m of messages) {
-    const h = m.sectionHeader || '## Uncategorized';
-    if (!map.has(h)) {
-      map.set(h, []);
-      order.push(h);
-    }
-    map.get(h).push(m);
-  }
-  return { map, order };
-}
-
-function buildStructurePrompt({ topicHeader, topicSlug, edition, batch }) {
+export function buildStructurePrompt({ topicHeader, topicSlug, edition, batch }) {
   return [
     `# Rola`,
     `Jestes agentem ekstrakcji informacji i redaktorem kompendium.`,
@@ -335,6 +122,9 @@ function buildStructurePrompt({ topicHeader, topicSlug, edition, batch }) {
     `- ZAWSZE ustawiaj citationInserts.atChar na KONCU zdania (po kropce/!/?) tak, aby przypisy nie rozbijaly wyrazow.`,
     `- Jesli zdanie ma kilka twierdzen, mozesz wstawic wiele przypisow na koncu tego zdania (wiele sources).`,
     `- entry.text ma byc po polsku.`,
+    `- Znaczniki w raw: [image: plik], [video: plik], [file: plik], [sticker: nazwa] to zalaczniki, [link: tytul - opis <url>] to podglad linku.`,
+    `  Widzisz tylko nazwe pliku, nie zawartosc obrazka: nie opisuj, co na nim jest, chyba ze mowi o tym tekst wiadomosci albo kontekst.`,
+    `  Mozesz natomiast napisac, ze w zrodle jest zdjecie/zrzut (np. menu, mapa, cennik) i zacytowac te wiadomosc; tytul i opis linku traktuj jak tresc wiadomosci.`,
     ``,
     `# Wymog zachowania szczegolow (MINIMALIZUJ STRATY)`,
     `Zalezy nam na maksymalnej wiernosc informacyjnej. Nie streszczaj watkow do jednego zdania, jesli w wiadomosciach jest wiecej detali.`,
@@ -361,7 +151,7 @@ function buildStructurePrompt({ topicHeader, topicSlug, edition, batch }) {
     `  "entries": [`,
     `    {`,
     `      "entryId": "string (np. \\"e1\\")",`,
-    `      "type": "one of: tip|warning|price|rule|route|recommendation|info|other",`,
+    `      "type": "one of: ${ENTRY_TYPES.join('|')}",`,
     `      "text": "string (pelne zdania; styl kompendium; po polsku)",`,
     `      "citationInserts": [`,
     `        {`,
@@ -435,11 +225,6 @@ async function readJsonIfExists(p) {
   }
 }
 
-async function writeJson(p, obj) {
-  await fs.ensureDir(path.dirname(p));
-  await fs.writeFile(p, JSON.stringify(obj, null, 2), 'utf8');
-}
-
 async function getLatestSnapshotN(snapshotsDir, edition, topicSlug) {
   const dir = path.join(snapshotsDir, `compendium_${edition}`, topicSlug).replace(/\\/g, '/');
   const files = await glob(path.join(dir, '*.json').replace(/\\/g, '/'));
@@ -457,7 +242,7 @@ function nextSnapshotPath(snapshotsDir, edition, topicSlug, currentN) {
   return path.join(snapshotsDir, `compendium_${edition}`, topicSlug, `${padded}.json`);
 }
 
-function validateBatchCitations({ entries, messageById }) {
+export function validateBatchCitations({ entries, messageById }) {
   let bad = 0;
   for (const e of entries) {
     const text = String(e?.text ?? '');
@@ -480,7 +265,7 @@ function validateBatchCitations({ entries, messageById }) {
   return bad;
 }
 
-function applyWikipediaFootnotes(entry) {
+export function applyWikipediaFootnotes(entry) {
   const baseText = String(entry?.text ?? '');
   const inserts = safeJsonArray(entry?.citationInserts)
     .map(ins => ({
@@ -557,42 +342,165 @@ function applyWikipediaFootnotes(entry) {
   };
 }
 
-async function main() {
-  const args = parseArgs(process.argv.slice(2));
+function topicMatchesFilter(t, topicFilter) {
+  if (!topicFilter) return true;
+  const q = String(topicFilter).toLowerCase();
+  return t.slug.toLowerCase() === q || t.header.toLowerCase().includes(q);
+}
 
-  if (!process.env.GEMINI_API_KEY && !args.dryRun) {
-    errorLog('GEMINI_API_KEY is not set (put it in .env).');
-    process.exit(1);
+/**
+ * The messages of a topic that still need structuring, in compendium order. Messages
+ * carried over from an earlier edition are left out; topic cursors index into this list.
+ */
+function pendingTopicMessages(topicMessages, carriedIds) {
+  if (!Array.isArray(carriedIds) || carriedIds.length === 0) return topicMessages;
+  const carried = new Set(carriedIds.map(String));
+  return topicMessages.filter(m => !carried.has(String(m.messageId)));
+}
+
+function countRemainingMessages(topicOrder, topicMap, cursors, topicFilter, carriedIds = {}) {
+  let remaining = 0;
+  for (const t of topicOrder) {
+    if (!topicMatchesFilter(t, topicFilter)) continue;
+    const total = pendingTopicMessages(topicMap.get(t.header) || [], carriedIds[t.slug]).length;
+    const cur = Number.isInteger(cursors[t.slug]) ? cursors[t.slug] : 0;
+    remaining += Math.max(0, total - cur);
   }
+  return remaining;
+}
+
+function editionStatePath(args, edition) {
+  return path.join(args.topicsDir, `compendium_${edition}_state.json`);
+}
+
+async function findPreviousEdition(topicsDir, edition) {
+  const files = await glob(path.join(topicsDir, 'compendium_*_state.json').replace(/\\/g, '/'));
+  const editions = files
+    .map(f => path.basename(f).match(/^compendium_(\d+)_state\.json$/))
+    .filter(Boolean)
+    .map(m => Number.parseInt(m[1], 10))
+    .filter(n => n < edition);
+  return editions.length ? Math.max(...editions) : null;
+}
+
+/**
+ * Seeds the state of a new edition from an earlier one (--incremental): every message the
+ * earlier edition had already structured is recorded in topicCarriedIds, so only messages
+ * added since then are sent to the model. Matching is by message ID, because classify can
+ * insert new messages anywhere in a topic. Returns null when there is nothing to carry over.
+ */
+async function carryOverState(args, edition, topicOrder, topicMap) {
+  const fromEdition = args.fromEdition ?? (await findPreviousEdition(args.topicsDir, edition));
+  if (fromEdition === null || fromEdition === edition) return null;
+
+  const prevState = await readJsonIfExists(editionStatePath(args, fromEdition));
+  if (!prevState) return null;
+  const prevCompendiumPath = prevState.source?.compendiumPath && (await fs.pathExists(prevState.source.compendiumPath))
+    ? prevState.source.compendiumPath
+    : path.join(args.compendiumDir, `compendium_${fromEdition}.md`);
+  if (!(await fs.pathExists(prevCompendiumPath))) {
+    warn(`Cannot carry over edition ${fromEdition}: ${prevCompendiumPath} is missing.`);
+    return null;
+  }
+
+  const prevMessages = parseCompendiumMessages(await fs.readFile(prevCompendiumPath, 'utf8'));
+  const { map: prevTopicMap, order: prevOrder } = groupMessagesByTopic(prevMessages);
+  const prevCursors = prevState.topicCursors ?? {};
+  const prevCarried = prevState.topicCarriedIds ?? {};
+
+  const structured = new Set();
+  for (const header of prevOrder) {
+    const slug = slugifyTopic(header);
+    for (const id of prevCarried[slug] ?? []) structured.add(String(id));
+    const cur = Number.isInteger(prevCursors[slug]) ? prevCursors[slug] : 0;
+    for (const m of pendingTopicMessages(prevTopicMap.get(header) || [], prevCarried[slug]).slice(0, cur)) {
+      structured.add(String(m.messageId));
+    }
+  }
+
+  const topicCarriedIds = {};
+  for (const t of topicOrder) {
+    topicCarriedIds[t.slug] = (topicMap.get(t.header) || [])
+      .map(m => String(m.messageId))
+      .filter(id => structured.has(id));
+  }
+
+  return {
+    schemaVersion: 3,
+    topicOrder,
+    topicCursors: Object.fromEntries(topicOrder.map(t => [t.slug, 0])),
+    topicBatchCounters: { ...(prevState.topicBatchCounters ?? {}) },
+    topicCarriedIds,
+    carriedFrom: { edition: fromEdition, compendiumPath: path.resolve(prevCompendiumPath), messages: structured.size },
+    lastRun: null
+  };
+}
+
+/**
+ * Reads the latest (or given) compendium and its state file and reports how many
+ * messages are still waiting to be structured. Used by the compendium CLI.
+ */
+export async function getStructureProgress(argv = []) {
+  const args = parseArgs(argv);
+  const compendiumInfo = args.compendiumPath
+    ? { path: args.compendiumPath, version: parseEditionNumber(args.compendiumPath) }
+    : await getLatestCompendiumFile(args.compendiumDir);
+  if (!compendiumInfo?.path) return null;
+
+  const edition = compendiumInfo.version ?? 0;
+  const statePath = args.stateFile ?? editionStatePath(args, edition);
+  const messages = parseCompendiumMessages(await fs.readFile(compendiumInfo.path, 'utf8'));
+  const { map: topicMap, order } = groupMessagesByTopic(messages);
+  const topicOrder = order.map(header => ({ header, slug: slugifyTopic(header) }));
+  let state = await readJsonIfExists(statePath);
+  if (!state && args.incremental) state = await carryOverState(args, edition, topicOrder, topicMap);
+  const cursors = state?.topicCursors && typeof state.topicCursors === 'object' ? state.topicCursors : {};
+
+  return {
+    edition,
+    compendiumPath: compendiumInfo.path,
+    statePath,
+    totalMessages: messages.length,
+    remainingMessages: countRemainingMessages(topicOrder, topicMap, cursors, args.topic, state?.topicCarriedIds)
+  };
+}
+
+export async function main(argv = process.argv.slice(2)) {
+  const args = parseArgs(argv);
 
   const thinkingBudget =
     Number.parseInt(process.env.STRUCTURE_THINKING_BUDGET ?? '', 10) ||
     Number.parseInt(process.env.THINKING_BUDGET ?? '', 10) ||
     24576;
 
+  let provider = null;
+  if (!args.dryRun) {
+    provider = createProvider({ provider: args.provider, model: modelName, thinkingBudget });
+  }
+
   const compendiumInfo = args.compendiumPath
     ? { path: args.compendiumPath, version: parseEditionNumber(args.compendiumPath) }
     : await getLatestCompendiumFile(args.compendiumDir);
 
   if (!compendiumInfo?.path) {
-    errorLog(`No compendium found. Looked in ${args.compendiumDir}`);
-    process.exit(1);
+    throw new Error(`No compendium found. Looked in ${args.compendiumDir}`);
   }
 
   const compendiumPath = compendiumInfo.path;
   const edition = compendiumInfo.version ?? parseEditionNumber(compendiumPath) ?? 0;
 
   const topicsRoot = path.join(args.topicsDir, `compendium_${edition}`);
-  const defaultStatePath = args.stateFile ?? path.join(args.topicsDir, `compendium_${edition}_state.json`);
+  const defaultStatePath = args.stateFile ?? editionStatePath(args, edition);
 
   log(`Compendium: ${path.resolve(compendiumPath)}`);
   log(`Edition: ${edition}`);
-  log(`Model: ${modelName}`);
+  log(`Provider: ${provider?.name ?? 'none (dry run)'}`);
+  log(`Model: ${provider?.model ?? modelName}`);
   log(`Thinking budget: ${thinkingBudget} tokens`);
   log(`Topics root: ${path.resolve(topicsRoot)}`);
   log(`Snapshots dir: ${path.resolve(args.snapshotsDir)}`);
   log(`State: ${path.resolve(defaultStatePath)}`);
-  log(`batchSize=${args.batchSize} maxBatches=${args.maxBatches} dryRun=${args.dryRun}`);
+  log(`batchSize=${args.batchSize} maxBatches=${args.maxBatches} dryRun=${args.dryRun} incremental=${args.incremental}`);
   if (args.topic) log(`topic filter: ${args.topic}`);
 
   const md = await fs.readFile(compendiumPath, 'utf8');
@@ -602,59 +510,90 @@ async function main() {
   const { map: topicMap, order: topicHeadersInOrder } = groupMessagesByTopic(messages);
   const topicOrder = topicHeadersInOrder.map(header => ({ header, slug: slugifyTopic(header) }));
 
-  const loadedState = (await readJsonIfExists(defaultStatePath)) || null;
+  const messageSources = await loadMessageSources(path.dirname(compendiumPath));
+  if (messageSources.size === 0) warn('No message_sources.json next to the compendium; entries get no footnoteSources (run backfill-message-sources.js).');
+
+  let loadedState = (await readJsonIfExists(defaultStatePath)) || null;
+  if (!loadedState && args.incremental) {
+    const seeded = await carryOverState(args, edition, topicOrder, topicMap);
+    if (seeded) {
+      const fromRoot = path.join(args.topicsDir, `compendium_${seeded.carriedFrom.edition}`);
+      log(c('Incremental', 'cyan', 'bold'), `extending edition ${seeded.carriedFrom.edition}: ${seeded.carriedFrom.messages} message(s) already structured`);
+      if (!args.dryRun) {
+        // Topic files first, state second: a crash in between just repeats the copy.
+        if (await fs.pathExists(fromRoot)) await fs.copy(fromRoot, topicsRoot, { overwrite: true });
+        await writeJsonAtomic(defaultStatePath, {
+          ...seeded,
+          source: { compendiumPath: path.resolve(compendiumPath), edition },
+          updatedAt: ts()
+        });
+      }
+      loadedState = seeded;
+    } else {
+      log(c('Incremental', 'yellow'), 'no earlier edition state to extend, starting fresh');
+    }
+  }
   const cursors = loadedState?.topicCursors && typeof loadedState.topicCursors === 'object'
     ? { ...loadedState.topicCursors }
     : Object.fromEntries(topicOrder.map(t => [t.slug, 0]));
   const batchCounters = loadedState?.topicBatchCounters && typeof loadedState.topicBatchCounters === 'object'
     ? { ...loadedState.topicBatchCounters }
     : Object.fromEntries(topicOrder.map(t => [t.slug, 0]));
+  const carriedIds = loadedState?.topicCarriedIds ?? {};
+  const carriedFrom = loadedState?.carriedFrom ?? null;
+
+  // A batch is recorded in the state before its entries are appended to the topic file
+  // and its cursor after, so a crash in between would append the batch again. If the
+  // topic file already holds the batch's entries, it was written: advance the cursor.
+  for (const [slug, p] of Object.entries(loadedState?.topicPendingBatches ?? {})) {
+    const written = await readJsonIfExists(path.join(topicsRoot, `${slug}.json`));
+    const ids = new Set((Array.isArray(written?.entries) ? written.entries : []).map(e => e?.entryId));
+    if (!p.entryIds.every(id => ids.has(id))) continue;
+    cursors[slug] = p.cursor;
+    batchCounters[slug] = p.batchCounter;
+    log(c('Recovered', 'yellow'), `${slug}: batch ${p.batchCounter - 1} was written before the last run stopped`);
+  }
+  const pendingBatches = {};
+
+  const pendingTopics = topicOrder.filter((t) => {
+    if (!topicMatchesFilter(t, args.topic)) return false;
+    const cur = Number.isInteger(cursors[t.slug]) ? cursors[t.slug] : 0;
+    return cur < pendingTopicMessages(topicMap.get(t.header) || [], carriedIds[t.slug]).length;
+  });
+  if (pendingTopics.length === 0) {
+    log(c('Nothing to do', 'yellow'), 'No topic has remaining messages (or topic filter matches none).');
+  }
 
-  const genAI = args.dryRun ? null : new GoogleGenerativeAI(process.env.GEMINI_API_KEY);
-  const model = args.dryRun
-    ? null
-    : genAI.getGenerativeModel({
-      model: modelName,
-      generationConfig: { thinkingConfig: { thinkingBudget } }
-    });
+  const concurrency = args.dryRun ? 1 : args.concurrency;
+  const model = provider ? withRateLimit(provider, createRateLimiter(args.rateLimit)) : null;
+  log(`concurrency=${concurrency} rpm=${args.rateLimit.rpm || 'unlimited'} tpm=${args.rateLimit.tpm || 'unlimited'}`);
+
+  // Topics run in parallel, batches within a topic stay sequential. Each topic owns its
+  // topic file and snapshot dir; the shared state file goes through one queue so a crash
+  // leaves the last complete write, never a torn or out-of-order one.
+  const stateQueue = createSerialQueue();
+  let lastRun = loadedState?.lastRun ?? null;
+  const saveState = (run = lastRun) => stateQueue.run(() => writeJsonAtomic(defaultStatePath, {
+    schemaVersion: 3,
+    source: { compendiumPath: path.resolve(compendiumPath), edition },
+    topicOrder,
+    topicCursors: { ...cursors },
+    topicBatchCounters: { ...batchCounters },
+    topicCarriedIds: carriedIds,
+    topicPendingBatches: { ...pendingBatches },
+    carriedFrom,
+    lastRun: (lastRun = run),
+    updatedAt: ts()
+  }));
 
   let batchesDone = 0;
-  while (batchesDone < args.maxBatches) {
-    // Pick the next topic with remaining messages (respect --topic filter if provided).
-    let chosen = null;
-    for (const t of topicOrder) {
-      if (args.topic) {
-        const q = String(args.topic).toLowerCase();
-        if (!(t.slug.toLowerCase() === q || t.header.toLowerCase().includes(q))) continue;
-      }
-
-      const topicMessages = topicMap.get(t.header) || [];
-      const cur = Number.isInteger(cursors[t.slug]) ? cursors[t.slug] : 0;
-      if (cur < topicMessages.length) {
-        chosen = { ...t, topicMessages, cursor: cur };
-        break;
-      }
-    }
-
-    if (!chosen) {
-      log(c('Nothing to do', 'yellow'), 'No topic has remaining messages (or topic filter matches none).');
-      break;
-    }
-
-    const { header: topicHeader, slug: topicSlug, topicMessages } = chosen;
-    let start = chosen.cursor;
-    if (typeof args.startIndex === 'number') start = Math.min(topicMessages.length, args.startIndex);
-    const contextSize = 50;
-    const target = topicMessages.slice(start, start + args.batchSize);
-    const prev = topicMessages.slice(Math.max(0, start - contextSize), start);
-    const next = topicMessages.slice(start + target.length, start + target.length + contextSize);
-    const batch = { target, prev, next };
-
-    if (target.length === 0) {
-      cursors[topicSlug] = topicMessages.length;
-      continue;
-    }
+  let batchesClaimed = 0;
+  let stop = false;
+  let failed = false;
 
+  async function runTopic({ header: topicHeader, slug: topicSlug }, topicIndex) {
+    const allTopicMessages = topicMap.get(topicHeader) || [];
+    const topicMessages = pendingTopicMessages(allTopicMessages, carriedIds[topicSlug]);
     const topicFilePath = path.join(topicsRoot, `${topicSlug}.json`);
     const topicExisting = await readJsonIfExists(topicFilePath);
     const topicJson = topicExisting && typeof topicExisting === 'object'
@@ -662,72 +601,106 @@ async function main() {
       : { entries: [] };
     if (!Array.isArray(topicJson.entries)) topicJson.entries = [];
 
-    const batchIndex = Number.isInteger(batchCounters[topicSlug]) ? batchCounters[topicSlug] : 0;
-    const batchMessageIds = target.map(m => String(m.messageId));
-
-    log(c('Topic', 'cyan', 'bold'), `${topicHeader} (${topicSlug})`);
-    log(c(`Batch ${batchIndex}`, 'cyan', 'bold'), `start=${start} count=${target.length}/${topicMessages.length}`);
-    log(c('IDs', 'dim'), `${batchMessageIds[0]} ... ${batchMessageIds[batchMessageIds.length - 1]}`);
-
-    if (args.dryRun) {
-      log(c('Dry run', 'yellow'), 'Skipping model call.');
-      break;
-    }
-
-    let parsed = null;
-    let rawModelText = null;
-    try {
-      const prompt = buildStructurePrompt({ topicHeader, topicSlug, edition, batch });
-      rawModelText = await generateTextWithRetry(model, [prompt]);
-      parsed = tryParseJsonObject(rawModelText);
-    } catch (e) {
-      errorLog('Model call / JSON parse failed:', e);
-      break;
-    }
-
-    const entries = safeJsonArray(parsed?.entries);
-
-    const normalizedEntries = entries.map((e, i) => {
-      const localId = typeof e?.entryId === 'string' && e.entryId.trim() ? e.entryId.trim() : `e${i + 1}`;
-      return { ...e, entryId: `${batchIndex}:${localId}` };
-    });
-
-    // Validate quotes against the exact message.raw content that was provided to the model.
-    const allProvided = target.concat(prev, next);
-    const messageById = new Map(allProvided.map(m => [String(m.messageId), m]));
-    const badCitations = validateBatchCitations({ entries: normalizedEntries, messageById });
-    if (badCitations > 0) warn(`Citation validation issues: ${badCitations} (quotes/offsets may be wrong)`);
-
-    // Convert citationInserts -> Wikipedia style [1][2] markers + an embedded "Przypisy:" block.
-    const wikipediaEntries = normalizedEntries.map(applyWikipediaFootnotes);
-
-    // Append entries. Topic JSON stays minimal.
-    topicJson.entries = topicJson.entries.concat(wikipediaEntries);
-
-    await writeJson(topicFilePath, topicJson);
+    while (!stop && batchesClaimed < args.maxBatches) {
+      let start = Number.isInteger(cursors[topicSlug]) ? cursors[topicSlug] : 0;
+      // --start-index is a one-off override for the first topic that has work.
+      if (topicIndex === 0 && typeof args.startIndex === 'number') {
+        start = Math.min(topicMessages.length, args.startIndex);
+        args.startIndex = null;
+      }
+      if (start >= topicMessages.length) {
+        cursors[topicSlug] = topicMessages.length;
+        return;
+      }
+      batchesClaimed++;
+
+      // Context comes from the whole topic, so carried-over messages still frame new ones.
+      const contextSize = 50;
+      const target = topicMessages.slice(start, start + args.batchSize);
+      const first = allTopicMessages.indexOf(target[0]);
+      const last = allTopicMessages.indexOf(target[target.length - 1]);
+      const prev = allTopicMessages.slice(Math.max(0, first - contextSize), first);
+      const next = allTopicMessages.slice(last + 1, last + 1 + contextSize);
+      const batch = { target, prev, next };
+
+      const batchIndex = Number.isInteger(batchCounters[topicSlug]) ? batchCounters[topicSlug] : 0;
+      const batchMessageIds = target.map(m => String(m.messageId));
+
+      log(c('Topic', 'cyan', 'bold'), `${topicHeader} (${topicSlug})`);
+      log(c(`Batch ${batchIndex}`, 'cyan', 'bold'), `${topicSlug} start=${start} count=${target.length}/${topicMessages.length}`);
+      log(c('IDs', 'dim'), `${batchMessageIds[0]} ... ${batchMessageIds[batchMessageIds.length - 1]}`);
+
+      if (args.dryRun) {
+        log(c('Dry run', 'yellow'), 'Skipping model call.');
+        stop = true;
+        return;
+      }
 
-    const lastN = await getLatestSnapshotN(args.snapshotsDir, edition, topicSlug);
-    const snapPath = nextSnapshotPath(args.snapshotsDir, edition, topicSlug, lastN);
-    await writeJson(snapPath, topicJson);
+      let parsed = null;
+      let rawModelText = null;
+      try {
+        const prompt = buildStructurePrompt({ topicHeader, topicSlug, edition, batch });
+        const providedIds = target.concat(prev, next).map(m => String(m.messageId));
+        const result = await generateValidatedJson(model, [prompt], {
+          parse: tryParseJsonObject,
+          validate: v => validateStructureResponse(v, { messageIds: providedIds }),
+          label: `structure_${edition}_${topicSlug}_${batchIndex}`,
+          retry: args.retry,
+          repair: args.repair
+        });
+        parsed = result.value;
+        rawModelText = result.raw;
+      } catch (e) {
+        errorLog(`Model call / validation failed (${topicSlug} batch ${batchIndex}):`, e);
+        failed = true;
+        stop = true;
+        return;
+      }
 
-    if (args.logModelOutput && rawModelText) {
-      const logsDir = path.join(args.topicsDir, '_model_logs', `compendium_${edition}`, topicSlug);
-      const logPath = path.join(logsDir, `batch_${String(batchIndex).padStart(4, '0')}.json`);
-      await fs.ensureDir(logsDir);
-      await fs.writeFile(logPath, rawModelText, 'utf8');
-      log(c('Model output log', 'gray'), path.resolve(logPath));
-    }
+      const entries = safeJsonArray(parsed?.entries);
+
+      const normalizedEntries = entries.map((e, i) => {
+        const localId = typeof e?.entryId === 'string' && e.entryId.trim() ? e.entryId.trim() : `e${i + 1}`;
+        return { ...e, entryId: `${batchIndex}:${localId}` };
+      });
+
+      // Validate quotes against the exact message.raw content that was provided to the model.
+      const allProvided = target.concat(prev, next);
+      const messageById = new Map(allProvided.map(m => [String(m.messageId), m]));
+      const badCitations = validateBatchCitations({ entries: normalizedEntries, messageById });
+      if (badCitations > 0) warn(`Citation validation issues in ${topicSlug}: ${badCitations} (quotes/offsets may be wrong)`);
+
+      // Convert citationInserts -> Wikipedia style [1][2] markers + an embedded "Przypisy:" block,
+      // then replace the batch-local IDs with content-addressed ones (lib/entry-ids.js) and
+      // attach the cited messages' guild/channel/URL (lib/message-sources.js).
+      const takenIds = new Set(topicJson.entries.map(e => e?.entryId));
+      const wikipediaEntries = assignEntryIds(topicSlug, normalizedEntries.map(applyWikipediaFootnotes), takenIds)
+        .map(e => withFootnoteSources(e, messageSources));
+
+      // Append entries. Topic JSON stays minimal.
+      topicJson.entries = topicJson.entries.concat(wikipediaEntries);
+
+      pendingBatches[topicSlug] = { cursor: start + target.length, batchCounter: batchIndex + 1, entryIds: wikipediaEntries.map(e => e.entryId) };
+      await saveState();
+      await writeJsonAtomic(topicFilePath, topicJson);
+
+      const lastN = await getLatestSnapshotN(args.snapshotsDir, edition, topicSlug);
+      const snapPath = nextSnapshotPath(args.snapshotsDir, edition, topicSlug, lastN);
+      await writeJsonAtomic(snapPath, topicJson);
+
+      if (args.logModelOutput && rawModelText) {
+        const logsDir = path.join(args.topicsDir, '_model_logs', `compendium_${edition}`, topicSlug);
+        const logPath = path.join(logsDir, `batch_${String(batchIndex).padStart(4, '0')}.json`);
+        await fs.ensureDir(logsDir);
+        await fs.writeFile(logPath, rawModelText, 'utf8');
+        log(c('Model output log', 'gray'), path.resolve(logPath));
+      }
 
-    cursors[topicSlug] = start + target.length;
-    batchCounters[topicSlug] = batchIndex + 1;
+      cursors[topicSlug] = start + target.length;
+      batchCounters[topicSlug] = batchIndex + 1;
+      delete pendingBatches[topicSlug];
 
-    await writeJson(defaultStatePath, {
-      schemaVersion: 2,
-      source: { compendiumPath: path.resolve(compendiumPath), edition },
-      topicOrder,
-      topicCursors: cursors,
-      topicBatchCounters: batchCounters,
-      lastRun: {
+      await saveState({
         topicHeader,
         topicSlug,
         batchIndex,
@@ -735,24 +708,29 @@ async function main() {
         messageCount: target.length,
         entries: wikipediaEntries.length,
         badCitations
-      },
-      updatedAt: ts()
-    });
+      });
 
-    log(c('Saved topic', 'green', 'bold'), path.resolve(topicFilePath));
-    log(c('Snapshot', 'green'), path.resolve(snapPath));
+      log(c('Saved topic', 'green', 'bold'), path.resolve(topicFilePath));
+      log(c('Snapshot', 'green'), path.resolve(snapPath));
 
-    batchesDone++;
-
-    // If --start-index was used as a one-off override, clear it for subsequent batches.
-    args.startIndex = null;
+      batchesDone++;
+    }
   }
 
-  log('Done');
+  await runPool(pendingTopics, concurrency, runTopic);
+
+  const remaining = countRemainingMessages(topicOrder, topicMap, cursors, args.topic, carriedIds);
+  log('Done', `batches=${batchesDone}`, `remainingMessages=${remaining}`);
+  if (failed) {
+    throw new Error(`Structuring stopped on a failed batch after ${batchesDone} batch(es); rerun to resume.`);
+  }
+  return { edition, batchesDone, remainingMessages: remaining };
 }
 
-main().catch((e) => {
-  console.error(e);
-  process.exit(1);
-});
+if (isMainModule(import.meta.url)) {
+  main().catch((e) => {
+    errorLog(e?.message ?? e);
+    process.exit(1);
+  });
+}
 
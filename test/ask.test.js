@@ -0,0 +1,80 @@
+import assert from 'node:assert/strict';
+import { test } from 'node:test';
+import { answerQuestion, footnoteAnswer, parseArgs, REFUSAL, retrieveContext } from '../ask.js';
+import { buildCompendiumDocuments, createBm25Index, searchIndex, tokenize } from '../lib/retrieval.js';
+
+const topics = [
+  {
+    slug: 'jedzenie',
+    title: 'Jedzenie',
+    entries: [
+      { entryId: 'e-1', text: 'Ramen w Ichiran jest czynny całą dobę.[1]', footnotes: { 1: ['101'] } },
+      { entryId: 'e-2', text: 'Sushi taśmowe w Kura.[1]', footnotes: { 1: ['102'] } }
+    ]
+  },
+  { slug: 'transport', title: 'Transport', entries: [{ entryId: 'e-3', text: 'Suica działa w metrze.[1]', footnotes: { 1: ['103'] } }] }
+];
+const messages = new Map([
+  ['101', { author: 'ania', date: '2024-03-01', raw: '[2024-03-01] [ania] Ichiran ramen 24h, polecam.' }],
+  ['102', { author: 'tomek', date: '2024-03-02', raw: '[2024-03-02] [tomek] Kura sushi jest tanie.' }],
+  ['103', { author: 'ola', date: '2024-03-03', raw: '[2024-03-03] [ola] Suica w metrze i konbini.' }]
+]);
+const index = createBm25Index(buildCompendiumDocuments(topics, messages));
+
+// A model that always answers with `reply` and records its prompts.
+function fakeModel(reply) {
+  const prompts = [];
+  return { name: 'fake', model: 'fake', prompts, async generateText(parts) { prompts.push(parts.join('\n')); return JSON.stringify(reply); } };
+}
+
+test('tokenize folds diacritics and drops stopwords', () => {
+  assert.deepEqual(tokenize('Łódź i RAMEN, w 2024!'), ['lodz', 'ramen', '2024']);
+});
+
+test('BM25 ranks the document with the rarer and more frequent term first', () => {
+  const bm25 = createBm25Index([
+    { id: 'a', text: 'ramen ramen sushi' },
+    { id: 'b', text: 'ramen metro' },
+    { id: 'c', text: 'metro suica metro' }
+  ]);
+  assert.deepEqual(searchIndex(bm25, 'ramen').map(h => h.doc.id), ['a', 'b']);
+  const [top] = searchIndex(bm25, 'sushi metro');
+  assert.equal(top.doc.id, 'a');
+  assert.deepEqual(searchIndex(bm25, 'metro', { filter: d => d.id !== 'c' }).map(h => h.doc.id), ['b']);
+  assert.deepEqual(searchIndex(bm25, 'shinkansen'), []);
+  assert.deepEqual(searchIndex(bm25, 'ramen', { minScore: 100 }), []);
+});
+
+test('parseArgs joins the free words into the question', () => {
+  const args = parseArgs(['gdzie', 'zjeść', '--entries', '3', 'ramen?', '--retrieve-only']);
+  assert.deepEqual([args.question, args.entries, args.retrieveOnly], ['gdzie zjeść ramen?', 3, true]);
+});
+
+test('retrieveContext returns matching entries, messages and the sources they cite', () => {
+  const context = retrieveContext(index, messages, 'ramen Ichiran', { minScore: 0 });
+  assert.equal(context.entries[0].doc.entry.entryId, 'e-1');
+  assert.equal(context.messages[0].doc.id, 'msg:101');
+  assert.deepEqual(context.sources.map(s => s.messageId), ['101']);
+  assert.equal(context.sources[0].text, 'Ichiran ramen 24h, polecam.');
+});
+
+test('footnoteAnswer puts one footnote after each sentence', () => {
+  const { text, footnotes } = footnoteAnswer([{ text: 'Ichiran jest czynny całą dobę', sources: ['101'] }, { text: 'Suica działa w metrze.', sources: ['103'] }]);
+  assert.equal(text, 'Ichiran jest czynny całą dobę.[1] Suica działa w metrze.[2]');
+  assert.deepEqual(footnotes, { 1: ['101'], 2: ['103'] });
+});
+
+test('answerQuestion footnotes the model answer and refuses without material', async () => {
+  const model = fakeModel({ refused: false, sentences: [{ text: 'Ichiran działa całą dobę.', sources: ['101'] }] });
+  const answer = await answerQuestion({ question: 'ramen Ichiran', index, messages, model, options: { minScore: 0 } });
+  assert.equal(answer.refused, false);
+  assert.equal(answer.text, 'Ichiran działa całą dobę.[1]');
+  assert.ok(model.prompts[0].includes('"messageId": "101"'));
+
+  const refused = await answerQuestion({ question: 'ramen', index, messages, model: fakeModel({ refused: true, reason: 'brak' }), options: { minScore: 0 } });
+  assert.deepEqual([refused.refused, refused.reason, refused.text], [true, 'brak', REFUSAL]);
+
+  const unused = fakeModel({});
+  const nothing = await answerQuestion({ question: 'shinkansen', index, messages, model: unused });
+  assert.deepEqual([nothing.refused, unused.prompts.length], [true, 0]);
+});
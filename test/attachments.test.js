@@ -0,0 +1,99 @@
+import assert from 'node:assert/strict';
+import fs from 'fs-extra';
+import os from 'node:os';
+import path from 'node:path';
+import { test } from 'node:test';
+import { mediaGain, reslim } from '../backfill-slim-media.js';
+import { collectSiteMedia } from '../build-site.js';
+import { attachmentKind, formatMediaMarkers, hasMedia, summarizeMedia } from '../lib/attachments.js';
+
+test('attachmentKind goes by the file extension', () => {
+  assert.equal(attachmentKind('Menu.JPG'), 'image');
+  assert.equal(attachmentKind('film.mp4'), 'video');
+  assert.equal(attachmentKind('rozklad.pdf'), 'file');
+  assert.equal(attachmentKind(undefined), 'file');
+});
+
+test('summarizeMedia resolves local files, keeps remote URLs and drops empty lists', () => {
+  const media = summarizeMedia({
+    attachments: [
+      { fileName: 'menu.jpg', url: '../_Files/menu.jpg', fileSizeBytes: 1200 },
+      { url: 'https://cdn.example.com/a/rozklad.pdf' }
+    ],
+    embeds: [{ title: 'Ichiran', description: '  ramen\n całą dobę ', url: 'https://ichiran.com' }, { color: '#fff' }],
+    stickers: [{ name: 'kanpai' }, { name: ' ' }]
+  }, { baseDir: 'EXPORT/split/2024' });
+
+  assert.deepEqual(media.attachments, [
+    { fileName: 'menu.jpg', kind: 'image', path: 'EXPORT/split/_Files/menu.jpg', sizeBytes: 1200 },
+    { fileName: 'rozklad.pdf', kind: 'file', url: 'https://cdn.example.com/a/rozklad.pdf' }
+  ]);
+  assert.deepEqual(media.embeds, [{ title: 'Ichiran', description: 'ramen całą dobę', url: 'https://ichiran.com' }]);
+  assert.deepEqual(media.stickers, [{ name: 'kanpai' }]);
+  assert.deepEqual(summarizeMedia({ attachments: [], embeds: [] }), {});
+});
+
+test('formatMediaMarkers writes one marker per item', () => {
+  const markers = formatMediaMarkers({
+    attachments: [{ fileName: 'menu [1].jpg', kind: 'image' }],
+    embeds: [{ title: 'Ichiran', description: 'ramen', url: 'https://ichiran.com' }],
+    stickers: [{ name: 'kanpai' }]
+  });
+  assert.equal(markers, '[image: menu 1.jpg] [link: Ichiran - ramen <https://ichiran.com>] [sticker: kanpai]');
+  assert.equal(formatMediaMarkers({}), '');
+  assert.equal(hasMedia({ stickers: [{ name: 'kanpai' }] }), false);
+});
+
+test('reslim keeps the old options and mediaGain reports what media added', () => {
+  const split = {
+    guild: { id: '1', name: 'G' },
+    channel: { id: '2', name: 'japonia' },
+    exportedAt: '2024-05-01',
+    messages: [
+      { id: '10', content: 'tekst' },
+      { id: '11', content: '', attachments: [{ fileName: 'menu.jpg', url: 'menu.jpg' }] },
+      { id: '12', content: 'link', embeds: [{ url: 'https://ichiran.com' }] }
+    ]
+  };
+  const oldSlim = { exportedAt: '2024-05-01', messages: [{ id: '10', content: 'tekst' }, { id: '12', content: 'link' }] };
+
+  const next = reslim(split, oldSlim, 'EXPORT/split');
+  assert.equal(next.exportedAt, '2024-05-01');
+  assert.deepEqual(next.messages.map(m => m.id), ['10', '11', '12']);
+  assert.equal(next.messages[1].attachments[0].path, 'EXPORT/split/menu.jpg');
+  assert.deepEqual(mediaGain(oldSlim, next), { annotated: ['12'], added: ['11'] });
+});
+
+test('collectSiteMedia copies cited images and drops stale ones', async () => {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'site-media-'));
+  try {
+    const image = path.join(dir, 'menu.jpg');
+    await fs.outputFile(image, 'jpg');
+    const outDir = path.join(dir, 'site');
+    await fs.outputFile(path.join(outDir, 'media', 'old.jpg'), 'old');
+
+    const slim = new Map([
+      ['101', {
+        attachments: [
+          { fileName: 'menu.jpg', kind: 'image', path: image },
+          { fileName: 'brak.png', kind: 'image', path: path.join(dir, 'brak.png') },
+          { fileName: 'rozklad.pdf', kind: 'file', path: image }
+        ],
+        embeds: [{ title: 'Ichiran', url: 'https://ichiran.com' }, { title: 'bez linku' }]
+      }],
+      ['102', { attachments: [{ fileName: 'x.jpg', kind: 'image', path: image }], embeds: [] }]
+    ]);
+    const topics = [{ entries: [{ footnotes: { 1: ['101'] } }] }];
+
+    const result = await collectSiteMedia(topics, slim, outDir);
+    assert.deepEqual(result.media.get('101'), [
+      { src: 'media/101-0-menu.jpg', fileName: 'menu.jpg' },
+      { url: 'https://ichiran.com', title: 'Ichiran' }
+    ]);
+    assert.equal(result.media.has('102'), false);
+    assert.deepEqual([result.copied, result.missing, result.removed], [1, 1, 1]);
+    assert.deepEqual(await fs.readdir(path.join(outDir, 'media')), ['101-0-menu.jpg']);
+  } finally {
+    await fs.remove(dir);
+  }
+});
@@ -0,0 +1,78 @@
+import assert from 'node:assert/strict';
+import { test } from 'node:test';
+import { buildSearchIndex, escapeHtml, renderEntryText, renderIndexPage, renderTopicPage } from '../build-site.js';
+
+const topic = {
+  slug: 'jedzenie',
+  title: 'Jedzenie & <picie>',
+  entries: [
+    { entryId: 'e-1', type: 'tip', rating: 800, text: 'Ramen w Ichiran [1], sushi <b>taśmowe</b> [2].', footnotes: { 1: ['101'], 2: ['404'] } },
+    { entryId: 'e-2', type: 'warning', text: 'Napiwków się nie daje.', footnotes: {} }
+  ]
+};
+const messages = new Map([['101', { author: 'ania', date: '2024-03-01', raw: '[2024-03-01] [ania] Ichiran jest czynny całą dobę.' }]]);
+
+test('escapeHtml escapes markup and quotes', () => {
+  assert.equal(escapeHtml(`<a href="x">'&'</a>`), '&lt;a href=&quot;x&quot;&gt;&#39;&amp;&#39;&lt;/a&gt;');
+  assert.equal(escapeHtml(null), '');
+});
+
+test('renderEntryText links footnote markers and escapes the text', () => {
+  const html = renderEntryText(topic.entries[0], 'e-e-1');
+  assert.ok(html.includes('<sup class="ref"><a href="#e-e-1-fn-1">[1]</a></sup>'));
+  assert.ok(html.includes('sushi &lt;b&gt;taśmowe&lt;/b&gt;'));
+});
+
+test('renderTopicPage groups entries by type and lists their sources', () => {
+  const html = renderTopicPage(topic, messages, 7);
+  assert.ok(html.includes('<h1>Jedzenie &amp; &lt;picie&gt;</h1>'));
+  assert.ok(html.includes('2 wpisów · edycja 7'));
+  assert.ok(html.includes('id="type-tip"') && html.includes('id="type-warning"'));
+  assert.ok(html.indexOf('id="type-tip"') < html.indexOf('id="type-warning"'));
+  assert.match(html, /<cite>ania<\/cite>, <time datetime="2024-03-01">2024-03-01<\/time>: <q>Ichiran jest czynny całą dobę\.<\/q>/);
+  assert.match(html, /404.*\(brak w kompendium\)/);
+  assert.ok(html.includes('data-sort="rating"'));
+  assert.doesNotMatch(renderTopicPage({ ...topic, entries: [topic.entries[1]] }, messages, 7), /data-sort/);
+});
+
+test('renderIndexPage links every topic page', () => {
+  const html = renderIndexPage([topic], 7);
+  assert.ok(html.includes('<a href="jedzenie.html">Jedzenie &amp; &lt;picie&gt;</a> <span class="count">2</span>'));
+});
+
+test('buildSearchIndex records entry text without footnote markers', () => {
+  const [first, second] = buildSearchIndex([topic]);
+  assert.equal(first.p, 'jedzenie.html#e-e-1');
+  assert.equal(first.x, 'Ramen w Ichiran , sushi <b>taśmowe</b> .');
+  assert.equal(first.r, 800);
+  assert.equal(second.r, null);
+});
+
+test('renderTopicPage links only http(s) message sources', () => {
+  const entry = {
+    entryId: 'e-3',
+    type: 'tip',
+    text: 'Shinkansen [1], JR Pass [2].',
+    footnotes: { 1: ['201'], 2: ['202'] },
+    footnoteSources: {
+      201: { channelName: 'japonia', url: 'https://discord.com/channels/1/2/201' },
+      202: { channelName: 'japonia', url: 'javascript:alert(1)' }
+    }
+  };
+  const html = renderTopicPage({ slug: 'transport', title: 'Transport', entries: [entry] }, new Map(), 7);
+  assert.ok(html.includes('<a class="discord-link" href="https://discord.com/channels/1/2/201">'));
+  assert.ok(!html.includes('javascript:'));
+  assert.ok(html.includes('<code class="msg-id">#202</code>'));
+});
+
+test('renderTopicPage links only http(s) link previews', () => {
+  const entry = { entryId: 'e-4', type: 'tip', text: 'Ichiran [1].', footnotes: { 1: ['101'] } };
+  const media = new Map([['101', [
+    { url: 'https://ichiran.com', title: 'Ichiran' },
+    { url: 'javascript:alert(1)', title: 'Zły link' }
+  ]]]);
+  const html = renderTopicPage({ slug: 'jedzenie', title: 'Jedzenie', entries: [entry] }, messages, 7, media);
+  assert.ok(html.includes('<a class="embed" href="https://ichiran.com/">Ichiran</a>'));
+  assert.ok(html.includes('<span class="embed">Zły link</span>'));
+  assert.ok(!html.includes('javascript:'));
+});
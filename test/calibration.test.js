@@ -0,0 +1,91 @@
+import assert from 'node:assert/strict';
+import { test } from 'node:test';
+import {
+  bradleyTerry,
+  calibrateBatches,
+  fitBatchCorrection,
+  neighbourPairs,
+  pickAnchors,
+  seededShuffle,
+  strengthsToScores
+} from '../lib/calibration.js';
+import { calibrationBatches, pruneCalibrationPasses } from '../rate-entries.js';
+
+const entries = n => Array.from({ length: n }, (_, i) => ({ entryId: `e${i}`, text: `wpis ${i}` }));
+
+test('seededShuffle is reproducible and keeps every item', () => {
+  const items = [1, 2, 3, 4, 5, 6, 7, 8];
+  assert.deepEqual(seededShuffle(items, 3), seededShuffle(items, 3));
+  assert.deepEqual([...seededShuffle(items, 3)].sort(), items);
+  assert.deepEqual(items, [1, 2, 3, 4, 5, 6, 7, 8]);
+});
+
+test('pickAnchors spreads anchors over the rating range', () => {
+  const rated = Array.from({ length: 10 }, (_, i) => ({ entryId: `e${i}`, rating: i * 100 }));
+  assert.deepEqual(pickAnchors(rated, 2).map(a => a.rating), [200, 700]);
+  assert.equal(pickAnchors(rated, 0).length, 0);
+});
+
+test('fitBatchCorrection fits a slope with three anchors and only an offset with fewer', () => {
+  const fit = fitBatchCorrection([{ raw: 100, ref: 200 }, { raw: 200, ref: 300 }, { raw: 300, ref: 400 }]);
+  assert.equal(Math.round(fit.a * 1000) / 1000, 1);
+  assert.equal(Math.round(fit.b), 100);
+  assert.deepEqual(fitBatchCorrection([{ raw: 100, ref: 150 }]), { a: 1, b: 50 });
+});
+
+test('calibrateBatches removes a batch drift measured on the anchors', () => {
+  const anchors = new Set(['a1', 'a2', 'a3']);
+  const raw = new Map([
+    ['1:1', new Map([['a1', 200], ['a2', 500], ['a3', 800], ['x', 600]])],
+    ['1:2', new Map([['a1', 300], ['a2', 600], ['a3', 900], ['y', 600]])]
+  ]);
+  const { calibrated } = calibrateBatches(raw, anchors);
+  // The second batch scored everything 100 higher, so its 600 is worth the first batch's 500.
+  assert.deepEqual(calibrated.get('x'), [650]);
+  assert.deepEqual(calibrated.get('y'), [550]);
+  assert.deepEqual(calibrated.get('a2'), [550, 550]);
+});
+
+test('bradleyTerry ranks by wins and strengthsToScores keeps the score range', () => {
+  const results = [
+    { winner: 'a', loser: 'b' }, { winner: 'a', loser: 'c' }, { winner: 'b', loser: 'c' }, { winner: 'a', loser: 'b' }
+  ];
+  const strengths = bradleyTerry(results);
+  assert.ok(strengths.get('a') > strengths.get('b') && strengths.get('b') > strengths.get('c'));
+  const scores = strengthsToScores(strengths, new Map([['a', 700], ['b', 800], ['c', 900]]));
+  assert.deepEqual([scores.get('a'), scores.get('c')], [900, 700]);
+});
+
+test('neighbourPairs pairs each entry with the next ones in the ranking', () => {
+  assert.deepEqual(neighbourPairs(['a', 'b', 'c'], 2), [['a', 'b'], ['a', 'c'], ['b', 'c']]);
+});
+
+test('calibrationBatches puts the anchors in every batch and every other entry once per pass', () => {
+  const all = entries(10);
+  const batches = calibrationBatches(all, ['e0', 'e1'], { pass: 1, batchSize: 5 });
+  assert.equal(batches.length, 3);
+  for (const batch of batches) assert.ok(['e0', 'e1'].every(id => batch.some(e => e.entryId === id)));
+  const rest = batches.flatMap(b => b.map(e => e.entryId)).filter(id => id !== 'e0' && id !== 'e1');
+  assert.deepEqual(rest.sort(), all.slice(2).map(e => e.entryId).sort());
+});
+
+test('pruneCalibrationPasses keeps saved batches only while they hold the planned entries', () => {
+  const scoresOf = batch => Object.fromEntries(batch.map(e => [e.entryId, { usefulness: 500 }]));
+  const before = calibrationBatches(entries(10), ['e0'], { pass: 1, batchSize: 4 });
+  const state = { passes: { 1: Object.fromEntries(before.map((batch, b) => [String(b + 1), scoresOf(batch)])) } };
+
+  assert.equal(pruneCalibrationPasses(state, [before]), 0);
+  assert.equal(Object.keys(state.passes[1]).length, before.length);
+
+  // One more entry shifts the shuffled batches; none of the saved ones may be reused as is.
+  const after = calibrationBatches(entries(11), ['e0'], { pass: 1, batchSize: 4 });
+  const kept = after.filter((batch, b) => {
+    const saved = state.passes[1][String(b + 1)];
+    return saved && batch.length === Object.keys(saved).length && batch.every(e => e.entryId in saved);
+  }).length;
+  assert.ok(kept < before.length);
+  assert.equal(pruneCalibrationPasses(state, [after]), before.length - kept);
+  for (const [b, scores] of Object.entries(state.passes[1])) {
+    assert.deepEqual(Object.keys(scores).sort(), after[Number(b) - 1].map(e => e.entryId).sort());
+  }
+});
@@ -0,0 +1,39 @@
+import assert from 'node:assert/strict';
+import { test } from 'node:test';
+import { checkEntryFidelity } from '../lib/claims.js';
+
+const sources = new Map([
+  ['1', 'Ramen w Ichiran kosztował 980 jenów, kolejka ok. 20 minut.'],
+  ['2', 'Metro w Tokio jeździ do północy.']
+]);
+const lookup = id => sources.get(id) ?? null;
+
+test('checkEntryFidelity accepts facts and names found in the cited messages', () => {
+  const entry = { text: 'Ramen w Ichiran kosztuje 980 jenów [1].', footnotes: { 1: ['1'] } };
+  const { checked, findings } = checkEntryFidelity(entry, lookup);
+  assert.ok(checked > 0);
+  assert.deepEqual(findings, []);
+});
+
+test('checkEntryFidelity reports a price the source states differently as altered', () => {
+  const entry = { text: 'Ramen w Ichiran kosztuje 1500 jenów [1].', footnotes: { 1: ['1'] } };
+  const { findings } = checkEntryFidelity(entry, lookup);
+  const altered = findings.find(f => f.status === 'altered');
+  assert.ok(altered, JSON.stringify(findings));
+  assert.equal(altered.claimIndex, 0);
+  assert.deepEqual(altered.messageIds, ['1']);
+  assert.ok(altered.sourceValues.some(v => v.includes('980')));
+});
+
+test('checkEntryFidelity reports a fact with no counterpart as hallucinated', () => {
+  const entry = { text: 'Metro w Tokio jeździ do północy, bilet dobowy to 800 jenów [1].', footnotes: { 1: ['2'] } };
+  const { findings } = checkEntryFidelity(entry, lookup);
+  assert.ok(findings.some(f => f.status === 'hallucinated' && String(f.value).includes('800')), JSON.stringify(findings));
+});
+
+test('checkEntryFidelity reports cited messages it cannot find', () => {
+  const entry = { text: 'Coś [1].', footnotes: { 1: ['404'] } };
+  const { checked, findings } = checkEntryFidelity(entry, lookup);
+  assert.equal(checked, 0);
+  assert.deepEqual(findings.map(f => [f.status, f.messageIds]), [['missing_source', ['404']]]);
+});
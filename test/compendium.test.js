@@ -0,0 +1,78 @@
+import assert from 'node:assert/strict';
+import { afterEach, beforeEach, mock, test } from 'node:test';
+import { runAll, runStage, STAGES } from '../compendium.js';
+
+let ran;
+
+// Every stage is stubbed: `stale` names the stages whose check reports them stale.
+function stubStages({ stale = STAGES.map(s => s.name), fail = null } = {}) {
+  for (const stage of STAGES) {
+    mock.method(stage, 'check', async () => ({ stale: stale.includes(stage.name), reason: 'test' }));
+    mock.method(stage, 'run', async (argv) => {
+      ran.push({ name: stage.name, argv });
+      if (stage.name === fail) throw new Error('boom');
+      return { written: 1 };
+    });
+  }
+}
+
+const statusOf = (result, name) => result.stages.find(r => r.name === name).status;
+
+beforeEach(() => {
+  ran = [];
+});
+
+afterEach(() => {
+  mock.restoreAll();
+});
+
+test('run-all --from/--to runs only the selected stale stages in order', async () => {
+  stubStages();
+  const [first, second, third] = STAGES.map(s => s.name);
+  const result = await runAll(['--from', second, '--to', third, '--provider', 'fixture']);
+  assert.equal(result.ok, true);
+  assert.deepEqual(ran.map(r => r.name), [second, third]);
+  assert.ok(ran.every(r => r.argv.includes('--provider') && r.argv.includes('fixture')));
+  assert.equal(statusOf(result, first), 'skipped');
+  assert.deepEqual(result.stages.map(r => r.name), STAGES.map(s => s.name));
+});
+
+test('run-all skips up-to-date stages unless --force', async () => {
+  const [first, second] = STAGES.map(s => s.name);
+  stubStages({ stale: [second] });
+  const result = await runAll(['--to', second]);
+  assert.deepEqual(ran.map(r => r.name), [second]);
+  assert.equal(statusOf(result, first), 'skipped');
+
+  ran = [];
+  await runAll(['--to', second, '--force']);
+  assert.deepEqual(ran.map(r => r.name), [first, second]);
+});
+
+test('run-all stops at the first failed stage', async () => {
+  const [first, second, third] = STAGES.map(s => s.name);
+  stubStages({ fail: second });
+  const result = await runAll(['--to', third]);
+  assert.equal(result.ok, false);
+  assert.deepEqual(ran.map(r => r.name), [first, second]);
+  assert.equal(statusOf(result, second), 'failed');
+  assert.equal(statusOf(result, third), 'not run');
+});
+
+test('run-all --plan lists stale stages without running them', async () => {
+  stubStages();
+  const result = await runAll(['--plan']);
+  assert.deepEqual(ran, []);
+  assert.ok(result.stages.every(r => r.status === 'planned'));
+});
+
+test('run-all rejects an unknown stage name', async () => {
+  await assert.rejects(runAll(['--from', 'nope']), /Unknown stage "nope"/);
+});
+
+test('runStage counts a result with failed items as a failure', async () => {
+  const outcome = await runStage({ run: async () => ({ failed: 2 }) });
+  assert.equal(outcome.status, 'failed');
+  assert.match(outcome.error.message, /2 item\(s\) failed/);
+  assert.equal((await runStage({ run: async () => ({ written: 3 }) })).status, 'ok');
+});
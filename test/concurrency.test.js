@@ -0,0 +1,99 @@
+import assert from 'node:assert/strict';
+import { afterEach, mock, test } from 'node:test';
+import { createRateLimiter, createSerialQueue, runPool, withRateLimit } from '../lib/concurrency.js';
+
+const flush = () => new Promise(resolve => setImmediate(resolve));
+
+afterEach(() => {
+  mock.timers.reset();
+});
+
+test('runPool keeps at most `concurrency` workers in flight and returns results in order', async () => {
+  let active = 0;
+  let peak = 0;
+  const results = await runPool([30, 10, 20, 5, 15], 2, async (ms, i) => {
+    active++;
+    peak = Math.max(peak, active);
+    await new Promise(resolve => setTimeout(resolve, ms));
+    active--;
+    return i * 10;
+  });
+  assert.deepEqual(results, [0, 10, 20, 30, 40]);
+  assert.equal(peak, 2);
+});
+
+test('runPool rethrows the first failure and starts no new items after it', async () => {
+  const started = [];
+  await assert.rejects(runPool([1, 2, 3, 4], 1, async (n) => {
+    started.push(n);
+    if (n === 2) throw new Error('boom');
+  }), /boom/);
+  assert.deepEqual(started, [1, 2]);
+});
+
+test('createSerialQueue runs tasks one at a time and survives a failing task', async () => {
+  const queue = createSerialQueue();
+  const order = [];
+  const slow = queue.run(async () => {
+    await new Promise(resolve => setTimeout(resolve, 20));
+    order.push('slow');
+  });
+  const failing = queue.run(async () => {
+    order.push('failing');
+    throw new Error('boom');
+  });
+  const fast = queue.run(async () => order.push('fast'));
+  await slow;
+  await assert.rejects(failing, /boom/);
+  await fast;
+  assert.deepEqual(order, ['slow', 'failing', 'fast']);
+});
+
+test('createRateLimiter holds requests over the per-minute budget until the window frees up', async () => {
+  mock.timers.enable({ apis: ['setTimeout', 'Date'], now: 0 });
+  const limiter = createRateLimiter({ rpm: 2 });
+  assert.equal(limiter.enabled, true);
+  await limiter.acquire();
+  await limiter.acquire();
+
+  let done = false;
+  const third = limiter.acquire().then(() => { done = true; });
+  await flush();
+  assert.equal(done, false);
+  mock.timers.tick(60000 + 25);
+  await third;
+  assert.equal(done, true);
+  assert.equal(createRateLimiter().enabled, false);
+});
+
+test('createRateLimiter pauses every caller after a 429', async () => {
+  mock.timers.enable({ apis: ['setTimeout', 'Date'], now: 0 });
+  const limiter = createRateLimiter({ rpm: 100 });
+  limiter.penalize(5000);
+
+  let done = false;
+  const next = limiter.acquire().then(() => { done = true; });
+  await flush();
+  assert.equal(done, false);
+  mock.timers.tick(5000 + 25);
+  await next;
+  assert.equal(done, true);
+});
+
+test('withRateLimit feeds successes and 429s back to the limiter', async () => {
+  const calls = [];
+  const limiter = {
+    acquire: async tokens => calls.push(['acquire', tokens > 0]),
+    reward: () => calls.push(['reward']),
+    penalize: ms => calls.push(['penalize', ms])
+  };
+  const err = Object.assign(new Error('rate limited'), { status: 429, retryAfter: '3' });
+  let fail = false;
+  const provider = withRateLimit({ name: 'fake', generateText: async () => { if (fail) throw err; return 'ok'; } }, limiter);
+
+  assert.equal(await provider.generateText(['prompt']), 'ok');
+  fail = true;
+  await assert.rejects(provider.generateText('prompt'), /rate limited/);
+  assert.deepEqual(calls, [['acquire', true], ['reward'], ['acquire', true], ['penalize', 3000]]);
+  assert.equal(provider.name, 'fake');
+});
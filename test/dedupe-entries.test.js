@@ -0,0 +1,41 @@
+import assert from 'node:assert/strict';
+import { test } from 'node:test';
+import { buildProposals } from '../dedupe-entries.js';
+
+const base = 'Bilet JR Pass opłaca się przy trasie Tokio Kioto Osaka Hiroszima i z powrotem w ciągu siedmiu dni, zwłaszcza gdy jedziesz shinkansenem Hikari kilka razy';
+
+function topics(aText = base, bText = `${base}.`) {
+  return [
+    { slug: 'transport', title: 'Transport', entries: [{ entryId: 'e-a', type: 'tip', text: aText, footnotes: { 1: ['1'] } }] },
+    { slug: 'koleje', title: 'Koleje', entries: [{ entryId: 'e-b', type: 'tip', text: bText, footnotes: { 1: ['2'] } }] }
+  ];
+}
+
+test('buildProposals clusters near-duplicate entries across topics', () => {
+  const proposals = buildProposals(topics(), { edition: 1, threshold: 0.5 });
+  assert.equal(proposals.clusters.length, 1);
+  const [cluster] = proposals.clusters;
+  assert.equal(cluster.decision, 'pending');
+  assert.deepEqual(cluster.members.map(m => `${m.topic}#${m.entryId}`).sort(), ['koleje#e-b', 'transport#e-a']);
+});
+
+test('buildProposals carries a decision and edited canonical over to an unchanged cluster', () => {
+  const previous = buildProposals(topics(), { edition: 1, threshold: 0.5 });
+  previous.clusters[0].decision = 'approved';
+  previous.clusters[0].canonical = { ...previous.clusters[0].canonical, entry: { ...previous.clusters[0].canonical.entry, text: 'poprawione' } };
+
+  const next = buildProposals(topics(), { edition: 1, threshold: 0.5, previous });
+  assert.equal(next.clusters[0].decision, 'approved');
+  assert.equal(next.clusters[0].canonical.entry.text, 'poprawione');
+});
+
+test('buildProposals sends a cluster with an edited member back to pending', () => {
+  const previous = buildProposals(topics(), { edition: 1, threshold: 0.5 });
+  previous.clusters[0].decision = 'approved';
+  previous.clusters[0].canonical = { ...previous.clusters[0].canonical, entry: { ...previous.clusters[0].canonical.entry, text: 'poprawione' } };
+
+  const next = buildProposals(topics(base, `${base}, co się zwraca.`), { edition: 1, threshold: 0.5, previous });
+  assert.equal(next.clusters.length, 1);
+  assert.equal(next.clusters[0].decision, 'pending');
+  assert.notEqual(next.clusters[0].canonical.entry.text, 'poprawione');
+});
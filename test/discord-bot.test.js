@@ -0,0 +1,81 @@
+import assert from 'node:assert/strict';
+import { beforeEach, test } from 'node:test';
+import { COMMANDS, attachBot, createCompendiumBot } from '../discord-bot.js';
+import { createFakeClient, createFakeInteraction, parseCommandLine } from '../lib/fake-discord.js';
+import { buildCompendiumDocuments, createBm25Index } from '../lib/retrieval.js';
+
+const url = id => `https://discord.com/channels/1/2/${id}`;
+
+const topics = [
+  {
+    slug: 'transport',
+    title: 'Transport',
+    entries: [
+      { entryId: 'e-1', type: 'tip', rating: 620, text: 'Suica kupisz w automacie na każdej stacji JR [1].', footnotes: { 1: ['101'] } },
+      { entryId: 'e-2', type: 'warning', rating: 910, text: 'Shinkansen Nozomi nie jest objęty JR Pass [1].', footnotes: { 1: ['102'] }, footnoteSources: { 102: { url: url('102') } } },
+      { entryId: 'e-3', type: 'tip', text: 'Nieoceniona wskazówka o autobusach.', footnotes: {} }
+    ]
+  },
+  { slug: 'jedzenie', title: 'Jedzenie', entries: [] }
+];
+const messages = new Map([
+  ['101', { date: '2024-03-01', author: 'ania', raw: '[2024-03-01] [ania] Suica jest w automatach na stacjach JR.', source: { url: url('101') } }]
+]);
+const slim = new Map([
+  ['102', { author: 'bartek', date: '2024-03-02', content: 'Nozomi nie wchodzi w JR Pass, trzeba dopłacić.' }]
+]);
+
+let client;
+beforeEach(async () => {
+  const bot = createCompendiumBot(
+    { topics, index: createBm25Index(buildCompendiumDocuments(topics, messages, slim)), messages, slim },
+    { random: () => 0 }
+  );
+  client = attachBot(createFakeClient(), bot);
+  await client.login();
+});
+
+async function run(line) {
+  const { commandName, values } = parseCommandLine(line, COMMANDS);
+  const replies = await client.dispatch(createFakeInteraction(commandName, values));
+  assert.equal(replies.length, 1);
+  return replies[0];
+}
+
+test('parseCommandLine takes a trailing number for the integer option', () => {
+  assert.deepEqual(parseCommandLine('/top rail pass 3', COMMANDS), { commandName: 'top', values: { topic: 'rail pass', n: 3 } });
+  assert.throws(() => parseCommandLine('/nope', COMMANDS), /Unknown command "\/nope"/);
+});
+
+test('/tip picks a tip from the topic and links its footnotes', async () => {
+  const reply = await run('/tip transport');
+  assert.match(reply.content, /Suica kupisz/);
+  assert.ok(reply.content.includes(`[1] ania, 2024-03-01: <${url('101')}>`));
+  assert.deepEqual(reply.allowedMentions, { parse: [] });
+});
+
+test('/top lists rated entries best first, with footnoteSources links', async () => {
+  const reply = await run('/top transport 5');
+  assert.match(reply.content, /^1\. \*\*Transport\*\*.*ocena 910/);
+  assert.match(reply.content, /\n\n2\. .*ocena 620/);
+  assert.doesNotMatch(reply.content, /autobusach/);
+  assert.ok(reply.content.includes(`[1] bartek, 2024-03-02: <${url('102')}>`));
+});
+
+test('/top explains unrated topics and unknown topics', async () => {
+  assert.equal((await run('/top jedzenie')).content, 'Wpisy tego tematu nie są jeszcze ocenione.');
+  assert.match((await run('/top onsen')).content, /^Nie znam tematu „onsen”\. Tematy: Transport, Jedzenie/);
+});
+
+test('/search returns the matching entry', async () => {
+  const reply = await run('/search nozomi');
+  assert.match(reply.content.split('\n\n')[0], /Shinkansen Nozomi/);
+});
+
+test('/source shows the message and the entries citing it', async () => {
+  const reply = await run('/source #101');
+  assert.match(reply.content, new RegExp(`^\\*\\*ania\\*\\*, 2024-03-01 · <${url('101')}>`));
+  assert.match(reply.content, /Suica jest w automatach/);
+  assert.match(reply.content, /Cytowana w 1 wpis\(ach\): Transport$/);
+  assert.equal((await run('/source 999')).content, 'Nie znam wiadomości 999.');
+});
@@ -0,0 +1,68 @@
+import assert from 'node:assert/strict';
+import fs from 'fs-extra';
+import os from 'node:os';
+import path from 'node:path';
+import { test } from 'node:test';
+import { assignEntryIds, claimEntryId, computeEntryId, isContentEntryId } from '../lib/entry-ids.js';
+import { main, migrateEntries } from '../migrate-entry-ids.js';
+import { RATINGS_STATE_SCHEMA_VERSION } from '../rate-entries.js';
+
+const ramen = { text: 'Ichiran działa całą dobę.[1]', footnotes: { 1: ['101', '102'] } };
+
+test('computeEntryId depends on topic, cited messages and normalized text only', () => {
+  const id = computeEntryId('food', ramen);
+  assert.ok(isContentEntryId(id), id);
+  assert.equal(computeEntryId('food', { text: '  ICHIRAN działa   całą dobę.[2]', footnotes: { 2: ['102', '101'] } }), id);
+  assert.notEqual(computeEntryId('transport', ramen), id);
+  assert.notEqual(computeEntryId('food', { ...ramen, footnotes: { 1: ['101'] } }), id);
+  assert.equal(isContentEntryId('3:e1'), false);
+});
+
+test('claimEntryId and assignEntryIds suffix collisions within a topic', () => {
+  const taken = new Set(['e-0123456789ab']);
+  assert.equal(claimEntryId('e-0123456789ab', taken), 'e-0123456789ab-2');
+  assert.equal(claimEntryId('e-0123456789ab-2', taken), 'e-0123456789ab-3');
+  assert.equal(claimEntryId('3:e1', taken), '3:e1');
+
+  const [a, b] = assignEntryIds('food', [ramen, { ...ramen }]);
+  assert.equal(b.entryId, `${a.entryId}-2`);
+  assert.equal(ramen.entryId, undefined);
+});
+
+test('migrateEntries re-IDs legacy entries and leaves content IDs alone', () => {
+  const kept = { ...ramen, entryId: computeEntryId('food', ramen) };
+  const { entries, ids } = migrateEntries('food', [kept, { ...ramen, entryId: '3:e1' }, { text: 'Metro.', entryId: '3:e2' }], id => (id === '3:e2' ? 'e-aaaaaaaaaaaa' : null));
+  assert.equal(entries[0], kept);
+  assert.equal(entries[1].entryId, `${kept.entryId}-2`);
+  assert.equal(entries[2].entryId, 'e-aaaaaaaaaaaa');
+  assert.deepEqual([...ids.keys()], ['3:e1', '3:e2']);
+});
+
+test('migration re-keys positional ratings and dedupe proposals by entryId', async () => {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'entry-ids-'));
+  try {
+    const topicsDir = path.join(dir, 'structured_topics');
+    await fs.outputJson(path.join(topicsDir, 'compendium_1', 'a-food.json'), { entries: [{ ...ramen, entryId: '1:e1' }] });
+    await fs.outputJson(path.join(topicsDir, 'compendium_1', 'b-transport.json'), { entries: [{ text: 'Metro.', footnotes: {}, entryId: '1:e1' }] });
+    await fs.outputJson(path.join(topicsDir, 'compendium_1_ratings_state.json'), { ratings: { 0: 800, 1: 400, 5: 100 } });
+    await fs.outputJson(path.join(topicsDir, 'compendium_1_dedupe.json'), { clusters: [{ members: [{ topic: 'b-transport', entryId: '1:e1' }] }] });
+
+    const result = await main(['--topics-dir', topicsDir, '--snapshots-dir', path.join(dir, 'none')]);
+    assert.deepEqual([result.editions, result.entries], [1, 2]);
+
+    const food = computeEntryId('a-food', ramen);
+    const metro = computeEntryId('b-transport', { text: 'Metro.', footnotes: {} });
+    assert.equal((await fs.readJson(path.join(topicsDir, 'compendium_1', 'a-food.json'))).entries[0].entryId, food);
+    const state = await fs.readJson(path.join(topicsDir, 'compendium_1_ratings_state.json'));
+    assert.equal(state.schemaVersion, RATINGS_STATE_SCHEMA_VERSION);
+    assert.deepEqual(state.ratings, { [food]: 800, [metro]: 400 });
+    const proposals = await fs.readJson(path.join(topicsDir, 'compendium_1_dedupe.json'));
+    assert.equal(proposals.clusters[0].members[0].entryId, metro);
+    const map = await fs.readJson(path.join(topicsDir, 'compendium_1_entry_id_map.json'));
+    assert.deepEqual(map.ids, { 'a-food#1:e1': food, 'b-transport#1:e1': metro });
+
+    assert.equal((await main(['--topics-dir', topicsDir, '--snapshots-dir', path.join(dir, 'none')])).entries, 0);
+  } finally {
+    await fs.remove(dir);
+  }
+});
@@ -0,0 +1,59 @@
+import assert from 'node:assert/strict';
+import { test } from 'node:test';
+import { createFootnotes, filterEntries, parseArgs, renderCompendium, renderObsidianNote } from '../export-markdown.js';
+
+const messages = new Map([
+  ['101', { author: 'ania', date: '2024-03-01', raw: '[2024-03-01] [ania] Ichiran jest czynny całą dobę.' }]
+]);
+const topic = {
+  slug: 'jedzenie-i-picie',
+  title: 'Jedzenie i picie',
+  entries: [
+    { type: 'warning', text: 'Napiwków się nie daje.', footnotes: {}, rating: 300 },
+    { type: 'tip', text: 'Ichiran działa całą dobę.[1]', footnotes: { 1: ['101'] }, rating: 800 },
+    { type: 'tip', text: 'Ramen\nw nocy.[2]', footnotes: { 2: ['101'] } }
+  ]
+};
+
+test('parseArgs picks the output for the chosen format', () => {
+  assert.equal(parseArgs([]).out, './compendium_export.md');
+  assert.equal(parseArgs(['--obsidian']).out, './compendium_vault');
+  const args = parseArgs(['--min-rating', '400', '--keep-unrated', '--out', 'x.md']);
+  assert.deepEqual([args.minRating, args.keepUnrated, args.out], [400, true, 'x.md']);
+});
+
+test('filterEntries drops low-rated entries and unrated ones unless kept', () => {
+  assert.equal(filterEntries(topic.entries, { minRating: null, keepUnrated: false }), topic.entries);
+  assert.deepEqual(filterEntries(topic.entries, { minRating: 400, keepUnrated: false }), [topic.entries[1]]);
+  assert.deepEqual(filterEntries(topic.entries, { minRating: 400, keepUnrated: true }), topic.entries.slice(1));
+});
+
+test('createFootnotes gives markers citing the same messages one footnote', () => {
+  const footnotes = createFootnotes(messages);
+  assert.equal(footnotes.ref(['101']), '[^1]');
+  assert.equal(footnotes.ref(['404', '101']), '[^2]');
+  assert.equal(footnotes.ref([101]), '[^1]');
+  const rendered = footnotes.render().split('\n');
+  assert.equal(rendered.length, 2);
+  assert.ok(rendered[0].startsWith('[^1]: ania, 2024-03-01: „Ichiran jest czynny całą dobę.”'));
+  assert.ok(rendered[1].includes('wiadomość #404 (brak w kompendium)'));
+});
+
+test('renderCompendium lists topics and types in the table of contents', () => {
+  const md = renderCompendium([topic], { edition: 7, messages });
+  assert.ok(md.startsWith('# Kompendium: Japonia\n'));
+  assert.ok(md.includes('_Edycja 7 · 1 tematów · 3 wpisów_'));
+  assert.ok(md.includes('- [Jedzenie i picie](#jedzenie-i-picie) (3)'));
+  assert.ok(md.includes('<a id="jedzenie-i-picie-tip"></a>'));
+  assert.ok(md.indexOf('jedzenie-i-picie-tip') < md.indexOf('jedzenie-i-picie-warning'));
+  assert.ok(md.includes('- Ichiran działa całą dobę.[^1] *(★ 800)*'));
+  assert.ok(md.includes('- Ramen  \n  w nocy.[^1]'));
+  assert.equal(md.match(/^\[\^\d+\]: /gm).length, 1);
+});
+
+test('renderObsidianNote writes front matter and its own footnotes', () => {
+  const note = renderObsidianNote(topic, { edition: 7, messages });
+  assert.ok(note.startsWith('---\ntitle: "Jedzenie i picie"\nslug: jedzenie-i-picie\nedition: 7\nentries: 3\n'));
+  assert.ok(note.includes('# Jedzenie i picie'));
+  assert.ok(note.includes('[^1]: ania, 2024-03-01'));
+});
@@ -0,0 +1,30 @@
+import assert from 'node:assert/strict';
+import { test } from 'node:test';
+import { planBatches } from '../index.js';
+import { estimateTokens } from '../lib/tokens.js';
+
+const message = (id, chars = 40) => ({ id: String(id), author: 'a', content: 'x'.repeat(chars) });
+const file = (name, messages) => ({ file: name, cleanPath: name, messages });
+
+test('planBatches packs consecutive files into one request while they fit', () => {
+  const files = [file('a.json', [message(1)]), file('b.json', [message(2)])];
+  const batches = planBatches(files, { tokenBudget: 10000, overheadTokens: 100 });
+  assert.equal(batches.length, 1);
+  assert.deepEqual(batches[0].segments.map(s => s.file), ['a.json', 'b.json']);
+  assert.ok(batches[0].segments.every(s => s.chunkCount === 1 && s.isLastChunk));
+});
+
+test('planBatches splits a file larger than one request into consecutive chunks', () => {
+  const messages = Array.from({ length: 6 }, (_, i) => message(i, 200));
+  const per = estimateTokens(JSON.stringify(messages[0]));
+  const batches = planBatches([file('big.json', messages), file('next.json', [message(99)])], { tokenBudget: per * 2 + 10, overheadTokens: 10 });
+
+  const segments = batches.flatMap(b => b.segments);
+  const big = segments.filter(s => s.file === 'big.json');
+  assert.equal(big.length, 3);
+  assert.deepEqual(big.map(s => s.chunkIndex), [0, 1, 2]);
+  assert.deepEqual(big.map(s => s.isLastChunk), [false, false, true]);
+  assert.deepEqual(big.flatMap(s => s.messages.map(m => m.id)), messages.map(m => m.id));
+  assert.equal(segments.at(-1).file, 'next.json');
+  assert.ok(batches.every(b => b.tokens <= per * 2 + 10));
+});
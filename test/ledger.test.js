@@ -0,0 +1,39 @@
+import assert from 'node:assert/strict';
+import fs from 'fs-extra';
+import os from 'os';
+import path from 'path';
+import { after, before, test } from 'node:test';
+import { emptyLedger, hashFile, planFromLedger, recordFile } from '../lib/ledger.js';
+
+let dir;
+before(async () => {
+  dir = await fs.mkdtemp(path.join(os.tmpdir(), 'compendium-ledger-'));
+});
+after(async () => {
+  await fs.remove(dir);
+});
+
+test('planFromLedger sorts files into new, changed, done, failed, renamed and missing', async () => {
+  const p = name => path.join(dir, name);
+  for (const [name, body] of [['done.json', 'd'], ['changed.json', 'c2'], ['failed.json', 'f'], ['new.json', 'n'], ['moved.json', 'm']]) {
+    await fs.writeFile(p(name), body);
+  }
+  const ledger = emptyLedger();
+  recordFile(ledger, { path: p('done.json'), hash: await hashFile(p('done.json')), status: 'ok', version: 1 });
+  recordFile(ledger, { path: p('changed.json'), hash: 'stale', status: 'ok', version: 2 });
+  recordFile(ledger, { path: p('failed.json'), hash: await hashFile(p('failed.json')), status: 'failed', error: 'boom' });
+  recordFile(ledger, { path: p('old-name.json'), hash: await hashFile(p('moved.json')), status: 'ok', version: 3 });
+  recordFile(ledger, { path: p('gone.json'), hash: 'gone', status: 'ok', version: 4 });
+
+  const inputs = ['done.json', 'changed.json', 'failed.json', 'new.json', 'moved.json'].map(p);
+  const plan = await planFromLedger(inputs, ledger);
+  assert.deepEqual(plan.todo.map(t => [path.basename(t.path), t.reason]), [['changed.json', 'changed'], ['new.json', 'new']]);
+  assert.deepEqual(plan.done.map(f => path.basename(f)), ['done.json', 'moved.json']);
+  assert.deepEqual(plan.failed.map(f => path.basename(f)), ['failed.json']);
+  assert.deepEqual(plan.renamed, [{ from: p('old-name.json'), to: p('moved.json') }]);
+  assert.deepEqual(plan.missing, [p('gone.json')]);
+  assert.equal(ledger.files[p('moved.json')].version, 3);
+
+  const retry = await planFromLedger(inputs, ledger, { retryFailed: true });
+  assert.deepEqual(retry.todo.filter(t => t.reason === 'failed').map(t => path.basename(t.path)), ['failed.json']);
+});
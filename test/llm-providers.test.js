@@ -0,0 +1,44 @@
+import assert from 'node:assert/strict';
+import fs from 'fs-extra';
+import os from 'os';
+import path from 'path';
+import { after, before, test } from 'node:test';
+import { createProvider, hashPrompt, withFixtureRecording } from '../lib/llm-providers.js';
+
+let dir;
+before(async () => {
+  dir = await fs.mkdtemp(path.join(os.tmpdir(), 'compendium-fixtures-'));
+});
+after(async () => {
+  await fs.remove(dir);
+});
+
+test('hashPrompt is stable across a string and a one-part array', () => {
+  assert.equal(hashPrompt('abc'), hashPrompt(['abc']));
+  assert.notEqual(hashPrompt(['abc']), hashPrompt(['abd']));
+});
+
+test('the fixture provider replays a recorded response', async () => {
+  const parts = ['system', 'user prompt'];
+  await fs.writeJson(path.join(dir, `${hashPrompt(parts)}.json`), { text: '{"ok":true}' });
+  const provider = createProvider({ provider: 'fixture', model: 'test-model', fixturesDir: dir });
+  assert.equal(provider.name, 'fixture');
+  assert.equal(await provider.generateText(parts), '{"ok":true}');
+});
+
+test('the fixture provider fails with LLM_FIXTURE_MISSING for an unknown prompt', async () => {
+  const provider = createProvider({ provider: 'fixture', model: 'test-model', fixturesDir: dir });
+  await assert.rejects(provider.generateText(['never recorded']), { code: 'LLM_FIXTURE_MISSING' });
+});
+
+test('a recorded response is replayed by the fixture provider', async () => {
+  const live = { name: 'stub', model: 'stub-model', generateText: async parts => `echo:${parts.join('|')}` };
+  const parts = ['a', 'b'];
+  assert.equal(await withFixtureRecording(live, dir).generateText(parts), 'echo:a|b');
+  const replay = createProvider({ provider: 'fixture', model: 'stub-model', fixturesDir: dir });
+  assert.equal(await replay.generateText(parts), 'echo:a|b');
+});
+
+test('createProvider rejects an unknown provider name', () => {
+  assert.throws(() => createProvider({ provider: 'nope' }), /Unknown LLM provider "nope"/);
+});
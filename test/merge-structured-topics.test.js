@@ -0,0 +1,60 @@
+import assert from 'node:assert/strict';
+import fs from 'fs-extra';
+import os from 'node:os';
+import path from 'node:path';
+import { test } from 'node:test';
+import { computeEntryId } from '../lib/entry-ids.js';
+import { entryOwners, loadAliasConfig, mergeTopics, planMerges, remapRatings, suggestAliases } from '../merge-structured-topics.js';
+
+const topic = (slug, ids) => ({ slug, title: slug, file: path.join('topics', `${slug}.json`), entries: ids.map(entryId => ({ entryId, text: entryId })) });
+
+test('loadAliasConfig rejects aliases that are targets or listed twice', async () => {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'aliases-'));
+  try {
+    const file = path.join(dir, 'topic-aliases.json');
+    assert.deepEqual(await loadAliasConfig(file), {});
+    await fs.writeJson(file, { food: ['jedzenie'], transport: ['trains'] });
+    assert.deepEqual(await loadAliasConfig(file), { food: ['jedzenie'], transport: ['trains'] });
+
+    await fs.writeJson(file, { food: ['jedzenie'], jedzenie: ['ramen'] });
+    await assert.rejects(loadAliasConfig(file), /"jedzenie" is both a target and an alias/);
+    await fs.writeJson(file, { food: ['ramen'], noodles: ['ramen'] });
+    await assert.rejects(loadAliasConfig(file), /"ramen" is an alias of both "food" and "noodles"/);
+    await fs.writeJson(file, { food: 'jedzenie' });
+    await assert.rejects(loadAliasConfig(file), /must map to an array of slugs/);
+  } finally {
+    await fs.remove(dir);
+  }
+});
+
+test('planMerges keeps only groups with an alias file present', () => {
+  const topics = [topic('food', []), topic('jedzenie', [])];
+  assert.deepEqual(planMerges({ food: ['jedzenie', 'ramen'], transport: ['trains'] }, topics), [{ target: 'food', aliases: ['jedzenie'] }]);
+});
+
+test('mergeTopics keeps content IDs, prefixes legacy ones and creates a missing target', () => {
+  const contentId = computeEntryId('jedzenie', { text: 'Ramen.' });
+  const topics = [topic('food', ['jedzenie:e1']), topic('jedzenie', ['e1', contentId]), topic('trains', ['e1'])];
+  const results = mergeTopics(topics, [{ target: 'food', aliases: ['jedzenie'] }, { target: 'transport', aliases: ['trains'] }]);
+
+  assert.deepEqual(topics.map(t => t.slug), ['food', 'transport']);
+  assert.deepEqual(topics[0].entries.map(e => e.entryId), ['jedzenie:e1', 'jedzenie:e1-2', contentId]);
+  assert.deepEqual(results[0].ids, { 'jedzenie#e1': 'food#jedzenie:e1-2', [`jedzenie#${contentId}`]: `food#${contentId}` });
+  assert.equal(results[1].created, true);
+  assert.equal(results[1].file, path.join('topics', 'transport.json'));
+});
+
+test('remapRatings follows renamed entries and drops ratings it cannot attribute', () => {
+  const topics = [topic('food', ['e-0123456789ab']), topic('jedzenie', ['e1', 'e2']), topic('trains', ['e2'])];
+  const owners = entryOwners(topics);
+  const results = mergeTopics(topics, [{ target: 'food', aliases: ['jedzenie'] }]);
+  const { ratings, renamed, dropped } = remapRatings({ 'e-0123456789ab': 700, e1: 500, e2: 600 }, results, owners);
+  assert.deepEqual(ratings, { 'e-0123456789ab': 700, 'jedzenie:e1': 500 });
+  assert.deepEqual([renamed, dropped], [2, 1]);
+});
+
+test('suggestAliases groups similar slugs under the shortest one', () => {
+  const slugs = ['general-protips', 'general-protips-travel-hacks', 'food', 'jr-pass'];
+  assert.deepEqual(suggestAliases(slugs), { 'general-protips': ['general-protips-travel-hacks'] });
+  assert.deepEqual(suggestAliases(slugs, { config: { 'general-protips': [] } }), {});
+});
@@ -0,0 +1,84 @@
+import assert from 'node:assert/strict';
+import fs from 'fs-extra';
+import os from 'node:os';
+import path from 'node:path';
+import { test } from 'node:test';
+import { collectSplitSources } from '../backfill-message-sources.js';
+import {
+  citedSource,
+  footnoteSources,
+  loadMessageSources,
+  messageSource,
+  messageSourcesPath,
+  messageUrl,
+  saveMessageSources,
+  sourceFromHeader,
+  withFootnoteSources
+} from '../lib/message-sources.js';
+
+const header = { guild: { id: '10', name: 'Nododon' }, channel: { id: 20, name: 'japonia' } };
+const source = id => ({ guildId: '10', guildName: 'Nododon', channelId: '20', channelName: 'japonia', url: `https://discord.com/channels/10/20/${id}` });
+
+test('messageUrl needs guild, channel and message IDs', () => {
+  assert.equal(messageUrl({ guildId: '10', channelId: '20', messageId: '30' }), 'https://discord.com/channels/10/20/30');
+  assert.equal(messageUrl({ guildId: null, channelId: '20', messageId: '30' }), null);
+});
+
+test('sourceFromHeader and messageSource read the split file header', () => {
+  const h = sourceFromHeader(header);
+  assert.deepEqual(h, { guildId: '10', guildName: 'Nododon', channelId: '20', channelName: 'japonia' });
+  assert.equal(sourceFromHeader({ guild: header.guild }), null);
+  assert.deepEqual(messageSource(h, 30), source('30'));
+  assert.equal(messageSource(null, 30), null);
+});
+
+test('footnoteSources keeps only the cited messages that have a source', () => {
+  const sources = new Map([['1', source('1')], ['3', source('3')]]);
+  const entry = { footnotes: { 1: ['1', '2'], 2: [1] } };
+  assert.deepEqual(footnoteSources(entry, sources), { 1: source('1') });
+  assert.equal(footnoteSources({ footnotes: { 1: ['2'] } }, sources), null);
+
+  assert.deepEqual(withFootnoteSources(entry, sources), { ...entry, footnoteSources: { 1: source('1') } });
+  const bare = { footnotes: {} };
+  assert.equal(withFootnoteSources(bare, sources), bare);
+});
+
+test('citedSource prefers the entry over the compendium message', () => {
+  const entry = { footnoteSources: { 5: source('5') } };
+  const messages = new Map([['5', { source: { url: 'x' } }], ['6', { source: source('6') }]]);
+  assert.deepEqual(citedSource(5, { entry, messages }), source('5'));
+  assert.deepEqual(citedSource('6', { entry, messages }), source('6'));
+  assert.equal(citedSource('7', { entry, messages }), null);
+});
+
+test('saveMessageSources and loadMessageSources round-trip, sorted by ID', async () => {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'sources-'));
+  try {
+    assert.equal((await loadMessageSources(dir)).size, 0);
+    await saveMessageSources(dir, new Map([['100', source('100')], ['9', source('9')]]));
+    const saved = await fs.readJson(messageSourcesPath(dir));
+    assert.equal(saved.count, 2);
+    assert.deepEqual(Object.keys(saved.sources), ['9', '100']);
+    assert.deepEqual([...(await loadMessageSources(dir)).entries()], [['9', source('9')], ['100', source('100')]]);
+  } finally {
+    await fs.remove(dir);
+  }
+});
+
+test('collectSplitSources maps each split message to its file header', async () => {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'split-'));
+  try {
+    const exportDir = path.join(dir, 'EXPORT').split(path.sep).join('/');
+    await fs.outputJson(path.join(exportDir, 'split', '2024', 'a.json'), { ...header, messages: [{ id: '1' }, { id: 2 }] });
+    await fs.outputJson(path.join(exportDir, 'split', '2024', 'b.json'), { messages: [{ id: '3' }] });
+    await fs.outputFile(path.join(exportDir, 'split', '2024', 'c.json'), '{ broken');
+
+    const { sources, splitFiles } = await collectSplitSources([exportDir]);
+    assert.deepEqual([...sources.keys()], ['1', '2']);
+    assert.deepEqual(sources.get('2'), source('2'));
+    assert.equal(splitFiles.length, 2);
+    assert.equal(splitFiles.find(f => f.file.endsWith('b.json')).header, null);
+  } finally {
+    await fs.remove(dir);
+  }
+});
@@ -0,0 +1,79 @@
+import assert from 'node:assert/strict';
+import fs from 'fs-extra';
+import os from 'os';
+import path from 'path';
+import { after, before, test } from 'node:test';
+import { generateTextWithRetry, generateValidatedJson, isRetryableError, tryParseJsonObject } from '../lib/pipeline.js';
+
+const retry = { maxAttempts: 3, baseDelayMs: 1, maxDelayMs: 1 };
+
+// A provider answering from a list and recording every prompt it was sent.
+function scripted(responses) {
+  const prompts = [];
+  return {
+    name: 'scripted',
+    model: 'test-model',
+    prompts,
+    async generateText(parts) {
+      prompts.push(parts);
+      const next = responses.shift();
+      if (next instanceof Error) throw next;
+      return next;
+    }
+  };
+}
+
+const validate = value => (typeof value?.n === 'number' ? [] : ['n must be a number']);
+
+let rejectsDir;
+before(async () => {
+  rejectsDir = await fs.mkdtemp(path.join(os.tmpdir(), 'compendium-rejects-'));
+});
+after(async () => {
+  await fs.remove(rejectsDir);
+});
+
+test('tryParseJsonObject strips fences and surrounding prose', () => {
+  assert.deepEqual(tryParseJsonObject('```json\n{"a":1}\n```'), { a: 1 });
+  assert.deepEqual(tryParseJsonObject('Here you go: {"a":{"b":2}} done'), { a: { b: 2 } });
+  assert.throws(() => tryParseJsonObject('no json here'));
+});
+
+test('generateTextWithRetry retries retryable errors only', async () => {
+  const flaky = scripted([Object.assign(new Error('overloaded'), { status: 503 }), 'ok']);
+  assert.equal(await generateTextWithRetry(flaky, ['p'], retry), 'ok');
+  assert.equal(flaky.prompts.length, 2);
+
+  const broken = scripted([Object.assign(new Error('bad request'), { status: 400 }), 'never']);
+  await assert.rejects(generateTextWithRetry(broken, ['p'], retry), /bad request/);
+  assert.equal(broken.prompts.length, 1);
+  assert.equal(isRetryableError({ code: 'ECONNRESET' }), true);
+});
+
+test('generateValidatedJson returns a valid first response without repairs', async () => {
+  const provider = scripted(['{"n":1}']);
+  const out = await generateValidatedJson(provider, ['p'], { parse: tryParseJsonObject, validate, label: 'ok', retry, repair: { maxRepairs: 2, rejectsDir } });
+  assert.deepEqual(out, { value: { n: 1 }, raw: '{"n":1}', repairs: 0 });
+});
+
+test('generateValidatedJson sends invalid responses back with their errors', async () => {
+  const provider = scripted(['not json', '{"n":"x"}', '{"n":3}']);
+  const out = await generateValidatedJson(provider, ['base prompt'], { parse: tryParseJsonObject, validate, label: 'repair', retry, repair: { maxRepairs: 2, rejectsDir } });
+  assert.equal(out.repairs, 2);
+  assert.deepEqual(out.value, { n: 3 });
+
+  const repairPrompt = provider.prompts[2];
+  assert.equal(repairPrompt[0], 'base prompt');
+  assert.match(repairPrompt.at(-1), /n must be a number/);
+  assert.match(repairPrompt.at(-1), /BEGIN_PREVIOUS_RESPONSE\n\{"n":"x"\}\nEND_PREVIOUS_RESPONSE/);
+  assert.equal((await fs.readdir(path.join(rejectsDir, 'repair'))).length, 2);
+});
+
+test('generateValidatedJson gives up with LLM_RESPONSE_INVALID after maxRepairs', async () => {
+  const provider = scripted(['{}', '{}']);
+  await assert.rejects(
+    generateValidatedJson(provider, ['p'], { parse: tryParseJsonObject, validate, label: 'fail', retry, repair: { maxRepairs: 1, rejectsDir } }),
+    err => err.code === 'LLM_RESPONSE_INVALID' && err.validationErrors[0] === 'n must be a number'
+  );
+  assert.equal(provider.prompts.length, 2);
+});
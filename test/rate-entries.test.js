@@ -0,0 +1,27 @@
+import assert from 'node:assert/strict';
+import { test } from 'node:test';
+import { ratingStatus, ratingTextHash } from '../rate-entries.js';
+
+const text = 'Suica działa w konbini i automatach z napojami [1].';
+
+test('ratingStatus keeps a rating given for the current text', () => {
+  assert.equal(ratingStatus({ text, rating: 700, ratingTextHash: ratingTextHash(text) }, null), 'rated');
+  assert.equal(ratingStatus({ text, rating: 700 }, { rating: 700, textHash: ratingTextHash(text) }), 'rated');
+});
+
+test('ratingStatus keeps legacy ratings that have no recorded hash', () => {
+  assert.equal(ratingStatus({ text, rating: 700 }, null), 'rated');
+  assert.equal(ratingStatus({ text, rating: 700 }, { rating: 700 }), 'rated');
+});
+
+test('ratingStatus flags a rating whose text was edited since', () => {
+  const rated = ratingTextHash('Suica działa tylko w konbini [1].');
+  assert.equal(ratingStatus({ text, rating: 700, ratingTextHash: rated }, null), 'changed');
+  assert.equal(ratingStatus({ text, rating: 700 }, { rating: 700, textHash: rated }), 'changed');
+});
+
+test('ratingStatus restores a lost rating only for the same text', () => {
+  assert.equal(ratingStatus({ text }, { rating: 700, textHash: ratingTextHash(text) }), 'restore');
+  assert.equal(ratingStatus({ text }, { rating: 700, textHash: ratingTextHash('inny tekst') }), 'new');
+  assert.equal(ratingStatus({ text }, null), 'new');
+});
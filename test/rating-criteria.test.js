@@ -0,0 +1,76 @@
+import assert from 'node:assert/strict';
+import fs from 'fs-extra';
+import os from 'node:os';
+import path from 'node:path';
+import { test } from 'node:test';
+import { filterEntries, parseArgs, sortEntries } from '../export-markdown.js';
+import {
+  combineRating,
+  DEFAULT_RATING_WEIGHTS,
+  normalizeStateRating,
+  parseWeights,
+  RATING_CRITERIA_KEYS,
+  resolveWeights
+} from '../lib/rating-criteria.js';
+import { validateRatingResponse } from '../lib/schemas.js';
+
+const allScores = value => Object.fromEntries(RATING_CRITERIA_KEYS.map(k => [k, value]));
+
+test('parseWeights reads "key=weight" lists and rejects unknown criteria', () => {
+  assert.deepEqual(parseWeights('practicality=1, timeSensitivity=-0.5'), { practicality: 1, timeSensitivity: -0.5 });
+  assert.deepEqual(parseWeights(''), {});
+  assert.throws(() => parseWeights('fun=1'), /Unknown rating criterion "fun"/);
+  assert.throws(() => parseWeights('practicality='), /Bad weight for practicality/);
+});
+
+test('resolveWeights layers defaults, the weights file and --weights', async () => {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'weights-'));
+  try {
+    const file = path.join(dir, 'weights.json');
+    await fs.writeJson(file, { practicality: 2, curiosity: 0 });
+    const weights = await resolveWeights({ weightsFile: file, weights: 'curiosity=3' });
+    assert.deepEqual(weights, { ...DEFAULT_RATING_WEIGHTS, practicality: 2, curiosity: 3 });
+    const none = RATING_CRITERIA_KEYS.map(k => `${k}=0`).join(',');
+    await assert.rejects(resolveWeights({ weights: none }), /At least one rating weight must be positive/);
+  } finally {
+    await fs.remove(dir);
+  }
+});
+
+test('combineRating is a weighted mean that negative weights pull down', () => {
+  assert.equal(combineRating(allScores(600), { curiosity: 1, practicality: 1 }), 600);
+  assert.equal(combineRating({ curiosity: 1000, practicality: 0 }, { curiosity: 3, practicality: 1 }), 750);
+  assert.equal(combineRating({ curiosity: 800, timeSensitivity: 800 }, { curiosity: 1, timeSensitivity: -0.5 }), 400);
+  assert.equal(combineRating({ curiosity: 0, timeSensitivity: 1000 }, { curiosity: 1, timeSensitivity: -1 }), 0);
+});
+
+test('normalizeStateRating accepts bare numbers from older states', () => {
+  assert.deepEqual(normalizeStateRating(700), { rating: 700 });
+  assert.deepEqual(normalizeStateRating({ rating: 500, breakdown: { curiosity: 500 } }), { rating: 500, breakdown: { curiosity: 500 } });
+  assert.equal(normalizeStateRating({ breakdown: {} }), null);
+});
+
+test('validateRatingResponse with criteria wants a score for each one', () => {
+  const criteria = ['curiosity', 'practicality'];
+  assert.deepEqual(validateRatingResponse([{ id: 'a', scores: { curiosity: 10, practicality: 20 }, justification: 'ok' }], { ids: ['a'], criteria }), []);
+  assert.deepEqual(validateRatingResponse([{ id: 'a', scores: { curiosity: 10 }, justification: 3 }], { ids: ['a'], criteria }), [
+    '[0].scores.practicality: expected an integer 0..1000, got undefined',
+    '[0].justification: expected a string, got number'
+  ]);
+});
+
+test('export-markdown filters and sorts by one criterion of the breakdown', () => {
+  const entries = [
+    { text: 'a', rating: 500, ratingBreakdown: { practicality: 900, timeSensitivity: 800 } },
+    { text: 'b', rating: 700, ratingBreakdown: { practicality: 300, timeSensitivity: 100 } },
+    { text: 'c' }
+  ];
+  const args = parseArgs(['--min', 'practicality=200', '--max', 'timeSensitivity=500', '--sort-by', 'practicality']);
+  assert.deepEqual([args.minScores, args.maxScores, args.sortBy], [{ practicality: 200 }, { timeSensitivity: 500 }, 'practicality']);
+  assert.throws(() => parseArgs(['--min', 'fun=1']), /Unknown rating criterion "fun"/);
+
+  assert.deepEqual(filterEntries(entries, args).map(e => e.text), ['b']);
+  assert.deepEqual(filterEntries(entries, { ...args, keepUnrated: true }).map(e => e.text), ['b', 'c']);
+  assert.deepEqual(sortEntries(entries, 'practicality').map(e => e.text), ['a', 'b', 'c']);
+  assert.deepEqual(sortEntries(entries, 'rating').map(e => e.text), ['b', 'a', 'c']);
+});
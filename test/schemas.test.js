@@ -0,0 +1,32 @@
+import assert from 'node:assert/strict';
+import { test } from 'node:test';
+import { validateOperationsResponse, validateRatingResponse } from '../lib/schemas.js';
+
+test('validateOperationsResponse accepts every position form and names them on error', () => {
+  const op = position => ({ messageId: '1', category: '## Sightseeing', position });
+  const ok = [op('append'), op('prepend'), op({ afterId: '2' }), op({ beforeId: '3' })];
+  ok.forEach((o, i) => assert.deepEqual(validateOperationsResponse({ operations: [{ ...o, messageId: String(i) }] }), []));
+
+  const [error] = validateOperationsResponse({ operations: [op('middle')] });
+  assert.match(error, /^operations\[0\]: position must be "append", "prepend", \{ "afterId"/);
+  assert.match(error, /"beforeId"/);
+});
+
+test('validateRatingResponse checks ids against the input', () => {
+  const errors = validateRatingResponse([
+    { id: 'a', rating: 500 },
+    { id: 'a', rating: 600 },
+    { id: 'x', rating: 100 },
+    { rating: 100 },
+    'b'
+  ], { ids: ['a', 'b', 'c'] });
+  assert.deepEqual(errors, [
+    '[1].id: duplicate "a"',
+    '[2].id: "x" was not in the input',
+    '[3].id: required',
+    '[4]: expected an object, got string',
+    'missing ratings for id(s): b, c'
+  ]);
+  assert.deepEqual(validateRatingResponse({}), ['root: expected an array, got object']);
+  assert.deepEqual(validateRatingResponse([{ id: 1, rating: 1001 }], { ids: ['1'] }), ['[0].rating: expected an integer 0..1000, got 1001']);
+});
@@ -0,0 +1,87 @@
+import assert from 'node:assert/strict';
+import fs from 'fs-extra';
+import os from 'node:os';
+import path from 'node:path';
+import { test } from 'node:test';
+import { buildCompendiumDocuments, createBm25Index, loadSlimMessages, stemPolish, tokenize } from '../lib/retrieval.js';
+import { describeHit, facetCounts, facetFilter, parseArgs, resolveJumpPaths, searchDocuments } from '../search.js';
+
+const topics = [
+  {
+    slug: 'transport',
+    title: 'Transport',
+    entries: [
+      { entryId: 'e-1', type: 'tip', rating: 800, text: 'Suica działa na stacjach JR.[1]', footnotes: { 1: ['101'] } },
+      { entryId: 'e-2', type: 'warning', rating: 300, text: 'Metro nie jeździ w nocy.[1]', footnotes: { 1: ['102'] } }
+    ]
+  },
+  { slug: 'jedzenie', title: 'Jedzenie', entries: [{ entryId: 'e-3', type: 'tip', text: 'Ramen w Ichiran.[1]', footnotes: { 1: ['103'] } }] }
+];
+const messages = new Map([
+  ['101', { author: 'Kuba', date: '2024-03-01', section: 'Transport & Logistics', raw: '[2024-03-01] [Kuba] Suica na każdej stacji.' }],
+  ['102', { author: 'ola', date: '2024-04-10', section: 'Transport & Logistics', raw: '[2024-04-10] [ola] Ostatnie metro o północy.' }]
+]);
+const slim = new Map([['103', { author: 'Kuba', date: '2024-05-02', content: 'Ramen w Ichiran, polecam', slimFile: 'X/slim/a.json', splitFile: 'X/split/a.json' }]]);
+const index = createBm25Index(buildCompendiumDocuments(topics, messages, slim));
+const args = overrides => ({ ...parseArgs([]), ...overrides });
+
+test('stemPolish strips inflection endings so word forms match', () => {
+  assert.deepEqual(['stacji', 'stacjach', 'stacja'].map(stemPolish), ['stacj', 'stacj', 'stacj']);
+  assert.equal(stemPolish('jr'), 'jr');
+  assert.equal(stemPolish('24h'), '24h');
+  assert.deepEqual(tokenize('Stacjach JR', { stem: false }), ['stacjach', 'jr']);
+  assert.deepEqual(tokenize('Stacjach JR'), ['stacj', 'jr']);
+});
+
+test('parseArgs reads facets and rejects malformed values', () => {
+  const parsed = parseArgs(['suica', '--type', 'tip,warning', '--author', 'kuba', '--from', '2024-03-01', '--min-rating', '500', 'jr']);
+  assert.deepEqual([parsed.query, parsed.types, parsed.authors, parsed.from, parsed.minRating], ['suica jr', ['tip', 'warning'], ['kuba'], '2024-03-01', 500]);
+  assert.throws(() => parseArgs(['--kind', 'topic']), /--kind must be entry or message/);
+  assert.throws(() => parseArgs(['--from', '1.03.2024']), /--from expects YYYY-MM-DD/);
+});
+
+test('a query finds inflected forms in entries and messages', () => {
+  const hits = searchDocuments(index, 'stacja', facetFilter(args({})));
+  assert.deepEqual(hits.map(h => h.doc.id).sort(), ['entry:e-1', 'msg:101']);
+});
+
+test('facetFilter matches entries by the authors and dates of their sources', () => {
+  const ids = a => searchDocuments(index, '', facetFilter(args(a), { messages, slim })).map(h => h.doc.id);
+  assert.deepEqual(ids({ kind: 'entry' }), ['entry:e-1', 'entry:e-2', 'entry:e-3']);
+  assert.deepEqual(ids({ types: ['warning'] }), ['entry:e-2']);
+  assert.deepEqual(ids({ minRating: 500 }), ['entry:e-1']);
+  assert.deepEqual(ids({ authors: ['kuba'] }), ['entry:e-1', 'entry:e-3', 'msg:103', 'msg:101']);
+  assert.deepEqual(ids({ from: '2024-04-01', to: '2024-04-30' }), ['entry:e-2', 'msg:102']);
+  assert.deepEqual(ids({ sections: ['jedzenie'] }), ['entry:e-3']);
+});
+
+test('facetCounts counts kinds, sections, types and source authors', () => {
+  const hits = searchDocuments(index, '', facetFilter(args({})));
+  const counts = facetCounts(hits, { messages, slim });
+  assert.deepEqual(counts.kind, { entry: 3, message: 3 });
+  assert.deepEqual(counts.type, { tip: 2, warning: 1 });
+  assert.deepEqual(counts.author, { Kuba: 4, ola: 2 });
+  assert.equal(counts.section.Transport, 2);
+});
+
+test('slim messages get jump paths into their split export', async () => {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'search-'));
+  try {
+    await fs.outputJson(path.join(dir, 'EXPORT', 'slim', 'a_part001.json'), { messages: [{ id: '201', author: 'ola', timestamp: '2024-05-01T10:00:00Z', content: 'Hej' }, { id: '202', content: 'Siema' }] });
+    const loaded = await loadSlimMessages({ root: dir, sourceDirs: ['EXPORT'] });
+    const msg = loaded.get('201');
+    assert.deepEqual([msg.author, msg.date, msg.slimFile, msg.splitFile], ['ola', '2024-05-01', 'EXPORT/slim/a_part001.json', 'EXPORT/split/a_part001.json']);
+
+    const splitFile = path.join(dir, 'EXPORT', 'split', 'a_part001.json');
+    await fs.outputJson(splitFile, { messages: [{ id: '200' }, { id: '201' }] });
+    const withPaths = new Map([...loaded].map(([id, m]) => [id, { ...m, splitFile }]));
+    const jumps = await resolveJumpPaths(['201', '202', '999'], withPaths);
+    assert.deepEqual(jumps, { 201: { file: splitFile, index: 1 }, 202: { file: 'EXPORT/slim/a_part001.json', index: null } });
+
+    const hit = { doc: { id: 'msg:201', kind: 'message', messageIds: ['201'], section: null }, score: 1, matched: ['hej'] };
+    const described = describeHit(hit, { messages: new Map(), slim: withPaths, jumps });
+    assert.deepEqual([described.messageId, described.text, described.jump], ['201', 'Hej', `${splitFile}#messages[1]`]);
+  } finally {
+    await fs.remove(dir);
+  }
+});
@@ -0,0 +1,66 @@
+import assert from 'node:assert/strict';
+import fs from 'fs-extra';
+import os from 'node:os';
+import path from 'node:path';
+import { test } from 'node:test';
+import { findChangedExports, loadSplitManifest, main, parseArgs, sourceDirPath } from '../split-discord-export.js';
+
+const channel = { id: '20', name: 'japonia' };
+const discordExport = ids => ({ guild: { id: '10', name: 'Nododon' }, channel, messages: ids.map(id => ({ id, content: `wiadomość ${id}` })) });
+
+async function withExportDir(fn) {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'split-'));
+  try {
+    return await fn(dir);
+  } finally {
+    await fs.remove(dir);
+  }
+}
+
+test('parseArgs and sourceDirPath', () => {
+  assert.equal(parseArgs(['--incremental']).incremental, true);
+  assert.equal(parseArgs([]).incremental, false);
+  assert.equal(sourceDirPath('/tmp/x'), path.resolve('/tmp/x'));
+  assert.ok(path.isAbsolute(sourceDirPath('NODODON_JAPAN')));
+});
+
+test('--incremental splits only new messages of changed exports, continuing the channel parts', async () => {
+  await withExportDir(async (dir) => {
+    await fs.outputJson(path.join(dir, 'march.json'), discordExport(['1', '2', '3']));
+    const full = await main([], { sourceDirs: [dir] });
+    assert.deepEqual([full.files, full.newMessages, full.parts], [1, 3, 1]);
+
+    const manifest = loadSplitManifest(dir);
+    assert.deepEqual(manifest.seenIds, ['1', '2', '3']);
+    assert.deepEqual(manifest.streams['channel:20'], { partPrefix: 'march', lastPart: 1 });
+    assert.deepEqual(findChangedExports(dir), []);
+
+    // A later export of the same channel repeats the old messages.
+    await fs.outputJson(path.join(dir, 'april.json'), discordExport(['2', '3', '4', '5']));
+    assert.deepEqual(findChangedExports(dir), ['april.json']);
+
+    const inc = await main(['--incremental'], { sourceDirs: [dir] });
+    assert.deepEqual([inc.files, inc.skipped, inc.newMessages, inc.parts], [1, 1, 2, 1]);
+    const part = await fs.readJson(path.join(dir, 'split', 'march_part002.json'));
+    assert.deepEqual(part.messages.map(m => m.id), ['4', '5']);
+    assert.equal(part.channel.id, '20');
+    assert.equal(await fs.pathExists(path.join(dir, 'split', 'april_part001.json')), false);
+    assert.deepEqual(loadSplitManifest(dir).streams['channel:20'], { partPrefix: 'march', lastPart: 2 });
+
+    const again = await main(['--incremental'], { sourceDirs: [dir] });
+    assert.deepEqual([again.files, again.skipped], [0, 2]);
+  });
+});
+
+test('--incremental without a manifest starts from the parts already on disk', async () => {
+  await withExportDir(async (dir) => {
+    await fs.outputJson(path.join(dir, 'split', 'march_part001.json'), discordExport(['1', '2']));
+    await fs.outputJson(path.join(dir, 'april.json'), discordExport(['2', '3']));
+    assert.equal(loadSplitManifest(dir), null);
+
+    const inc = await main(['--incremental'], { sourceDirs: [dir] });
+    assert.equal(inc.newMessages, 1);
+    const part = await fs.readJson(path.join(dir, 'split', 'march_part002.json'));
+    assert.deepEqual(part.messages.map(m => m.id), ['3']);
+  });
+});
@@ -0,0 +1,60 @@
+import assert from 'node:assert/strict';
+import fs from 'fs-extra';
+import os from 'node:os';
+import path from 'node:path';
+import { test } from 'node:test';
+import { parseArgs as parseMergeArgs, planMerges } from '../merge-structured-topics.js';
+import { parseArgs as parseRateArgs } from '../rate-entries.js';
+import { listEditions, resolveEdition, topicMatches } from '../lib/topics.js';
+
+test('topicMatches takes a slug, a file name or part of the title', () => {
+  const topic = { slug: 'food-dining', title: 'Food & Dining (Jedzenie)' };
+  assert.equal(topicMatches(topic, []), true);
+  assert.equal(topicMatches(topic, ['FOOD-DINING']), true);
+  assert.equal(topicMatches(topic, 'food-dining.json'), true);
+  assert.equal(topicMatches(topic, ['jedzenie']), true);
+  assert.equal(topicMatches(topic, ['food', 'transport']), true);
+  assert.equal(topicMatches(topic, ['transport']), false);
+});
+
+test('resolveEdition picks the newest edition unless one is given', async () => {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'editions-'));
+  try {
+    const topicsDir = path.join(dir, 'structured_topics');
+    const compendiumDir = path.join(dir, 'compendium_versions');
+    for (const n of [2, 10]) await fs.ensureDir(path.join(topicsDir, `compendium_${n}`));
+    await fs.outputFile(path.join(compendiumDir, 'compendium_002.md'), '');
+    await fs.outputJson(path.join(topicsDir, 'compendium_10_state.json'), { source: { compendiumPath: path.join(compendiumDir, 'compendium_002.md') } });
+    assert.deepEqual(await listEditions(topicsDir), [2, 10]);
+
+    const newest = await resolveEdition({ topicsDir, compendiumDir });
+    assert.equal(newest.edition, 10);
+    assert.equal(newest.topicsRoot, path.join(topicsDir, 'compendium_10'));
+    assert.equal(newest.compendiumPath, path.join(compendiumDir, 'compendium_002.md'));
+
+    const second = await resolveEdition({ topicsDir, compendiumDir, edition: 2 });
+    assert.deepEqual([second.state, second.compendiumPath], [null, path.join(compendiumDir, 'compendium_002.md')]);
+
+    await assert.rejects(resolveEdition({ topicsDir, compendiumDir, edition: 3 }), /Edition 3 not found .* \(have: 2, 10\)/);
+    await assert.rejects(resolveEdition({ topicsDir: path.join(dir, 'none') }), /No structured topics found/);
+  } finally {
+    await fs.remove(dir);
+  }
+});
+
+test('rate and merge scripts take --edition, --topic and --model', () => {
+  const rate = parseRateArgs(['--edition', '4', '--topic', 'food, transport', '--topic', 'jr-pass', '--model', 'gemini-test']);
+  assert.deepEqual([rate.edition, rate.topics, rate.model], [4, ['food', 'transport', 'jr-pass'], 'gemini-test']);
+  assert.equal(parseRateArgs([]).edition, null);
+
+  const merge = parseMergeArgs(['--edition', '4', '--topic', 'food']);
+  assert.deepEqual([merge.edition, merge.topics], [4, ['food']]);
+});
+
+test('planMerges with --topic keeps groups whose target or an alias matches', () => {
+  const topics = ['food', 'jedzenie', 'trains', 'transport'].map(slug => ({ slug, title: slug }));
+  const config = { food: ['jedzenie'], transport: ['trains'] };
+  assert.equal(planMerges(config, topics).length, 2);
+  assert.deepEqual(planMerges(config, topics, ['trains']), [{ target: 'transport', aliases: ['trains'] }]);
+  assert.deepEqual(planMerges(config, topics, ['nope']), []);
+});
@@ -0,0 +1,71 @@
+import assert from 'node:assert/strict';
+import { test } from 'node:test';
+import { textHash } from '../lib/dedupe.js';
+import { buildTranslatedTopic, buildTranslationPrompt, keepsLatinNames, nameErrors, parseArgs, planTopic } from '../translate-topics.js';
+
+const topic = {
+  slug: 'transport',
+  title: 'Transport',
+  entries: [
+    { entryId: 'e-1', type: 'tip', text: 'Wysiądź na stacji Shinjuku [1].', footnotes: { 1: ['1'] }, rating: 700 },
+    { entryId: 'e-2', type: 'tip', text: 'Suica działa w konbini [1].', footnotes: { 1: ['2'] } }
+  ]
+};
+
+test('planTopic sends new and edited texts and reuses the rest', () => {
+  const fresh = planTopic(topic, null);
+  assert.deepEqual(fresh.units.map(u => [u.key, u.reason]), [['#title', 'new'], ['e-1', 'new'], ['e-2', 'new']]);
+
+  const existing = {
+    title: 'Transport',
+    titleSourceHash: textHash('Transport'),
+    entries: [
+      { entryId: 'e-1', text: 'Get off at Shinjuku station [1].', sourceHash: textHash(topic.entries[0].text) },
+      { entryId: 'e-2', text: 'Suica works in konbini [1].', sourceHash: textHash('stary tekst') },
+      { entryId: 'e-gone', text: 'Gone.', sourceHash: 'x' }
+    ]
+  };
+  const plan = planTopic(topic, existing);
+  assert.deepEqual(plan.units.map(u => [u.key, u.reason]), [['e-2', 'changed']]);
+  assert.deepEqual([...plan.reused.keys()], ['#title', 'e-1']);
+  assert.equal(planTopic(topic, existing, { force: true }).units.length, 3);
+});
+
+test('buildTranslatedTopic mirrors the Polish entries and drops untranslated ones', () => {
+  const translations = new Map([
+    ['#title', { text: 'Getting around', sourceHash: 'h0' }],
+    ['e-1', { text: 'Get off at Shinjuku station [1].', sourceHash: 'h1' }]
+  ]);
+  const out = buildTranslatedTopic(topic, translations, { lang: 'en', edition: 3 });
+  assert.equal(out.title, 'Getting around');
+  assert.equal(out.titleSourceHash, 'h0');
+  assert.deepEqual(out.entries.map(e => [e.entryId, e.text, e.rating, e.sourceHash]), [['e-1', 'Get off at Shinjuku station [1].', 700, 'h1']]);
+});
+
+test('nameErrors asks for station names and keep terms to stay untranslated', () => {
+  const items = topic.entries.map(e => ({ id: e.entryId, text: e.text }));
+  assert.deepEqual(nameErrors(items, [{ id: 'e-1', text: 'Get off at Shinjuku station [1].' }, { id: 'e-2', text: 'Suica works in konbini [1].' }], ['Suica']), []);
+
+  const errors = nameErrors(items, [{ id: 'e-1', text: 'Get off at the New Lodge station [1].' }, { id: 'e-2', text: 'The IC card works in konbini [1].' }], ['Suica']);
+  assert.equal(errors.length, 2);
+  assert.match(errors[0], /^\[0\]\.text: keep the station name/);
+  assert.equal(errors[1], '[1].text: keep "Suica" untranslated');
+});
+
+test('targets in another script skip the Latin name checks', () => {
+  assert.equal(keepsLatinNames('en'), true);
+  assert.equal(keepsLatinNames('pt-br'), true);
+  assert.equal(keepsLatinNames('ja'), false);
+  assert.equal(keepsLatinNames('uk'), false);
+
+  const items = [{ id: 'e-1', text: 'Wysiądź na stacji Shinjuku [1].' }];
+  const glossary = { keep: ['Shinjuku'], terms: {} };
+  assert.doesNotMatch(buildTranslationPrompt(items, { lang: 'ja', glossary }), /Pozostaw bez tłumaczenia/);
+  assert.match(buildTranslationPrompt(items, { lang: 'en', glossary }), /# Pozostaw bez tłumaczenia\nShinjuku/);
+});
+
+test('parseArgs rejects the source language and malformed codes', () => {
+  assert.deepEqual(parseArgs(['--lang', 'EN,de']).langs, ['en', 'de']);
+  assert.throws(() => parseArgs(['--lang', 'pl']), /unsupported language code\(s\) pl/);
+  assert.throws(() => parseArgs(['--lang', 'english']), /english/);
+});
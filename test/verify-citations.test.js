@@ -0,0 +1,47 @@
+import assert from 'node:assert/strict';
+import { test } from 'node:test';
+import { buildVerification, checkEntry, claimStatus, parseArgs } from '../verify-citations.js';
+
+const messages = new Map([
+  ['1', { raw: '[2024-03-01] [ania] Ramen w Ichiran kosztował 980 jenów.' }],
+  ['2', { raw: '[2024-03-02] [tomek] Metro w Tokio jeździ do północy.' }]
+]);
+
+test('parseArgs reads --judge, --model and the batch size', () => {
+  const args = parseArgs(['--judge', 'all', '--model', 'gemini-test', '--batch-size', '5', '--topic', 'jedzenie,transport']);
+  assert.equal(args.judge, 'all');
+  assert.equal(args.model, 'gemini-test');
+  assert.equal(args.batchSize, 5);
+  assert.deepEqual(args.topics, ['jedzenie', 'transport']);
+  assert.equal(parseArgs(['--judge']).judge, 'flagged');
+  assert.ok(parseArgs([]).model);
+});
+
+test('checkEntry pairs each claim with the text of its cited messages', () => {
+  const entry = { text: 'Ramen w Ichiran kosztuje 980 jenów.[1] Metro jeździ całą noc.[3]', footnotes: { 1: ['1'], 3: ['404'] } };
+  const checks = checkEntry(entry, messages);
+  assert.equal(checks.length, 2);
+  assert.deepEqual(checks[0].sources, [{ messageId: '1', text: 'Ramen w Ichiran kosztował 980 jenów.' }]);
+  assert.equal(checks[0].lexical.status, 'supported');
+  assert.deepEqual(checks[1].sources, [{ messageId: '404', text: null }]);
+  assert.equal(checks[1].lexical.status, 'missing_source');
+});
+
+test('claimStatus lets the model clear soft signals but not a conflicting price', () => {
+  const soft = { status: 'weak', conflictingFacts: [], missingFacts: [] };
+  const hard = { status: 'contradicted', conflictingFacts: [{ claim: '1500 jenów' }], missingFacts: [] };
+  assert.equal(claimStatus(soft, null), 'weak');
+  assert.equal(claimStatus(soft, { verdict: 'supported' }), 'supported');
+  assert.equal(claimStatus(hard, { verdict: 'supported' }), 'contradicted');
+});
+
+test('buildVerification stores only the problem claims', () => {
+  const entry = { text: 'Ramen w Ichiran kosztuje 1500 jenów.[1] Metro w Tokio jeździ do północy.[2]', footnotes: { 1: ['1'], 2: ['2'] } };
+  const verification = buildVerification(checkEntry(entry, messages), { method: 'lexical' });
+  assert.equal(verification.method, 'lexical');
+  assert.equal(verification.claims, 2);
+  assert.equal(verification.issues.length, 1);
+  assert.deepEqual(verification.issues[0].messageIds, ['1']);
+  assert.equal(verification.status, verification.issues[0].status);
+  assert.notEqual(verification.status, 'supported');
+});
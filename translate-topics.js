@@ -0,0 +1,350 @@
+#!/usr/bin/env node
+/**
+ * Translates structured topics into other languages:
+ *   structured_topics/compendium_N/<slug>.json -> structured_topics/compendium_N/<lang>/<slug>.json
+ *
+ * Translated files mirror the Polish ones (same entryIds, footnotes, ratings...) with the
+ * entry `text` translated and a `sourceHash` of the Polish text it was translated from.
+ * On rerun only new entries and entries whose Polish text changed are sent to the model;
+ * translations of entries that are gone are dropped.
+ *
+ * Every translation must keep the [n] footnote markers in the same order, and the shop,
+ * station and line names lib/claims.js recognizes, plus the glossary's "keep" terms,
+ * must survive untranslated; otherwise the response goes back to the model for repair.
+ * Languages in another script (ja, uk...) write names in that script, so only the
+ * markers are checked for them.
+ * translation-glossary.json: { "keep": ["Suica", ...], "terms": { "<lang>": { "<pl>": "<translation>" } } }
+ *
+ * Usage: node translate-topics.js [--lang en[,de]] [--edition N] [--topic slug]
+ *        [--glossary ./translation-glossary.json] [--batch-size 30] [--model name]
+ *        [--force] [--dry-run] [--topics-dir ./structured_topics]
+ *        [--provider ...] [--concurrency 2] [--rpm 60]
+ */
+
+import 'dotenv/config';
+import fs from 'fs-extra';
+import path from 'path';
+import { glob } from 'glob';
+import { entityInText, extractEntities } from './lib/claims.js';
+import { createRateLimiter, createSerialQueue, runPool, withRateLimit } from './lib/concurrency.js';
+import { textHash } from './lib/dedupe.js';
+import { createProvider } from './lib/llm-providers.js';
+import {
+  c,
+  errorLog,
+  generateValidatedJson,
+  isMainModule,
+  log,
+  parseCommonArgs,
+  ts,
+  tryParseJsonArray,
+  warn,
+  writeJsonAtomic
+} from './lib/pipeline.js';
+import { validateTranslationResponse } from './lib/schemas.js';
+import { loadTopics, resolveEdition, topicMatches } from './lib/topics.js';
+
+const MODEL_NAME = process.env.TRANSLATE_MODEL_NAME || 'gemini-3-flash-preview';
+const SOURCE_LANG = 'pl';
+const TITLE_KEY = '#title';
+
+export const LANGUAGE_NAMES = {
+  en: 'angielski',
+  de: 'niemiecki',
+  fr: 'francuski',
+  es: 'hiszpański',
+  it: 'włoski',
+  uk: 'ukraiński',
+  cs: 'czeski',
+  ja: 'japoński'
+};
+
+// Targets written in another script: "stacji Shinjuku" correctly becomes "新宿駅" there.
+const NON_LATIN_LANGS = new Set(['ja', 'zh', 'ko', 'uk', 'ru', 'be', 'bg', 'sr', 'mk', 'el', 'he', 'ar', 'fa', 'hi', 'th']);
+
+/** Whether names keep their Polish (Latin) spelling in `lang`, so nameErrors applies. */
+export function keepsLatinNames(lang) {
+  return !NON_LATIN_LANGS.has(String(lang).split('-')[0]);
+}
+
+export function parseArgs(argv) {
+  const args = {
+    ...parseCommonArgs(argv),
+    edition: null,
+    topicsDir: './structured_topics',
+    topics: [],
+    langs: ['en'],
+    glossary: './translation-glossary.json',
+    batchSize: 30,
+    model: MODEL_NAME,
+    force: false,
+    dryRun: false
+  };
+  for (let i = 0; i < argv.length; i++) {
+    const a = argv[i];
+    const v = argv[i + 1];
+    if (a === '--edition' && v) {
+      args.edition = Number.parseInt(v, 10);
+      i++;
+    } else if (a === '--topics-dir' && v) {
+      args.topicsDir = v;
+      i++;
+    } else if (a === '--topic' && v) {
+      args.topics.push(...v.split(',').map(t => t.trim()).filter(Boolean));
+      i++;
+    } else if (a === '--lang' && v) {
+      args.langs = v.split(',').map(l => l.trim().toLowerCase()).filter(Boolean);
+      i++;
+    } else if (a === '--glossary' && v) {
+      args.glossary = v;
+      i++;
+    } else if (a === '--batch-size' && v) {
+      args.batchSize = Math.max(1, Number.parseInt(v, 10) || 30);
+      i++;
+    } else if (a === '--model' && v) {
+      args.model = v;
+      i++;
+    } else if (a === '--force') {
+      args.force = true;
+    } else if (a === '--dry-run') {
+      args.dryRun = true;
+    }
+  }
+  const bad = args.langs.filter(l => !/^[a-z]{2,3}(?:-[a-z0-9]+)?$/.test(l) || l === SOURCE_LANG);
+  if (bad.length) throw new Error(`--lang: unsupported language code(s) ${bad.join(', ')}`);
+  return args;
+}
+
+/** Reads the glossary; a missing file means no glossary. */
+export async function loadGlossary(file) {
+  if (!file || !(await fs.pathExists(file))) return { keep: [], terms: {} };
+  const raw = await fs.readJson(file);
+  const keep = raw?.keep ?? [];
+  const terms = raw?.terms ?? {};
+  if (!Array.isArray(keep) || keep.some(t => typeof t !== 'string' || !t.trim())) throw new Error(`${file}: "keep" must be an array of strings`);
+  for (const [lang, map] of Object.entries(terms)) {
+    if (!map || typeof map !== 'object' || Array.isArray(map) || Object.values(map).some(t => typeof t !== 'string')) {
+      throw new Error(`${file}: terms.${lang} must map Polish terms to translations`);
+    }
+  }
+  return { keep, terms };
+}
+
+export function translationPath(topicsRoot, lang, slug) {
+  return path.join(topicsRoot, lang, `${slug}.json`);
+}
+
+// Matches a term at the start of a word, so inflected forms ("onsenie", "onsens") count.
+function containsTerm(text, term) {
+  const escaped = term.trim().replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+  return new RegExp(`(?<![\\p{L}\\p{N}])${escaped}`, 'iu').test(String(text ?? ''));
+}
+
+/**
+ * What still needs translating in one topic, given its translated file (or null):
+ * { units: [{ key, text, reason: 'new' | 'changed' }], reused: Map(key -> { text, sourceHash }) }.
+ * Keys are entryIds, plus TITLE_KEY for the topic title.
+ */
+export function planTopic(topic, existing, { force = false } = {}) {
+  const previous = new Map((existing?.entries ?? []).map(e => [e.entryId, { text: e.text, sourceHash: e.sourceHash }]));
+  if (existing?.title) previous.set(TITLE_KEY, { text: existing.title, sourceHash: existing.titleSourceHash });
+
+  const units = [];
+  const reused = new Map();
+  const sources = [[TITLE_KEY, topic.title], ...topic.entries.map(e => [e.entryId, String(e.text ?? '')])];
+  for (const [key, text] of sources) {
+    const before = previous.get(key);
+    if (!force && before?.sourceHash === textHash(text)) reused.set(key, before);
+    else units.push({ key, text, reason: before ? 'changed' : 'new' });
+  }
+  return { units, reused };
+}
+
+export function buildTranslationPrompt(items, { lang, glossary = { keep: [], terms: {} } }) {
+  const language = LANGUAGE_NAMES[lang] ?? lang;
+  const texts = items.map(it => it.text);
+  const terms = Object.entries(glossary.terms?.[lang] ?? {}).filter(([pl]) => texts.some(t => containsTerm(t, pl)));
+  const latin = keepsLatinNames(lang);
+  const keep = latin ? (glossary.keep ?? []).filter(term => texts.some(t => containsTerm(t, term))) : [];
+  return [
+    `# Rola`,
+    `Jesteś tłumaczem kompendium podróży do Japonii z języka polskiego (język docelowy: ${language}, kod "${lang}").`,
+    ``,
+    `# Zadanie`,
+    `Przetłumacz każdy tekst ("text") na język ${language}. Tłumacz wiernie i naturalnie, nie skracaj i nie dodawaj informacji.`,
+    ``,
+    `# Zasady`,
+    `- Zachowaj WSZYSTKIE znaczniki przypisów [n] (np. [1], [2]): te same numery, w tej samej kolejności, zaraz po fragmencie, którego dotyczą.`,
+    latin
+      ? `- NIE tłumacz nazw własnych: japońskich nazw miejsc, dzielnic, stacji i linii, nazw sklepów, marek, produktów i nicków. Zapisz je tak jak w oryginale (z "stacja Shinjuku" zostaje "Shinjuku").`
+      : `- Nazwy własne (miejsca, dzielnice, stacje i linie, sklepy, marki, produkty) zapisz tak, jak przyjęło się je zapisywać w języku docelowym; nicków nie zmieniaj.`,
+    `- Liczby, ceny (¥, zł), godziny i daty przepisz bez zmian.`,
+    `- Zachowaj podział na linie i formatowanie Markdown.`,
+    `- Zwróć TYLKO poprawny JSON array, bez markdown, bez code fences, bez komentarzy.`,
+    `- Każde id z wejścia musi być w odpowiedzi.`,
+    ...(terms.length ? [``, `# Glosariusz (używaj dokładnie tych tłumaczeń)`, ...terms.map(([pl, tr]) => `- ${pl} → ${tr}`)] : []),
+    ...(keep.length ? [``, `# Pozostaw bez tłumaczenia`, keep.join(', ')] : []),
+    ``,
+    `# Format odpowiedzi (JSON array):`,
+    `[{"id": "...", "text": "..."}, ...]`,
+    ``,
+    `# Teksty do przetłumaczenia:`,
+    JSON.stringify(items, null, 2)
+  ].join('\n');
+}
+
+/**
+ * Names that must survive translation: shops, stations and lines found in the source
+ * (lib/claims.js) and glossary "keep" terms. Returns validation errors for the repair loop.
+ * Only meaningful for targets where keepsLatinNames(lang) holds.
+ */
+export function nameErrors(items, value, keep = []) {
+  if (!Array.isArray(value)) return [];
+  const sources = new Map(items.map(it => [it.id, it.text]));
+  const errors = [];
+  value.forEach((item, i) => {
+    const source = sources.get(String(item?.id));
+    if (typeof source !== 'string' || typeof item.text !== 'string') return;
+    for (const entity of extractEntities(source)) {
+      if (!entityInText(entity, item.text)) errors.push(`[${i}].text: keep the ${entity.kind} name from "${entity.raw}" untranslated`);
+    }
+    for (const term of keep) {
+      if (containsTerm(source, term) && !containsTerm(item.text, term)) errors.push(`[${i}].text: keep "${term}" untranslated`);
+    }
+  });
+  return errors;
+}
+
+/** The translated file for one topic: the Polish entries with translated text, in source order. */
+export function buildTranslatedTopic(topic, translations, { lang, edition }) {
+  const title = translations.get(TITLE_KEY);
+  return {
+    lang,
+    sourceLang: SOURCE_LANG,
+    edition,
+    slug: topic.slug,
+    title: title?.text ?? topic.title,
+    ...(title ? { titleSourceHash: title.sourceHash } : {}),
+    updatedAt: ts(),
+    entries: topic.entries
+      .filter(e => translations.has(e.entryId))
+      .map(e => ({ ...e, text: translations.get(e.entryId).text, sourceHash: translations.get(e.entryId).sourceHash }))
+  };
+}
+
+async function readTranslated(file) {
+  return (await fs.pathExists(file)) ? fs.readJson(file) : null;
+}
+
+/** Untranslated or outdated units per language, for the compendium CLI. */
+export async function getTranslationProgress(argv = []) {
+  const args = parseArgs(argv);
+  let resolved;
+  try {
+    resolved = await resolveEdition(args);
+  } catch {
+    return { edition: null, langs: args.langs, total: 0, pending: 0 };
+  }
+  const topics = (await loadTopics(resolved)).filter(t => topicMatches(t, args.topics));
+  let total = 0;
+  let pending = 0;
+  for (const lang of args.langs) {
+    for (const topic of topics) {
+      const { units } = planTopic(topic, await readTranslated(translationPath(resolved.topicsRoot, lang, topic.slug)));
+      total += topic.entries.length + 1;
+      pending += units.length;
+    }
+  }
+  return { edition: resolved.edition, langs: args.langs, total, pending };
+}
+
+async function translateLanguage(args, { lang, resolved, topics, allSlugs, glossary, model }) {
+  const plans = [];
+  for (const topic of topics) {
+    const file = translationPath(resolved.topicsRoot, lang, topic.slug);
+    const plan = planTopic(topic, await readTranslated(file), args);
+    plans.push({ topic, file, translations: plan.reused, units: plan.units });
+  }
+  const units = plans.flatMap(p => p.units.map(u => ({ ...u, plan: p })));
+  const count = reason => units.filter(u => u.reason === reason).length;
+  const upToDate = plans.reduce((n, p) => n + p.translations.size, 0);
+  log(c(`[${lang}]`, 'cyan', 'bold'), `${units.length} to translate: ${count('new')} new, ${count('changed')} changed`, c(`(${upToDate} up to date)`, 'dim'));
+
+  // Translations of topics that no longer exist (merged away, renamed).
+  const orphans = (await glob(path.join(resolved.topicsRoot, lang, '*.json').replace(/\\/g, '/')))
+    .filter(f => !allSlugs.has(path.basename(f, '.json')));
+  if (orphans.length) log(`[${lang}] ${orphans.length} translated file(s) without a source topic${args.dryRun ? '' : ' removed'}`);
+  if (args.dryRun) return { lang, pending: units.length, translated: 0 };
+  for (const f of orphans) await fs.remove(f);
+
+  const writeQueue = createSerialQueue();
+  const save = touched => writeQueue.run(async () => {
+    for (const p of touched) {
+      await writeJsonAtomic(p.file, buildTranslatedTopic(p.topic, p.translations, { lang, edition: resolved.edition }));
+    }
+  });
+
+  const batches = [];
+  for (let i = 0; i < units.length; i += args.batchSize) batches.push(units.slice(i, i + args.batchSize));
+  let translated = 0;
+  try {
+    await runPool(batches, args.concurrency, async (batch, b) => {
+      const items = batch.map((u, i) => ({ id: String(i), text: u.text }));
+      const sources = Object.fromEntries(items.map(it => [it.id, it.text]));
+      const { value } = await generateValidatedJson(model, [buildTranslationPrompt(items, { lang, glossary })], {
+        parse: tryParseJsonArray,
+        validate: v => [...validateTranslationResponse(v, { ids: items.map(it => it.id), sources }), ...(keepsLatinNames(lang) ? nameErrors(items, v, glossary.keep) : [])],
+        label: `translate_${lang}_${b + 1}`,
+        retry: args.retry,
+        repair: args.repair
+      });
+      const touched = new Set();
+      for (const item of value) {
+        const unit = batch[Number(item.id)];
+        unit.plan.translations.set(unit.key, { text: item.text.trim(), sourceHash: textHash(unit.text) });
+        touched.add(unit.plan);
+      }
+      translated += value.length;
+      await save(touched);
+      log(`[${lang}] batch ${b + 1}/${batches.length}: ${value.length} translated`);
+    });
+  } finally {
+    // Rewrite every topic so copied fields (ratings, footnotes) and removed entries follow the source.
+    await save(plans);
+  }
+  return { lang, pending: units.length, translated };
+}
+
+export async function main(argv = process.argv.slice(2)) {
+  const args = parseArgs(argv);
+  const resolved = await resolveEdition(args);
+  const glossary = await loadGlossary(args.glossary);
+  const allTopics = await loadTopics(resolved);
+  const topics = allTopics.filter(t => topicMatches(t, args.topics));
+  if (topics.length === 0) throw new Error(`No topics match --topic ${args.topics.join(',')} in edition ${resolved.edition}`);
+  log(`Edition: ${resolved.edition}`);
+  log(`langs=${args.langs.join(',')} topics=${topics.length} glossary=${glossary.keep.length} keep, ${args.langs.map(l => Object.keys(glossary.terms[l] ?? {}).length).join('/')} terms dryRun=${args.dryRun}`);
+
+  const model = args.dryRun ? null : withRateLimit(createProvider({ provider: args.provider, model: args.model }), createRateLimiter(args.rateLimit));
+  const allSlugs = new Set(allTopics.map(t => t.slug));
+  const results = [];
+  for (const lang of args.langs) {
+    try {
+      results.push(await translateLanguage(args, { lang, resolved, topics, allSlugs, glossary, model }));
+    } catch (err) {
+      warn('Finished batches are saved; rerun to translate the rest.');
+      throw new Error(`Translation to ${lang} stopped: ${err.message}`, { cause: err });
+    }
+  }
+
+  const translated = results.reduce((n, r) => n + r.translated, 0);
+  log(c(args.dryRun ? 'Dry run complete — no changes written.' : 'Done', 'green', 'bold'), results.map(r => `${r.lang}=${r.translated}/${r.pending}`).join(' '));
+  return { edition: resolved.edition, langs: args.langs, translated, pending: results.reduce((n, r) => n + r.pending, 0) };
+}
+
+if (isMainModule(import.meta.url)) {
+  main().catch((e) => {
+    errorLog(e?.message ?? e);
+    process.exit(1);
+  });
+}
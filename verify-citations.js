@@ -0,0 +1,284 @@
+#!/usr/bin/env node
+/**
+ * Checks that the footnoted claims in structured_topics/compendium_N/*.json are backed
+ * by the messages they cite (recovered from the compendium markdown).
+ *
+ * Every claim gets a lexical check (lib/claims.js: prices, times, numbers and names must
+ * appear in the source). With --judge the model also rules on the claims the lexical
+ * check did not clear (--judge all: on every cited claim). Results go into each entry's
+ * `verification` field and into a Markdown report next to the state file.
+ *
+ * Usage: node verify-citations.js [--edition N] [--topic slug[,slug]] [--judge [all]]
+ *        [--batch-size 20] [--model name] [--report path.md] [--dry-run]
+ *        [--provider ...] [--concurrency 2] [--rpm 60]
+ */
+
+import 'dotenv/config';
+import fs from 'fs-extra';
+import path from 'path';
+import { createRateLimiter, runPool, withRateLimit } from './lib/concurrency.js';
+import { checkClaim, CLAIM_STATUSES, splitClaims, worstStatus } from './lib/claims.js';
+import { createProvider } from './lib/llm-providers.js';
+import {
+  c,
+  errorLog,
+  generateValidatedJson,
+  isMainModule,
+  log,
+  parseCommonArgs,
+  ts,
+  tryParseJsonArray,
+  warn,
+  writeJsonAtomic
+} from './lib/pipeline.js';
+import { validateVerificationResponse } from './lib/schemas.js';
+import { loadCompendiumMessages, loadTopics, messageBody, resolveEdition, topicMatches } from './lib/topics.js';
+
+const MODEL_NAME = process.env.VERIFY_MODEL_NAME || 'gemini-3-flash-preview';
+const FLAGGED = new Set(['contradicted', 'unsupported', 'missing_source']);
+
+export function parseArgs(argv) {
+  const args = {
+    ...parseCommonArgs(argv),
+    edition: null,
+    topicsDir: './structured_topics',
+    compendiumDir: './compendium_versions',
+    topics: [],
+    judge: null, // null | 'flagged' | 'all'
+    batchSize: 20,
+    model: MODEL_NAME,
+    report: null,
+    dryRun: false
+  };
+  for (let i = 0; i < argv.length; i++) {
+    const a = argv[i];
+    const v = argv[i + 1];
+    if (a === '--edition' && v) {
+      args.edition = Number.parseInt(v, 10);
+      i++;
+    } else if (a === '--topics-dir' && v) {
+      args.topicsDir = v;
+      i++;
+    } else if (a === '--compendium-dir' && v) {
+      args.compendiumDir = v;
+      i++;
+    } else if (a === '--topic' && v) {
+      args.topics.push(...v.split(',').map(t => t.trim()).filter(Boolean));
+      i++;
+    } else if (a === '--judge') {
+      args.judge = v === 'all' ? 'all' : 'flagged';
+      if (v === 'all') i++;
+    } else if (a === '--batch-size' && v) {
+      args.batchSize = Math.max(1, Number.parseInt(v, 10) || 20);
+      i++;
+    } else if (a === '--model' && v) {
+      args.model = v;
+      i++;
+    } else if (a === '--report' && v) {
+      args.report = v;
+      i++;
+    } else if (a === '--dry-run') {
+      args.dryRun = true;
+    }
+  }
+  return args;
+}
+
+export function buildVerificationPrompt(items) {
+  return [
+    `# Rola`,
+    `Jesteś weryfikatorem przypisów w kompendium podróży do Japonii.`,
+    ``,
+    `# Zadanie`,
+    `Dla każdego twierdzenia (claim) oceń, czy cytowane wiadomości (sources) je potwierdzają:`,
+    `- "supported": źródła mówią to samo (parafraza jest OK)`,
+    `- "unsupported": źródła tego nie mówią albo mówią coś innego niż twierdzenie sugeruje`,
+    `- "contradicted": źródła przeczą twierdzeniu (inna cena, godzina, miejsce, zasada...)`,
+    ``,
+    `# Zasady`,
+    `- Oceniaj tylko na podstawie podanych źródeł, nie własnej wiedzy.`,
+    `- Liczby, ceny, godziny i nazwy własne muszą się zgadzać ze źródłem.`,
+    `- "reason": jedno krótkie zdanie po polsku.`,
+    `- Zwróć TYLKO poprawny JSON array, bez markdown, bez code fences, bez komentarzy.`,
+    `- Każde id z wejścia musi być w odpowiedzi.`,
+    ``,
+    `# Format odpowiedzi (JSON array):`,
+    `[{"id": "...", "verdict": "supported", "reason": "..."}, ...]`,
+    ``,
+    `# Twierdzenia do weryfikacji:`,
+    JSON.stringify(items, null, 2)
+  ].join('\n');
+}
+
+/** Lexical pass over one entry: [{ claim, sources, lexical }]. */
+export function checkEntry(entry, messages) {
+  return splitClaims(entry).map((claim) => {
+    const sources = claim.messageIds.map((id) => {
+      const msg = messages.get(id);
+      return { messageId: id, text: msg ? messageBody(msg) : null };
+    });
+    return { claim, sources, lexical: checkClaim(claim, sources) };
+  });
+}
+
+/**
+ * The model can clear soft lexical signals (names, low overlap) but not a number or
+ * price that is missing from or different in the source; then the worse verdict wins.
+ */
+export function claimStatus(lexical, model) {
+  if (!model) return lexical.status;
+  const hardEvidence = lexical.conflictingFacts.length > 0 || lexical.missingFacts.length > 0;
+  return hardEvidence ? worstStatus([lexical.status, model.verdict]) : model.verdict;
+}
+
+/**
+ * Folds lexical results and model verdicts into the entry's `verification` field.
+ * Only problem claims are stored; `claims` is the total count.
+ */
+export function buildVerification(checks, { method }) {
+  const issues = [];
+  const statuses = [];
+  for (const { claim, lexical, model } of checks) {
+    const status = claimStatus(lexical, model);
+    statuses.push(status);
+    if (status === 'supported') continue;
+    issues.push({
+      claim: claim.text.length > 300 ? `${claim.text.slice(0, 299)}…` : claim.text,
+      refs: claim.refs,
+      messageIds: claim.messageIds,
+      status,
+      lexical: lexical.status,
+      ...(lexical.conflictingFacts.length ? { conflictingFacts: lexical.conflictingFacts } : {}),
+      ...(lexical.missingFacts.length ? { missingFacts: lexical.missingFacts.map(f => f.claim) } : {}),
+      ...(lexical.missingNames.length ? { missingNames: lexical.missingNames } : {}),
+      ...(model ? { model } : {})
+    });
+  }
+  return { status: worstStatus(statuses), method, checkedAt: ts(), claims: checks.length, issues };
+}
+
+function renderReport({ edition, results, counts, method }) {
+  const lines = [
+    `# Weryfikacja przypisów: edycja ${edition}`,
+    '',
+    `_${ts()} · metoda: ${method}_`,
+    '',
+    '| status | twierdzenia |',
+    '| --- | ---: |',
+    ...CLAIM_STATUSES.map(s => `| ${s} | ${counts[s] ?? 0} |`),
+    ''
+  ];
+  for (const { topic, entries } of results) {
+    const problems = entries.filter(e => e.verification.issues.some(i => FLAGGED.has(i.status)));
+    if (problems.length === 0) continue;
+    lines.push(`## ${topic.title}`, '');
+    for (const { entry, verification } of problems) {
+      for (const issue of verification.issues.filter(i => FLAGGED.has(i.status))) {
+        const details = [
+          issue.conflictingFacts?.length ? `źródło podaje ${issue.conflictingFacts.map(f => `${f.source.join('/')} zamiast ${f.claim}`).join(', ')}` : '',
+          issue.missingFacts?.length ? `brak w źródle: ${issue.missingFacts.join(', ')}` : '',
+          issue.missingNames?.length ? `nazwy spoza źródła: ${issue.missingNames.join(', ')}` : '',
+          issue.model?.reason ? `model: ${issue.model.reason}` : ''
+        ].filter(Boolean).join('; ');
+        lines.push(`- **${issue.status}** \`${entry.entryId}\` ${issue.claim.replace(/\s+/g, ' ')} (${issue.messageIds.map(id => `#${id}`).join(', ') || 'brak źródeł'})${details ? `  \n  ${details}` : ''}`);
+      }
+    }
+    lines.push('');
+  }
+  return lines.join('\n');
+}
+
+export async function main(argv = process.argv.slice(2)) {
+  const args = parseArgs(argv);
+  const resolved = await resolveEdition(args);
+  if (!resolved.compendiumPath) throw new Error(`Compendium markdown for edition ${resolved.edition} not found; cannot recover cited messages.`);
+
+  const messages = await loadCompendiumMessages(resolved.compendiumPath);
+  const topics = (await loadTopics(resolved)).filter(t => topicMatches(t, args.topics));
+  const method = args.judge ? `lexical+model(${args.judge})` : 'lexical';
+  log(`Edition: ${resolved.edition}`);
+  log(`Compendium: ${path.resolve(resolved.compendiumPath)} messages=${messages.size}`);
+  log(`topics=${topics.length} method=${method} dryRun=${args.dryRun}`);
+
+  // Lexical pass over everything first; the model only sees what it leaves open.
+  const results = topics.map(topic => ({
+    topic,
+    entries: topic.entries.map(entry => ({ entry, checks: checkEntry(entry, messages) }))
+  }));
+  const allChecks = results.flatMap(r => r.entries.flatMap(e => e.checks));
+
+  if (args.judge) {
+    const toJudge = allChecks.filter(ch => ch.claim.messageIds.length > 0 &&
+      ch.sources.some(s => s.text !== null) &&
+      (args.judge === 'all' || ch.lexical.status !== 'supported'));
+    toJudge.forEach((ch, i) => { ch.judgeId = String(i); });
+    log(c('Model judgment', 'cyan', 'bold'), `${toJudge.length} claim(s)`);
+
+    const provider = withRateLimit(createProvider({ provider: args.provider, model: args.model }), createRateLimiter(args.rateLimit));
+    const batches = [];
+    for (let i = 0; i < toJudge.length; i += args.batchSize) batches.push(toJudge.slice(i, i + args.batchSize));
+
+    await runPool(batches, args.concurrency, async (batch, b) => {
+      const items = batch.map(ch => ({
+        id: ch.judgeId,
+        claim: ch.claim.text,
+        sources: ch.sources.filter(s => s.text !== null).map(s => ({ messageId: s.messageId, text: s.text }))
+      }));
+      const { value } = await generateValidatedJson(provider, [buildVerificationPrompt(items)], {
+        parse: tryParseJsonArray,
+        validate: v => validateVerificationResponse(v, { ids: items.map(it => it.id) }),
+        label: `verify_${resolved.edition}_${b + 1}`,
+        retry: args.retry,
+        repair: args.repair
+      });
+      const byId = new Map(batch.map(ch => [ch.judgeId, ch]));
+      for (const v of value) {
+        byId.get(String(v.id)).model = { verdict: v.verdict, ...(v.reason ? { reason: v.reason } : {}) };
+      }
+      log(`Batch ${b + 1}/${batches.length}: ${batch.length} verdict(s)`);
+    });
+  }
+
+  const counts = {};
+  let flaggedEntries = 0;
+  for (const { topic, entries } of results) {
+    for (const item of entries) {
+      item.verification = buildVerification(item.checks, { method });
+      item.entry.verification = item.verification;
+      for (const ch of item.checks) {
+        const s = claimStatus(ch.lexical, ch.model);
+        counts[s] = (counts[s] ?? 0) + 1;
+      }
+      if (FLAGGED.has(item.verification.status)) flaggedEntries++;
+    }
+    if (!args.dryRun) {
+      const data = await fs.readJson(topic.file);
+      data.entries = topic.entries;
+      await writeJsonAtomic(topic.file, data);
+    }
+  }
+
+  const reportPath = args.report ?? path.join(args.topicsDir, `compendium_${resolved.edition}_verification.md`);
+  if (!args.dryRun) {
+    await fs.ensureDir(path.dirname(reportPath));
+    await fs.writeFile(reportPath, renderReport({ edition: resolved.edition, results, counts, method }), 'utf8');
+    log(c('Report', 'green', 'bold'), path.resolve(reportPath));
+  }
+
+  const summary = CLAIM_STATUSES.map(s => `${s}=${counts[s] ?? 0}`).join(' ');
+  log(c('Done', 'green', 'bold'), summary);
+  if (flaggedEntries) warn(`${flaggedEntries} entr${flaggedEntries === 1 ? 'y has' : 'ies have'} contradicted/unsupported claims; see the report.`);
+  return {
+    edition: resolved.edition,
+    entries: results.reduce((n, r) => n + r.entries.length, 0),
+    claims: allChecks.length,
+    flaggedEntries
+  };
+}
+
+if (isMainModule(import.meta.url)) {
+  main().catch((e) => {
+    errorLog(e?.message ?? e);
+    process.exit(1);
+  });
+}